@@ -0,0 +1,49 @@
+// Create or reset a DashRx admin account
+// Usage: npm run admin:create -- <username>
+require('dotenv').config();
+const readline = require('readline');
+const { Writable } = require('stream');
+const { setUserPassword } = require('./server/auth');
+
+const username = process.argv[2];
+if (!username) {
+  console.error('Usage: npm run admin:create -- <username>');
+  process.exit(1);
+}
+
+function askPassword() {
+  if (process.env.ADMIN_PASSWORD) return Promise.resolve(process.env.ADMIN_PASSWORD);
+
+  // readline echoes keystrokes to its output; give it one that stays quiet
+  // while the password is typed
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) process.stdout.write(chunk, encoding);
+      callback();
+    }
+  });
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: !!process.stdin.isTTY });
+
+  return new Promise(resolve => {
+    rl.question(`🔑 Password for ${username} (min 12 chars): `, answer => {
+      muted = false;
+      process.stdout.write('\n');
+      rl.close();
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+askPassword()
+  .then(password => {
+    setUserPassword(username, password);
+    console.log(`\n✅ Admin account "${username}" saved`);
+    console.log('🔐 Sign in at /admin/login');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('\n❌ Could not save admin account:', error.message);
+    process.exit(1);
+  });
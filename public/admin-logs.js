@@ -0,0 +1,178 @@
+/**
+ * DashRx live log viewer
+ * Follows /api/logs/stream with EventSource (which resumes by itself after a
+ * dropped connection) and colors each level the way the server console does.
+ */
+
+(function() {
+  'use strict';
+
+  const MAX_LINES = 2000;
+  const TIME_FORMAT = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/Detroit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  });
+
+  let form, tail, status, pauseButton;
+  let levelColors = {};
+  let source = null;
+  let paused = false;
+  let held = [];
+
+  document.addEventListener('DOMContentLoaded', function() {
+    form = document.getElementById('logStreamForm');
+    tail = document.getElementById('logTail');
+    status = document.getElementById('logStreamStatus');
+    pauseButton = document.getElementById('logStreamPause');
+    if (!form || !tail) return;
+
+    levelColors = JSON.parse(tail.dataset.levelColors || '{}');
+
+    form.addEventListener('submit', function(event) {
+      event.preventDefault();
+      connect();
+    });
+    pauseButton.addEventListener('click', togglePause);
+    document.getElementById('logStreamClear').addEventListener('click', function() {
+      tail.textContent = '';
+    });
+
+    connect();
+  });
+
+  /**
+   * Stream URL for the current filters, or null when no level is picked.
+   * All levels checked means no level filter.
+   */
+  function streamUrl() {
+    const params = new URLSearchParams();
+    const boxes = Array.from(form.querySelectorAll('input[name="level"]'));
+    const levels = boxes.filter(box => box.checked).map(box => box.value);
+    if (levels.length === 0) return null;
+    if (levels.length < boxes.length) params.set('level', levels.join(','));
+
+    const requestId = form.elements.requestId.value.trim();
+    if (requestId) params.set('requestId', requestId);
+    params.set('replay', form.elements.replay.value || '0');
+
+    return `/api/logs/stream?${params}`;
+  }
+
+  function connect() {
+    if (source) source.close();
+    source = null;
+    tail.textContent = '';
+    held = [];
+
+    const url = streamUrl();
+    if (!url) {
+      setStatus('Pick at least one level.');
+      return;
+    }
+
+    setStatus('Connecting...');
+    source = new EventSource(url);
+
+    source.addEventListener('ready', function(event) {
+      const info = JSON.parse(event.data);
+      setStatus(`Connected${info.replayed ? ` - replayed ${info.replayed} recent entries` : ''}`);
+    });
+
+    source.addEventListener('entry', function(event) {
+      const entry = JSON.parse(event.data);
+      if (paused) {
+        held.push(entry);
+        if (held.length > MAX_LINES) held.shift();
+        setStatus(`Paused - ${held.length} new entries waiting`);
+        return;
+      }
+      appendEntry(entry);
+    });
+
+    source.addEventListener('error', function() {
+      // A 401 or 400 closes the stream for good; anything else is retried
+      if (source.readyState === EventSource.CLOSED) {
+        setStatus('Stream closed. Your session may have expired, or a filter is invalid.', true);
+      } else {
+        setStatus('Connection lost - reconnecting...');
+      }
+    });
+  }
+
+  function togglePause() {
+    paused = !paused;
+    pauseButton.textContent = paused ? 'Resume' : 'Pause';
+    if (paused) {
+      setStatus('Paused');
+      return;
+    }
+    held.forEach(appendEntry);
+    held = [];
+    setStatus('Connected');
+  }
+
+  function setStatus(message, withLogin) {
+    status.textContent = message;
+    if (withLogin) {
+      const link = document.createElement('a');
+      link.href = '/admin/login?next=/admin/logs';
+      link.textContent = ' Sign in again';
+      status.appendChild(link);
+    }
+  }
+
+  /**
+   * One line per entry: time, level, message, request ID and any data
+   */
+  function appendEntry(entry) {
+    const atBottom = tail.scrollTop + tail.clientHeight >= tail.scrollHeight - 20;
+
+    const line = document.createElement('div');
+    line.className = `log-line log-color-${levelColors[entry.level] || levelColors.info}`;
+
+    const time = document.createElement('span');
+    time.className = 'log-time';
+    time.textContent = TIME_FORMAT.format(new Date(entry.timestamp));
+    time.title = entry.timestamp;
+
+    const level = document.createElement('span');
+    level.className = 'log-level';
+    level.textContent = entry.level.toUpperCase();
+
+    const message = document.createElement('span');
+    message.textContent = entry.message;
+
+    line.append(time, level, message);
+
+    if (entry.requestId) {
+      // Clicking an ID follows just that request
+      const requestId = document.createElement('button');
+      requestId.type = 'button';
+      requestId.className = 'log-request-id';
+      requestId.textContent = entry.requestId;
+      requestId.title = 'Show only this request';
+      requestId.addEventListener('click', function() {
+        form.elements.requestId.value = entry.requestId;
+        connect();
+      });
+      line.append(requestId);
+    }
+
+    if (entry.data !== null && entry.data !== undefined) {
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent = 'data';
+      const data = document.createElement('pre');
+      data.textContent = JSON.stringify(entry.data, null, 2);
+      details.append(summary, data);
+      line.append(details);
+    }
+
+    tail.appendChild(line);
+    while (tail.childElementCount > MAX_LINES) tail.removeChild(tail.firstElementChild);
+    if (atBottom) tail.scrollTop = tail.scrollHeight;
+  }
+})();
@@ -0,0 +1,167 @@
+/**
+ * DashRx coverage map
+ * Draws the delivery zones from /api/service-area/zones as inline SVG (no tile
+ * server, so it stays inside the site's CSP) and highlights the zone for a ZIP.
+ */
+
+(function() {
+  'use strict';
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const VIEW_WIDTH = 600;
+
+  let canvas, legend, lookupForm, zipInput, result;
+  let zonePaths = {};
+
+  document.addEventListener('DOMContentLoaded', function() {
+    canvas = document.getElementById('coverageMapCanvas');
+    legend = document.getElementById('coverageLegend');
+    lookupForm = document.getElementById('coverageLookup');
+    zipInput = document.getElementById('coverageZip');
+    result = document.getElementById('coverageResult');
+    if (!canvas) return;
+
+    if (lookupForm) lookupForm.addEventListener('submit', handleLookup);
+    loadZones();
+  });
+
+  /**
+   * Fetch the zones and draw them; the static badge stays if this fails
+   */
+  async function loadZones() {
+    try {
+      const response = await fetch('/api/service-area/zones', { headers: { 'Accept': 'application/json' } });
+      if (!response.ok) return;
+      const zones = await response.json();
+      drawMap(zones);
+      drawLegend(zones.tiers);
+    } catch (error) {
+      console.error('Coverage map failed to load:', error);
+    }
+  }
+
+  /**
+   * Every outer and inner ring of a Polygon or MultiPolygon
+   */
+  function ringsOf(geometry) {
+    return geometry.type === 'MultiPolygon' ? [].concat.apply([], geometry.coordinates) : geometry.coordinates;
+  }
+
+  /**
+   * Equirectangular projection scaled for the map's latitude; plenty accurate
+   * for an area the size of a metro region
+   */
+  function makeProjection(features) {
+    let minLon = Infinity, maxLon = -Infinity, minLat = Infinity, maxLat = -Infinity;
+    features.forEach(feature => ringsOf(feature.geometry).forEach(ring => ring.forEach(([lon, lat]) => {
+      minLon = Math.min(minLon, lon);
+      maxLon = Math.max(maxLon, lon);
+      minLat = Math.min(minLat, lat);
+      maxLat = Math.max(maxLat, lat);
+    })));
+
+    const xScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+    const scale = VIEW_WIDTH / ((maxLon - minLon) * xScale);
+
+    return {
+      width: VIEW_WIDTH,
+      height: Math.ceil((maxLat - minLat) * scale),
+      point: ([lon, lat]) => [
+        ((lon - minLon) * xScale * scale).toFixed(1),
+        ((maxLat - lat) * scale).toFixed(1)
+      ]
+    };
+  }
+
+  function drawMap(zones) {
+    if (!zones.features || zones.features.length === 0) return;
+    const projection = makeProjection(zones.features);
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${projection.width} ${projection.height}`);
+    svg.setAttribute('class', 'coverage-map-svg');
+    svg.setAttribute('aria-hidden', 'true');
+
+    zonePaths = {};
+    zones.features.forEach(feature => {
+      const props = feature.properties;
+      const d = ringsOf(feature.geometry)
+        .map(ring => 'M' + ring.map(projection.point).map(p => p.join(',')).join('L') + 'Z')
+        .join('');
+
+      const path = document.createElementNS(SVG_NS, 'path');
+      path.setAttribute('d', d);
+      path.setAttribute('class', `coverage-zone coverage-zone-${props.tier}`);
+
+      const title = document.createElementNS(SVG_NS, 'title');
+      title.textContent = `${props.name} — ${props.label}${props.sameDay ? ' (same-day)' : ''}`;
+      path.appendChild(title);
+
+      svg.appendChild(path);
+      zonePaths[props.name] = path;
+    });
+
+    canvas.textContent = '';
+    canvas.appendChild(svg);
+    canvas.classList.add('is-loaded');
+  }
+
+  function drawLegend(tiers) {
+    if (!legend || !tiers) return;
+    legend.textContent = '';
+    Object.keys(tiers).forEach(key => {
+      const item = document.createElement('li');
+      const swatch = document.createElement('span');
+      swatch.className = `coverage-swatch coverage-zone-${key}`;
+      item.appendChild(swatch);
+      item.appendChild(document.createTextNode(`${tiers[key].label}${tiers[key].sameDay ? ' — same-day' : ' — next-day'}`));
+      legend.appendChild(item);
+    });
+  }
+
+  function highlight(name) {
+    Object.keys(zonePaths).forEach(key => zonePaths[key].classList.remove('is-highlighted'));
+    const path = name && zonePaths[name];
+    if (path) {
+      path.classList.add('is-highlighted');
+      // Draw last so the outline sits above its neighbours
+      path.parentNode.appendChild(path);
+    }
+  }
+
+  function showResult(message, state) {
+    result.textContent = message;
+    result.classList.remove('service-area-covered', 'service-area-outside');
+    if (state) result.classList.add(state);
+  }
+
+  /**
+   * Look the ZIP up on the server (the ZIP lists are authoritative, shapes are
+   * approximate) and highlight the matching zone
+   */
+  async function handleLookup(e) {
+    e.preventDefault();
+    const zip = zipInput.value.trim();
+
+    if (!/^\d{5}$/.test(zip)) {
+      highlight(null);
+      showResult('Enter a 5-digit ZIP code.', 'service-area-outside');
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/service-area?zip=${encodeURIComponent(zip)}`, { headers: { 'Accept': 'application/json' } });
+      const data = await response.json();
+      if (!response.ok) {
+        showResult(data.error || 'Could not check that ZIP code. Please try again.', 'service-area-outside');
+        return;
+      }
+
+      highlight(data.covered ? data.municipality : null);
+      showResult(data.message, data.covered ? 'service-area-covered' : 'service-area-outside');
+    } catch (error) {
+      console.error('Coverage lookup failed:', error);
+      showResult('Could not check that ZIP code. Please try again.', 'service-area-outside');
+    }
+  }
+})();
@@ -0,0 +1,118 @@
+/**
+ * DashRx delivery cost calculator
+ * Asks /api/estimate for a price range and remembers the request so the quote
+ * form can send it along; the server re-prices it for the sales email.
+ */
+
+(function() {
+  'use strict';
+
+  let form, result, hiddenRequest;
+
+  document.addEventListener('DOMContentLoaded', function() {
+    form = document.getElementById('estimateForm');
+    result = document.getElementById('estimateResult');
+    hiddenRequest = document.getElementById('estimate_request');
+    if (form && result) form.addEventListener('submit', handleEstimate);
+  });
+
+  /**
+   * Estimate request from the calculator fields; a 5-digit entry is a ZIP,
+   * anything else is treated as a city
+   */
+  function buildRequest() {
+    const location = form.elements['location'].value.trim();
+    const request = {
+      weekly_scripts: form.elements['weekly_scripts'].value,
+      options: Array.from(form.querySelectorAll('input[name="options"]:checked')).map(input => input.value)
+    };
+    if (/^\d{5}$/.test(location)) request.zip = location;
+    else if (location) request.city = location;
+    return request;
+  }
+
+  async function handleEstimate(e) {
+    e.preventDefault();
+    const request = buildRequest();
+
+    if (!request.weekly_scripts || (!request.zip && !request.city)) {
+      showMessage('Choose a weekly volume and enter a ZIP code or city.', true);
+      return;
+    }
+
+    try {
+      const response = await fetch('/api/estimate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(request)
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        showMessage((data.details && data.details.join(', ')) || data.error || 'Could not calculate an estimate. Please try again.', true);
+        return;
+      }
+
+      renderEstimate(data.estimate);
+      rememberRequest(request);
+    } catch (error) {
+      console.error('Estimate failed:', error);
+      showMessage('Network error. Please check your connection and try again.', true);
+    }
+  }
+
+  function money(value, currency) {
+    return Number(value).toLocaleString('en-US', { style: 'currency', currency: currency || 'USD', maximumFractionDigits: 0 });
+  }
+
+  function line(className, text) {
+    const p = document.createElement('p');
+    p.className = className;
+    p.textContent = text;
+    return p;
+  }
+
+  function showMessage(text, isError) {
+    result.textContent = '';
+    result.appendChild(line(isError ? 'form-error' : 'estimate-note', text));
+    result.hidden = false;
+  }
+
+  function renderEstimate(estimate) {
+    result.textContent = '';
+
+    if (!estimate.available) {
+      estimate.notes.forEach(note => result.appendChild(line('estimate-note', note)));
+    } else {
+      const currency = estimate.currency;
+      result.appendChild(line('estimate-range', `${money(estimate.weekly.low, currency)} – ${money(estimate.weekly.high, currency)} / week`));
+      result.appendChild(line('estimate-detail',
+        `About ${money(estimate.monthly.low, currency)} – ${money(estimate.monthly.high, currency)} a month, ` +
+        `or $${estimate.perDelivery.low.toFixed(2)} – $${estimate.perDelivery.high.toFixed(2)} per delivery.`));
+      result.appendChild(line('estimate-detail',
+        `${estimate.serviceArea.label}${estimate.serviceArea.municipality ? ` · ${estimate.serviceArea.municipality}` : ''}` +
+        (estimate.options.length ? ` · ${estimate.options.map(option => option.label).join(', ')}` : '')));
+      estimate.notes.forEach(note => result.appendChild(line('estimate-note', note)));
+    }
+
+    const next = line('estimate-note', 'This estimate will be included with your quote request. ');
+    const link = document.createElement('a');
+    link.href = '#quote';
+    link.textContent = 'Request a quote →';
+    next.appendChild(link);
+    result.appendChild(next);
+    result.hidden = false;
+  }
+
+  /**
+   * Hand the request to the quote form and pre-fill volume and city if empty
+   */
+  function rememberRequest(request) {
+    if (hiddenRequest) hiddenRequest.value = JSON.stringify(request);
+
+    const volume = document.getElementById('weekly_scripts');
+    if (volume && !volume.value) volume.value = request.weekly_scripts;
+    const city = document.getElementById('city');
+    if (city && !city.value && request.city) city.value = request.city;
+  }
+})();
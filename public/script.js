@@ -9,6 +9,16 @@
   // DOM elements
   let form, formAlert, submitButton, navToggle, navMenu;
   let formStartTime = Date.now();
+  let serviceAreaTimer = null;
+  let serviceAreaQuery = '';
+
+  // Quote form rules shared with the server, loaded from /js/forms.js
+  const forms = window.DashRxForms;
+  const quoteSchema = forms ? forms.schemas.quote : null;
+
+  // One key per form session: retries and double-clicks reuse it so the
+  // server can return the original response instead of creating a duplicate
+  const idempotencyKey = createIdempotencyKey();
 
   // Initialize when DOM is loaded
   document.addEventListener('DOMContentLoaded', function() {
@@ -50,6 +60,12 @@
         input.addEventListener('blur', () => validateField(input));
         input.addEventListener('input', () => clearFieldError(input));
       });
+
+      // Live coverage check as the location is filled in
+      ['address', 'city', 'state'].forEach(id => {
+        const field = document.getElementById(id);
+        if (field) field.addEventListener(id === 'state' ? 'change' : 'input', scheduleServiceAreaCheck);
+      });
     }
 
     // Smooth scroll for navigation links
@@ -94,25 +110,10 @@
   async function handleFormSubmit(e) {
     e.preventDefault();
 
-    // HONEYPOT: block bots + overeager browser autofill
-    const hp = document.getElementById('company_website'); // match the input id
-    if (hp && hp.value && hp.value.trim() !== '') {
-      console.warn('🍯 Honeypot filled:', hp.value);
-      // Show your red banner/message here:
-      showFormAlert('error', 'Internal server error. Please try again or contact us directly.');
-      return; // 🚫 DO NOT submit
-    }
-    // Ensure it's empty before we read fields / build payload
-    if (hp) {
-      hp.value = '';
-      // also fire an input event so any listeners reset
-      hp.dispatchEvent(new Event('input', { bubbles: true }));
-    }
-    
     // Clear any previous alerts
     hideFormAlert();
     
-    // Client-side validation
+    // Client-side validation (includes the honeypot rule)
     const validationResult = validateForm();
     if (!validationResult.isValid) {
       showFormAlert('error', validationResult.errors.join(', '));
@@ -140,7 +141,8 @@
         weekly_scripts_display: form.elements['monthly_scripts']?.selectedOptions?.[0]?.text || form.elements['weekly_scripts']?.selectedOptions?.[0]?.text,
         message: document.getElementById('message')?.value?.trim() || '',
         submission_time: document.getElementById('submission_time')?.value || (Date.now() - 3000),
-        consent: form.elements['consent']?.checked === true
+        consent: form.elements['consent']?.checked === true,
+        estimate_request: readEstimateRequest()
       };
 
       console.log('Submitting payload:', payload);
@@ -149,7 +151,8 @@
       const response = await fetch('/api/quote', {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          'Idempotency-Key': idempotencyKey
         },
         body: JSON.stringify(payload)
       });
@@ -181,136 +184,142 @@
   }
 
   /**
-   * Validate entire form
+   * Calculator request saved by estimator.js, if the visitor ran an estimate
    */
-  function validateForm() {
-    const errors = [];
-    
-    // Required fields
-    const requiredFields = [
-      { id: 'pharmacy_name', name: 'Pharmacy name' },
-      { id: 'contact_person', name: 'Contact person' },
-      { id: 'phone', name: 'Phone number' },
-      { id: 'email', name: 'Email address' }
-    ];
-    
-    requiredFields.forEach(field => {
-      const input = document.getElementById(field.id);
-      if (!input || !input.value.trim()) {
-        errors.push(`${field.name} is required`);
-      }
-    });
-    
-    // Email validation
-    const emailInput = document.getElementById('email');
-    if (emailInput && emailInput.value && !isValidEmail(emailInput.value)) {
-      errors.push('Please enter a valid email address');
-    }
-    
-    // Phone validation
-    const phoneInput = document.getElementById('phone');
-    if (phoneInput && phoneInput.value && !isValidPhone(phoneInput.value)) {
-      errors.push('Please enter a valid US phone number');
-    }
-    
-    // Consent checkbox
-    const consentInput = document.getElementById('consent');
-    if (!consentInput || !consentInput.checked) {
-      errors.push('You must confirm this form does not include patient information');
+  function readEstimateRequest() {
+    const field = document.getElementById('estimate_request');
+    if (!field || !field.value) return undefined;
+    try {
+      return JSON.parse(field.value);
+    } catch (error) {
+      return undefined;
     }
-    
-    // Honeypot check
-    const honeypotInput = document.getElementById('company_website');
-    if (honeypotInput && honeypotInput.value.trim() !== '') {
-      // Log for debugging but treat as spam
-      console.log('🍯 Honeypot filled:', honeypotInput.value);
-      
-      // Allow common autofill values
-      const allowedAutofillValues = [
-        'http://', 'https://', 'www.', 'example.com', 'test.com', 'localhost', 'projectjannahyemen'
-      ];
-      
-      const isLikelyAutofill = allowedAutofillValues.some(allowed => 
-        honeypotInput.value.toLowerCase().includes(allowed.toLowerCase())
-      ) || honeypotInput.value.length < 10;
-      
-      if (!isLikelyAutofill) {
-        errors.push('Spam detection triggered');
-      }
+  }
+
+  /**
+   * Random key for the Idempotency-Key header
+   */
+  function createIdempotencyKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
     }
-    
-    return {
-      isValid: errors.length === 0,
-      errors: errors
-    };
+    return 'drx-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
   }
 
   /**
-   * Validate individual field
+   * Debounce coverage lookups while the user types
    */
-  function validateField(input) {
-    if (!input) return true;
-    
-    const value = input.value.trim();
-    const fieldId = input.id;
-    let isValid = true;
-    let errorMessage = '';
-    
-    // Required field validation
-    if (input.hasAttribute('required') && !value) {
-      errorMessage = 'This field is required.';
-      isValid = false;
+  function scheduleServiceAreaCheck() {
+    clearTimeout(serviceAreaTimer);
+    serviceAreaTimer = setTimeout(checkServiceArea, 500);
+  }
+
+  /**
+   * Ask the server whether the entered location is covered and show the answer
+   * under the city field. Lookup failures are silent; coverage never blocks submit.
+   */
+  async function checkServiceArea() {
+    const status = document.getElementById('serviceAreaStatus');
+    if (!status) return;
+
+    const address = (document.getElementById('address') || {}).value || '';
+    const city = ((document.getElementById('city') || {}).value || '').trim();
+    const state = (document.getElementById('state') || {}).value || '';
+    // Same rule as the server: only a ZIP ending the address, after a comma
+    // or state, counts; a leading five-digit house number does not
+    const zipMatch = address.match(/(?:,|\b[a-z]{2}|\bmichigan)\s*(\d{5})(?:-\d{4})?\s*$/i);
+
+    const params = new URLSearchParams();
+    if (zipMatch) params.set('zip', zipMatch[1]);
+    else if (city.length >= 3) params.set('city', city);
+    if (state) params.set('state', state);
+
+    const query = params.toString();
+    if (!params.has('zip') && !params.has('city')) {
+      serviceAreaQuery = '';
+      renderServiceAreaStatus(status, null);
+      return;
     }
-    
-    // Specific field validation
-    switch (fieldId) {
-      case 'email':
-        if (value && !isValidEmail(value)) {
-          errorMessage = 'Please enter a valid email address.';
-          isValid = false;
-        }
-        break;
-        
-      case 'phone':
-        if (value && !isValidPhone(value)) {
-          errorMessage = 'Please enter a valid US phone number.';
-          isValid = false;
-        }
-        break;
-        
-      case 'message':
-        if (value.length > 2000) {
-          errorMessage = 'Message must be 2000 characters or less.';
-          isValid = false;
-        }
-        break;
+    if (query === serviceAreaQuery) return;
+    serviceAreaQuery = query;
+
+    try {
+      const response = await fetch(`/api/service-area?${query}`, { headers: { 'Accept': 'application/json' } });
+      if (!response.ok) return;
+      const result = await response.json();
+      // Ignore answers to a query the user has already moved past
+      if (query === serviceAreaQuery) renderServiceAreaStatus(status, result);
+    } catch (error) {
+      logClientError(error, 'serviceAreaLookup');
     }
-    
-    // Show/hide error
-    if (isValid) {
-      clearFieldError(input);
-    } else {
-      showFieldError(input, errorMessage);
+  }
+
+  function renderServiceAreaStatus(status, result) {
+    status.classList.remove('service-area-covered', 'service-area-outside');
+    if (!result || result.covered === null) {
+      status.textContent = '';
+      status.style.display = 'none';
+      return;
     }
-    
-    return isValid;
+
+    status.textContent = result.message;
+    status.classList.add(result.covered ? 'service-area-covered' : 'service-area-outside');
+    status.style.display = '';
+  }
+
+  /**
+   * Current value of a form control, as the schema expects it
+   */
+  function fieldValue(input) {
+    return input.type === 'checkbox' ? input.checked : input.value;
   }
 
   /**
-   * Email validation
+   * Validate entire form against the shared quote schema
    */
-  function isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+  function validateForm() {
+    // Without the rules bundle, leave validation to the server
+    if (!quoteSchema) return { isValid: true, errors: [] };
+
+    const values = {};
+    Object.keys(quoteSchema.fields).forEach(name => {
+      const input = form.elements[name];
+      if (input) values[name] = fieldValue(input);
+    });
+
+    const result = forms.validatePayload(quoteSchema, values, 'client');
+
+    Object.keys(quoteSchema.fields).forEach(name => {
+      const input = form.elements[name];
+      if (!input || quoteSchema.fields[name].type === 'honeypot') return;
+      if (result.fieldErrors[name]) {
+        showFieldError(input, result.fieldErrors[name]);
+      } else {
+        clearFieldError(input);
+      }
+    });
+
+    return {
+      isValid: result.valid,
+      errors: result.errors
+    };
   }
 
   /**
-   * US phone validation
+   * Validate individual field against its schema entry
    */
-  function isValidPhone(phone) {
-    const phoneRegex = /^[\(\)\s\-\.\+]*[0-9][\(\)\s\-\.\+0-9]*$/;
-    const digits = phone.replace(/\D/g, '');
-    return phoneRegex.test(phone) && digits.length >= 10 && digits.length <= 11;
+  function validateField(input) {
+    const field = input && quoteSchema ? quoteSchema.fields[input.name] : null;
+    if (!field || field.type === 'honeypot') return true;
+
+    const { error } = forms.validateValue(field, fieldValue(input));
+    if (error) {
+      showFieldError(input, error);
+    } else {
+      clearFieldError(input);
+    }
+
+    return !error;
   }
 
   /**
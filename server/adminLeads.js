@@ -0,0 +1,123 @@
+/**
+ * Admin lead inbox routes
+ * Mounted behind requireAdmin at /admin/leads
+ */
+
+const express = require('express');
+const logger = require('./logger');
+const leadStore = require('./leadStore');
+const auth = require('./auth');
+const { renderLeadList, renderLeadDetail, renderNotFound } = require('./adminViews');
+
+const router = express.Router();
+
+// Confirmation banners shown after a form post redirects back
+const FLASH_MESSAGES = {
+  status: { type: 'success', message: 'Status updated' },
+  owner: { type: 'success', message: 'Owner updated' },
+  note: { type: 'success', message: 'Note added' },
+  'empty-note': { type: 'error', message: 'Note text is required' },
+  'invalid-status': { type: 'error', message: 'Unknown status' }
+};
+
+function pickFilters(query) {
+  const filters = {};
+  ['q', 'status', 'tier', 'coverage', 'state', 'city', 'volume', 'owner', 'from', 'to'].forEach(key => {
+    filters[key] = typeof query[key] === 'string' ? query[key].trim() : '';
+  });
+  // Ignore malformed dates rather than filtering everything out
+  ['from', 'to'].forEach(key => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(filters[key])) filters[key] = '';
+  });
+  return filters;
+}
+
+/**
+ * Filter choices built from the leads we actually have
+ */
+function collectChoices() {
+  const states = new Set();
+  const volumes = {};
+
+  leadStore.listLeads().forEach(lead => {
+    const f = lead.fields || {};
+    if (f.state) states.add(f.state);
+    if (f.weekly_scripts && f.weekly_scripts.token) {
+      volumes[f.weekly_scripts.token] = f.weekly_scripts.display;
+    }
+  });
+
+  return {
+    states: Array.from(states).sort(),
+    volumes,
+    owners: auth.listUsernames()
+  };
+}
+
+/**
+ * Run a lead mutation and redirect back to the lead with a flash code
+ */
+function mutate(req, res, action, flash) {
+  const { id } = req.params;
+  try {
+    action(id);
+    res.redirect(`/admin/leads/${encodeURIComponent(id)}?updated=${flash}`);
+  } catch (error) {
+    if (error.code === 'LEAD_NOT_FOUND') {
+      return res.status(404).send(renderNotFound(id));
+    }
+    if (error.code === 'LEAD_EMPTY_NOTE') {
+      return res.redirect(`/admin/leads/${encodeURIComponent(id)}?updated=empty-note`);
+    }
+    if (error.code === 'LEAD_INVALID_STATUS') {
+      return res.redirect(`/admin/leads/${encodeURIComponent(id)}?updated=invalid-status`);
+    }
+
+    logger.error(`Lead update failed [${id}]`, { error: error.message });
+    res.status(500).send('Failed to update lead');
+  }
+}
+
+// Lead inbox
+router.get('/', (req, res) => {
+  const filters = pickFilters(req.query);
+  const leads = leadStore.searchLeads(filters);
+
+  logger.debug('Lead inbox viewed', { admin: req.admin.username, filters, results: leads.length });
+  res.send(renderLeadList(leads, filters, collectChoices()));
+});
+
+// Lead detail
+router.get('/:id', (req, res) => {
+  const lead = leadStore.getLead(req.params.id);
+  if (!lead) {
+    return res.status(404).send(renderNotFound(req.params.id));
+  }
+  res.send(renderLeadDetail(lead, collectChoices(), FLASH_MESSAGES[req.query.updated]));
+});
+
+// Pipeline status
+router.post('/:id/status', (req, res) => {
+  mutate(req, res, id => {
+    leadStore.setStatus(id, req.body.status, req.admin.username);
+    logger.info(`Lead status changed [${id}]`, { admin: req.admin.username, status: req.body.status });
+  }, 'status');
+});
+
+// Owner assignment
+router.post('/:id/owner', (req, res) => {
+  mutate(req, res, id => {
+    leadStore.assignOwner(id, req.body.owner);
+    logger.info(`Lead owner changed [${id}]`, { admin: req.admin.username, owner: req.body.owner || null });
+  }, 'owner');
+});
+
+// Notes
+router.post('/:id/notes', (req, res) => {
+  mutate(req, res, id => {
+    leadStore.addNote(id, req.body.text, req.admin.username);
+    logger.info(`Lead note added [${id}]`, { admin: req.admin.username });
+  }, 'note');
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+/**
+ * Admin outbox routes
+ * Mounted behind requireAdmin at /admin/outbox
+ */
+
+const express = require('express');
+const logger = require('./logger');
+const outbox = require('./outbox');
+const { renderOutbox } = require('./adminViews');
+
+const router = express.Router();
+
+const FLASH_MESSAGES = {
+  resent: { type: 'success', message: 'Message requeued for delivery' },
+  'not-dead': { type: 'error', message: 'Only dead-lettered messages can be resent' },
+  'not-found': { type: 'error', message: 'Message not found' }
+};
+
+// Dead-letter and retry queue
+router.get('/', (req, res) => {
+  res.send(renderOutbox(
+    outbox.listMessages('dead'),
+    outbox.listMessages('queued'),
+    outbox.getStats(),
+    FLASH_MESSAGES[req.query.updated]
+  ));
+});
+
+// Resend a dead-lettered message
+router.post('/:id/resend', (req, res) => {
+  try {
+    outbox.resend(req.params.id);
+    logger.info(`Outbox message resent by admin [${req.params.id}]`, { admin: req.admin.username });
+    res.redirect('/admin/outbox?updated=resent');
+  } catch (error) {
+    if (error.code === 'OUTBOX_NOT_FOUND') return res.redirect('/admin/outbox?updated=not-found');
+    if (error.code === 'OUTBOX_NOT_DEAD') return res.redirect('/admin/outbox?updated=not-dead');
+
+    logger.error(`Outbox resend failed [${req.params.id}]`, { error: error.message });
+    res.status(500).send('Failed to resend message');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,400 @@
+/**
+ * Server-rendered admin pages
+ * Every dynamic value goes through escapeHtml before it reaches the markup
+ */
+
+const { LEAD_STATUSES } = require('./leadStore');
+const { TIERS } = require('./leadScoring');
+const { formatEstimate } = require('./estimator');
+
+// Coverage filter choices, keyed by the serviceArea.tier stored on each lead
+const COVERAGE_LABELS = {
+  core: 'Core coverage',
+  extended: 'Extended coverage',
+  outside: 'Out of area',
+  unknown: 'Unknown location'
+};
+
+/**
+ * Escape a value for safe use in HTML text and attribute positions
+ */
+function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format an ISO timestamp in Detroit time for display
+ */
+function formatDetroit(iso) {
+  if (!iso) return '—';
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/Detroit',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  }).format(new Date(iso));
+}
+
+function statusBadge(status) {
+  return `<span class="lead-status lead-status-${escapeHtml(status)}">${escapeHtml(status)}</span>`;
+}
+
+function scoreBadge(score) {
+  if (!score) return '—';
+  return `<span class="lead-tier lead-tier-${escapeHtml(score.tier)}">${escapeHtml(score.tier)} ${escapeHtml(score.score)}</span>`;
+}
+
+function coverageBadge(serviceArea) {
+  if (!serviceArea || serviceArea.covered !== false) return '';
+  return ' <span class="lead-tier lead-tier-outside">out of area</span>';
+}
+
+/**
+ * Coverage detail line, e.g. "Core coverage — Royal Oak, same-day (matched by zip)"
+ */
+function describeCoverage(serviceArea) {
+  if (!serviceArea) return null;
+  if (serviceArea.covered === null) return 'Not determined';
+  const matched = serviceArea.matchedBy ? ` (matched by ${serviceArea.matchedBy})` : '';
+  if (serviceArea.covered === false) return `Outside service area${matched}`;
+  return `${serviceArea.label} — ${serviceArea.municipality}, ${serviceArea.sameDay ? 'same-day' : 'next-day'}${matched}`;
+}
+
+function options(values, selected, labels = {}) {
+  return values.map(value => {
+    const isSelected = value === selected ? ' selected' : '';
+    return `<option value="${escapeHtml(value)}"${isSelected}>${escapeHtml(labels[value] || value)}</option>`;
+  }).join('');
+}
+
+/**
+ * Shared page shell for admin screens
+ */
+function layout(title, body, scripts = []) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)} — DashRx Admin</title>
+    <meta name="robots" content="noindex, nofollow">
+    <link rel="icon" type="image/x-icon" href="/favicon.ico">
+    <meta name="theme-color" content="#15899D">
+    <link rel="preconnect" href="https://fonts.googleapis.com">
+    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
+    <link rel="stylesheet" href="/styles.css">
+</head>
+<body>
+    <header class="header" role="banner">
+        <nav class="nav container">
+            <div class="nav-brand">
+                <a href="/admin" class="nav-logo" aria-label="DashRx Admin">
+                    <img src="/logo.png" alt="DashRx" class="logo-image">
+                </a>
+            </div>
+            <div class="admin-nav">
+                <a href="/admin/leads" class="nav-link">Leads</a>
+                <a href="/admin/outbox" class="nav-link">Outbox</a>
+                <a href="/admin/logs" class="nav-link">Logs</a>
+                <a href="/admin" class="nav-link">Admin</a>
+            </div>
+        </nav>
+    </header>
+    <main id="main-content" class="admin-page" role="main">
+        <div class="container">
+${body}
+        </div>
+    </main>${scripts.map(src => `
+    <script src="${escapeHtml(src)}"></script>`).join('')}
+</body>
+</html>`;
+}
+
+/**
+ * Lead inbox: filter bar plus results table
+ */
+function renderLeadList(leads, filters, choices) {
+  const rows = leads.map(lead => {
+    const f = lead.fields || {};
+    const location = [f.city, f.state].filter(Boolean).join(', ') || '—';
+    return `
+                <tr>
+                    <td><a href="/admin/leads/${encodeURIComponent(lead.id)}">${escapeHtml(lead.id)}</a></td>
+                    <td>${escapeHtml(formatDetroit(lead.createdAt))}</td>
+                    <td>${escapeHtml(f.pharmacy_name)}<br><span class="form-help">${escapeHtml(f.contact_person)}</span></td>
+                    <td>${escapeHtml(location)}${coverageBadge(lead.serviceArea)}</td>
+                    <td>${escapeHtml(f.weekly_scripts ? f.weekly_scripts.display : '—')}</td>
+                    <td>${scoreBadge(lead.score)}</td>
+                    <td>${statusBadge(lead.status)}</td>
+                    <td>${escapeHtml(lead.owner || '—')}</td>
+                </tr>`;
+  }).join('');
+
+  const body = `
+            <h1 class="section-title">Leads</h1>
+
+            <form class="admin-filters" method="get" action="/admin/leads">
+                <input type="search" name="q" class="form-input" placeholder="Search name, email, phone, ID..." value="${escapeHtml(filters.q)}">
+                <select name="status" class="form-select">
+                    <option value="">All statuses</option>
+                    ${options(LEAD_STATUSES, filters.status)}
+                </select>
+                <select name="tier" class="form-select">
+                    <option value="">All priorities</option>
+                    ${options(TIERS, filters.tier)}
+                </select>
+                <select name="coverage" class="form-select">
+                    <option value="">All coverage</option>
+                    ${options(Object.keys(COVERAGE_LABELS), filters.coverage, COVERAGE_LABELS)}
+                </select>
+                <select name="state" class="form-select">
+                    <option value="">All states</option>
+                    ${options(choices.states, filters.state)}
+                </select>
+                <input type="text" name="city" class="form-input" placeholder="City" value="${escapeHtml(filters.city)}">
+                <select name="volume" class="form-select">
+                    <option value="">All volumes</option>
+                    ${options(Object.keys(choices.volumes), filters.volume, choices.volumes)}
+                </select>
+                <label class="form-label">From <input type="date" name="from" class="form-input" value="${escapeHtml(filters.from)}"></label>
+                <label class="form-label">To <input type="date" name="to" class="form-input" value="${escapeHtml(filters.to)}"></label>
+                <button type="submit" class="btn btn-primary">Filter</button>
+                <a href="/admin/leads" class="btn btn-outline">Reset</a>
+            </form>
+
+            <p class="form-help">${leads.length} lead(s)</p>
+
+            <div class="admin-panel admin-table-wrap">
+                <table class="admin-table">
+                    <thead>
+                        <tr>
+                            <th>Reference</th>
+                            <th>Received</th>
+                            <th>Pharmacy</th>
+                            <th>Location</th>
+                            <th>Weekly Volume</th>
+                            <th>Priority</th>
+                            <th>Status</th>
+                            <th>Owner</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows || `
+                <tr><td colspan="8">No leads match these filters.</td></tr>`}
+                    </tbody>
+                </table>
+            </div>`;
+
+  return layout('Leads', body);
+}
+
+/**
+ * Single lead: details, pipeline status, owner and notes
+ */
+function renderLeadDetail(lead, choices, flash) {
+  const f = lead.fields || {};
+  const base = `/admin/leads/${encodeURIComponent(lead.id)}`;
+
+  const detailRows = [
+    ['Pharmacy', f.pharmacy_name],
+    ['Contact', f.contact_person],
+    ['Email', f.email],
+    ['Phone', f.phone],
+    ['Address', f.address],
+    ['City', f.city],
+    ['State', f.state],
+    ['Service Area', describeCoverage(lead.serviceArea)],
+    ['Weekly Volume', f.weekly_scripts ? f.weekly_scripts.display : null],
+    ['Estimate Shown', formatEstimate(lead.estimate)],
+    ['Priority', lead.score
+      ? `${lead.score.tier} (${lead.score.score}/100) — ${lead.score.breakdown.map(item => `${item.label} +${item.points}`).join(', ')}`
+      : null],
+    ['Message', f.message],
+    ['Received', formatDetroit(lead.createdAt)],
+    ['Notification Email', lead.email ? lead.email.status : null],
+    ['Confirmation Email', lead.confirmation ? lead.confirmation.status : null],
+    ['Repeat Submissions', lead.repeats && lead.repeats.length
+      ? `${lead.repeats.length} (last ${formatDetroit(lead.repeats[lead.repeats.length - 1].at)})`
+      : null]
+  ].map(([label, value]) => `
+                    <dt>${escapeHtml(label)}</dt>
+                    <dd>${escapeHtml(value || '—')}</dd>`).join('');
+
+  const notes = lead.notes.slice().reverse().map(note => `
+                    <li class="lead-note">
+                        <div class="form-help">${escapeHtml(note.author || 'unknown')} · ${escapeHtml(formatDetroit(note.at))}</div>
+                        <p>${escapeHtml(note.text)}</p>
+                    </li>`).join('');
+
+  const history = lead.statusHistory.slice().reverse().map(entry => `
+                    <li>${statusBadge(entry.from)} → ${statusBadge(entry.to)}
+                        <span class="form-help">${escapeHtml(entry.by || 'unknown')} · ${escapeHtml(formatDetroit(entry.at))}</span></li>`).join('');
+
+  const owners = Array.from(new Set([...choices.owners, lead.owner].filter(Boolean)));
+
+  const body = `
+            <p><a href="/admin/leads">← All leads</a></p>
+            <h1 class="section-title">${escapeHtml(f.pharmacy_name || lead.id)} ${statusBadge(lead.status)}</h1>
+            <p class="form-help">Reference ${escapeHtml(lead.id)}</p>
+            ${flash ? `<div class="form-alert ${escapeHtml(flash.type)}" role="alert">${escapeHtml(flash.message)}</div>` : ''}
+
+            <section class="admin-panel">
+                <h2 class="admin-panel-title">Submission</h2>
+                <dl class="lead-details">${detailRows}
+                </dl>
+            </section>
+
+            <section class="admin-panel">
+                <h2 class="admin-panel-title">Pipeline</h2>
+                <div class="admin-actions">
+                    <form method="post" action="${base}/status" class="admin-inline-form">
+                        <label class="form-label" for="status">Status</label>
+                        <select id="status" name="status" class="form-select">${options(LEAD_STATUSES, lead.status)}</select>
+                        <button type="submit" class="btn btn-primary">Update</button>
+                    </form>
+                    <form method="post" action="${base}/owner" class="admin-inline-form">
+                        <label class="form-label" for="owner">Owner</label>
+                        <select id="owner" name="owner" class="form-select">
+                            <option value="">Unassigned</option>
+                            ${options(owners, lead.owner)}
+                        </select>
+                        <button type="submit" class="btn btn-outline">Assign</button>
+                    </form>
+                </div>
+                ${history ? `<ul class="lead-history">${history}
+                </ul>` : ''}
+            </section>
+
+            <section class="admin-panel">
+                <h2 class="admin-panel-title">Notes</h2>
+                <form method="post" action="${base}/notes" class="quote-form">
+                    <textarea name="text" class="form-textarea" rows="3" maxlength="5000" required placeholder="Add a note..."></textarea>
+                    <div><button type="submit" class="btn btn-primary">Add Note</button></div>
+                </form>
+                <ul class="lead-notes">${notes || `
+                    <li class="form-help">No notes yet.</li>`}
+                </ul>
+            </section>`;
+
+  return layout(f.pharmacy_name || lead.id, body);
+}
+
+/**
+ * Outbox: dead-letter list with resend, plus messages still being retried
+ */
+function renderOutbox(dead, pending, stats, flash) {
+  const leadLink = message => (message.payload && message.payload.leadId
+    ? `<a href="/admin/leads/${encodeURIComponent(message.payload.leadId)}">${escapeHtml(message.payload.leadId)}</a>`
+    : '—');
+
+  const deadRows = dead.map(message => `
+                <tr>
+                    <td>${escapeHtml(message.id)}</td>
+                    <td>${escapeHtml(message.kind)}</td>
+                    <td>${leadLink(message)}</td>
+                    <td>${escapeHtml(formatDetroit(message.createdAt))}</td>
+                    <td>${escapeHtml(message.attempts)}</td>
+                    <td>${escapeHtml(message.lastError || '—')}</td>
+                    <td>
+                        <form method="post" action="/admin/outbox/${encodeURIComponent(message.id)}/resend">
+                            <button type="submit" class="btn btn-primary">Resend</button>
+                        </form>
+                    </td>
+                </tr>`).join('');
+
+  const pendingRows = pending.map(message => `
+                <tr>
+                    <td>${escapeHtml(message.id)}</td>
+                    <td>${escapeHtml(message.kind)}</td>
+                    <td>${leadLink(message)}</td>
+                    <td>${escapeHtml(message.attempts)}</td>
+                    <td>${escapeHtml(formatDetroit(message.nextAttemptAt))}</td>
+                    <td>${escapeHtml(message.lastError || '—')}</td>
+                </tr>`).join('');
+
+  const body = `
+            <h1 class="section-title">Outbox</h1>
+            <p class="form-help">${escapeHtml(stats.queued)} queued · ${escapeHtml(stats.sent)} sent · ${escapeHtml(stats.dead)} dead-lettered</p>
+            ${flash ? `<div class="form-alert ${escapeHtml(flash.type)}" role="alert">${escapeHtml(flash.message)}</div>` : ''}
+
+            <section class="admin-panel admin-table-wrap">
+                <h2 class="admin-panel-title">Dead-Letter</h2>
+                <table class="admin-table">
+                    <thead>
+                        <tr><th>Message</th><th>Type</th><th>Lead</th><th>Created</th><th>Attempts</th><th>Last Error</th><th></th></tr>
+                    </thead>
+                    <tbody>${deadRows || `
+                <tr><td colspan="7">No failed messages.</td></tr>`}
+                    </tbody>
+                </table>
+            </section>
+
+            <section class="admin-panel admin-table-wrap">
+                <h2 class="admin-panel-title">Retrying</h2>
+                <table class="admin-table">
+                    <thead>
+                        <tr><th>Message</th><th>Type</th><th>Lead</th><th>Attempts</th><th>Next Attempt</th><th>Last Error</th></tr>
+                    </thead>
+                    <tbody>${pendingRows || `
+                <tr><td colspan="6">Nothing waiting.</td></tr>`}
+                    </tbody>
+                </table>
+            </section>`;
+
+  return layout('Outbox', body);
+}
+
+/**
+ * Live log viewer; admin-logs.js connects to /api/logs/stream and fills the tail.
+ * Levels are colored like the server console (levelColors is logger.LEVEL_COLORS).
+ */
+function renderLogViewer(levelColors) {
+  const levelChoices = Object.keys(levelColors).map(level => `
+                    <label class="log-level-choice log-color-${escapeHtml(levelColors[level])}">
+                        <input type="checkbox" name="level" value="${escapeHtml(level)}" checked> ${escapeHtml(level)}
+                    </label>`).join('');
+
+  const body = `
+            <h1 class="section-title">Live Logs</h1>
+            <p class="form-help">New server log entries as they are written, PII already masked. Use the request ID from an error message to follow one submission.</p>
+
+            <form id="logStreamForm" class="admin-filters">
+                <input type="text" name="requestId" class="form-input" placeholder="Request ID">
+                <label class="form-label">Replay <input type="number" name="replay" class="form-input" min="0" max="500" value="100"></label>
+                <button type="submit" class="btn btn-primary">Connect</button>
+                <button type="button" id="logStreamPause" class="btn btn-outline">Pause</button>
+                <button type="button" id="logStreamClear" class="btn btn-outline">Clear</button>
+                <fieldset class="log-levels">${levelChoices}
+                </fieldset>
+            </form>
+
+            <p id="logStreamStatus" class="form-help" role="status">Connecting...</p>
+
+            <div id="logTail" class="log-tail" data-level-colors="${escapeHtml(JSON.stringify(levelColors))}" aria-live="polite"></div>`;
+
+  return layout('Live Logs', body, ['/admin-logs.js']);
+}
+
+function renderNotFound(id) {
+  return layout('Lead not found', `
+            <p><a href="/admin/leads">← All leads</a></p>
+            <h1 class="section-title">Lead not found</h1>
+            <p>No lead with reference ${escapeHtml(id)}.</p>`);
+}
+
+module.exports = {
+  escapeHtml,
+  renderLeadList,
+  renderLeadDetail,
+  renderOutbox,
+  renderLogViewer,
+  renderNotFound
+};
@@ -0,0 +1,239 @@
+/**
+ * Admin authentication for DashRx
+ * Local admin accounts (scrypt-hashed), an optional static ADMIN_TOKEN,
+ * and in-memory sessions usable as a cookie or a bearer token
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const settings = require('./settings');
+const logger = require('./logger');
+
+const SESSION_COOKIE = 'dashrx_admin';
+const SESSION_TTL_MS = settings.get('ADMIN_SESSION_TTL_MS');
+const USERS_FILE = settings.get('ADMIN_USERS_FILE') || path.join(__dirname, '../data/admin-users.json');
+
+const sessions = new Map();
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Hash a password with a fresh random salt
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return { salt, hash };
+}
+
+function verifyPassword(password, user) {
+  const hash = crypto.scryptSync(password, user.salt, 64).toString('hex');
+  return safeEqual(hash, user.hash);
+}
+
+/**
+ * Read admin accounts from disk
+ */
+function loadUsers() {
+  try {
+    if (!fs.existsSync(USERS_FILE)) return [];
+    return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+  } catch (error) {
+    logger.error('Failed to read admin users file', { file: USERS_FILE, error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Create or replace an admin account
+ */
+function setUserPassword(username, password) {
+  if (!username || !/^[a-zA-Z0-9._-]{3,32}$/.test(username)) {
+    throw new Error('Username must be 3-32 letters, digits, dots, dashes or underscores');
+  }
+  if (!password || password.length < 12) {
+    throw new Error('Password must be at least 12 characters');
+  }
+
+  const users = loadUsers().filter(u => u.username !== username);
+  users.push({ username, ...hashPassword(password), createdAt: new Date().toISOString() });
+
+  fs.mkdirSync(path.dirname(USERS_FILE), { recursive: true });
+  fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2), { encoding: 'utf8', mode: 0o600 });
+  logger.security(`Admin account saved [${username}]`);
+}
+
+/**
+ * Check a username/password pair against the stored accounts
+ */
+function authenticate(username, password) {
+  if (typeof username !== 'string' || typeof password !== 'string') return null;
+
+  const user = loadUsers().find(u => u.username === username);
+  if (!user) {
+    // Burn the same time as a real check so usernames can't be probed
+    hashPassword(password);
+    return null;
+  }
+  return verifyPassword(password, user) ? { username: user.username } : null;
+}
+
+function listUsernames() {
+  return loadUsers().map(u => u.username);
+}
+
+function isConfigured() {
+  return !!settings.get('ADMIN_TOKEN') || loadUsers().length > 0;
+}
+
+/**
+ * Session management. Expired sessions are swept whenever one is created, so
+ * tokens that are never presented again do not pile up.
+ */
+function sweepSessions(now = Date.now()) {
+  sessions.forEach((session, token) => {
+    if (session.expiresAt < now) sessions.delete(token);
+  });
+}
+
+function createSession(username) {
+  sweepSessions();
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  sessions.set(token, { username, expiresAt });
+  return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+function getSession(token) {
+  if (!token) return null;
+  const session = sessions.get(token);
+  if (!session) return null;
+  if (session.expiresAt < Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  return session;
+}
+
+function destroySession(token) {
+  return sessions.delete(token);
+}
+
+/**
+ * Sessions held in memory, expired or not (tests and diagnostics)
+ */
+function sessionCount() {
+  return sessions.size;
+}
+
+/**
+ * Pull the session cookie out of the raw Cookie header. A malformed value
+ * (bad percent-encoding) counts as no cookie.
+ */
+function getCookieToken(req) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name !== SESSION_COOKIE) continue;
+    try {
+      return decodeURIComponent(rest.join('='));
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
+
+function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+function setSessionCookie(res, token) {
+  const flags = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}`
+  ];
+  if (settings.get('NODE_ENV') === 'production') flags.push('Secure');
+  res.setHeader('Set-Cookie', flags.join('; '));
+}
+
+function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+}
+
+/**
+ * Resolve the admin identity for a request, if any
+ */
+function resolveAdmin(req) {
+  const bearer = getBearerToken(req);
+  if (bearer) {
+    const adminToken = settings.get('ADMIN_TOKEN');
+    if (adminToken && safeEqual(bearer, adminToken)) {
+      return { username: 'token', method: 'token' };
+    }
+    const session = getSession(bearer);
+    return session ? { username: session.username, method: 'bearer', token: bearer } : null;
+  }
+
+  const cookieToken = getCookieToken(req);
+  const session = getSession(cookieToken);
+  return session ? { username: session.username, method: 'cookie', token: cookieToken } : null;
+}
+
+/**
+ * Middleware: only let authenticated admins through
+ */
+function requireAdmin(req, res, next) {
+  const admin = resolveAdmin(req);
+  if (admin) {
+    req.admin = admin;
+    return next();
+  }
+
+  logger.security('Admin access denied', {
+    method: req.method,
+    url: req.originalUrl,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    reason: getBearerToken(req) || getCookieToken(req) ? 'invalid or expired credentials' : 'no credentials'
+  });
+
+  // Browsers get sent to the login page, API clients get a 401
+  if (!req.originalUrl.startsWith('/api/') && req.accepts('html')) {
+    return res.redirect(`/admin/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+
+  res.setHeader('WWW-Authenticate', 'Bearer realm="dashrx-admin"');
+  res.status(401).json({
+    success: false,
+    error: 'Authentication required'
+  });
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  safeEqual,
+  authenticate,
+  isConfigured,
+  listUsernames,
+  setUserPassword,
+  createSession,
+  destroySession,
+  sessionCount,
+  setSessionCookie,
+  clearSessionCookie,
+  requireAdmin
+};
@@ -0,0 +1,224 @@
+/**
+ * Delivery price estimator
+ * Turns a weekly volume token, a location and delivery options into a price
+ * range using the rate table in config/delivery-rates.json. Coverage tiers come
+ * from serviceArea, so the estimate matches what the coverage check says.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const settings = require('./settings');
+const logger = require('./logger');
+const serviceArea = require('./serviceArea');
+const { normalizeWeeklyScripts } = require('./validators');
+const { NORMALIZERS } = require('./forms/rules');
+
+const DEFAULT_RATES_FILE = path.join(__dirname, '../config/delivery-rates.json');
+const WEEKS_PER_MONTH = 52 / 12;
+
+/**
+ * Read and sanity-check a rate table
+ */
+function loadRates(file = settings.get('DELIVERY_RATES_FILE') || DEFAULT_RATES_FILE) {
+  const rates = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const problems = [];
+
+  if (!Array.isArray(rates.perDelivery) || rates.perDelivery.length === 0) {
+    problems.push('"perDelivery" must be a non-empty list');
+  } else {
+    rates.perDelivery.forEach((bracket, index) => {
+      if (!(bracket.low >= 0 && bracket.high >= bracket.low)) problems.push(`perDelivery ${index}: need 0 <= low <= high`);
+    });
+    if (rates.perDelivery[rates.perDelivery.length - 1].upTo !== null) problems.push('last perDelivery bracket must have "upTo": null');
+  }
+  if (!rates.coverage || typeof rates.coverage !== 'object') problems.push('missing "coverage"');
+  if (!rates.options || typeof rates.options !== 'object') problems.push('missing "options"');
+  Object.keys(serviceArea.dataset.tiers).forEach(tier => {
+    if (rates.coverage && !rates.coverage[tier]) problems.push(`no coverage rate for tier "${tier}"`);
+  });
+
+  if (problems.length > 0) {
+    const err = new Error(`Invalid delivery rates ${file}: ${problems.join('; ')}`);
+    err.code = 'ESTIMATE_CONFIG';
+    throw err;
+  }
+
+  return rates;
+}
+
+let rates = loadRates();
+
+/**
+ * Swap in a different rate table (used by tests and after editing the file)
+ */
+function reloadRates(file) {
+  rates = loadRates(file);
+  logger.info('Delivery rates loaded', { file: file || settings.get('DELIVERY_RATES_FILE') || DEFAULT_RATES_FILE });
+  return rates;
+}
+
+/**
+ * Weekly delivery range for a volume token: lt30, 30to75, gt75, ...
+ * Returns null for tokens that do not describe a range.
+ */
+function parseVolume(token) {
+  const text = String(token || '').trim();
+  let match;
+
+  if ((match = text.match(/^lt(\d+)$/))) {
+    const max = Math.max(1, parseInt(match[1]) - 1);
+    return { low: Math.min(rates.minimumDeliveries || 1, max), high: max };
+  }
+  if ((match = text.match(/^(\d+)to(\d+)$/))) {
+    const low = parseInt(match[1]);
+    const high = parseInt(match[2]);
+    return low > 0 && high >= low ? { low, high } : null;
+  }
+  if ((match = text.match(/^gt(\d+)$/))) {
+    const low = parseInt(match[1]) + 1;
+    return { low, high: Math.max(low, Math.ceil(parseInt(match[1]) * (rates.openEndedFactor || 1))) };
+  }
+  return null;
+}
+
+/**
+ * Validate an estimate request (the /api/estimate body, or the estimate_request
+ * sent along with a quote)
+ */
+function validateEstimateRequest(payload) {
+  const errors = [];
+  let body = payload;
+  // Plain form posts carry the saved request as a JSON string
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (error) {
+      body = null;
+    }
+  }
+  body = body && typeof body === 'object' ? body : {};
+
+  const volume = normalizeWeeklyScripts(body.weekly_scripts);
+  const deliveries = parseVolume(volume.token);
+  if (!volume.token) {
+    errors.push('Weekly volume is required');
+  } else if (!deliveries) {
+    errors.push('Weekly volume is not a recognized range');
+  }
+
+  const zip = body.zip ? String(body.zip).trim() : '';
+  if (zip && !serviceArea.ZIP_PATTERN.test(zip)) {
+    errors.push('ZIP code must be 5 digits');
+  }
+  const city = NORMALIZERS.city(body.city);
+  const state = NORMALIZERS.state(body.state);
+  if (!zip && !city) {
+    errors.push('ZIP code or city is required');
+  }
+
+  const options = body.options === undefined ? [] : body.options;
+  if (!Array.isArray(options) || options.some(key => typeof key !== 'string')) {
+    errors.push('Options must be a list of option names');
+  } else {
+    options.filter(key => !Object.prototype.hasOwnProperty.call(rates.options, key)).forEach(key => errors.push(`Unknown option: ${key}`));
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized: {
+      weekly_scripts: { ...volume, deliveries },
+      zip: zip || null,
+      city: city || null,
+      state: state || null,
+      options: Array.isArray(options) ? [...new Set(options)] : []
+    }
+  };
+}
+
+function bracketFor(deliveries) {
+  return rates.perDelivery.find(bracket => bracket.upTo === null || deliveries <= bracket.upTo);
+}
+
+function dollars(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Price range for a validated request. Locations outside the service area
+ * come back with available: false and no prices.
+ */
+function calculateEstimate(request) {
+  const area = serviceArea.lookup({ zip: request.zip, city: request.city, state: request.state });
+  const volume = request.weekly_scripts;
+  const options = request.options.map(key => ({ key, label: rates.options[key].label }));
+
+  const base = {
+    currency: rates.currency || 'USD',
+    volume: { token: volume.token, display: volume.display, deliveriesPerWeek: volume.deliveries },
+    serviceArea: { tier: area.tier, label: area.label, municipality: area.municipality, sameDay: area.sameDay },
+    options,
+    notes: []
+  };
+
+  if (!area.covered) {
+    return {
+      ...base,
+      available: false,
+      notes: [`${area.message} Pricing outside the service area is quoted case by case.`]
+    };
+  }
+
+  const surcharge = (rates.coverage[area.tier].perDelivery || 0) +
+    request.options.reduce((sum, key) => sum + (rates.options[key].perDelivery || 0), 0);
+  const lowRate = bracketFor(volume.deliveries.low);
+  const highRate = bracketFor(volume.deliveries.high);
+  const minimumWeekly = rates.minimumWeekly || 0;
+
+  const weekly = {
+    low: Math.round(Math.max(minimumWeekly, volume.deliveries.low * (lowRate.low + surcharge))),
+    high: Math.round(Math.max(minimumWeekly, volume.deliveries.high * (highRate.high + surcharge)))
+  };
+
+  const notes = [];
+  if (request.options.includes('same_day') && !area.sameDay) {
+    notes.push(`Same-day delivery in ${area.municipality} is by arrangement; our team will confirm availability.`);
+  }
+  if (weekly.low === minimumWeekly) {
+    notes.push(`Includes the $${minimumWeekly} weekly minimum.`);
+  }
+
+  return {
+    ...base,
+    available: true,
+    perDelivery: {
+      low: dollars(highRate.low + surcharge),
+      high: dollars(lowRate.high + surcharge)
+    },
+    weekly,
+    monthly: {
+      low: Math.round(weekly.low * WEEKS_PER_MONTH),
+      high: Math.round(weekly.high * WEEKS_PER_MONTH)
+    },
+    notes
+  };
+}
+
+/**
+ * Short one-line summary for emails and the admin detail page
+ */
+function formatEstimate(estimate) {
+  if (!estimate) return null;
+  if (!estimate.available) return `No price shown (${estimate.serviceArea.label.toLowerCase()})`;
+  const options = estimate.options.length ? `, ${estimate.options.map(option => option.label.toLowerCase()).join(', ')}` : '';
+  return `$${estimate.weekly.low}–$${estimate.weekly.high}/week ($${estimate.monthly.low}–$${estimate.monthly.high}/month) for ${estimate.volume.display.toLowerCase()} deliveries/week${options}`;
+}
+
+module.exports = {
+  validateEstimateRequest,
+  calculateEstimate,
+  formatEstimate,
+  parseVolume,
+  reloadRates,
+  loadRates
+};
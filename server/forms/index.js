@@ -0,0 +1,60 @@
+/**
+ * Form schemas
+ * Registry of declarative form schemas plus the browser bundle built from them.
+ * The bundle is rules.js and the schemas wrapped in a small function, exposed
+ * as window.DashRxForms, so the page validates with exactly the server's rules.
+ */
+
+const fs = require('fs');
+const rules = require('./rules');
+
+const schemas = {
+  quote: require('./quoteForm')
+};
+
+/**
+ * Look up a schema by name
+ */
+function getSchema(name) {
+  const schema = schemas[name];
+  if (!schema) {
+    const err = new Error(`Unknown form schema: ${name}`);
+    err.code = 'FORM_UNKNOWN_SCHEMA';
+    throw err;
+  }
+  return schema;
+}
+
+/**
+ * Validate a payload on the server against a named schema
+ */
+function validate(name, payload) {
+  return rules.validatePayload(getSchema(name), payload, 'server');
+}
+
+let bundle = null;
+
+/**
+ * Browser script for /js/forms.js, built once per process
+ */
+function clientBundle() {
+  if (bundle) return bundle;
+
+  const source = fs.readFileSync(require.resolve('./rules'), 'utf8');
+  bundle = `/* DashRx form rules - generated from server/forms, do not edit */
+(function (window) {
+  'use strict';
+  var module = { exports: {} };
+${source}
+  window.DashRxForms = Object.assign({ schemas: ${JSON.stringify(schemas)} }, module.exports);
+})(window);
+`;
+  return bundle;
+}
+
+module.exports = {
+  getSchema,
+  validate,
+  clientBundle,
+  rules
+};
@@ -0,0 +1,106 @@
+/**
+ * Quote form schema
+ * The single source of validation rules for the quote form. The server
+ * validator (validators.js) and the browser (via /js/forms.js) both read it,
+ * so messages, limits and option lists cannot drift apart.
+ */
+
+module.exports = {
+  name: 'quote',
+  fields: {
+    pharmacy_name: {
+      label: 'Pharmacy name',
+      type: 'text',
+      required: true,
+      maxLength: 200
+    },
+    contact_person: {
+      label: 'Contact person',
+      type: 'text',
+      required: true,
+      maxLength: 100
+    },
+    phone: {
+      label: 'Phone number',
+      type: 'tel',
+      required: true,
+      format: 'phoneUS',
+      messages: { format: 'Please enter a valid US phone number' }
+    },
+    email: {
+      label: 'Email address',
+      type: 'email',
+      required: true,
+      maxLength: 254,
+      format: 'email',
+      messages: { format: 'Please enter a valid email address' }
+    },
+    address: {
+      label: 'Pharmacy address',
+      type: 'text',
+      maxLength: 200
+    },
+    city: {
+      label: 'City',
+      type: 'text',
+      normalize: 'city'
+    },
+    state: {
+      label: 'State',
+      type: 'select',
+      normalize: 'state',
+      options: [
+        { value: 'AL', label: 'Alabama' }, { value: 'AK', label: 'Alaska' }, { value: 'AZ', label: 'Arizona' },
+        { value: 'AR', label: 'Arkansas' }, { value: 'CA', label: 'California' }, { value: 'CO', label: 'Colorado' },
+        { value: 'CT', label: 'Connecticut' }, { value: 'DE', label: 'Delaware' }, { value: 'DC', label: 'District of Columbia' },
+        { value: 'FL', label: 'Florida' }, { value: 'GA', label: 'Georgia' }, { value: 'HI', label: 'Hawaii' },
+        { value: 'ID', label: 'Idaho' }, { value: 'IL', label: 'Illinois' }, { value: 'IN', label: 'Indiana' },
+        { value: 'IA', label: 'Iowa' }, { value: 'KS', label: 'Kansas' }, { value: 'KY', label: 'Kentucky' },
+        { value: 'LA', label: 'Louisiana' }, { value: 'ME', label: 'Maine' }, { value: 'MD', label: 'Maryland' },
+        { value: 'MA', label: 'Massachusetts' }, { value: 'MI', label: 'Michigan' }, { value: 'MN', label: 'Minnesota' },
+        { value: 'MS', label: 'Mississippi' }, { value: 'MO', label: 'Missouri' }, { value: 'MT', label: 'Montana' },
+        { value: 'NE', label: 'Nebraska' }, { value: 'NV', label: 'Nevada' }, { value: 'NH', label: 'New Hampshire' },
+        { value: 'NJ', label: 'New Jersey' }, { value: 'NM', label: 'New Mexico' }, { value: 'NY', label: 'New York' },
+        { value: 'NC', label: 'North Carolina' }, { value: 'ND', label: 'North Dakota' }, { value: 'OH', label: 'Ohio' },
+        { value: 'OK', label: 'Oklahoma' }, { value: 'OR', label: 'Oregon' }, { value: 'PA', label: 'Pennsylvania' },
+        { value: 'RI', label: 'Rhode Island' }, { value: 'SC', label: 'South Carolina' }, { value: 'SD', label: 'South Dakota' },
+        { value: 'TN', label: 'Tennessee' }, { value: 'TX', label: 'Texas' }, { value: 'UT', label: 'Utah' },
+        { value: 'VT', label: 'Vermont' }, { value: 'VA', label: 'Virginia' }, { value: 'WA', label: 'Washington' },
+        { value: 'WV', label: 'West Virginia' }, { value: 'WI', label: 'Wisconsin' }, { value: 'WY', label: 'Wyoming' }
+      ]
+    },
+    weekly_scripts: {
+      label: 'Weekly volume',
+      type: 'select',
+      normalize: 'token',
+      maxLength: 50,
+      options: [
+        { value: 'lt30', label: 'Less than 30' },
+        { value: '30to75', label: '30 to 75' },
+        { value: 'gt75', label: 'More than 75' }
+      ],
+      // Older tokens (lt25, gt125, ...) and free-text volumes from integrations
+      // are still accepted; normalizeWeeklyScripts turns them into labels
+      allowOther: true
+    },
+    message: {
+      label: 'Message',
+      type: 'textarea',
+      maxLength: 2000
+    },
+    consent: {
+      label: 'Consent',
+      type: 'checkbox',
+      required: true,
+      // Confirmed in the browser; API clients and integrations do not send it
+      clientOnly: true,
+      messages: { required: 'You must confirm this form does not include patient information' }
+    },
+    company_website: {
+      label: 'Company website',
+      type: 'honeypot',
+      allowedAutofill: ['http://', 'https://', 'www.', 'example.com', 'test.com', 'localhost', 'projectjannahyemen'],
+      messages: { spam: 'Spam detection triggered' }
+    }
+  }
+};
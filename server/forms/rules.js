@@ -0,0 +1,143 @@
+/**
+ * Form validation rules shared by the server and the browser
+ * Plain functions with no requires: server/forms/index.js wraps this file and
+ * the form schemas into the /js/forms.js bundle that the quote page loads.
+ *
+ * A schema field may declare:
+ *   label, type (text | email | tel | select | textarea | checkbox | honeypot),
+ *   required, maxLength, format (a FORMATS key), normalize (a NORMALIZERS key),
+ *   options [{ value, label }], allowOther (accept values that are not in
+ *   options), clientOnly, and messages keyed by rule name.
+ */
+
+const EMAIL_PATTERN = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+
+/**
+ * Removes HTML tags and entities and trims whitespace
+ */
+function sanitizeText(text) {
+  if (!text || typeof text !== 'string') return '';
+
+  return text
+    .replace(/<[^>]*>/g, '') // Remove HTML tags
+    .replace(/&[^;]+;/g, '') // Remove HTML entities
+    .trim();
+}
+
+const FORMATS = {
+  // RFC-style address, at most 254 characters
+  email(value) {
+    return EMAIL_PATTERN.test(value) && value.length <= 254;
+  },
+
+  // 10 digits, or 11 starting with 1; area code and exchange cannot start with 0 or 1
+  phoneUS(value) {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length === 10) return /^[2-9]\d{2}[2-9]\d{2}\d{4}$/.test(digits);
+    if (digits.length === 11) return /^1[2-9]\d{2}[2-9]\d{2}\d{4}$/.test(digits);
+    return false;
+  }
+};
+
+const NORMALIZERS = {
+  text: sanitizeText,
+
+  // Letters, numbers and basic punctuation, at most 100 characters
+  city(value) {
+    return typeof value === 'string' ? value.trim().slice(0, 100).replace(/[^a-zA-Z0-9\s\-\.,']/g, '') : '';
+  },
+
+  // First two letters, uppercased
+  state(value) {
+    const match = typeof value === 'string' ? value.trim().match(/^([A-Za-z]{1,2})/) : null;
+    return match ? match[1].toUpperCase() : '';
+  },
+
+  token(value) {
+    return value === undefined || value === null ? '' : String(value).trim();
+  },
+
+  checkbox(value) {
+    return value === true || value === 'true' || value === 'on';
+  }
+};
+
+function message(field, rule) {
+  if (field.messages && field.messages[rule]) return field.messages[rule];
+  switch (rule) {
+    case 'required': return `${field.label} is required`;
+    case 'maxLength': return `${field.label} must be ${field.maxLength} characters or less`;
+    case 'option': return `Please choose a valid ${field.label.toLowerCase()}`;
+    default: return `Please enter a valid ${field.label.toLowerCase()}`;
+  }
+}
+
+/**
+ * Honeypot values that browsers autofill by mistake rather than bots
+ */
+function isLikelyAutofill(field, value) {
+  return (field.allowedAutofill || []).some(allowed => value.toLowerCase().includes(allowed.toLowerCase())) ||
+    value.length < 10;
+}
+
+/**
+ * Normalize and check one value against its field definition.
+ * Returns { value, error } where error is null or the message to show.
+ */
+function validateValue(field, raw) {
+  const normalize = NORMALIZERS[field.normalize || (field.type === 'checkbox' ? 'checkbox' : 'text')];
+  const value = normalize(raw);
+
+  if (field.type === 'honeypot') {
+    return { value, error: value && !isLikelyAutofill(field, value) ? message(field, 'spam') : null };
+  }
+  if (field.required && !value) {
+    return { value, error: message(field, 'required') };
+  }
+  if (!value) {
+    return { value, error: null };
+  }
+  if (field.maxLength && value.length > field.maxLength) {
+    return { value, error: message(field, 'maxLength') };
+  }
+  if (field.format && !FORMATS[field.format](value)) {
+    return { value, error: message(field, 'format') };
+  }
+  if (field.options && !field.allowOther && !field.options.some(option => option.value === value)) {
+    return { value, error: message(field, 'option') };
+  }
+  return { value, error: null };
+}
+
+/**
+ * Check a whole payload. side "server" skips clientOnly fields and leaves them
+ * out of the sanitized result. Returns { valid, errors, fieldErrors, sanitized }.
+ */
+function validatePayload(schema, payload, side) {
+  const sanitized = {};
+  const fieldErrors = {};
+  const errors = [];
+  const body = payload || {};
+
+  Object.keys(schema.fields).forEach(name => {
+    const field = schema.fields[name];
+    if (field.clientOnly && side === 'server') return;
+
+    const result = validateValue(field, body[name]);
+    sanitized[name] = result.value;
+    if (result.error) {
+      fieldErrors[name] = result.error;
+      errors.push(result.error);
+    }
+  });
+
+  return { valid: errors.length === 0, errors, fieldErrors, sanitized };
+}
+
+module.exports = {
+  FORMATS,
+  NORMALIZERS,
+  sanitizeText,
+  validateValue,
+  validatePayload
+};
@@ -0,0 +1,178 @@
+/**
+ * Health checks
+ * Liveness only says the process is up. Readiness runs every registered
+ * component check in parallel, each with a time limit, and combines them:
+ * - healthy: every check passed
+ * - degraded: a check is degraded, or a non-critical one failed; still serving
+ * - unhealthy: a critical check failed; the instance should not get traffic
+ * Other modules can add checks with registerCheck().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const settings = require('./settings');
+const logger = require('./logger');
+const leadStore = require('./leadStore');
+const outbox = require('./outbox');
+const { verifyTransport } = require('./mailer');
+
+const STATUSES = ['healthy', 'degraded', 'unhealthy'];
+const HTTP_STATUS = { healthy: 200, degraded: 200, unhealthy: 503 };
+
+const CHECK_TIMEOUT_MS = settings.get('HEALTH_CHECK_TIMEOUT_MS');
+const OUTBOX_WARN = settings.get('HEALTH_OUTBOX_WARN');
+const OUTBOX_MAX = settings.get('HEALTH_OUTBOX_MAX');
+
+const checks = new Map();
+const lastStatus = new Map();
+
+/**
+ * Add a readiness check. fn may return (or resolve to) { status, message,
+ * details }; status defaults to healthy, and throwing counts as unhealthy.
+ * Returns a function that removes the check.
+ */
+function registerCheck(name, fn, { critical = true, timeoutMs = CHECK_TIMEOUT_MS } = {}) {
+  checks.set(name, { name, fn, critical, timeoutMs });
+  return () => checks.delete(name);
+}
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runCheck(check) {
+  const started = process.hrtime.bigint();
+  let result;
+
+  try {
+    const outcome = await withTimeout(Promise.resolve().then(() => check.fn()), check.timeoutMs);
+    const status = outcome && outcome.status ? outcome.status : 'healthy';
+    result = {
+      status: STATUSES.includes(status) ? status : 'unhealthy',
+      message: outcome && outcome.message ? outcome.message : null,
+      details: outcome && outcome.details ? outcome.details : null
+    };
+  } catch (error) {
+    result = { status: 'unhealthy', message: error.message, details: null };
+  }
+
+  return {
+    status: result.status,
+    critical: check.critical,
+    latencyMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+    message: result.message,
+    details: result.details
+  };
+}
+
+/**
+ * Log a component only when its status changes, so frequent probes stay quiet
+ */
+function noteChange(name, component) {
+  const previous = lastStatus.get(name);
+  lastStatus.set(name, component.status);
+  if (previous === component.status || (previous === undefined && component.status === 'healthy')) return;
+
+  if (component.status === 'healthy') {
+    logger.info(`Health check "${name}" recovered`, { was: previous });
+  } else {
+    logger.warn(`Health check "${name}" is ${component.status}`, { message: component.message, critical: component.critical });
+  }
+}
+
+/**
+ * Run every check. Returns { status, httpStatus, timestamp, uptime, checks }.
+ */
+async function checkReadiness() {
+  const list = Array.from(checks.values());
+  const results = await Promise.all(list.map(runCheck));
+
+  const components = {};
+  let status = 'healthy';
+  list.forEach((check, i) => {
+    const component = results[i];
+    components[check.name] = component;
+    noteChange(check.name, component);
+
+    if (component.status === 'unhealthy' && component.critical) status = 'unhealthy';
+    else if (component.status !== 'healthy' && status === 'healthy') status = 'degraded';
+  });
+
+  return {
+    status,
+    httpStatus: HTTP_STATUS[status],
+    timestamp: new Date().toISOString(),
+    uptime: Math.round(process.uptime()),
+    checks: components
+  };
+}
+
+/**
+ * Liveness: the process is running and its event loop answers
+ */
+function checkLiveness() {
+  return {
+    status: 'alive',
+    timestamp: new Date().toISOString(),
+    uptime: Math.round(process.uptime()),
+    pid: process.pid
+  };
+}
+
+// Built-in checks
+
+// Leads are written before anything else happens; without the store a quote cannot be taken
+registerCheck('leadStore', () => {
+  fs.accessSync(leadStore.dataDir, fs.constants.R_OK | fs.constants.W_OK);
+  if (fs.existsSync(leadStore.storeFile)) {
+    fs.accessSync(leadStore.storeFile, fs.constants.R_OK | fs.constants.W_OK);
+  }
+  return { details: { leads: leadStore.listLeads().length } };
+});
+
+// Quotes are stored and the outbox retries, so mail trouble degrades rather than fails
+registerCheck('mail', async () => {
+  if (settings.get('DRY_RUN')) {
+    return { message: 'DRY_RUN - emails are not sent' };
+  }
+  const result = await verifyTransport();
+  return {
+    status: result.ok ? 'healthy' : 'unhealthy',
+    message: result.error,
+    details: { provider: settings.get('MAIL_PROVIDER'), checkedAt: result.checkedAt }
+  };
+}, { critical: false });
+
+// Writes and removes a small file next to the logs
+registerCheck('logDirectory', () => {
+  const probe = path.join(logger.logDir, `.health-${process.pid}`);
+  fs.writeFileSync(probe, 'ok');
+  fs.unlinkSync(probe);
+  return { details: { path: logger.logDir } };
+}, { critical: false });
+
+// A growing queue means mail is not getting out
+registerCheck('outbox', () => {
+  const stats = outbox.getStats();
+  const queued = outbox.listMessages('queued');
+  const oldest = queued.length > 0 ? queued[queued.length - 1].createdAt : null;
+  const details = { queued: stats.queued, sending: stats.sending, dead: stats.dead, oldestQueuedAt: oldest };
+
+  if (stats.queued >= OUTBOX_MAX) {
+    return { status: 'unhealthy', message: `${stats.queued} messages waiting (limit ${OUTBOX_MAX})`, details };
+  }
+  if (stats.queued >= OUTBOX_WARN) {
+    return { status: 'degraded', message: `${stats.queued} messages waiting`, details };
+  }
+  return { details };
+}, { critical: false });
+
+module.exports = {
+  registerCheck,
+  checkReadiness,
+  checkLiveness
+};
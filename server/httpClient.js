@@ -0,0 +1,66 @@
+/**
+ * Minimal HTTP client shared by the API-based mail providers and webhooks
+ */
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * Send a request and resolve with { statusCode, headers, body }.
+ * Non-2xx responses reject with an error carrying the status and response text.
+ * timeoutMs bounds the whole exchange, not just idle gaps, so an endpoint that
+ * trickles its response cannot hold the caller.
+ */
+function request(method, url, { headers = {}, body = '', timeoutMs = 15000, service = 'Mail API', errorCode = 'MAIL_API_ERROR' } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+
+    const req = client.request(target, {
+      method,
+      headers: method === 'GET' ? headers : { ...headers, 'Content-Length': Buffer.byteLength(body) }
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          return resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+        }
+        const err = new Error(`${service} responded with HTTP ${res.statusCode}`);
+        err.code = errorCode;
+        err.responseCode = res.statusCode;
+        err.response = data.slice(0, 500);
+        reject(err);
+      });
+    });
+
+    const timer = setTimeout(() => {
+      req.destroy(Object.assign(new Error(`${service} request timed out`), { code: 'ETIMEDOUT' }));
+    }, timeoutMs);
+    req.on('close', () => clearTimeout(timer));
+    req.on('error', reject);
+
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+function post(url, options) {
+  return request('POST', url, options);
+}
+
+function get(url, options) {
+  return request('GET', url, options);
+}
+
+function isValidUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = { get, post, isValidUrl };
@@ -0,0 +1,116 @@
+/**
+ * Idempotency-Key support for POST endpoints
+ * The first successful response for a key is kept and replayed for repeats of
+ * the same request. Failed responses are not kept, so a corrected form can be
+ * resubmitted with the same key.
+ */
+
+const crypto = require('crypto');
+const settings = require('./settings');
+const logger = require('./logger');
+
+// Printable ASCII, no spaces; UUIDs fit comfortably
+const KEY_PATTERN = /^[\x21-\x7e]{8,255}$/;
+
+class IdempotencyStore {
+  constructor() {
+    this.ttlMs = settings.get('IDEMPOTENCY_TTL_MS');
+    this.maxEntries = 10000;
+    this.entries = new Map();
+  }
+
+  /**
+   * Hash of the request body so a reused key with different content is caught
+   */
+  fingerprint(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+  }
+
+  /**
+   * Drop expired entries, and the oldest ones if the map grows too large
+   */
+  prune() {
+    const now = Date.now();
+    for (const [id, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(id);
+    }
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Express middleware. Requests without the header pass straight through.
+   */
+  guard(scope) {
+    return (req, res, next) => {
+      const key = req.get('Idempotency-Key');
+      if (!key) return next();
+
+      if (!KEY_PATTERN.test(key)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Idempotency-Key header'
+        });
+      }
+
+      this.prune();
+
+      const id = `${scope}:${key}`;
+      const fingerprint = this.fingerprint(req.body);
+      const existing = this.entries.get(id);
+
+      if (existing) {
+        if (existing.fingerprint !== fingerprint) {
+          logger.security('Idempotency-Key reused with a different request', { scope, ip: req.ip });
+          return res.status(422).json({
+            success: false,
+            error: 'Idempotency-Key was already used for a different request'
+          });
+        }
+
+        if (existing.state === 'pending') {
+          return res.status(409).json({
+            success: false,
+            error: 'This request is already being processed'
+          });
+        }
+
+        logger.info(`Idempotent replay [${scope}]`, { ip: req.ip, statusCode: existing.statusCode });
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.statusCode).json(existing.body);
+      }
+
+      this.entries.set(id, { state: 'pending', fingerprint, expiresAt: Date.now() + this.ttlMs });
+
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          this.entries.set(id, {
+            state: 'done',
+            fingerprint,
+            statusCode: res.statusCode,
+            body,
+            expiresAt: Date.now() + this.ttlMs
+          });
+        } else {
+          this.entries.delete(id);
+        }
+        return json(body);
+      };
+
+      // Client went away before we answered; let the next attempt through
+      res.on('close', () => {
+        const entry = this.entries.get(id);
+        if (entry && entry.state === 'pending') this.entries.delete(id);
+      });
+
+      next();
+    };
+  }
+}
+
+// Export singleton instance
+const idempotency = new IdempotencyStore();
+
+module.exports = idempotency;
@@ -0,0 +1,145 @@
+/**
+ * Lead scoring
+ * Turns a sanitized quote (output of validateQuotePayload) into a 0-100 score
+ * and a hot/warm/cold tier. Weights live in config/lead-scoring.json; the
+ * service-area factor uses the coverage tiers from serviceArea.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const settings = require('./settings');
+const logger = require('./logger');
+const serviceArea = require('./serviceArea');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '../config/lead-scoring.json');
+const TIERS = ['hot', 'warm', 'cold'];
+
+const FACTOR_LABELS = {
+  volume: 'Weekly volume',
+  serviceArea: 'Service area',
+  address: 'Address',
+  message: 'Message'
+};
+
+/**
+ * Read and sanity-check a scoring config file
+ */
+function loadConfig(file = settings.get('LEAD_SCORING_CONFIG') || DEFAULT_CONFIG_FILE) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const problems = [];
+
+  ['volume', 'serviceArea', 'address', 'message', 'tiers'].forEach(section => {
+    if (!config[section] || typeof config[section] !== 'object') problems.push(`missing section "${section}"`);
+  });
+  if (config.tiers && !(config.tiers.hot > config.tiers.warm)) problems.push('tiers.hot must be greater than tiers.warm');
+  if (config.message && !Array.isArray(config.message.keywords || [])) problems.push('message.keywords must be a list');
+
+  if (problems.length > 0) {
+    const err = new Error(`Invalid lead scoring config ${file}: ${problems.join('; ')}`);
+    err.code = 'SCORING_CONFIG';
+    throw err;
+  }
+
+  return config;
+}
+
+function points(value) {
+  return Number(value) || 0;
+}
+
+let config = loadConfig();
+
+/**
+ * Swap in a different config (used by tests and after editing the file)
+ */
+function reloadConfig(file) {
+  config = loadConfig(file);
+  logger.info('Lead scoring config loaded', { file: file || settings.get('LEAD_SCORING_CONFIG') || DEFAULT_CONFIG_FILE });
+  return config;
+}
+
+function scoreVolume(fields) {
+  const token = fields.weekly_scripts && fields.weekly_scripts.token;
+  const weights = config.volume;
+  const key = token && Object.prototype.hasOwnProperty.call(weights, token) ? token : 'unknown';
+  return {
+    factor: 'volume',
+    points: points(weights[key]),
+    detail: (fields.weekly_scripts && fields.weekly_scripts.display) || 'Not specified'
+  };
+}
+
+function scoreServiceArea(fields) {
+  const weights = config.serviceArea;
+  const area = serviceArea.lookup(fields);
+
+  if (area.covered) {
+    return { factor: 'serviceArea', points: points(weights[area.tier]), detail: `${area.label} (${area.municipality})` };
+  }
+  if (area.covered === null) {
+    return { factor: 'serviceArea', points: points(weights.unknown), detail: 'Location not provided' };
+  }
+  if (area.query.state && area.query.state !== serviceArea.dataset.state) {
+    return { factor: 'serviceArea', points: points(weights.outOfState), detail: `Out of state (${area.query.state})` };
+  }
+  return { factor: 'serviceArea', points: points(weights.inStateOutsideArea), detail: 'Outside Metro Detroit' };
+}
+
+function scoreAddress(fields) {
+  const weights = config.address;
+  const hasStreet = /\d/.test(fields.address || '') && /[a-z]/i.test(fields.address || '');
+  const hasCityState = !!(fields.city && fields.state);
+  const parts = [hasStreet && 'street', hasCityState && 'city/state'].filter(Boolean);
+
+  return {
+    factor: 'address',
+    points: (hasStreet ? points(weights.street) : 0) + (hasCityState ? points(weights.cityAndState) : 0),
+    detail: parts.length ? `Has ${parts.join(' and ')}` : 'No address'
+  };
+}
+
+function scoreMessage(fields) {
+  const weights = config.message;
+  const text = String(fields.message || '').toLowerCase();
+  if (!text.trim()) {
+    return { factor: 'message', points: 0, detail: 'No message' };
+  }
+
+  const matched = (weights.keywords || []).filter(keyword =>
+    (keyword.terms || []).some(term => text.includes(String(term).toLowerCase())));
+  const keywordPoints = Math.min(
+    matched.reduce((sum, keyword) => sum + points(keyword.points), 0),
+    points(weights.maxKeywordPoints) || Infinity
+  );
+
+  return {
+    factor: 'message',
+    points: points(weights.present) + keywordPoints,
+    detail: matched.length ? `Mentions ${matched.map(keyword => keyword.label).join(', ')}` : 'Message provided'
+  };
+}
+
+/**
+ * Score a sanitized quote. Returns { score, tier, breakdown }.
+ */
+function scoreLead(fields = {}) {
+  const breakdown = [scoreVolume, scoreServiceArea, scoreAddress, scoreMessage].map(factor => {
+    const item = factor(fields);
+    return { ...item, label: FACTOR_LABELS[item.factor] };
+  });
+  const total = breakdown.reduce((sum, item) => sum + item.points, 0);
+  const score = Math.max(0, Math.min(100, Math.round(total)));
+
+  let tier = 'cold';
+  if (score >= config.tiers.hot) tier = 'hot';
+  else if (score >= config.tiers.warm) tier = 'warm';
+
+  return { score, tier, breakdown };
+}
+
+module.exports = {
+  scoreLead,
+  reloadConfig,
+  loadConfig,
+  TIERS
+};
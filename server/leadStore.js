@@ -0,0 +1,357 @@
+/**
+ * Durable lead storage for DashRx
+ * Persists every quote submission to an append-only JSON lines file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const settings = require('./settings');
+const logger = require('./logger');
+
+// Sales pipeline, in order
+const LEAD_STATUSES = ['new', 'contacted', 'qualified', 'won', 'lost'];
+
+class LeadStore {
+  constructor() {
+    this.dataDir = settings.get('LEAD_STORE_DIR') || path.join(__dirname, '../data');
+    this.storeFile = path.join(this.dataDir, 'leads.jsonl');
+    this.leads = new Map();
+
+    this.ensureDataDirectory();
+    this.load();
+  }
+
+  /**
+   * Ensure data directory exists
+   */
+  ensureDataDirectory() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Rebuild the in-memory index by replaying the store file
+   */
+  load() {
+    this.leads.clear();
+    if (!fs.existsSync(this.storeFile)) return;
+
+    let content = fs.readFileSync(this.storeFile, 'utf8');
+
+    // A crash mid-write can leave a truncated last line behind; cut it off
+    // so the next append starts on a fresh line. A complete record that only
+    // lacks its newline (appended by hand or another tool) is kept.
+    if (content && !content.endsWith('\n')) {
+      const start = content.lastIndexOf('\n') + 1;
+      let complete = true;
+      try {
+        JSON.parse(content.slice(start));
+      } catch (error) {
+        complete = false;
+      }
+
+      if (complete) {
+        fs.appendFileSync(this.storeFile, '\n');
+        content += '\n';
+      } else {
+        content = content.slice(0, start);
+        fs.truncateSync(this.storeFile, Buffer.byteLength(content, 'utf8'));
+        logger.warn('Lead store had a truncated record - repaired', { file: this.storeFile });
+      }
+    }
+
+    const lines = content.split('\n');
+    let skipped = 0;
+
+    lines.forEach(line => {
+      if (!line.trim()) return;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        skipped++;
+        return;
+      }
+      this.apply(record);
+    });
+
+    logger.database(`Lead store loaded (${this.leads.size} leads)`, {
+      file: this.storeFile,
+      skippedRecords: skipped
+    });
+  }
+
+  /**
+   * Apply a single store record to the in-memory index
+   */
+  apply(record) {
+    if (record.op === 'create') {
+      // Leads stored before the pipeline existed start out as "new"
+      this.leads.set(record.lead.id, {
+        status: 'new',
+        statusHistory: [],
+        notes: [],
+        owner: null,
+        ...record.lead
+      });
+    } else if (record.op === 'update') {
+      const lead = this.leads.get(record.id);
+      if (lead) {
+        const updated = { ...lead, ...record.changes, updatedAt: record.at };
+        // List entries (notes, history, repeats) are stored one per record
+        Object.entries(record.added || {}).forEach(([field, entry]) => {
+          updated[field] = [...(lead[field] || []), entry];
+        });
+        this.leads.set(record.id, updated);
+      }
+    }
+  }
+
+  /**
+   * Append a record and fsync so it survives a crash right after we return
+   */
+  append(record) {
+    const fd = fs.openSync(this.storeFile, 'a');
+    try {
+      fs.writeSync(fd, JSON.stringify(record) + '\n', null, 'utf8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    this.apply(record);
+  }
+
+  /**
+   * Generate a stable, human-readable lead ID (e.g. DRX-20250920-3F9A1C)
+   */
+  generateId() {
+    let id;
+    do {
+      const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+      const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+      id = `DRX-${date}-${suffix}`;
+    } while (this.leads.has(id));
+    return id;
+  }
+
+  /**
+   * Store a validated submission. Called before any email is attempted.
+   */
+  createLead(fields, meta = {}) {
+    // The honeypot is a spam signal, not lead data
+    const { company_website, ...leadFields } = fields;
+    const now = new Date().toISOString();
+
+    const lead = {
+      id: this.generateId(),
+      createdAt: now,
+      updatedAt: now,
+      fields: leadFields,
+      source: {
+        ip: meta.ip || null,
+        userAgent: meta.userAgent || null,
+        requestId: meta.requestId || null
+      },
+      score: meta.score || null,
+      serviceArea: meta.serviceArea || null,
+      estimate: meta.estimate || null,
+      email: { status: 'pending' },
+      status: 'new',
+      statusHistory: [],
+      notes: [],
+      owner: null
+    };
+
+    this.append({ op: 'create', at: now, lead });
+    logger.database(`Lead stored [${lead.id}]`, { requestId: meta.requestId || null });
+
+    return lead;
+  }
+
+  /**
+   * Merge changes into an existing lead. `added` maps list fields to one new
+   * entry each, so the file never repeats a lead's whole history.
+   */
+  updateLead(id, changes, added) {
+    this.requireLead(id);
+    const record = { op: 'update', at: new Date().toISOString(), id, changes };
+    if (added) record.added = added;
+    this.append(record);
+    return this.leads.get(id);
+  }
+
+  /**
+   * Record the outcome of an outgoing email for a lead (notification by default)
+   */
+  recordEmailOutcome(id, outcome, field = 'email') {
+    return this.updateLead(id, {
+      [field]: {
+        status: outcome.status,
+        outboxId: outcome.outboxId || null,
+        messageId: outcome.messageId || null,
+        attempts: outcome.attempts || 0,
+        error: outcome.error || null,
+        updatedAt: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Move a lead to another pipeline status
+   */
+  setStatus(id, status, by) {
+    if (!LEAD_STATUSES.includes(status)) {
+      const err = new Error(`Invalid lead status: ${status}`);
+      err.code = 'LEAD_INVALID_STATUS';
+      throw err;
+    }
+
+    const lead = this.requireLead(id);
+    if (lead.status === status) return lead;
+
+    return this.updateLead(id, { status }, {
+      statusHistory: { from: lead.status, to: status, by: by || null, at: new Date().toISOString() }
+    });
+  }
+
+  /**
+   * Attach a timestamped note to a lead
+   */
+  addNote(id, text, author) {
+    const body = typeof text === 'string' ? text.trim().slice(0, 5000) : '';
+    if (!body) {
+      const err = new Error('Note text is required');
+      err.code = 'LEAD_EMPTY_NOTE';
+      throw err;
+    }
+
+    this.requireLead(id);
+    return this.updateLead(id, {}, {
+      notes: { id: crypto.randomBytes(4).toString('hex'), text: body, author: author || null, at: new Date().toISOString() }
+    });
+  }
+
+  /**
+   * Assign (or clear, with an empty value) the lead owner
+   */
+  assignOwner(id, owner) {
+    this.requireLead(id);
+    return this.updateLead(id, { owner: owner ? String(owner).trim().slice(0, 64) : null });
+  }
+
+  /**
+   * Note a repeat submission of an existing lead instead of storing a new one
+   */
+  recordRepeat(id, meta = {}) {
+    this.requireLead(id);
+    const repeat = {
+      at: new Date().toISOString(),
+      ip: meta.ip || null,
+      requestId: meta.requestId || null
+    };
+    return this.updateLead(id, {}, { repeats: repeat });
+  }
+
+  /**
+   * Most recent lead with the same email, phone and pharmacy created within windowMs
+   */
+  findDuplicate(fields, windowMs) {
+    const key = duplicateKey(fields);
+    if (!key || !(windowMs > 0)) return null;
+
+    const since = new Date(Date.now() - windowMs).toISOString();
+    return this.listLeads().find(lead => lead.createdAt >= since && duplicateKey(lead.fields) === key) || null;
+  }
+
+  requireLead(id) {
+    const lead = this.leads.get(id);
+    if (!lead) {
+      const err = new Error(`Lead not found: ${id}`);
+      err.code = 'LEAD_NOT_FOUND';
+      throw err;
+    }
+    return lead;
+  }
+
+  getLead(id) {
+    return this.leads.get(id) || null;
+  }
+
+  /**
+   * All leads, newest first
+   */
+  listLeads() {
+    return Array.from(this.leads.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Filter leads for the admin inbox. Dates are YYYY-MM-DD in Detroit time.
+   */
+  searchLeads(filters = {}) {
+    const q = (filters.q || '').trim().toLowerCase();
+    const city = (filters.city || '').trim().toLowerCase();
+    const state = (filters.state || '').trim().toUpperCase();
+
+    return this.listLeads().filter(lead => {
+      const f = lead.fields || {};
+
+      if (filters.status && lead.status !== filters.status) return false;
+      if (filters.tier && (lead.score && lead.score.tier) !== filters.tier) return false;
+      if (filters.coverage && (lead.serviceArea && lead.serviceArea.tier) !== filters.coverage) return false;
+      if (state && (f.state || '').toUpperCase() !== state) return false;
+      if (city && (f.city || '').toLowerCase() !== city) return false;
+      if (filters.volume && (f.weekly_scripts && f.weekly_scripts.token) !== filters.volume) return false;
+      if (filters.owner && lead.owner !== filters.owner) return false;
+
+      if (filters.from || filters.to) {
+        const day = toDetroitDate(lead.createdAt);
+        if (filters.from && day < filters.from) return false;
+        if (filters.to && day > filters.to) return false;
+      }
+
+      if (q) {
+        const haystack = [
+          lead.id, f.pharmacy_name, f.contact_person, f.email, f.phone,
+          f.address, f.city, f.message
+        ].join(' ').toLowerCase();
+        if (!haystack.includes(q)) return false;
+      }
+
+      return true;
+    });
+  }
+}
+
+/**
+ * Identity used for duplicate detection: email, phone digits and pharmacy name,
+ * ignoring case, formatting and punctuation
+ */
+function duplicateKey(fields = {}) {
+  const email = String(fields.email || '').trim().toLowerCase();
+  const phone = String(fields.phone || '').replace(/\D/g, '').slice(-10);
+  const pharmacy = String(fields.pharmacy_name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (!email || !phone || !pharmacy) return null;
+  return `${email}|${phone}|${pharmacy}`;
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of an ISO timestamp in Detroit
+ */
+function toDetroitDate(iso) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'America/Detroit',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(new Date(iso));
+}
+
+// Export singleton instance
+const leadStore = new LeadStore();
+
+module.exports = leadStore;
+module.exports.LEAD_STATUSES = LEAD_STATUSES;
@@ -0,0 +1,182 @@
+/**
+ * Process lifecycle
+ * Tracks in-flight requests and, on SIGTERM or SIGINT, shuts down in order:
+ * stop accepting connections, fail readiness, stop the outbox from claiming
+ * new messages, wait for in-flight requests and mail sends (up to
+ * SHUTDOWN_TIMEOUT_MS), flush the logger, close the mail transporter, exit. A second signal exits at once.
+ * Modules holding long-lived connections end them with onShutdown().
+ */
+
+const settings = require('./settings');
+const logger = require('./logger');
+const health = require('./health');
+const outbox = require('./outbox');
+const mailer = require('./mailer');
+
+const DRAIN_POLL_MS = 50;
+
+class Lifecycle {
+  constructor() {
+    this.server = null;
+    this.state = 'starting'; // running, draining, stopped
+    this.shutdownTimeoutMs = settings.get('SHUTDOWN_TIMEOUT_MS');
+    this.activeRequests = new Set();
+    this.shutdownHooks = new Map();
+    this.shutdownPromise = null;
+    this.signalsInstalled = false;
+
+    // Replaced in tests
+    this.exit = code => process.exit(code);
+
+    // Load balancers stop routing here as soon as the drain begins
+    health.registerCheck('lifecycle', () => {
+      if (this.isShuttingDown()) {
+        return { status: 'unhealthy', message: 'Shutting down', details: { state: this.state } };
+      }
+      return { details: { state: this.state } };
+    });
+  }
+
+  isShuttingDown() {
+    return this.state === 'draining' || this.state === 'stopped';
+  }
+
+  /**
+   * Count requests until their response finishes or the client goes away.
+   * While draining, responses ask keep-alive clients to reconnect elsewhere.
+   */
+  middleware() {
+    return (req, res, next) => {
+      this.activeRequests.add(res);
+      const done = () => this.activeRequests.delete(res);
+      res.on('finish', done);
+      res.on('close', done);
+
+      if (this.isShuttingDown()) res.set('Connection', 'close');
+      next();
+    };
+  }
+
+  /**
+   * Run fn when the drain begins; returns a function that removes it
+   */
+  onShutdown(name, fn) {
+    this.shutdownHooks.set(name, fn);
+    return () => this.shutdownHooks.delete(name);
+  }
+
+  /**
+   * Manage a listening server and take over SIGTERM/SIGINT
+   */
+  attach(server) {
+    this.server = server;
+    this.state = 'running';
+    this.installSignalHandlers();
+  }
+
+  installSignalHandlers() {
+    if (this.signalsInstalled) return;
+    this.signalsInstalled = true;
+    // The drain flushes the logger itself; a sync flush on the signal would
+    // write chunks the stream is still writing a second time
+    logger.releaseSignals();
+
+    ['SIGTERM', 'SIGINT'].forEach(signal => {
+      process.on(signal, () => {
+        if (this.shutdownPromise) {
+          logger.warn(`${signal} received again - exiting without waiting`);
+          logger.flushSync();
+          this.exit(1);
+          return;
+        }
+        this.shutdown(signal);
+      });
+    });
+  }
+
+  /**
+   * What the drain is still waiting for
+   */
+  pending() {
+    return {
+      requests: this.activeRequests.size,
+      mailSends: mailer.pendingSendCount(),
+      outboxBusy: outbox.processing
+    };
+  }
+
+  isIdle() {
+    const { requests, mailSends, outboxBusy } = this.pending();
+    return requests === 0 && mailSends === 0 && !outboxBusy;
+  }
+
+  /**
+   * Resolves true once idle, or false when the deadline passes first
+   */
+  waitForIdle(timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    return new Promise(resolve => {
+      const poll = () => {
+        if (this.isIdle()) return resolve(true);
+        if (Date.now() >= deadline) return resolve(false);
+        setTimeout(poll, DRAIN_POLL_MS);
+      };
+      poll();
+    });
+  }
+
+  /**
+   * Shut down once; later calls get the same promise
+   */
+  shutdown(reason = 'requested') {
+    if (!this.shutdownPromise) {
+      this.shutdownPromise = this.drain(reason);
+    }
+    return this.shutdownPromise;
+  }
+
+  async drain(reason) {
+    const started = Date.now();
+    this.state = 'draining';
+    logger.warn(`Shutting down (${reason})`, { ...this.pending(), timeoutMs: this.shutdownTimeoutMs });
+
+    // Only sends already under way are waited for; the rest stay queued
+    outbox.stop();
+
+    const server = this.server;
+    const closed = server ? new Promise(resolve => server.close(() => resolve())) : Promise.resolve();
+    if (server && typeof server.closeIdleConnections === 'function') {
+      server.closeIdleConnections();
+    }
+
+    for (const [name, hook] of this.shutdownHooks) {
+      try {
+        await hook();
+      } catch (error) {
+        logger.error(`Shutdown hook "${name}" failed`, { error: error.message });
+      }
+    }
+
+    const drained = await this.waitForIdle(this.shutdownTimeoutMs);
+    if (!drained) {
+      logger.warn('Shutdown timed out; closing remaining connections', this.pending());
+    }
+    // Keep-alive sockets that went idle during the drain would hold close() open
+    if (server && typeof server.closeAllConnections === 'function') {
+      server.closeAllConnections();
+    }
+    await closed;
+
+    this.state = 'stopped';
+    logger.info('Shutdown complete', { drained, durationMs: Date.now() - started });
+
+    await logger.close();
+    mailer.closeTransport();
+    this.exit(drained ? 0 : 1);
+  }
+}
+
+// Export singleton instance
+const lifecycle = new Lifecycle();
+
+module.exports = lifecycle;
@@ -0,0 +1,26 @@
+/**
+ * Log levels
+ * Kept apart from the logger so settings can validate LOG_LEVEL without
+ * requiring the logger, which itself reads settings.
+ */
+
+/**
+ * Severity of each level; LOG_LEVEL drops everything below its severity.
+ * Request/response traffic sits between debug and info, security with warn.
+ */
+const LEVEL_SEVERITY = {
+  debug: 10,
+  request: 20,
+  response: 20,
+  info: 30,
+  success: 30,
+  email: 30,
+  validation: 30,
+  database: 30,
+  performance: 30,
+  warn: 40,
+  security: 40,
+  error: 50
+};
+
+module.exports = { LEVEL_SEVERITY };
@@ -0,0 +1,158 @@
+/**
+ * PII redaction for log entries
+ * Rules come from config/log-redaction.json: values under listed field names are
+ * replaced whole, and the patterns scrub emails, phone numbers and street
+ * addresses out of any other string. Used by the logger, so it must not log.
+ *
+ * Modes (LOG_REDACTION):
+ *   mask   - replace with a marker such as [redacted email] (default)
+ *   hash   - replace with a short keyed hash, e.g. [email:1f3a9c0d2b7e], so
+ *            entries about the same person can still be matched up
+ *   unsafe - write values as-is; for local debugging only, refused in production
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const settings = require('./settings');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '../config/log-redaction.json');
+const HASH_LENGTH = 12;
+
+/**
+ * Read and compile a rules file
+ */
+function loadRules(file = DEFAULT_RULES_FILE) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const problems = [];
+  const fields = {};
+  const patterns = [];
+
+  if (!raw.fields || typeof raw.fields !== 'object') {
+    problems.push('"fields" must map field names to a kind');
+  } else {
+    Object.keys(raw.fields).forEach(name => {
+      if (typeof raw.fields[name] !== 'string' || !raw.fields[name]) problems.push(`field "${name}" needs a kind`);
+      else fields[name.toLowerCase()] = raw.fields[name];
+    });
+  }
+
+  if (!Array.isArray(raw.patterns)) {
+    problems.push('"patterns" must be a list');
+  } else {
+    raw.patterns.forEach((rule, index) => {
+      if (!rule || typeof rule.kind !== 'string' || typeof rule.pattern !== 'string') {
+        problems.push(`pattern ${index}: needs "kind" and "pattern"`);
+        return;
+      }
+      try {
+        const flags = (rule.flags || '').replace(/g/g, '') + 'g';
+        patterns.push({ kind: rule.kind, regex: new RegExp(rule.pattern, flags) });
+      } catch (error) {
+        problems.push(`pattern ${index}: ${error.message}`);
+      }
+    });
+  }
+
+  if (problems.length > 0) {
+    const err = new Error(`Invalid log redaction rules ${file}: ${problems.join('; ')}`);
+    err.code = 'LOG_REDACTION_CONFIG';
+    throw err;
+  }
+
+  return { fields, patterns };
+}
+
+/**
+ * Work out the mode from env. Returns { mode, warning } where warning explains
+ * why unsafe was refused. A value that does not parse reads as mask.
+ */
+function resolveMode(env) {
+  const requested = settings.get('LOG_REDACTION', env);
+
+  if (requested === 'unsafe' && settings.get('NODE_ENV', env) === 'production') {
+    return { mode: 'mask', warning: 'LOG_REDACTION=unsafe is ignored in production; masking PII' };
+  }
+  return { mode: requested, warning: null };
+}
+
+/**
+ * Settings for redactText/redactData. Without LOG_REDACTION_SALT the hash key
+ * is random, so hashes only match within one process.
+ */
+function createSettings(env) {
+  const { mode, warning } = resolveMode(env);
+  return {
+    mode,
+    warning,
+    salt: settings.get('LOG_REDACTION_SALT', env) || crypto.randomBytes(16).toString('hex'),
+    rules: loadRules(settings.get('LOG_REDACTION_FILE', env) || DEFAULT_RULES_FILE)
+  };
+}
+
+function replacement(kind, value, settings) {
+  if (settings.mode === 'hash') {
+    const digest = crypto.createHmac('sha256', settings.salt)
+      .update(String(value).trim().toLowerCase())
+      .digest('hex')
+      .slice(0, HASH_LENGTH);
+    return `[${kind}:${digest}]`;
+  }
+  return `[redacted ${kind}]`;
+}
+
+/**
+ * Scrub pattern matches out of a string
+ */
+function redactText(text, settings) {
+  if (typeof text !== 'string' || !text || settings.mode === 'unsafe') return text;
+
+  return settings.rules.patterns.reduce(
+    (result, rule) => result.replace(rule.regex, match => replacement(rule.kind, match, settings)),
+    text
+  );
+}
+
+function isPlainObject(value) {
+  if (!value || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function redactValue(value, kind, settings, seen) {
+  if (value === null || value === undefined || value === '') return value;
+
+  if (Array.isArray(value) || isPlainObject(value)) {
+    if (seen.has(value)) return '[circular]';
+    seen.add(value);
+    const result = Array.isArray(value)
+      ? value.map(item => redactValue(item, kind, settings, seen))
+      : Object.keys(value).reduce((copy, key) => {
+        copy[key] = redactValue(value[key], settings.rules.fields[key.toLowerCase()], settings, seen);
+        return copy;
+      }, {});
+    seen.delete(value);
+    return result;
+  }
+
+  if (kind && (typeof value === 'string' || typeof value === 'number')) {
+    return replacement(kind, value, settings);
+  }
+  return typeof value === 'string' ? redactText(value, settings) : value;
+}
+
+/**
+ * Redacted copy of a log data value; the original is left untouched
+ */
+function redactData(data, settings) {
+  if (settings.mode === 'unsafe') return data;
+  return redactValue(data, null, settings, new Set());
+}
+
+module.exports = {
+  loadRules,
+  resolveMode,
+  createSettings,
+  redactText,
+  redactData
+};
@@ -0,0 +1,232 @@
+/**
+ * Log search
+ * Streams dashrx.log and its archives (gzipped or not) line by line, parses text
+ * and JSON entries alike, and returns one page of matches, newest first. Only
+ * the current page window is held in memory, so multi-megabyte files are fine.
+ */
+
+const readline = require('readline');
+const logger = require('./logger');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+// page * limit may not go past this; narrow the time range instead
+const MAX_WINDOW = 5000;
+
+// [03/04/2025, 10:20:11.532 EST/EDT (2025-03-04T15:20:11.532Z)] ℹ️ INFO    message
+const TEXT_HEADER = /^\[.+? EST\/EDT \((\d{4}-\d{2}-\d{2}T[^)]+)\)\] \S+\s+([A-Z]+)\s+(.*)$/;
+const SESSION_SEPARATOR = /^={20,}$/;
+
+/**
+ * Check the query string. Returns { filters, page, limit, errors }.
+ */
+function parseSearchQuery(query = {}) {
+  const errors = [];
+  const filters = {};
+
+  const one = value => (Array.isArray(value) ? value[0] : value);
+  const text = key => (typeof one(query[key]) === 'string' ? one(query[key]).trim() : '');
+
+  if (text('level')) {
+    const levels = text('level').toLowerCase().split(',').map(level => level.trim()).filter(Boolean);
+    const unknown = levels.filter(level => !logger.LEVEL_SEVERITY[level]);
+    if (unknown.length > 0) errors.push(`Unknown level: ${unknown.join(', ')}`);
+    filters.levels = new Set(levels);
+  }
+
+  ['from', 'to'].forEach(key => {
+    if (!text(key)) return;
+    const time = Date.parse(text(key));
+    if (isNaN(time)) errors.push(`"${key}" must be a date or ISO timestamp`);
+    else filters[key] = time;
+  });
+  if (filters.from !== undefined && filters.to !== undefined && filters.from > filters.to) {
+    errors.push('"from" must be before "to"');
+  }
+
+  if (text('requestId')) filters.requestId = text('requestId');
+  if (text('url')) filters.url = text('url');
+  if (text('q')) filters.q = text('q').toLowerCase();
+
+  const page = text('page') ? parseInt(text('page'), 10) : 1;
+  const limit = text('limit') ? parseInt(text('limit'), 10) : DEFAULT_LIMIT;
+  if (!(page >= 1)) errors.push('"page" must be a positive number');
+  if (!(limit >= 1 && limit <= MAX_LIMIT)) errors.push(`"limit" must be between 1 and ${MAX_LIMIT}`);
+  if (page >= 1 && limit >= 1 && page * limit > MAX_WINDOW) {
+    errors.push(`Results past ${MAX_WINDOW} are not paged; narrow the search with "from" and "to"`);
+  }
+
+  return { filters, page, limit, errors };
+}
+
+function finishTextEntry(entry) {
+  let data = null;
+  if (entry.dataLines.length > 0) {
+    const raw = entry.dataLines.join('\n');
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      data = raw;
+    }
+  } else if (entry.message.includes(' | Data: ')) {
+    const at = entry.message.lastIndexOf(' | Data: ');
+    data = entry.message.slice(at + ' | Data: '.length);
+    entry.message = entry.message.slice(0, at);
+  }
+
+  return {
+    timestamp: entry.timestamp,
+    level: entry.level,
+    message: entry.message,
+    requestId: data && typeof data === 'object' && data.requestId ? data.requestId : null,
+    data
+  };
+}
+
+function parseJsonLine(line) {
+  if (line[0] !== '{') return null;
+  try {
+    const record = JSON.parse(line);
+    return record && record.timestamp && record.level ? record : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Line-by-line parser for one file. Text entries span several lines (the
+ * pretty-printed data follows the header), JSON entries are one line each.
+ */
+function createEntryParser(onEntry) {
+  let current = null;
+
+  const flush = () => {
+    if (current) onEntry(finishTextEntry(current));
+    current = null;
+  };
+
+  return {
+    line(line) {
+      const record = parseJsonLine(line);
+      if (record) {
+        flush();
+        onEntry({
+          timestamp: record.timestamp,
+          level: record.level,
+          message: record.message,
+          requestId: record.requestId || null,
+          data: record.data === undefined ? null : record.data
+        });
+        return;
+      }
+
+      const header = line.match(TEXT_HEADER);
+      if (header) {
+        flush();
+        current = { timestamp: header[1], level: header[2].toLowerCase(), message: header[3], dataLines: [] };
+      } else if (SESSION_SEPARATOR.test(line)) {
+        // Session banners are not entries
+        flush();
+      } else if (current) {
+        current.dataLines.push(line);
+      }
+    },
+    end: flush
+  };
+}
+
+/**
+ * Whether an entry passes the filters; also used by the live log stream
+ */
+function matches(entry, filters) {
+  if (filters.levels && !filters.levels.has(entry.level)) return false;
+
+  if (filters.from !== undefined || filters.to !== undefined) {
+    const time = Date.parse(entry.timestamp);
+    if (filters.from !== undefined && !(time >= filters.from)) return false;
+    if (filters.to !== undefined && !(time <= filters.to)) return false;
+  }
+
+  // Older entries only carry the request ID in the message, e.g. "... [k3j9x2m1q]"
+  if (filters.requestId && entry.requestId !== filters.requestId &&
+      !String(entry.message).includes(`[${filters.requestId}]`)) {
+    return false;
+  }
+
+  if (filters.url) {
+    const url = entry.data && typeof entry.data === 'object' && typeof entry.data.url === 'string' ? entry.data.url : '';
+    if (!url.includes(filters.url) && !String(entry.message).includes(filters.url)) return false;
+  }
+
+  if (filters.q) {
+    const haystack = `${entry.message} ${entry.data === null ? '' : JSON.stringify(entry.data)}`.toLowerCase();
+    if (!haystack.includes(filters.q)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Log files oldest first: archives by modification time, then dashrx.log
+ */
+function filesOldestFirst() {
+  const isLive = file => (file.name === 'dashrx.log' ? 1 : 0);
+  return logger.getLogFiles().sort((a, b) => isLive(a) - isLive(b) || a.modified - b.modified);
+}
+
+async function scanFile(file, onEntry) {
+  const parser = createEntryParser(onEntry);
+  const input = logger.createLogReadStream(file);
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  try {
+    for await (const line of lines) {
+      parser.line(line);
+    }
+  } catch (error) {
+    // Rotated away or cleared while we were reading
+    if (error.code !== 'ENOENT') throw error;
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+  parser.end();
+}
+
+/**
+ * Run a search. Matches are counted across every file; only the newest
+ * page * limit of them are kept while scanning.
+ */
+async function searchLogs({ filters, page, limit }) {
+  const files = filesOldestFirst();
+  const offset = (page - 1) * limit;
+  const windowSize = offset + limit;
+  const window = [];
+  let total = 0;
+
+  for (const file of files) {
+    await scanFile(file, entry => {
+      if (!matches(entry, filters)) return;
+      total++;
+      window.push({ ...entry, file: file.name });
+      if (window.length > windowSize) window.shift();
+    });
+  }
+
+  return {
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+    hasMore: total > offset + limit,
+    files: files.map(file => file.name),
+    results: window.slice(0, Math.max(0, window.length - offset)).reverse()
+  };
+}
+
+module.exports = {
+  parseSearchQuery,
+  searchLogs,
+  createEntryParser,
+  matches
+};
@@ -0,0 +1,134 @@
+/**
+ * Live log stream
+ * Pushes new log entries to admins as Server-Sent Events. Entries come from the
+ * logger's in-memory feed, so they are already redacted and past LOG_LEVEL.
+ * A client can replay the last few entries on connect, and EventSource
+ * reconnects pick up where they left off through Last-Event-ID.
+ */
+
+const logger = require('./logger');
+const lifecycle = require('./lifecycle');
+const { matches } = require('./logSearch');
+
+const DEFAULT_REPLAY = 100;
+const HEARTBEAT_MS = 15000;
+// A client this far behind is cut off; its EventSource reconnects and resumes
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// close() of every open stream; streams never finish on their own, so shutdown ends them
+const openStreams = new Set();
+lifecycle.onShutdown('logStreams', () => {
+  openStreams.forEach(close => close('server shutting down'));
+});
+
+/**
+ * Check the query string: ?level=error,warn&requestId=&replay=100.
+ * Returns { filters, replay, errors }.
+ */
+function parseStreamQuery(query = {}) {
+  const errors = [];
+  const filters = {};
+
+  const one = value => (Array.isArray(value) ? value[0] : value);
+  const text = key => (typeof one(query[key]) === 'string' ? one(query[key]).trim() : '');
+
+  if (text('level')) {
+    const levels = text('level').toLowerCase().split(',').map(level => level.trim()).filter(Boolean);
+    const unknown = levels.filter(level => !logger.LEVEL_SEVERITY[level]);
+    if (unknown.length > 0) errors.push(`Unknown level: ${unknown.join(', ')}`);
+    filters.levels = new Set(levels);
+  }
+
+  if (text('requestId')) filters.requestId = text('requestId');
+
+  const replay = text('replay') ? Number(text('replay')) : DEFAULT_REPLAY;
+  if (!(Number.isInteger(replay) && replay >= 0 && replay <= logger.recentLimit)) {
+    errors.push(`"replay" must be a whole number from 0 to ${logger.recentLimit}`);
+  }
+
+  return { filters, replay, errors };
+}
+
+function sendEvent(res, event, data, id) {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Entries to send on connect: everything after Last-Event-ID when the client
+ * is resuming, otherwise the last `replay` matching entries
+ */
+function backlog(lastEventId, filters, replay) {
+  const entries = logger.getRecentEntries().filter(entry => matches(entry, filters));
+  const lastId = /^\d+$/.test(lastEventId || '') ? Number(lastEventId) : null;
+
+  // IDs restart with the server; a larger one means we cannot tell what was missed
+  if (lastId !== null && lastId <= logger.sequence) {
+    return entries.filter(entry => entry.id > lastId);
+  }
+  return replay > 0 ? entries.slice(-replay) : [];
+}
+
+/**
+ * Serve one stream until the client goes away
+ */
+function openLogStream(req, res, { filters, replay }) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // keep proxies such as nginx from holding events back
+  });
+  res.flushHeaders();
+
+  const started = Date.now();
+  let unsubscribe = null;
+  let heartbeat = null;
+  let closed = false;
+
+  const close = reason => {
+    if (closed) return;
+    closed = true;
+    openStreams.delete(close);
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    logger.info(`Log stream closed (${reason})`, {
+      admin: req.admin.username,
+      duration: `${Math.round((Date.now() - started) / 1000)}s`
+    });
+    res.end();
+  };
+
+  logger.info('Log stream opened', {
+    admin: req.admin.username,
+    // Nested so the filter is not taken for this entry's own request ID
+    filters: { levels: filters.levels ? Array.from(filters.levels) : null, requestId: filters.requestId || null },
+    resumeFrom: req.get('Last-Event-ID') || null
+  });
+
+  const entries = backlog(req.get('Last-Event-ID'), filters, replay);
+  res.write('retry: 3000\n\n');
+  sendEvent(res, 'ready', { replayed: entries.length });
+  entries.forEach(entry => sendEvent(res, 'entry', entry, entry.id));
+
+  // Comments keep idle connections from being closed by proxies
+  heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  heartbeat.unref();
+
+  unsubscribe = logger.subscribe(entry => {
+    if (!matches(entry, filters)) return;
+    if (res.writableLength > MAX_BUFFERED_BYTES) {
+      close('client fell behind');
+      return;
+    }
+    sendEvent(res, 'entry', entry, entry.id);
+  });
+
+  openStreams.add(close);
+  res.on('close', () => close('client disconnected'));
+}
+
+module.exports = {
+  parseStreamQuery,
+  openLogStream
+};
@@ -5,18 +5,149 @@
 
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const settings = require('./settings');
+const redaction = require('./logRedaction');
+const requestContext = require('./requestContext');
+const { LEVEL_SEVERITY } = require('./logLevels');
+
+/**
+ * Console color of each level, shared with the admin live log viewer
+ */
+const LEVEL_COLORS = {
+  error: 'red',
+  warn: 'yellow',
+  info: 'cyan',
+  debug: 'magenta',
+  success: 'green',
+  request: 'blue',
+  response: 'blue',
+  email: 'cyan',
+  security: 'red',
+  validation: 'yellow',
+  database: 'magenta',
+  performance: 'green'
+};
+
+const ANSI_COLORS = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m'
+};
+
+const MB = 1024 * 1024;
+
+// dashrx-2025-03-04.log.gz, dashrx-2025-03-04T15.2.log, and the older dashrx.log.1
+const ARCHIVE_PATTERN = /^dashrx-\d{4}-\d{2}-\d{2}(T\d{2})?(\.\d+)?\.log(\.gz)?$|^dashrx\.log\.\d+$/;
+
+// Rotation periods follow Detroit time, like the timestamps in the text format
+const PERIOD_FORMAT = new Intl.DateTimeFormat('en-CA', {
+  timeZone: 'America/Detroit',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  hourCycle: 'h23'
+});
 
 class Logger {
   constructor() {
-    this.logDir = path.join(__dirname, '../logs');
+    this.logDir = settings.get('LOG_DIR') || path.join(__dirname, '../logs');
     this.logFile = path.join(this.logDir, 'dashrx.log');
-    this.maxLogSize = 10 * 1024 * 1024; // 10MB
-    this.maxLogFiles = 5;
+    this.maxBufferBytes = 64 * 1024; // write early once this much is queued
+    this.maxPendingBytes = 8 * 1024 * 1024; // drop entries past this while the disk catches up
+    this.maxRetainedBytes = 1024 * 1024; // kept for a retry while the file cannot be opened
+
+    // Write stream state
+    this.stream = null;
+    this.fileSize = 0;
+    this.filePeriod = null; // period the open file belongs to, e.g. 2025-03-04
+    this.archiving = Promise.resolve(); // compressions run one after another
+    this.buffer = [];
+    this.bufferBytes = 0;
+    this.inFlight = [];
+    this.inFlightBytes = 0;
+    this.generation = 0; // bumped when in-flight writes are abandoned
+    this.waitingForDrain = false;
+    this.flushScheduled = false;
+    this.rotating = false;
+    this.dropped = 0;
+    this.openError = null;
+    this.flushWaiters = [];
+    this.signalHandlers = new Map(); // removed by releaseSignals()
+
+    // Live feed for the admin log stream: recent entries plus subscribers
+    this.recentLimit = 500;
+    this.recent = [];
+    this.sequence = 0;
+    this.subscribers = new Set();
     
+    this.configure();
     this.ensureLogDirectory();
+    this.installExitHandlers();
+    this.applyRetention();
     this.startSession();
   }
 
+  /**
+   * Read LOG_FORMAT (text | json), LOG_LEVEL (any level name) and the PII
+   * redaction settings from env. Values that do not parse read as the
+   * defaults, text output at debug; validate() reports them at startup.
+   */
+  configure(env = process.env) {
+    this.format = settings.get('LOG_FORMAT', env);
+    this.level = settings.get('LOG_LEVEL', env);
+    this.threshold = LEVEL_SEVERITY[this.level];
+
+    this.configureRotation(env);
+
+    this.redaction = redaction.createSettings(env);
+    if (this.redaction.warning) console.warn(`⚠️ ${this.redaction.warning}`);
+    if (this.redaction.mode === 'unsafe') console.warn('⚠️ PII redaction is OFF (LOG_REDACTION=unsafe) - do not share these logs');
+  }
+
+  /**
+   * Rotation and retention: LOG_ROTATE_INTERVAL (daily | hourly | size),
+   * LOG_MAX_SIZE_MB, LOG_RETENTION_DAYS and LOG_MAX_TOTAL_MB (archive budget)
+   */
+  configureRotation(env = process.env) {
+    this.rotateInterval = settings.get('LOG_ROTATE_INTERVAL', env);
+    this.maxLogSize = settings.get('LOG_MAX_SIZE_MB', env) * MB;
+    this.retentionDays = settings.get('LOG_RETENTION_DAYS', env);
+    this.maxTotalSize = settings.get('LOG_MAX_TOTAL_MB', env) * MB;
+  }
+
+  /**
+   * Period a moment falls in: 2025-03-04, or 2025-03-04T15 when rotating hourly
+   */
+  periodOf(time) {
+    const parts = {};
+    PERIOD_FORMAT.formatToParts(new Date(time)).forEach(part => { parts[part.type] = part.value; });
+    const day = `${parts.year}-${parts.month}-${parts.day}`;
+    return this.rotateInterval === 'hourly' ? `${day}T${parts.hour}` : day;
+  }
+
+  /**
+   * Whether the open file has to be archived before more is written to it
+   */
+  needsRotation(incomingBytes) {
+    if (this.fileSize === 0) return false;
+    if (this.fileSize + incomingBytes > this.maxLogSize) return 'size';
+    if (this.rotateInterval !== 'size' && this.filePeriod !== this.periodOf(Date.now())) return 'interval';
+    return false;
+  }
+
+  /**
+   * Whether a level passes the LOG_LEVEL threshold
+   */
+  isLevelEnabled(level) {
+    return (LEVEL_SEVERITY[level] || LEVEL_SEVERITY.info) >= this.threshold;
+  }
+
   /**
    * Ensure log directory exists
    */
@@ -30,6 +161,16 @@ class Logger {
    * Start a new logging session
    */
   startSession() {
+    if (this.format === 'json') {
+      this.log('info', 'Server session started', {
+        nodeVersion: process.version,
+        platform: process.platform,
+        environment: settings.get('NODE_ENV'),
+        mailProvider: settings.get('MAIL_PROVIDER')
+      });
+      return;
+    }
+
     const sessionStart = this.formatTimestamp();
     const separator = '='.repeat(80);
     const sessionInfo = `
@@ -39,8 +180,8 @@ ${separator}
 Timestamp: ${sessionStart}
 Node Version: ${process.version}
 Platform: ${process.platform}
-Environment: ${process.env.NODE_ENV || 'development'}
-Mail Provider: ${process.env.MAIL_PROVIDER || 'gmail'}
+Environment: ${settings.get('NODE_ENV')}
+Mail Provider: ${settings.get('MAIL_PROVIDER')}
 ${separator}
 `;
     
@@ -75,49 +216,351 @@ ${separator}
   }
 
   /**
-   * Write log entry to file
+   * Queue a log entry. Entries are written by a background stream in batches:
+   * once per tick, or straight away when maxBufferBytes are waiting.
    */
   writeToFile(message) {
+    const entry = message + '\n';
+    const bytes = Buffer.byteLength(entry, 'utf8');
+
+    // The disk is not keeping up; drop rather than grow without bound
+    if (this.pendingBytes() + bytes > this.maxPendingBytes) {
+      this.dropped++;
+      return;
+    }
+
+    this.buffer.push(entry);
+    this.bufferBytes += bytes;
+
+    if (this.bufferBytes >= this.maxBufferBytes) {
+      this.drainBuffer();
+    } else if (!this.flushScheduled) {
+      this.flushScheduled = true;
+      setImmediate(() => {
+        this.flushScheduled = false;
+        this.drainBuffer();
+      });
+    }
+  }
+
+  /**
+   * Bytes queued or handed to the stream but not yet on disk
+   */
+  pendingBytes() {
+    return this.bufferBytes + this.inFlightBytes;
+  }
+
+  /**
+   * Open the append stream; the file size is read once here and tracked from
+   * then on, so rotation needs no stat per entry
+   */
+  openStream() {
+    if (this.stream) return this.stream;
+
+    this.ensureLogDirectory();
+    // A file left over from an earlier run belongs to the period it was last written in
+    const existing = fs.existsSync(this.logFile) ? fs.statSync(this.logFile) : null;
+    this.fileSize = existing ? existing.size : 0;
+    this.filePeriod = this.periodOf(existing ? existing.mtime : Date.now());
+
+    const stream = fs.createWriteStream(this.logFile, { flags: 'a', encoding: 'utf8' });
+    stream.on('error', error => {
+      console.error('❌ Failed to write to log file:', error.message);
+      if (this.stream !== stream) return;
+      // Lose what was in flight and start over with a fresh stream
+      this.generation++;
+      this.stream = null;
+      this.waitingForDrain = false;
+      this.inFlight = [];
+      this.inFlightBytes = 0;
+      setImmediate(() => this.drainBuffer());
+    });
+
+    this.stream = stream;
+    return stream;
+  }
+
+  /**
+   * Hand the buffer to the stream as one chunk, honouring backpressure
+   */
+  drainBuffer() {
+    if (this.waitingForDrain || this.rotating || this.bufferBytes === 0) {
+      this.settleFlushes();
+      return;
+    }
+
+    let stream;
     try {
-      // Check if log rotation is needed
-      this.rotateLogsIfNeeded();
-      
-      fs.appendFileSync(this.logFile, message + '\n', 'utf8');
+      stream = this.openStream();
     } catch (error) {
-      console.error('❌ Failed to write to log file:', error.message);
+      this.openFailed(error);
+      return;
+    }
+    this.openError = null;
+
+    const rotation = this.needsRotation(this.bufferBytes);
+    if (rotation) {
+      this.rotate(rotation);
+      return;
+    }
+
+    const chunk = this.buffer.join('');
+    const bytes = this.bufferBytes;
+    const generation = this.generation;
+    this.buffer = [];
+    this.bufferBytes = 0;
+    this.fileSize += bytes;
+    this.inFlight.push(chunk);
+    this.inFlightBytes += bytes;
+
+    const written = stream.write(chunk, () => {
+      if (this.generation === generation && this.inFlight.length > 0) {
+        this.inFlight.shift();
+        this.inFlightBytes -= bytes;
+      }
+      this.settleFlushes();
+    });
+
+    if (written) {
+      this.reportDropped();
+    } else {
+      this.waitingForDrain = true;
+      stream.once('drain', () => {
+        if (this.stream !== stream) return;
+        this.waitingForDrain = false;
+        this.reportDropped();
+        this.drainBuffer();
+      });
     }
   }
 
   /**
-   * Rotate logs if file gets too large
+   * The log file cannot be opened (LOG_DIR missing or read-only). Keep only
+   * the newest maxRetainedBytes for the retry on the next write, and release
+   * flush() callers rather than leave them waiting on a disk that may not
+   * come back.
    */
-  rotateLogsIfNeeded() {
+  openFailed(error) {
+    if (!this.openError || this.openError.message !== error.message) {
+      console.error('❌ Failed to open log file:', error.message);
+    }
+    this.openError = error;
+
+    while (this.bufferBytes > this.maxRetainedBytes) {
+      this.bufferBytes -= Buffer.byteLength(this.buffer.shift(), 'utf8');
+      this.dropped++;
+    }
+
+    const waiters = this.flushWaiters;
+    this.flushWaiters = [];
+    waiters.forEach(resolve => resolve(false));
+  }
+
+  /**
+   * Note entries that were dropped while the stream was backed up
+   */
+  reportDropped() {
+    if (this.dropped === 0) return;
+    const count = this.dropped;
+    this.dropped = 0;
+    this.warn(`Log writer fell behind; dropped ${count} entries`);
+  }
+
+  /**
+   * Resolve flush() promises once nothing is buffered or in flight
+   */
+  settleFlushes() {
+    if (this.bufferBytes > 0 || this.inFlight.length > 0 || this.rotating) return;
+    const waiters = this.flushWaiters;
+    this.flushWaiters = [];
+    waiters.forEach(resolve => resolve(true));
+  }
+
+  /**
+   * Wait until every queued entry is on disk. Resolves true, or false when
+   * the log file cannot be opened.
+   */
+  flush() {
+    return new Promise(resolve => {
+      this.flushWaiters.push(resolve);
+      this.drainBuffer();
+    });
+  }
+
+  /**
+   * Last-resort synchronous write for process exit and crashes, when the
+   * stream can no longer finish on its own. A chunk the stream was still
+   * writing may appear twice; none are lost. Graceful shutdown uses close().
+   */
+  flushSync() {
+    const data = this.inFlight.join('') + this.buffer.join('');
+    // Write callbacks still pending belong to chunks written here
+    this.generation++;
+    this.inFlight = [];
+    this.inFlightBytes = 0;
+    this.buffer = [];
+    this.bufferBytes = 0;
+    this.settleFlushes();
+    if (!data) return;
+
     try {
-      if (!fs.existsSync(this.logFile)) return;
-      
-      const stats = fs.statSync(this.logFile);
-      if (stats.size > this.maxLogSize) {
-        // Rotate existing log files
-        for (let i = this.maxLogFiles - 1; i >= 1; i--) {
-          const oldFile = `${this.logFile}.${i}`;
-          const newFile = `${this.logFile}.${i + 1}`;
-          
-          if (fs.existsSync(oldFile)) {
-            if (i === this.maxLogFiles - 1) {
-              fs.unlinkSync(oldFile); // Delete oldest
-            } else {
-              fs.renameSync(oldFile, newFile);
-            }
-          }
+      this.ensureLogDirectory();
+      fs.appendFileSync(this.logFile, data, 'utf8');
+    } catch (error) {
+      console.error('❌ Failed to write to log file:', error.message);
+    }
+  }
+
+  /**
+   * Flush and close the stream
+   */
+  async close() {
+    await this.flush();
+    await this.archiving;
+    const stream = this.stream;
+    this.stream = null;
+    if (stream) await new Promise(resolve => stream.end(resolve));
+  }
+
+  /**
+   * Drop the open stream so the next write starts a fresh file
+   */
+  resetStream() {
+    this.generation++;
+    if (this.stream) this.stream.destroy();
+    this.stream = null;
+    this.waitingForDrain = false;
+    this.inFlight = [];
+    this.inFlightBytes = 0;
+    this.fileSize = 0;
+    this.settleFlushes();
+  }
+
+  /**
+   * Write out buffered entries when the process exits or crashes. SIGINT and
+   * SIGTERM are flushed and re-raised until graceful shutdown takes them over
+   * with releaseSignals().
+   */
+  installExitHandlers() {
+    process.on('exit', () => this.flushSync());
+
+    process.on('uncaughtExceptionMonitor', error => {
+      this.error('Uncaught exception - process will exit', { error: error.message, stack: error.stack });
+      this.flushSync();
+    });
+
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+      const handler = () => {
+        this.flushSync();
+        if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+      };
+      this.signalHandlers.set(signal, handler);
+      process.once(signal, handler);
+    });
+  }
+
+  /**
+   * Leave SIGINT and SIGTERM to the caller, which flushes with close(). The
+   * exit and crash hooks stay in place.
+   */
+  releaseSignals() {
+    this.signalHandlers.forEach((handler, signal) => process.removeListener(signal, handler));
+    this.signalHandlers.clear();
+  }
+
+  /**
+   * Close the current file, rename it to dashrx-<period>.log and compress it in
+   * the background. Entries keep buffering until the new file is open.
+   */
+  rotate(reason) {
+    this.rotating = true;
+    const stream = this.stream;
+    const period = this.filePeriod;
+    this.stream = null;
+
+    const finish = () => {
+      let archived = null;
+      try {
+        if (fs.existsSync(this.logFile)) {
+          archived = this.archivePath(period);
+          fs.renameSync(this.logFile, archived);
         }
-        
-        // Move current log to .1
-        fs.renameSync(this.logFile, `${this.logFile}.1`);
-        
-        this.log('info', 'Log file rotated due to size limit');
+      } catch (error) {
+        console.error('❌ Log rotation failed:', error.message);
       }
+
+      this.fileSize = 0;
+      this.rotating = false;
+      this.log('info', `Log file rotated (${reason === 'size' ? 'size limit' : `new ${this.rotateInterval === 'hourly' ? 'hour' : 'day'}`})`, {
+        archive: archived ? `${path.basename(archived)}.gz` : null
+      });
+      if (archived) this.compress(archived);
+      this.drainBuffer();
+    };
+
+    if (stream) stream.end(finish);
+    else finish();
+  }
+
+  /**
+   * First free archive name for a period: dashrx-2025-03-04.log, then
+   * dashrx-2025-03-04.1.log, ... when a period rotates more than once
+   */
+  archivePath(period) {
+    for (let n = 0; ; n++) {
+      const candidate = path.join(this.logDir, `dashrx-${period}${n ? `.${n}` : ''}.log`);
+      if (!fs.existsSync(candidate) && !fs.existsSync(`${candidate}.gz`)) return candidate;
+    }
+  }
+
+  /**
+   * Gzip a rotated file next to itself, keep its modification time, remove
+   * the original, then enforce retention. Runs one file at a time.
+   */
+  compress(file) {
+    const job = async () => {
+      const target = `${file}.gz`;
+      const partial = `${target}.tmp`;
+      try {
+        const { mtime } = fs.statSync(file);
+        await pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(partial));
+        fs.renameSync(partial, target);
+        fs.utimesSync(target, mtime, mtime);
+        fs.unlinkSync(file);
+      } catch (error) {
+        console.error('❌ Log compression failed:', error.message);
+        if (fs.existsSync(partial)) fs.unlinkSync(partial);
+      }
+      this.applyRetention();
+    };
+
+    this.archiving = this.archiving.then(job);
+    return this.archiving;
+  }
+
+  /**
+   * Delete archives older than retentionDays, then the oldest ones until all
+   * archives fit in maxTotalSize. The live file is never deleted.
+   */
+  applyRetention() {
+    try {
+      const archives = this.getLogFiles().filter(file => file.name !== 'dashrx.log')
+        .sort((a, b) => a.modified - b.modified);
+      const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+      let total = archives.reduce((sum, file) => sum + file.size, 0);
+      const removed = [];
+
+      archives.forEach(file => {
+        const expired = file.modified.getTime() < cutoff;
+        if (!expired && total <= this.maxTotalSize) return;
+        fs.unlinkSync(file.path);
+        total -= file.size;
+        removed.push({ name: file.name, reason: expired ? 'age' : 'disk budget' });
+      });
+
+      if (removed.length > 0) this.info(`Deleted ${removed.length} old log archives`, { removed });
     } catch (error) {
-      console.error('❌ Log rotation failed:', error.message);
+      console.error('❌ Log retention failed:', error.message);
     }
   }
 
@@ -125,6 +568,28 @@ ${separator}
    * Main logging method
    */
   log(level, message, data = null) {
+    if (!this.isLevelEnabled(level)) return;
+
+    // Nothing reaches the file or console before PII is masked
+    message = redaction.redactText(message, this.redaction);
+    data = redaction.redactData(data, this.redaction);
+
+    const record = this.buildRecord(level, message, data);
+    this.publish(record);
+
+    if (this.format === 'json') {
+      const line = JSON.stringify(record);
+      this.writeToFile(line);
+      console.log(line);
+      return;
+    }
+
+    // Tag the entry with the request it belongs to, in the usual "[id]" form
+    const requestId = this.requestIdFor(data);
+    if (requestId && !message.includes(`[${requestId}]`)) {
+      message = `${message} [${requestId}]`;
+    }
+
     const timestamp = this.formatTimestamp();
     const levelEmoji = this.getLevelEmoji(level);
     const levelText = level.toUpperCase().padEnd(7);
@@ -146,6 +611,69 @@ ${separator}
     this.consoleOutput(level, message, data, timestamp);
   }
 
+  /**
+   * Request ID for an entry: an explicit requestId in the data, otherwise the
+   * request being handled (see requestContext)
+   */
+  requestIdFor(data) {
+    const explicit = data && typeof data === 'object' && !Array.isArray(data) ? data.requestId : null;
+    return explicit || requestContext.getRequestId();
+  }
+
+  /**
+   * One NDJSON record. A requestId in the data is lifted to the top level.
+   */
+  buildRecord(level, message, data) {
+    let fields = data;
+
+    if (data && typeof data === 'object' && !Array.isArray(data) && data.requestId !== undefined) {
+      fields = { ...data };
+      delete fields.requestId;
+      if (Object.keys(fields).length === 0) fields = null;
+    }
+
+    return {
+      timestamp: new Date().toISOString(),
+      level,
+      message,
+      requestId: this.requestIdFor(data) || null,
+      data: fields === undefined ? null : fields
+    };
+  }
+
+  /**
+   * Hand an entry to the live feed, numbered so stream clients can resume
+   */
+  publish(record) {
+    const entry = { id: ++this.sequence, ...record };
+    this.recent.push(entry);
+    if (this.recent.length > this.recentLimit) this.recent.shift();
+
+    this.subscribers.forEach(listener => {
+      try {
+        listener(entry);
+      } catch (error) {
+        console.error('❌ Log subscriber failed:', error.message);
+      }
+    });
+  }
+
+  /**
+   * Call listener with every new entry (already redacted and past LOG_LEVEL).
+   * Returns a function that unsubscribes.
+   */
+  subscribe(listener) {
+    this.subscribers.add(listener);
+    return () => this.subscribers.delete(listener);
+  }
+
+  /**
+   * The last recentLimit entries, oldest first
+   */
+  getRecentEntries() {
+    return this.recent.slice();
+  }
+
   /**
    * Get emoji for log level
    */
@@ -171,23 +699,8 @@ ${separator}
    * Console output with colors
    */
   consoleOutput(level, message, data, timestamp) {
-    const colors = {
-      error: '\x1b[31m',   // Red
-      warn: '\x1b[33m',    // Yellow
-      info: '\x1b[36m',    // Cyan
-      debug: '\x1b[35m',   // Magenta
-      success: '\x1b[32m', // Green
-      request: '\x1b[34m', // Blue
-      response: '\x1b[34m',// Blue
-      email: '\x1b[36m',   // Cyan
-      security: '\x1b[31m',// Red
-      validation: '\x1b[33m', // Yellow
-      database: '\x1b[35m',// Magenta
-      performance: '\x1b[32m' // Green
-    };
-    
     const reset = '\x1b[0m';
-    const color = colors[level] || colors.info;
+    const color = ANSI_COLORS[LEVEL_COLORS[level] || LEVEL_COLORS.info];
     const emoji = this.getLevelEmoji(level);
     
     console.log(`${color}${emoji} [${timestamp.split(' ')[1]}] ${message}${reset}`);
@@ -287,40 +800,49 @@ ${separator}
    */
   getLogFiles() {
     try {
-      const files = [];
-      
-      // Main log file
-      if (fs.existsSync(this.logFile)) {
-        const stats = fs.statSync(this.logFile);
-        files.push({
-          name: 'dashrx.log',
-          path: this.logFile,
-          size: stats.size,
-          modified: stats.mtime
-        });
-      }
-      
-      // Rotated log files
-      for (let i = 1; i <= this.maxLogFiles; i++) {
-        const rotatedFile = `${this.logFile}.${i}`;
-        if (fs.existsSync(rotatedFile)) {
-          const stats = fs.statSync(rotatedFile);
-          files.push({
-            name: `dashrx.log.${i}`,
-            path: rotatedFile,
+      if (!fs.existsSync(this.logDir)) return [];
+
+      // The live file and every archive, compressed or not
+      return fs.readdirSync(this.logDir)
+        .filter(name => name === 'dashrx.log' || ARCHIVE_PATTERN.test(name))
+        .map(name => {
+          const filePath = path.join(this.logDir, name);
+          const stats = fs.statSync(filePath);
+          return {
+            name,
+            path: filePath,
             size: stats.size,
-            modified: stats.mtime
-          });
-        }
-      }
-      
-      return files.sort((a, b) => b.modified - a.modified);
+            modified: stats.mtime,
+            compressed: name.endsWith('.gz')
+          };
+        })
+        .sort((a, b) => b.modified - a.modified);
     } catch (error) {
       this.error('Failed to get log files', { error: error.message });
       return [];
     }
   }
 
+  /**
+   * Full text of a log file, decompressing archives
+   */
+  readLogFile(file) {
+    const content = fs.readFileSync(file.path);
+    return (file.compressed ? zlib.gunzipSync(content) : content).toString('utf8');
+  }
+
+  /**
+   * Text stream of a log file, decompressing archives on the fly
+   */
+  createLogReadStream(file) {
+    const input = fs.createReadStream(file.path);
+    if (!file.compressed) return input;
+
+    const gunzip = zlib.createGunzip();
+    input.on('error', error => gunzip.destroy(error));
+    return input.pipe(gunzip);
+  }
+
   /**
    * Get combined log content for download
    */
@@ -336,12 +858,15 @@ ${separator}
         if (fs.existsSync(file.path)) {
           combinedContent += `\n${'='.repeat(40)}\n`;
           combinedContent += `LOG FILE: ${file.name}\n`;
-          combinedContent += `SIZE: ${(file.size / 1024).toFixed(2)} KB\n`;
+          combinedContent += `SIZE: ${(file.size / 1024).toFixed(2)} KB${file.compressed ? ' (gzip)' : ''}\n`;
           combinedContent += `MODIFIED: ${file.modified.toISOString()}\n`;
           combinedContent += '='.repeat(40) + '\n\n';
           
-          const content = fs.readFileSync(file.path, 'utf8');
-          combinedContent += content + '\n\n';
+          try {
+            combinedContent += this.readLogFile(file) + '\n\n';
+          } catch (error) {
+            combinedContent += `(could not read this file: ${error.message})\n\n`;
+          }
         }
       });
       
@@ -367,6 +892,7 @@ ${separator}
         }
       });
       
+      this.resetStream();
       this.info(`Cleared ${cleared} log files`);
       this.startSession(); // Start new session after clearing
       
@@ -382,3 +908,5 @@ ${separator}
 const logger = new Logger();
 
 module.exports = logger;
+module.exports.LEVEL_SEVERITY = LEVEL_SEVERITY;
+module.exports.LEVEL_COLORS = LEVEL_COLORS;
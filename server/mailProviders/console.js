@@ -0,0 +1,42 @@
+/**
+ * Console provider - prints each message to stdout instead of sending it
+ */
+
+const nodemailer = require('nodemailer');
+
+function validate() {
+  return [];
+}
+
+function create() {
+  const composer = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    async sendMail(message) {
+      const info = await composer.sendMail(message);
+      const mail = JSON.parse(info.message);
+      const separator = '-'.repeat(80);
+
+      console.log([
+        separator,
+        `📧 To: ${message.to}`,
+        `📧 From: ${message.from}`,
+        message.replyTo ? `📧 Reply-To: ${message.replyTo}` : null,
+        `📧 Subject: ${mail.subject}`,
+        separator,
+        mail.text || '',
+        separator
+      ].filter(line => line !== null).join('\n'));
+
+      return { messageId: info.messageId };
+    },
+
+    async verify() {
+      return true;
+    },
+
+    close() {}
+  };
+}
+
+module.exports = { validate, create };
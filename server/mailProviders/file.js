@@ -0,0 +1,43 @@
+/**
+ * File provider - writes each message as an .eml file instead of sending it
+ * Useful for local development and staging
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_DIR = path.join(__dirname, '../../data/mail');
+
+function validate() {
+  return [];
+}
+
+function create(env) {
+  const dir = env.MAIL_FILE_DIR || DEFAULT_DIR;
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    async sendMail(message) {
+      const info = await composer.sendMail(message);
+
+      fs.mkdirSync(dir, { recursive: true });
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const id = info.messageId.replace(/[<>]/g, '').replace(/[^a-zA-Z0-9@._-]/g, '_');
+      const file = path.join(dir, `${stamp}-${id}.eml`);
+      fs.writeFileSync(file, info.message);
+
+      return { messageId: info.messageId, file };
+    },
+
+    async verify() {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.accessSync(dir, fs.constants.W_OK);
+      return true;
+    },
+
+    close() {}
+  };
+}
+
+module.exports = { validate, create };
@@ -0,0 +1,29 @@
+/**
+ * Gmail provider - SMTP over SSL with an App Password
+ */
+
+const nodemailer = require('nodemailer');
+
+function validate(env) {
+  const errors = [];
+  if (!env.MAIL_USER) errors.push('MAIL_USER is required for gmail');
+  if (!env.MAIL_PASS) errors.push('MAIL_PASS (Gmail App Password) is required for gmail');
+  return errors;
+}
+
+function create(env) {
+  return nodemailer.createTransport({
+    host: 'smtp.gmail.com',
+    port: 465,
+    secure: true, // SSL
+    auth: {
+      user: env.MAIL_USER,  // e.g. Dashrx10@gmail.com
+      pass: env.MAIL_PASS   // <-- use the Gmail App Password here
+    },
+    tls: {
+      rejectUnauthorized: true
+    }
+  });
+}
+
+module.exports = { validate, create };
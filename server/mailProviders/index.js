@@ -0,0 +1,41 @@
+/**
+ * Mail provider registry
+ * Each provider validates its own configuration and builds a transport
+ * exposing sendMail(message) -> { messageId }, plus optional verify() and close()
+ */
+
+const providers = {};
+
+/**
+ * Register a provider under a MAIL_PROVIDER name
+ */
+function registerProvider(name, provider) {
+  providers[name.toLowerCase()] = provider;
+}
+
+function getProvider(name) {
+  const provider = providers[String(name || '').toLowerCase()];
+  if (!provider) {
+    const err = new Error(`Unsupported MAIL_PROVIDER: ${name} (available: ${listProviders().join(', ')})`);
+    err.code = 'MAIL_UNSUPPORTED_PROVIDER';
+    throw err;
+  }
+  return provider;
+}
+
+function listProviders() {
+  return Object.keys(providers).sort();
+}
+
+registerProvider('gmail', require('./gmail'));
+registerProvider('smtp', require('./smtp'));
+registerProvider('sendgrid', require('./sendgrid'));
+registerProvider('mailgun', require('./mailgun'));
+registerProvider('file', require('./file'));
+registerProvider('console', require('./console'));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders
+};
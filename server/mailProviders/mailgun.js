@@ -0,0 +1,85 @@
+/**
+ * Mailgun provider - Messages API over HTTPS
+ * Use MAILGUN_API_URL=https://api.eu.mailgun.net for EU domains, or a local
+ * stand-in server for tests
+ */
+
+const { get, post, isValidUrl } = require('../httpClient');
+
+const DEFAULT_API_URL = 'https://api.mailgun.net';
+const VERIFY_TIMEOUT_MS = 10000;
+
+function validate(env) {
+  const errors = [];
+  if (!env.MAILGUN_API_KEY) errors.push('MAILGUN_API_KEY is required for mailgun');
+  if (!env.MAILGUN_DOMAIN) errors.push('MAILGUN_DOMAIN is required for mailgun');
+  if (env.MAILGUN_API_URL && !isValidUrl(env.MAILGUN_API_URL)) {
+    errors.push('MAILGUN_API_URL must be an http(s) URL');
+  }
+  return errors;
+}
+
+function create(env) {
+  const endpoint = new URL(
+    `/v3/${encodeURIComponent(env.MAILGUN_DOMAIN)}/messages`,
+    env.MAILGUN_API_URL || DEFAULT_API_URL
+  ).toString();
+  const domainEndpoint = new URL(
+    `/v3/domains/${encodeURIComponent(env.MAILGUN_DOMAIN)}`,
+    env.MAILGUN_API_URL || DEFAULT_API_URL
+  ).toString();
+  const credentials = Buffer.from(`api:${env.MAILGUN_API_KEY}`).toString('base64');
+
+  return {
+    async sendMail(message) {
+      const form = new URLSearchParams();
+      form.append('from', message.from);
+      form.append('to', message.to);
+      form.append('subject', message.subject);
+      form.append('text', message.text || '');
+      if (message.html) form.append('html', message.html);
+      if (message.replyTo) form.append('h:Reply-To', message.replyTo);
+
+      const response = await post(endpoint, {
+        headers: {
+          Authorization: `Basic ${credentials}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: form.toString()
+      });
+
+      let parsed = {};
+      try {
+        parsed = JSON.parse(response.body);
+      } catch (error) {
+        // Mailgun always answers JSON; keep going without an ID if it didn't
+      }
+      return { messageId: parsed.id || null };
+    },
+
+    /**
+     * Look up the sending domain, which needs a valid key and a known domain
+     */
+    async verify() {
+      try {
+        await get(domainEndpoint, {
+          headers: { Authorization: `Basic ${credentials}` },
+          timeoutMs: VERIFY_TIMEOUT_MS,
+          service: 'Mailgun'
+        });
+      } catch (error) {
+        if (error.responseCode === 401 || error.responseCode === 403) {
+          error.message = `Mailgun rejected MAILGUN_API_KEY (HTTP ${error.responseCode})`;
+        } else if (error.responseCode === 404) {
+          error.message = `Mailgun does not know MAILGUN_DOMAIN ${env.MAILGUN_DOMAIN}`;
+        }
+        throw error;
+      }
+      return true;
+    },
+
+    close() {}
+  };
+}
+
+module.exports = { validate, create };
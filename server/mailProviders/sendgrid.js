@@ -0,0 +1,76 @@
+/**
+ * SendGrid provider - v3 Mail Send API over HTTPS
+ * SENDGRID_API_URL can point at a local stand-in server for tests
+ */
+
+const addressparser = require('nodemailer/lib/addressparser');
+const { get, post, isValidUrl } = require('../httpClient');
+
+const DEFAULT_API_URL = 'https://api.sendgrid.com';
+const VERIFY_TIMEOUT_MS = 10000;
+
+function toAddresses(value) {
+  return addressparser(value || '').map(a => (a.name ? { email: a.address, name: a.name } : { email: a.address }));
+}
+
+function validate(env) {
+  const errors = [];
+  if (!env.SENDGRID_API_KEY) errors.push('SENDGRID_API_KEY is required for sendgrid');
+  if (env.SENDGRID_API_URL && !isValidUrl(env.SENDGRID_API_URL)) {
+    errors.push('SENDGRID_API_URL must be an http(s) URL');
+  }
+  return errors;
+}
+
+function create(env) {
+  const endpoint = new URL('/v3/mail/send', env.SENDGRID_API_URL || DEFAULT_API_URL).toString();
+  const scopesEndpoint = new URL('/v3/scopes', env.SENDGRID_API_URL || DEFAULT_API_URL).toString();
+
+  return {
+    async sendMail(message) {
+      const content = [{ type: 'text/plain', value: message.text || '' }];
+      if (message.html) content.push({ type: 'text/html', value: message.html });
+
+      const payload = {
+        personalizations: [{ to: toAddresses(message.to) }],
+        from: toAddresses(message.from)[0],
+        subject: message.subject,
+        content
+      };
+      if (message.replyTo) payload.reply_to = toAddresses(message.replyTo)[0];
+
+      const response = await post(endpoint, {
+        headers: {
+          Authorization: `Bearer ${env.SENDGRID_API_KEY}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+      });
+
+      return { messageId: response.headers['x-message-id'] || null };
+    },
+
+    /**
+     * Read the key's scopes: the cheapest call that needs a valid API key
+     */
+    async verify() {
+      try {
+        await get(scopesEndpoint, {
+          headers: { Authorization: `Bearer ${env.SENDGRID_API_KEY}` },
+          timeoutMs: VERIFY_TIMEOUT_MS,
+          service: 'SendGrid'
+        });
+      } catch (error) {
+        if (error.responseCode === 401 || error.responseCode === 403) {
+          error.message = `SendGrid rejected SENDGRID_API_KEY (HTTP ${error.responseCode})`;
+        }
+        throw error;
+      }
+      return true;
+    },
+
+    close() {}
+  };
+}
+
+module.exports = { validate, create };
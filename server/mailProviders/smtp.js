@@ -0,0 +1,53 @@
+/**
+ * Generic SMTP provider
+ * SMTP_SECURE=true uses implicit TLS (usually port 465); otherwise STARTTLS is
+ * negotiated when the server offers it
+ */
+
+const nodemailer = require('nodemailer');
+
+function settings(env) {
+  const port = parseInt(env.SMTP_PORT) || 587;
+  return {
+    host: env.SMTP_HOST,
+    port,
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+    requireTLS: env.SMTP_REQUIRE_TLS === 'true',
+    rejectUnauthorized: env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false',
+    user: env.SMTP_USER,
+    pass: env.SMTP_PASS
+  };
+}
+
+function validate(env) {
+  const errors = [];
+  const s = settings(env);
+
+  if (!s.host) errors.push('SMTP_HOST is required for smtp');
+  if (env.SMTP_PORT && !(/^\d+$/.test(env.SMTP_PORT) && s.port > 0 && s.port < 65536)) {
+    errors.push('SMTP_PORT must be a port number');
+  }
+  if (env.SMTP_SECURE && !['true', 'false'].includes(env.SMTP_SECURE)) {
+    errors.push('SMTP_SECURE must be "true" or "false"');
+  }
+  if (!!s.user !== !!s.pass) {
+    errors.push('SMTP_USER and SMTP_PASS must be set together');
+  }
+  return errors;
+}
+
+function create(env) {
+  const s = settings(env);
+  return nodemailer.createTransport({
+    host: s.host,
+    port: s.port,
+    secure: s.secure,
+    requireTLS: s.requireTLS,
+    auth: s.user ? { user: s.user, pass: s.pass } : undefined,
+    tls: {
+      rejectUnauthorized: s.rejectUnauthorized
+    }
+  });
+}
+
+module.exports = { validate, create };
@@ -0,0 +1,72 @@
+/**
+ * Confirmation sent back to the pharmacy that submitted the quote form
+ * Anyone can type any address into the form, so nothing the visitor wrote
+ * (names, pharmacy, location) is echoed back; only the reference number and
+ * the volume option they picked from a fixed list.
+ */
+
+const { html } = require('./html');
+const { heading, sectionTitle, detailTable, paragraph, COLORS } = require('./layout');
+
+const NEXT_STEPS = [
+  "We'll review your pharmacy's delivery needs",
+  'Our team will prepare a customized quote',
+  "You'll receive detailed pricing and service options via email"
+];
+
+const PRIVACY_REMINDER = 'Never include patient information in site communications. If you reply to this email, please keep it to business details only.';
+
+/**
+ * tel: link target; ten-digit numbers are assumed to be US numbers
+ */
+function telLink(phone) {
+  const digits = phone.replace(/[^\d+]/g, '');
+  return /^\d{10}$/.test(digits) ? `+1${digits}` : digits;
+}
+
+function subject({ reference }) {
+  return `We received your DashRx quote request (Ref ${reference})`;
+}
+
+function title() {
+  return 'We received your quote request';
+}
+
+function text({ reference, scriptsDisplay, contactPhone, contactEmail }) {
+  return `Hello,
+
+Thanks for requesting a delivery quote from DashRx. We've received your request.
+
+Your reference number: ${reference}
+Estimated Weekly Deliveries: ${scriptsDisplay}
+
+WHAT HAPPENS NEXT:
+${NEXT_STEPS.map((step, i) => `${i + 1}. ${step}`).join('\n')}
+
+PRIVACY REMINDER:
+${PRIVACY_REMINDER}
+
+For urgent requests or questions, call us at ${contactPhone} or email ${contactEmail} and mention your reference number.
+
+— The DashRx Team`;
+}
+
+function htmlBody({ reference, scriptsDisplay, contactPhone, contactEmail }) {
+  return html`${heading('Thanks — we received your quote request')}
+${paragraph('Hello,')}
+${paragraph("Thanks for requesting a delivery quote from DashRx. We've received your request.")}
+<p style="margin:16px 0;padding:12px 16px;background:${COLORS.background};border-left:4px solid ${COLORS.primary};">Your reference number: <strong>${reference}</strong></p>
+${detailTable('Your Request', [
+    ['Estimated Weekly Deliveries', scriptsDisplay]
+  ])}
+${sectionTitle('What Happens Next')}
+<ol style="margin:0 0 12px;padding-left:20px;">
+${NEXT_STEPS.map(step => html`  <li>${step}</li>
+`)}</ol>
+${sectionTitle('Privacy Reminder')}
+${paragraph(PRIVACY_REMINDER)}
+<p style="margin:24px 0 12px;">For urgent requests or questions, call us at <a href="tel:${telLink(contactPhone)}">${contactPhone}</a> or email <a href="mailto:${contactEmail}">${contactEmail}</a> and mention your reference number.</p>
+<p style="margin:0;">— The DashRx Team</p>`;
+}
+
+module.exports = { subject, title, text, html: htmlBody };
@@ -0,0 +1,50 @@
+/**
+ * Auto-escaping HTML tag for email templates
+ * Every interpolated value is escaped unless it was produced by html`` or raw()
+ */
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function interpolate(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(interpolate).join('');
+  return escapeHtml(value);
+}
+
+/**
+ * Tagged template: html`<p>${userInput}</p>` escapes userInput
+ */
+function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    out += interpolate(value) + strings[i + 1];
+  });
+  return new SafeHtml(out);
+}
+
+/**
+ * Mark trusted markup so it is inserted as-is
+ */
+function raw(value) {
+  return new SafeHtml(String(value));
+}
+
+module.exports = { html, raw, escapeHtml, SafeHtml };
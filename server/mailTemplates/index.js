@@ -0,0 +1,93 @@
+/**
+ * Mail template registry
+ * Each template exposes subject(vars), text(vars) and html(vars); render() wraps
+ * them in the shared layout and supplies the common variables every email uses
+ */
+
+const settings = require('../settings');
+const { html, raw, escapeHtml, SafeHtml } = require('./html');
+const layout = require('./layout');
+
+const templates = {};
+
+/**
+ * Register a template under a message type name
+ */
+function registerTemplate(name, template) {
+  templates[name] = template;
+}
+
+function getTemplate(name) {
+  const template = templates[name];
+  if (!template) {
+    const err = new Error(`Unknown mail template: ${name}`);
+    err.code = 'MAIL_UNKNOWN_TEMPLATE';
+    throw err;
+  }
+  return template;
+}
+
+function listTemplates() {
+  return Object.keys(templates).sort();
+}
+
+/**
+ * Variables shared by every email, derived from the submitted quote fields
+ */
+function buildVariables(data = {}, now = new Date()) {
+  const estTime = now.toLocaleString('en-US', {
+    timeZone: 'America/New_York',
+    month: '2-digit',
+    day: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  });
+
+  const siteUrl = settings.get('SITE_URL').replace(/\/+$/, '');
+
+  return {
+    data,
+    estTime,
+    utcTime: now.toISOString(),
+    // Normalize phone number (remove non-digits except +)
+    normalizedPhone: data.phone ? data.phone.replace(/[^\d+]/g, '') : '',
+    scriptsDisplay: (data.weekly_scripts && data.weekly_scripts.display) || data.weekly_scripts_display || 'Not specified',
+    location: [data.city, data.state].filter(Boolean).join(', '),
+    siteUrl,
+    logoUrl: `${siteUrl}/logo.png`,
+    contactPhone: settings.get('CONTACT_PHONE'),
+    contactEmail: settings.get('CONTACT_EMAIL')
+  };
+}
+
+/**
+ * Render a message type into { subject, text, html }
+ */
+function render(name, data, extra = {}) {
+  const template = getTemplate(name);
+  const vars = { ...buildVariables(data), ...extra };
+
+  return {
+    subject: template.subject(vars),
+    text: layout.text(template.text(vars), vars),
+    html: layout.html(template.html(vars), { ...vars, title: template.title ? template.title(vars) : 'DashRx' })
+  };
+}
+
+registerTemplate('quote', require('./quote'));
+registerTemplate('confirmation', require('./confirmation'));
+
+module.exports = {
+  registerTemplate,
+  getTemplate,
+  listTemplates,
+  buildVariables,
+  render,
+  html,
+  raw,
+  escapeHtml,
+  SafeHtml
+};
@@ -0,0 +1,105 @@
+/**
+ * Branded layout shared by every outgoing email
+ * Styles are inline because most mail clients ignore <style> blocks
+ */
+
+const { html } = require('./html');
+
+// Mirrors the palette in public/styles.css
+const COLORS = {
+  primary: '#15899D',
+  primaryDark: '#1F8397',
+  accent: '#9DCACF',
+  text: '#606768',
+  background: '#F9FBFB',
+  border: '#E5EEF0'
+};
+
+const TAGLINE = 'The Missing Link Between You and Your Patients';
+
+function htmlLayout(body, vars) {
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${vars.title}</title>
+</head>
+<body style="margin:0;padding:0;background:${COLORS.background};font-family:Inter,-apple-system,'Segoe UI',Roboto,Arial,sans-serif;color:${COLORS.text};">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:${COLORS.background};">
+  <tr>
+    <td align="center" style="padding:24px 12px;">
+      <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border:1px solid ${COLORS.border};border-radius:8px;">
+        <tr>
+          <td style="padding:20px 24px;border-bottom:4px solid ${COLORS.primary};">
+            <a href="${vars.siteUrl}"><img src="${vars.logoUrl}" alt="DashRx" height="40" style="display:block;height:40px;border:0;"></a>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding:24px;font-size:15px;line-height:1.6;">
+${body}
+          </td>
+        </tr>
+        <tr>
+          <td style="padding:16px 24px;background:${COLORS.background};border-top:1px solid ${COLORS.border};font-size:12px;color:${COLORS.text};text-align:center;border-radius:0 0 8px 8px;">
+            DashRx &middot; ${TAGLINE}<br>
+            <a href="${vars.siteUrl}" style="color:${COLORS.primary};">${vars.siteUrl.replace(/^https?:\/\//, '')}</a>
+          </td>
+        </tr>
+      </table>
+    </td>
+  </tr>
+</table>
+</body>
+</html>`.toString();
+}
+
+function textLayout(body, vars) {
+  return `${body.trim()}
+
+--
+DashRx · ${TAGLINE}
+${vars.siteUrl}
+`;
+}
+
+/**
+ * Heading inside the content area
+ */
+function heading(text) {
+  return html`<h1 style="margin:0 0 16px;font-size:20px;color:${COLORS.primaryDark};">${text}</h1>`;
+}
+
+function sectionTitle(title) {
+  return html`<h2 style="margin:24px 0 8px;font-size:13px;letter-spacing:0.05em;text-transform:uppercase;color:${COLORS.primary};">${title}</h2>`;
+}
+
+/**
+ * Section title followed by a label/value table
+ */
+function detailTable(title, rows) {
+  return html`${sectionTitle(title)}
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;">
+${rows.map(([label, value]) => html`  <tr>
+    <td style="padding:6px 12px 6px 0;border-bottom:1px solid ${COLORS.border};width:40%;font-weight:600;vertical-align:top;">${label}</td>
+    <td style="padding:6px 0;border-bottom:1px solid ${COLORS.border};vertical-align:top;">${value}</td>
+  </tr>
+`)}</table>`;
+}
+
+/**
+ * Free-form user text, with line breaks kept
+ */
+function paragraph(text) {
+  return html`<p style="margin:0 0 12px;white-space:pre-wrap;">${text}</p>`;
+}
+
+module.exports = {
+  html: htmlLayout,
+  text: textLayout,
+  heading,
+  sectionTitle,
+  detailTable,
+  paragraph,
+  COLORS
+};
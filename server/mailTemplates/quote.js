@@ -0,0 +1,149 @@
+/**
+ * Internal notification sent to the sales inbox for each new quote request
+ */
+
+const { html } = require('./html');
+const { heading, sectionTitle, detailTable, paragraph } = require('./layout');
+
+// Badge colors per tier
+const TIER_COLORS = {
+  hot: '#DC2626',
+  warm: '#B45309',
+  cold: '#606768'
+};
+
+function isOutOfArea(serviceArea) {
+  return !!serviceArea && serviceArea.covered === false;
+}
+
+function subject({ data, score, serviceArea }) {
+  const prefix = score ? `[${score.tier.toUpperCase()} ${score.score}] ` : '';
+  const flag = isOutOfArea(serviceArea) ? '[OUT OF AREA] ' : '';
+  return `${prefix}${flag}New Quote Request — ${data.pharmacy_name || 'Unknown Pharmacy'}`;
+}
+
+/**
+ * One-line coverage summary, e.g. "Core coverage — Royal Oak (same-day available)"
+ */
+function areaDisplay(serviceArea) {
+  if (!serviceArea || serviceArea.covered === null) return 'Not determined';
+  if (isOutOfArea(serviceArea)) return 'OUTSIDE SERVICE AREA';
+  const sameDay = serviceArea.sameDay ? 'same-day available' : 'next-day';
+  return `${serviceArea.label} — ${serviceArea.municipality} (${sameDay})`;
+}
+
+function scoreText(score) {
+  if (!score) return '';
+  return `LEAD PRIORITY: ${score.tier.toUpperCase()} (${score.score}/100)
+${score.breakdown.map(item => `- ${item.label}: +${item.points} (${item.detail})`).join('\n')}
+
+`;
+}
+
+/**
+ * Rows describing the calculator estimate the visitor saw before submitting
+ */
+function estimateRows(estimate) {
+  if (!estimate) return [];
+  const location = estimate.serviceArea.municipality
+    ? `${estimate.serviceArea.label} (${estimate.serviceArea.municipality})`
+    : estimate.serviceArea.label;
+
+  return [
+    estimate.available
+      ? ['Weekly', `$${estimate.weekly.low}–$${estimate.weekly.high} ($${estimate.monthly.low}–$${estimate.monthly.high}/month)`]
+      : ['Weekly', 'No price shown'],
+    estimate.available ? ['Per Delivery', `$${estimate.perDelivery.low}–$${estimate.perDelivery.high}`] : null,
+    ['Volume', `${estimate.volume.display} deliveries/week`],
+    ['Location', location],
+    ['Options', estimate.options.length ? estimate.options.map(option => option.label).join(', ') : 'None'],
+    estimate.notes.length ? ['Notes', estimate.notes.join(' ')] : null
+  ].filter(Boolean);
+}
+
+function estimateText(estimate) {
+  if (!estimate) return '';
+  return `
+ESTIMATE SHOWN ON SITE:
+${estimateRows(estimate).map(([label, value]) => `${label}: ${value}`).join('\n')}
+`;
+}
+
+function title({ data }) {
+  return `Quote request from ${data.pharmacy_name || 'Unknown Pharmacy'}`;
+}
+
+function text({ data, reference, score, serviceArea, estimate, estTime, utcTime, normalizedPhone, scriptsDisplay }) {
+  return `DashRx Delivery Quote Request
+============================
+${reference ? `Reference: ${reference}\n` : ''}
+${scoreText(score)}PHARMACY INFORMATION:
+Pharmacy Name: ${data.pharmacy_name || 'Not provided'}
+Contact Person: ${data.contact_person || 'Not provided'}
+Phone: ${normalizedPhone || 'Not provided'}
+Email: ${data.email || 'Not provided'}
+Address: ${data.address || 'Not provided'}
+City: ${data.city || '—'}
+State: ${data.state || '—'}
+Service Area: ${areaDisplay(serviceArea)}
+
+BUSINESS DETAILS:
+Estimated Weekly Deliveries: ${scriptsDisplay}
+${estimateText(estimate)}
+ADDITIONAL NOTES:
+${data.message || 'No additional notes provided'}
+
+SUBMISSION DETAILS:
+Submitted: ${estTime} EST/EDT
+UTC Time: ${utcTime}
+Form Source: DashRx Partner Website
+${data.ip ? `Client IP: ${data.ip}` : ''}
+
+----
+Reply directly to this email to respond to ${data.contact_person || 'the contact person'} at ${data.email || 'their email'}
+${normalizedPhone ? `For urgent matters, call them at ${normalizedPhone}` : ''}`;
+}
+
+function scoreHtml(score) {
+  if (!score) return '';
+  const color = TIER_COLORS[score.tier] || TIER_COLORS.cold;
+  return html`<p style="margin:0 0 8px;"><span style="display:inline-block;padding:4px 10px;border-radius:999px;background:${color};color:#ffffff;font-weight:700;font-size:13px;text-transform:uppercase;">${score.tier} · ${score.score}/100</span></p>
+${detailTable('Lead Priority', score.breakdown.map(item => [item.label, `+${item.points} — ${item.detail}`]))}`;
+}
+
+function areaHtml(serviceArea) {
+  if (!isOutOfArea(serviceArea)) return '';
+  return html`<p style="margin:0 0 12px;padding:10px 12px;border-radius:8px;background:#FEF2F2;color:#B91C1C;font-weight:700;">Outside service area — confirm coverage before quoting.</p>`;
+}
+
+function htmlBody({ data, reference, score, serviceArea, estimate, estTime, utcTime, normalizedPhone, scriptsDisplay }) {
+  return html`${heading('New Delivery Quote Request')}
+${reference ? html`<p style="margin:0 0 12px;">Reference: <strong>${reference}</strong></p>` : ''}
+${areaHtml(serviceArea)}
+${scoreHtml(score)}
+${detailTable('Pharmacy Information', [
+    ['Pharmacy Name', data.pharmacy_name || 'Not provided'],
+    ['Contact Person', data.contact_person || 'Not provided'],
+    ['Phone', normalizedPhone ? html`<a href="tel:${normalizedPhone}">${normalizedPhone}</a>` : 'Not provided'],
+    ['Email', data.email ? html`<a href="mailto:${data.email}">${data.email}</a>` : 'Not provided'],
+    ['Address', data.address || 'Not provided'],
+    ['City', data.city || '—'],
+    ['State', data.state || '—'],
+    ['Service Area', areaDisplay(serviceArea)]
+  ])}
+${detailTable('Business Details', [
+    ['Estimated Weekly Deliveries', scriptsDisplay]
+  ])}
+${estimate ? detailTable('Estimate Shown on Site', estimateRows(estimate)) : ''}
+${sectionTitle('Additional Notes')}
+${paragraph(data.message || 'No additional notes provided')}
+${detailTable('Submission Details', [
+    ['Submitted', `${estTime} EST/EDT`],
+    ['UTC Time', utcTime],
+    ['Form Source', 'DashRx Partner Website'],
+    data.ip ? ['Client IP', data.ip] : null
+  ].filter(Boolean))}
+<p style="margin:24px 0 0;font-size:13px;">Reply directly to this email to respond to ${data.contact_person || 'the contact person'} at ${data.email || 'their email'}.</p>`;
+}
+
+module.exports = { subject, title, text, html: htmlBody };
@@ -1,58 +1,108 @@
-const nodemailer = require('nodemailer');
+const settings = require('./settings');
 const logger = require('./logger');
+const metrics = require('./metrics');
+const { getProvider } = require('./mailProviders');
+const { render } = require('./mailTemplates');
 
-const required = ['MAIL_PROVIDER','MAIL_USER','MAIL_PASS','MAIL_FROM','MAIL_TO'];
-for (const k of required) {
-  if (!process.env[k]) logger.error('Mail config missing', { missingKey: k });
+/**
+ * Validate the shared mail settings plus the selected provider's own settings
+ */
+function validateMailConfig(env = settings.env()) {
+  const providerName = (env.MAIL_PROVIDER || 'gmail').toLowerCase();
+  const errors = [];
+
+  if (!env.MAIL_TO) errors.push('MAIL_TO is required');
+  if (!env.MAIL_FROM && !env.MAIL_USER) errors.push('MAIL_FROM (or MAIL_USER) is required');
+
+  let provider = null;
+  try {
+    provider = getProvider(providerName);
+    errors.push(...provider.validate(env));
+  } catch (e) {
+    errors.push(e.message);
+  }
+
+  return { providerName, provider, errors };
 }
 
-function makeTransport() {
-  const provider = (process.env.MAIL_PROVIDER || 'gmail').toLowerCase();
+function makeTransport(env = settings.env()) {
+  const { providerName, provider, errors } = validateMailConfig(env);
   
-  let transporter;
-  switch (provider) {
-    case 'gmail':
-      logger.debug('Configuring Gmail transporter', {
-        user: process.env.MAIL_USER,
-        hasPassword: !!process.env.MAIL_PASS
-      });
-
-      transporter = nodemailer.createTransport({
-        host: 'smtp.gmail.com',
-        port: 465,
-        secure: true, // SSL
-        auth: {
-          user: process.env.MAIL_USER,  // e.g. Dashrx10@gmail.com
-          pass: process.env.MAIL_PASS   // <-- use the Gmail App Password here
-        },
-        tls: {
-          rejectUnauthorized: true
-        }
-      });
-      break;
-      
-    default:
-      throw new Error(`Unsupported MAIL_PROVIDER: ${provider}`);
+  if (errors.length > 0) {
+    errors.forEach(problem => logger.error('Mail config invalid', { provider: providerName, problem }));
+    const err = new Error(`Invalid mail configuration for ${providerName}: ${errors.join('; ')}`);
+    err.code = 'MAIL_CONFIG';
+    throw err;
   }
-  
-  return transporter;
+
+  logger.debug(`Configuring ${providerName} transporter`);
+  return provider.create(env);
 }
 
 let transporter;
+let transporterError = null;
 try {
   transporter = makeTransport();
-  logger.info('Email transporter initialized (gmail)');
+  logger.info(`Email transporter initialized (${settings.get('MAIL_PROVIDER')})`);
 } catch (e) {
+  transporterError = e;
   logger.error('Failed to init transporter', { err: e.message });
 }
 
-async function sendQuoteEmail(data) {
-  // TEMP: dry-run mode to skip sending emails while testing the rest of the flow
-  if (process.env.DRY_RUN === 'true') {
+// verify() logs in to the provider, so health probes share one recent result
+const VERIFY_TTL_MS = settings.get('MAIL_VERIFY_TTL_MS');
+const VERIFY_FAILURE_TTL_MS = 30 * 1000; // retry a failed login sooner
+let verification = null;
+
+// Sends still waiting on the provider; shutdown waits for these
+const pendingSends = new Set();
+
+/**
+ * Check the transporter can reach its provider (SMTP login, API key check).
+ * Resolves { ok, error, checkedAt }; a result is reused for VERIFY_TTL_MS and
+ * callers arriving while a check is running wait for that same check.
+ */
+function verifyTransport() {
+  if (!transporter) {
+    const reason = transporterError ? transporterError.message : 'unknown error';
+    return Promise.resolve({ ok: false, error: `Email transporter not initialized: ${reason}`, checkedAt: null });
+  }
+  if (typeof transporter.verify !== 'function') {
+    return Promise.resolve({ ok: true, error: null, checkedAt: null });
+  }
+
+  if (verification) {
+    const ttl = verification.ok ? VERIFY_TTL_MS : VERIFY_FAILURE_TTL_MS;
+    if (verification.pending || Date.now() - verification.checkedAt < ttl) return verification.promise;
+  }
+
+  const current = { pending: true, ok: false, checkedAt: 0 };
+  current.promise = Promise.resolve()
+    .then(() => transporter.verify())
+    .then(() => null, error => error.message || String(error))
+    .then(error => {
+      current.pending = false;
+      current.ok = !error;
+      current.checkedAt = Date.now();
+      if (error) logger.warn('Mail transporter verification failed', { error });
+      return { ok: !error, error, checkedAt: new Date(current.checkedAt).toISOString() };
+    });
+
+  verification = current;
+  return current.promise;
+}
+
+/**
+ * Hand a composed message to the transporter (or skip it in DRY_RUN mode)
+ */
+async function deliver(mail, context) {
+  // DRY_RUN only logs that a message would go out and never calls a
+  // provider; MAIL_PROVIDER=console or file shows the composed message
+  if (settings.get('DRY_RUN')) {
     logger.info('DRY_RUN mode enabled - skipping actual email send', {
-      pharmacy: data.pharmacy_name,
-      contact: data.contact_person,
-      replyTo: data.email
+      ...context,
+      to: mail.to,
+      subject: mail.subject
     });
     
     return {
@@ -69,76 +119,95 @@ async function sendQuoteEmail(data) {
     throw err;
   }
 
-  const to = process.env.MAIL_TO;
-  const from = process.env.MAIL_FROM || process.env.MAIL_USER;
-
-  // Format timestamps
-  const now = new Date();
-  const estTime = now.toLocaleString('en-US', {
-    timeZone: 'America/New_York',
-    month: '2-digit',
-    day: '2-digit', 
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  });
-  const utcTime = now.toISOString();
-
-  // Normalize phone number (remove non-digits except +)
-  const normalizedPhone = data.phone ? data.phone.replace(/[^\d+]/g, '') : '';
-  
-  // Get weekly deliveries display text
-  const scriptsDisplay = (data.weekly_scripts && data.weekly_scripts.display) || data.weekly_scripts_display || 'Not specified';
-  
-  // Build complete address
-  const fullAddress = data.address || 'Not provided';
-
-  const emailBody = `DashRx Delivery Quote Request
-============================
-
-PHARMACY INFORMATION:
-Pharmacy Name: ${data.pharmacy_name || 'Not provided'}
-Contact Person: ${data.contact_person || 'Not provided'}
-Phone: ${normalizedPhone || 'Not provided'}
-Email: ${data.email || 'Not provided'}
-Address: ${fullAddress}
-City: ${data.city || '—'}
-State: ${data.state || '—'}
-
-BUSINESS DETAILS:
-Estimated Weekly Deliveries: ${scriptsDisplay}
-
-ADDITIONAL NOTES:
-${data.message || 'No additional notes provided'}
-
-SUBMISSION DETAILS:
-Submitted: ${estTime} EST/EDT
-UTC Time: ${utcTime}
-Form Source: DashRx Partner Website
-${data.ip ? `Client IP: ${data.ip}` : ''}
-
-----
-Reply directly to this email to respond to ${data.contact_person || 'the contact person'} at ${data.email || 'their email'}
-${normalizedPhone ? `For urgent matters, call them at ${normalizedPhone}` : ''}`;
+  const started = process.hrtime.bigint();
+  const elapsed = () => Number(process.hrtime.bigint() - started) / 1e9;
+  const send = Promise.resolve().then(() => transporter.sendMail(mail));
+  pendingSends.add(send);
 
   try {
-    const info = await transporter.sendMail({
-      to, 
-      from, 
-      replyTo: data.email,
-      subject: `New Quote Request — ${data.pharmacy_name || 'Unknown Pharmacy'}`,
-      text: emailBody,
-      html: `<pre style="font-family: monospace; white-space: pre-wrap;">${emailBody}</pre>`
-    });
+    const info = await send;
+    metrics.observeMailSend(context.type, 'success', elapsed());
     return { messageId: info.messageId, timestamp: new Date().toISOString() };
   } catch (e) {
-    logger.error('sendMail failed', { code: e.code, message: e.message });
+    metrics.observeMailSend(context.type, 'failure', elapsed());
+    logger.error('sendMail failed', { ...context, code: e.code, message: e.message, responseCode: e.responseCode });
     const err = new Error('MAIL_SEND_FAILED');
     err.code = e.code || 'MAIL_SEND_FAILED';
+    err.response = e.response;
     throw err;
+  } finally {
+    pendingSends.delete(send);
+  }
+}
+
+/**
+ * Messages handed to the provider that have not been answered yet
+ */
+function pendingSendCount() {
+  return pendingSends.size;
+}
+
+/**
+ * Close the transporter's connections (the SMTP pool); used at shutdown
+ */
+function closeTransport() {
+  if (transporter && typeof transporter.close === 'function') {
+    transporter.close();
   }
 }
 
-module.exports = { sendQuoteEmail };
\ No newline at end of file
+/**
+ * Internal notification; extra may carry the lead reference and score
+ */
+async function sendQuoteEmail(data, extra = {}) {
+  const to = settings.get('MAIL_TO');
+  const from = settings.get('MAIL_FROM') || settings.get('MAIL_USER');
+  const { subject, text, html } = render('quote', data, extra);
+
+  return deliver({
+    to, 
+    from, 
+    replyTo: data.email,
+    subject,
+    text,
+    html
+  }, { type: 'quote', pharmacy: data.pharmacy_name });
+}
+
+/**
+ * Whether submitters get a confirmation email (AUTORESPONDER_ENABLED=false turns it off)
+ */
+function isAutoresponderEnabled() {
+  return settings.get('AUTORESPONDER_ENABLED');
+}
+
+/**
+ * Confirmation email to the pharmacy that submitted the quote form
+ */
+async function sendConfirmationEmail(data, reference) {
+  const from = settings.get('MAIL_FROM') || settings.get('MAIL_USER');
+
+  // Replies should reach the sales inbox, not a no-reply sender
+  const replyTo = settings.get('MAIL_TO');
+  const { subject, text, html } = render('confirmation', data, { reference });
+
+  return deliver({
+    to: data.email,
+    from,
+    replyTo,
+    subject,
+    text,
+    html
+  }, { type: 'confirmation', reference });
+}
+
+module.exports = {
+  sendQuoteEmail,
+  sendConfirmationEmail,
+  isAutoresponderEnabled,
+  makeTransport,
+  validateMailConfig,
+  verifyTransport,
+  pendingSendCount,
+  closeTransport
+};
\ No newline at end of file
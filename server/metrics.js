@@ -0,0 +1,238 @@
+/**
+ * Prometheus metrics
+ * Counters and histograms kept in memory and rendered in the Prometheus text
+ * format at /metrics: HTTP traffic, quote outcomes, rate-limiter rejections,
+ * mail send latency and process stats. Access is limited to METRICS_TOKEN
+ * or to scrapes from the machine itself.
+ */
+
+const settings = require('./settings');
+const { safeEqual } = require('./auth');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const MAIL_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const QUOTE_OUTCOMES = ['accepted', 'duplicate', 'validation_failed', 'honeypot', 'spam', 'too_fast', 'mail_failed', 'error'];
+
+const LOOPBACK = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.keys(labels).map(name => `${name}="${escapeLabel(labels[name])}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Series are keyed by their label values in labelNames order
+ */
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  const labels = {};
+  labelNames.forEach((name, i) => { labels[name] = values[i]; });
+  return labels;
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = seriesKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  get(labels = {}) {
+    return this.values.get(seriesKey(this.labelNames, labels)) || 0;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    this.values.forEach((value, key) => {
+      lines.push(`${this.name}${formatLabels(labelsFromKey(this.labelNames, key))} ${value}`);
+    });
+    return lines;
+  }
+
+  reset() {
+    this.values.clear();
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = HTTP_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  observe(labels, seconds) {
+    const key = seriesKey(this.labelNames, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+
+    // Each observation lands in its smallest bucket; render() makes them cumulative
+    const bucket = this.buckets.findIndex(bound => seconds <= bound);
+    if (bucket !== -1) series.counts[bucket]++;
+    series.sum += seconds;
+    series.count++;
+  }
+
+  get(labels = {}) {
+    return this.series.get(seriesKey(this.labelNames, labels)) || null;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    this.series.forEach((series, key) => {
+      const labels = labelsFromKey(this.labelNames, key);
+      let cumulative = 0;
+      this.buckets.forEach((bound, i) => {
+        cumulative += series.counts[i];
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+    });
+    return lines;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+const httpRequests = new Counter('dashrx_http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDuration = new Histogram('dashrx_http_request_duration_seconds', 'HTTP response time by route and status', ['method', 'route', 'status'], HTTP_BUCKETS);
+const quoteSubmissions = new Counter('dashrx_quote_submissions_total', 'Quote form submissions by outcome', ['outcome']);
+const rateLimitRejections = new Counter('dashrx_rate_limit_rejections_total', 'Requests turned away by a rate limiter', ['limiter']);
+const mailDuration = new Histogram('dashrx_mail_send_duration_seconds', 'Time taken to hand an email to the mail provider', ['type', 'result'], MAIL_BUCKETS);
+
+const METRICS = [httpRequests, httpDuration, quoteSubmissions, rateLimitRejections, mailDuration];
+
+// Every outcome is reported from the start, so rate() works before the first spam bot
+QUOTE_OUTCOMES.forEach(outcome => quoteSubmissions.inc({ outcome }, 0));
+
+/**
+ * Route label: the matched Express route pattern (/admin/leads/:id), never
+ * the raw URL, so IDs and query strings do not create new series
+ */
+function routeLabel(req) {
+  if (req.route && req.route.path) return `${req.baseUrl || ''}${req.route.path}`;
+  return 'unmatched';
+}
+
+/**
+ * Record one finished request; called with the time logResponse reports
+ */
+function observeRequest(req, res, responseTimeMs) {
+  const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+  httpRequests.inc(labels);
+  httpDuration.observe(labels, responseTimeMs / 1000);
+}
+
+function recordQuoteOutcome(outcome) {
+  quoteSubmissions.inc({ outcome });
+}
+
+function recordRateLimited(limiter) {
+  rateLimitRejections.inc({ limiter });
+}
+
+function observeMailSend(type, result, seconds) {
+  mailDuration.observe({ type, result }, seconds);
+}
+
+/**
+ * Process gauges, read at scrape time
+ */
+function renderProcessStats() {
+  const cpu = process.cpuUsage();
+  const memory = process.memoryUsage();
+  const gauge = (name, help, value, type = 'gauge') => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, `${name} ${value}`];
+
+  return [
+    ...gauge('process_cpu_user_seconds_total', 'User CPU time spent in seconds', cpu.user / 1e6, 'counter'),
+    ...gauge('process_cpu_system_seconds_total', 'System CPU time spent in seconds', cpu.system / 1e6, 'counter'),
+    ...gauge('process_resident_memory_bytes', 'Resident memory size in bytes', memory.rss),
+    ...gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds', Math.round(Date.now() / 1000 - process.uptime())),
+    ...gauge('process_uptime_seconds', 'Seconds since the process started', process.uptime()),
+    ...gauge('nodejs_heap_size_total_bytes', 'Process heap size in bytes', memory.heapTotal),
+    ...gauge('nodejs_heap_size_used_bytes', 'Process heap size used in bytes', memory.heapUsed),
+    ...gauge('nodejs_external_memory_bytes', 'Memory used by C++ objects bound to JavaScript', memory.external),
+    `# HELP nodejs_version_info Node.js version`,
+    `# TYPE nodejs_version_info gauge`,
+    `nodejs_version_info${formatLabels({ version: process.version })} 1`
+  ];
+}
+
+/**
+ * Everything in the Prometheus text format
+ */
+function render() {
+  const lines = [];
+  METRICS.forEach(metric => lines.push(...metric.render()));
+  lines.push(...renderProcessStats());
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Who may scrape: 'token' for a valid METRICS_TOKEN bearer, 'localhost' for a
+ * direct connection from this machine, otherwise null. Behind a proxy on the
+ * same host every connection is local, so the forwarded client address
+ * (req.ip) has to be local too.
+ */
+function authorize(req, env = process.env) {
+  const token = settings.get('METRICS_TOKEN', env);
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (token && match && safeEqual(match[1].trim(), token)) return 'token';
+
+  const socketAddress = req.socket ? req.socket.remoteAddress : null;
+  if (LOOPBACK.includes(socketAddress) && LOOPBACK.includes(req.ip)) return 'localhost';
+  return null;
+}
+
+/**
+ * Clear every series (tests)
+ */
+function reset() {
+  METRICS.forEach(metric => metric.reset());
+  QUOTE_OUTCOMES.forEach(outcome => quoteSubmissions.inc({ outcome }, 0));
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  QUOTE_OUTCOMES,
+  observeRequest,
+  recordQuoteOutcome,
+  recordRateLimited,
+  observeMailSend,
+  render,
+  authorize,
+  reset,
+  httpRequests,
+  httpDuration,
+  quoteSubmissions,
+  rateLimitRejections,
+  mailDuration
+};
@@ -0,0 +1,339 @@
+/**
+ * Durable outbox for outgoing mail
+ * Messages are persisted before delivery, retried with exponential backoff
+ * by a background worker, and parked in a dead-letter list when they keep failing.
+ * Each message kind is worked through in its own lane, so a slow webhook
+ * endpoint does not hold up email. Deliveries are logged under the request
+ * that queued them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { AsyncResource } = require('async_hooks');
+const settings = require('./settings');
+const logger = require('./logger');
+const requestContext = require('./requestContext');
+
+class Outbox extends EventEmitter {
+  constructor() {
+    super();
+    this.dataDir = settings.get('OUTBOX_DIR') || path.join(__dirname, '../data');
+    this.storeFile = path.join(this.dataDir, 'outbox.json');
+    this.maxAttempts = settings.get('OUTBOX_MAX_ATTEMPTS');
+    this.baseDelayMs = settings.get('OUTBOX_RETRY_BASE_MS');
+    this.maxDelayMs = 60 * 60 * 1000; // 1 hour
+    this.pollIntervalMs = settings.get('OUTBOX_POLL_MS');
+    this.sentRetentionMs = 7 * 24 * 60 * 60 * 1000; // keep delivered messages for a week
+
+    this.messages = new Map();
+    this.handlers = {};
+    this.timer = null;
+    this.stopped = false;
+    this.busyKinds = new Set();
+
+    // Bound here, outside any request, so a worker kicked off by one request
+    // does not log other requests' deliveries under its ID
+    this.runWorker = AsyncResource.bind(() => {
+      this.processDue().catch(error => {
+        logger.error('Outbox worker failed', { error: error.message });
+      });
+    });
+
+    this.ensureDataDirectory();
+    this.load();
+  }
+
+  /**
+   * Ensure data directory exists
+   */
+  ensureDataDirectory() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Load persisted messages. Anything that was mid-send when the process
+   * died goes back to the queue.
+   */
+  load() {
+    this.messages.clear();
+    if (!fs.existsSync(this.storeFile)) return;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.storeFile, 'utf8'));
+
+      stored.forEach(message => {
+        if (message.status === 'sending') message.status = 'queued';
+        this.messages.set(message.id, message);
+      });
+      this.pruneSent();
+
+      logger.database(`Outbox loaded (${this.messages.size} messages)`, this.getStats());
+    } catch (error) {
+      logger.error('Failed to load outbox', { file: this.storeFile, error: error.message });
+    }
+  }
+
+  /**
+   * Forget delivered messages older than sentRetentionMs so the file (which
+   * is rewritten on every state change) only grows with recent history.
+   * Returns how many were dropped.
+   */
+  pruneSent(now = Date.now()) {
+    const cutoff = now - this.sentRetentionMs;
+    let pruned = 0;
+
+    this.messages.forEach((message, id) => {
+      if (message.status === 'sent' && Date.parse(message.sentAt) < cutoff) {
+        this.messages.delete(id);
+        pruned++;
+      }
+    });
+    return pruned;
+  }
+
+  /**
+   * Write the whole outbox atomically (temp file + rename)
+   */
+  persist() {
+    const tmpFile = `${this.storeFile}.tmp`;
+    const fd = fs.openSync(tmpFile, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(Array.from(this.messages.values())), null, 'utf8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpFile, this.storeFile);
+  }
+
+  /**
+   * Register the function that delivers messages of a given kind
+   */
+  registerHandler(kind, handler) {
+    this.handlers[kind] = handler;
+  }
+
+  /**
+   * Queue a message. Returns once it is safely on disk.
+   */
+  enqueue(kind, payload) {
+    const now = new Date().toISOString();
+    const message = {
+      id: `MSG-${crypto.randomBytes(6).toString('hex')}`,
+      kind,
+      payload,
+      status: 'queued',
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now,
+      lastError: null,
+      sentAt: null,
+      result: null,
+      requestId: requestContext.getRequestId()
+    };
+
+    this.messages.set(message.id, message);
+    this.persist();
+    logger.email(`Message queued [${message.id}]`, { kind, attempts: 0 });
+
+    // Try right away instead of waiting for the next poll
+    this.kick();
+    return message;
+  }
+
+  /**
+   * Delay before the next attempt: base * 2^(attempts - 1), capped
+   */
+  backoffDelay(attempts) {
+    return Math.min(this.baseDelayMs * Math.pow(2, attempts - 1), this.maxDelayMs);
+  }
+
+  /**
+   * Whether any lane is delivering right now
+   */
+  get processing() {
+    return this.busyKinds.size > 0;
+  }
+
+  /**
+   * Deliver every message whose retry time has come. Kinds run side by side;
+   * within a kind messages go one at a time, and a kind that is still busy
+   * from an earlier pass is left to finish.
+   */
+  async processDue() {
+    if (this.stopped) return;
+    const now = Date.now();
+    if (this.pruneSent(now) > 0) this.persist();
+
+    const lanes = new Map();
+    this.messages.forEach(m => {
+      if (m.status !== 'queued' || Date.parse(m.nextAttemptAt) > now || this.busyKinds.has(m.kind)) return;
+      if (!lanes.has(m.kind)) lanes.set(m.kind, []);
+      lanes.get(m.kind).push(m);
+    });
+
+    await Promise.all(Array.from(lanes, ([kind, due]) => this.runLane(kind, due)));
+  }
+
+  async runLane(kind, due) {
+    this.busyKinds.add(kind);
+    try {
+      for (const message of due) {
+        if (this.stopped) break;
+        await this.deliver(message);
+      }
+    } finally {
+      this.busyKinds.delete(kind);
+    }
+  }
+
+  /**
+   * Attempt one message in the context of the request that queued it
+   */
+  deliver(message) {
+    return requestContext.run({ requestId: message.requestId || null }, () => this.attempt(message));
+  }
+
+  async attempt(message) {
+    const handler = this.handlers[message.kind];
+    if (!handler) {
+      // Retrying cannot help, so park it where admins will see it
+      message.status = 'dead';
+      message.lastError = 'OUTBOX_NO_HANDLER';
+      this.persist();
+
+      logger.error(`No outbox handler for message kind "${message.kind}" - moved to dead-letter [${message.id}]`);
+      this.emit('dead', message, new Error(`No handler for ${message.kind}`));
+      return;
+    }
+
+    message.status = 'sending';
+    message.attempts++;
+    this.persist();
+
+    try {
+      const result = await handler(message);
+
+      message.status = 'sent';
+      message.sentAt = new Date().toISOString();
+      message.result = result ? { messageId: result.messageId || null, dryRun: !!result.dryRun } : null;
+      message.lastError = null;
+      this.persist();
+
+      logger.success(`Outbox message delivered [${message.id}]`, { kind: message.kind, attempts: message.attempts });
+      this.emit('sent', message, result);
+    } catch (error) {
+      message.lastError = error.code || error.message;
+
+      if (message.attempts >= this.maxAttempts) {
+        message.status = 'dead';
+        this.persist();
+
+        logger.error(`Outbox message moved to dead-letter [${message.id}]`, {
+          kind: message.kind,
+          attempts: message.attempts,
+          error: message.lastError
+        });
+        this.emit('dead', message, error);
+      } else {
+        const delay = this.backoffDelay(message.attempts);
+        message.status = 'queued';
+        message.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        this.persist();
+
+        logger.warn(`Outbox delivery failed, retrying in ${Math.round(delay / 1000)}s [${message.id}]`, {
+          kind: message.kind,
+          attempts: message.attempts,
+          error: message.lastError
+        });
+        this.emit('retry', message, error);
+      }
+    }
+  }
+
+  /**
+   * Put a dead-lettered message back in the queue with a fresh retry budget
+   */
+  resend(id) {
+    const message = this.messages.get(id);
+    if (!message) {
+      const err = new Error(`Outbox message not found: ${id}`);
+      err.code = 'OUTBOX_NOT_FOUND';
+      throw err;
+    }
+    if (message.status !== 'dead') {
+      const err = new Error(`Only dead-lettered messages can be resent: ${id}`);
+      err.code = 'OUTBOX_NOT_DEAD';
+      throw err;
+    }
+
+    message.status = 'queued';
+    message.attempts = 0;
+    message.nextAttemptAt = new Date().toISOString();
+    this.persist();
+
+    logger.email(`Dead-lettered message requeued [${id}]`, { kind: message.kind });
+    this.kick();
+    return message;
+  }
+
+  getMessage(id) {
+    return this.messages.get(id) || null;
+  }
+
+  /**
+   * Messages in a given state, newest first
+   */
+  listMessages(status) {
+    return Array.from(this.messages.values())
+      .filter(m => !status || m.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  getStats() {
+    const stats = { queued: 0, sending: 0, sent: 0, dead: 0 };
+    this.messages.forEach(m => { stats[m.status] = (stats[m.status] || 0) + 1; });
+    return stats;
+  }
+
+  /**
+   * Run the worker on the next tick
+   */
+  kick() {
+    setImmediate(this.runWorker);
+  }
+
+  /**
+   * Start the background worker
+   */
+  start() {
+    if (this.timer) return;
+    this.stopped = false;
+    this.timer = setInterval(() => this.kick(), this.pollIntervalMs);
+    this.timer.unref();
+
+    logger.info('Outbox worker started', { pollIntervalMs: this.pollIntervalMs, maxAttempts: this.maxAttempts });
+    this.kick();
+  }
+
+  /**
+   * Stop claiming messages. Sends already under way finish (watch
+   * processing); everything else stays queued for the next start.
+   */
+  stop() {
+    this.stopped = true;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const outbox = new Outbox();
+
+module.exports = outbox;
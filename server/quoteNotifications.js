@@ -0,0 +1,110 @@
+/**
+ * Quote notification delivery
+ * Connects stored leads to the outbox and keeps each lead's email status in sync.
+ * Each lead gets the internal notification and, unless disabled, a confirmation
+ * email back to the submitter (at most one per address per day).
+ */
+
+const logger = require('./logger');
+const outbox = require('./outbox');
+const leadStore = require('./leadStore');
+const metrics = require('./metrics');
+const { sendQuoteEmail, sendConfirmationEmail, isAutoresponderEnabled } = require('./mailer');
+
+// One confirmation per address in this window, so the form cannot be used
+// to flood someone else's inbox
+const CONFIRMATION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Lead field that tracks delivery for each message kind
+const OUTCOME_FIELDS = {
+  quote: 'email',
+  confirmation: 'confirmation'
+};
+
+function requireLead(message) {
+  const lead = leadStore.getLead(message.payload.leadId);
+  if (!lead) {
+    const err = new Error(`Lead not found: ${message.payload.leadId}`);
+    err.code = 'LEAD_NOT_FOUND';
+    throw err;
+  }
+  return lead;
+}
+
+// Deliver the internal notification for a stored lead
+outbox.registerHandler('quote', async (message) => {
+  const lead = requireLead(message);
+  return sendQuoteEmail(lead.fields, { reference: lead.id, score: lead.score, serviceArea: lead.serviceArea, estimate: lead.estimate });
+});
+
+// Deliver the submitter's confirmation with their reference number
+outbox.registerHandler('confirmation', async (message) => {
+  const lead = requireLead(message);
+  return sendConfirmationEmail(lead.fields, lead.id);
+});
+
+/**
+ * Mirror outbox progress onto the lead record
+ */
+function syncLead(status) {
+  return (message, detail) => {
+    const field = OUTCOME_FIELDS[message.kind];
+    if (!field) return;
+
+    try {
+      leadStore.recordEmailOutcome(message.payload.leadId, {
+        status: status === 'sent' && detail && detail.dryRun ? 'dry_run' : status,
+        outboxId: message.id,
+        messageId: message.result ? message.result.messageId : null,
+        attempts: message.attempts,
+        error: message.lastError
+      }, field);
+    } catch (error) {
+      logger.error(`Failed to record email outcome [${message.payload.leadId}]`, { error: error.message });
+    }
+  };
+}
+
+outbox.on('sent', syncLead('sent'));
+outbox.on('retry', syncLead('retrying'));
+outbox.on('dead', syncLead('failed'));
+
+// A quote is only lost to sales when its notification gives up for good
+outbox.on('dead', message => {
+  if (message.kind === 'quote') metrics.recordQuoteOutcome('mail_failed');
+});
+
+/**
+ * Whether another lead for the same address got a confirmation within the window
+ */
+function recentlyConfirmed(lead, now = Date.now()) {
+  const email = String(lead.fields.email || '').trim().toLowerCase();
+  const since = new Date(now - CONFIRMATION_WINDOW_MS).toISOString();
+
+  return leadStore.listLeads().some(other => other.id !== lead.id &&
+    other.createdAt >= since &&
+    other.confirmation && other.confirmation.status !== 'skipped' &&
+    String(other.fields.email || '').trim().toLowerCase() === email);
+}
+
+/**
+ * Queue the internal notification (and the submitter confirmation) for a freshly stored lead
+ */
+function queueQuoteNotification(lead) {
+  const message = outbox.enqueue('quote', { leadId: lead.id });
+  leadStore.recordEmailOutcome(lead.id, { status: 'queued', outboxId: message.id });
+
+  if (isAutoresponderEnabled()) {
+    if (recentlyConfirmed(lead)) {
+      leadStore.recordEmailOutcome(lead.id, { status: 'skipped', error: 'CONFIRMATION_RECENTLY_SENT' }, 'confirmation');
+      logger.info(`Confirmation skipped - address already confirmed today [${lead.id}]`);
+    } else {
+      const confirmation = outbox.enqueue('confirmation', { leadId: lead.id });
+      leadStore.recordEmailOutcome(lead.id, { status: 'queued', outboxId: confirmation.id }, 'confirmation');
+    }
+  }
+
+  return message;
+}
+
+module.exports = { queueQuoteNotification };
@@ -1,25 +1,54 @@
-const rateLimit = require('express-rate-limit');
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const settings = require('./settings');
+const metrics = require('./metrics');
 
 /**
  * Rate limiting configuration for API endpoints
  * Prevents abuse and protects against spam
  */
 
+// Admin API routes (relative to /api). They are rate limited per admin by
+// adminLimiter after authentication, and login has loginLimiter.
+const ADMIN_API_PATHS = ['/admin/', '/logs/', '/test-email'];
+
+// One store per limiter, kept so counts can be cleared
+const stores = [];
+
+function trackedStore() {
+  const store = new MemoryStore();
+  stores.push(store);
+  return store;
+}
+
+/**
+ * The library's default 429 response, counted in the rate-limit metrics
+ */
+function countedHandler(limiter) {
+  return (req, res, next, options) => {
+    metrics.recordRateLimited(limiter);
+    res.status(options.statusCode);
+    if (!res.writableEnded) res.send(options.message);
+  };
+}
+
 // General API rate limit
 const apiLimiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000, // 1 minute
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 5, // 5 requests per window
+  windowMs: settings.get('RATE_LIMIT_WINDOW_MS'), // 1 minute by default
+  max: settings.get('RATE_LIMIT_MAX_REQUESTS'), // 5 requests per window by default
   message: {
     error: 'Too many requests from this IP. Please try again in a minute.',
     retryAfter: 60
   },
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+  store: trackedStore(),
+  handler: countedHandler('api'),
   skip: (req) => {
     // Skip rate limiting for static assets
     return req.url.startsWith('/favicon') || 
            req.url.startsWith('/robots') || 
-           req.url.startsWith('/sitemap');
+           req.url.startsWith('/sitemap') ||
+           ADMIN_API_PATHS.some(prefix => req.path.startsWith(prefix));
   }
 });
 
@@ -34,10 +63,71 @@ const quoteLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   skipSuccessfulRequests: false,
-  skipFailedRequests: false
+  skipFailedRequests: false,
+  store: trackedStore(),
+  handler: countedHandler('quote')
+});
+
+// Admin login attempts - slows down password guessing
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 login attempts per window per IP
+  message: {
+    success: false,
+    error: 'Too many login attempts. Please try again later.',
+    retryAfter: 900
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  store: trackedStore(),
+  handler: countedHandler('login')
 });
 
+// Authenticated admin API calls - log search paging and live-stream
+// reconnects need more room than the public budget. Counted per admin.
+const adminLimiter = rateLimit({
+  windowMs: 60000, // 1 minute
+  max: 120, // 120 requests per minute per admin
+  message: {
+    success: false,
+    error: 'Too many admin requests. Please try again in a minute.',
+    retryAfter: 60
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.admin ? `admin:${req.admin.username}` : req.ip,
+  store: trackedStore(),
+  handler: countedHandler('admin')
+});
+
+// Service-area lookups and price estimates - the page calls these as the user types
+const lookupLimiter = rateLimit({
+  windowMs: 60000, // 1 minute
+  max: 30, // 30 lookups per minute per IP
+  message: {
+    success: false,
+    error: 'Too many lookups. Please try again in a minute.',
+    retryAfter: 60
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: trackedStore(),
+  handler: countedHandler('lookup')
+});
+
+/**
+ * Forget every client's hits in every limiter (used between test cases)
+ */
+function resetLimits() {
+  stores.forEach(store => store.resetAll());
+}
+
 module.exports = {
   apiLimiter,
-  quoteLimiter
+  quoteLimiter,
+  loginLimiter,
+  adminLimiter,
+  lookupLimiter,
+  resetLimits
 };
@@ -0,0 +1,80 @@
+/**
+ * Request context
+ * Gives every request an ID (the caller's X-Request-Id when it looks safe,
+ * otherwise a fresh UUID), sends it back in the X-Request-Id header and in JSON
+ * error bodies, and keeps it in async-local storage so the logger can tag every
+ * entry written while the request is being handled, including from timers and
+ * promises it starts.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const HEADER = 'X-Request-Id';
+// Letters, digits and . _ : - only, so IDs are safe to echo and to log
+const INCOMING_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+function generateRequestId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * The caller's ID if usable, otherwise a new one
+ */
+function resolveRequestId(incoming) {
+  const value = typeof incoming === 'string' ? incoming.trim() : '';
+  return INCOMING_ID_PATTERN.test(value) ? value : generateRequestId();
+}
+
+/**
+ * The context of the request being handled, or null outside a request
+ */
+function current() {
+  return storage.getStore() || null;
+}
+
+function getRequestId() {
+  const context = current();
+  return context ? context.requestId : null;
+}
+
+/**
+ * Run fn with the given context, e.g. for work that should be logged
+ * against a request after it has finished
+ */
+function run(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Express middleware; mount it before anything that logs
+ */
+function middleware() {
+  return (req, res, next) => {
+    const requestId = resolveRequestId(req.get(HEADER));
+    req.id = requestId;
+    res.setHeader(HEADER, requestId);
+
+    // Error bodies carry the ID so users can quote it to support
+    const originalJson = res.json;
+    res.json = function(body) {
+      if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && body.requestId === undefined) {
+        body = { ...body, requestId };
+      }
+      return originalJson.call(this, body);
+    };
+
+    storage.run({ requestId, method: req.method, url: req.originalUrl }, next);
+  };
+}
+
+module.exports = {
+  HEADER,
+  middleware,
+  current,
+  getRequestId,
+  resolveRequestId,
+  run
+};
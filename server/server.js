@@ -1,17 +1,48 @@
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
-require('dotenv').config();
 
+const settings = require('./settings');
 const logger = require('./logger');
 const { configureSecurity } = require('./security');
-const { apiLimiter, quoteLimiter } = require('./rateLimit');
+const { apiLimiter, quoteLimiter, loginLimiter, adminLimiter, lookupLimiter } = require('./rateLimit');
 const { validateQuotePayload, detectSpam } = require('./validators');
+const forms = require('./forms');
 const { sendQuoteEmail } = require('./mailer');
+const leadStore = require('./leadStore');
+const outbox = require('./outbox');
+const { queueQuoteNotification } = require('./quoteNotifications');
+const webhooks = require('./webhooks');
+const idempotency = require('./idempotency');
+const { scoreLead } = require('./leadScoring');
+const serviceArea = require('./serviceArea');
+const { validateEstimateRequest, calculateEstimate, formatEstimate } = require('./estimator');
+const { parseSearchQuery, searchLogs } = require('./logSearch');
+const { parseStreamQuery, openLogStream } = require('./logStream');
+const requestContext = require('./requestContext');
+const metrics = require('./metrics');
+const health = require('./health');
+const lifecycle = require('./lifecycle');
+const auth = require('./auth');
+const adminLeads = require('./adminLeads');
+const adminOutbox = require('./adminOutbox');
+const { renderLogViewer } = require('./adminViews');
 
 const app = express();
 app.set('trust proxy', 1);
-const PORT = process.env.PORT || 3000;
+
+/**
+ * Contact details for error responses, so visitors can still reach sales
+ */
+function contactInfo() {
+  return { phone: settings.get('CONTACT_PHONE'), email: settings.get('CONTACT_EMAIL') };
+}
+
+// Request ID (X-Request-Id) for the response and every log entry
+app.use(requestContext.middleware());
+
+// In-flight request tracking for graceful shutdown
+app.use(lifecycle.middleware());
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -25,6 +56,7 @@ app.use((req, res, next) => {
   res.end = function(...args) {
     const responseTime = Date.now() - startTime;
     logger.logResponse(req, res, responseTime);
+    metrics.observeRequest(req, res, responseTime);
     originalEnd.apply(this, args);
   };
   
@@ -38,7 +70,7 @@ configureSecurity(app);
 // CORS configuration
 logger.info('Configuring CORS policy');
 app.use(cors({
-  origin: process.env.NODE_ENV === 'production' ? false : true, // Only allow same-origin in production
+  origin: settings.get('NODE_ENV') === 'production' ? false : true, // Only allow same-origin in production
   credentials: false
 }));
 
@@ -47,23 +79,118 @@ logger.info('Configuring body parsing middleware');
 app.use(express.json({ limit: '100kb' }));
 app.use(express.urlencoded({ extended: true, limit: '100kb' }));
 
+// Prometheus metrics - METRICS_TOKEN bearer or a scrape from this machine
+app.get('/metrics', (req, res) => {
+  if (!metrics.authorize(req)) {
+    logger.security('Metrics access denied', { ip: req.ip, userAgent: req.get('User-Agent') });
+    const tokenConfigured = !!settings.get('METRICS_TOKEN');
+    if (tokenConfigured) res.setHeader('WWW-Authenticate', 'Bearer realm="dashrx-metrics"');
+    return res.status(tokenConfigured ? 401 : 403).json({
+      success: false,
+      error: tokenConfigured ? 'Metrics token required' : 'Metrics are only available from localhost'
+    });
+  }
+
+  res.set('Content-Type', metrics.CONTENT_TYPE);
+  res.set('Cache-Control', 'no-store');
+  res.send(metrics.render());
+});
+
 // 1) Health check FIRST (before limiter)
 app.get('/api/health', (req, res) => {
   logger.info('Health check requested');
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development'
+    environment: settings.get('NODE_ENV')
+  });
+});
+
+// Liveness - the process is up; no dependencies are checked
+app.get('/api/health/live', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(health.checkLiveness());
+});
+
+// Readiness - component checks; 503 when a critical one fails
+app.get('/api/health/ready', async (req, res) => {
+  const report = await health.checkReadiness();
+  const { httpStatus, ...body } = report;
+
+  logger.debug(`Readiness check: ${report.status}`);
+  res.set('Cache-Control', 'no-store');
+  res.status(httpStatus).json(body);
+});
+
+// Service-area lookup - has its own, looser limit so live form feedback works
+app.get('/api/service-area', lookupLimiter, (req, res) => {
+  const { zip, city, state, address } = req.query;
+
+  if (zip !== undefined && !serviceArea.ZIP_PATTERN.test(String(zip).trim())) {
+    return res.status(400).json({ success: false, error: 'ZIP code must be 5 digits' });
+  }
+  if (!zip && !city && !address) {
+    return res.status(400).json({ success: false, error: 'Provide a zip, city or address to look up' });
+  }
+
+  const result = serviceArea.lookup({
+    zip: zip && String(zip),
+    city: city && String(city).slice(0, 100),
+    state: state && String(state).slice(0, 2),
+    address: address && String(address).slice(0, 200)
   });
+
+  logger.debug('Service area lookup', { matchedBy: result.matchedBy, tier: result.tier });
+  res.json({ success: true, ...result });
+});
+
+// Coverage map zones - static per deploy, so let browsers cache them
+app.get('/api/service-area/zones', lookupLimiter, (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json(serviceArea.zoneCollection());
 });
 
-// 2) THEN apply rate limiting to the rest of /api
+// Price estimate for the calculator widget - same looser limit as lookups
+app.post('/api/estimate', lookupLimiter, (req, res) => {
+  const validation = validateEstimateRequest(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors
+    });
+  }
+
+  const estimate = calculateEstimate(validation.sanitized);
+  logger.debug('Delivery estimate', { volume: estimate.volume.token, tier: estimate.serviceArea.tier, available: estimate.available });
+  res.json({ success: true, estimate });
+});
+
+// 2) THEN apply rate limiting to the rest of /api. Admin API routes are
+// skipped here and limited per admin once authenticated (adminApi below).
 logger.info('Applying rate limiting to API routes');
 app.use('/api/', apiLimiter);
 
+// Authentication plus the admin rate limit, for admin API routes
+const adminApi = [auth.requireAdmin, adminLimiter];
+
 // Serve static files
 app.use(express.static(path.join(__dirname, '../public')));
 
+// Shared form rules and schemas for client-side validation
+app.get('/js/forms.js', (req, res) => {
+  res.type('application/javascript');
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.send(forms.clientBundle());
+});
+
+// Browser-side settings, read by index.html before the analytics snippet
+app.get('/js/site-config.js', (req, res) => {
+  res.type('application/javascript');
+  res.set('Cache-Control', 'no-cache');
+  res.send(`window.ANALYTICS_ENABLED = ${settings.get('ANALYTICS_ENABLED')};\n`);
+});
+
 // Serve main page
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../views/index.html'));
@@ -94,12 +221,34 @@ app.get('/logo-test', (req, res) => {
   res.sendFile(path.join(__dirname, '../views/logo-test.html'));
 });
 
+// Admin login page
+app.get('/admin/login', (req, res) => {
+  res.sendFile(path.join(__dirname, '../views/admin-login.html'));
+});
+
+// Admin dashboard
+app.get('/admin', auth.requireAdmin, (req, res) => {
+  res.sendFile(path.join(__dirname, '../views/admin.html'));
+});
+
+// Admin lead inbox
+app.use('/admin/leads', auth.requireAdmin, adminLeads);
+
+// Admin outbox (dead-letter inspection and resend)
+app.use('/admin/outbox', auth.requireAdmin, adminOutbox);
+
+// Admin live log viewer (reads /api/logs/stream)
+app.get('/admin/logs', auth.requireAdmin, (req, res) => {
+  res.send(renderLogViewer(logger.LEVEL_COLORS));
+});
+
 // Quote form submission endpoint
-app.post('/api/quote', quoteLimiter, async (req, res) => {
-  const requestId = Math.random().toString(36).substr(2, 9);
+// Repeats with the same Idempotency-Key get the original response (and skip the limiter)
+app.post('/api/quote', idempotency.guard('quote'), quoteLimiter, async (req, res) => {
+  const requestId = req.id;
   
   try {
-    logger.info(`Quote form submission received [${requestId}]`, {
+    logger.info('Quote form submission received', {
       ip: req.ip,
       userAgent: req.get('User-Agent'),
       contentLength: req.get('Content-Length')
@@ -107,14 +256,15 @@ app.post('/api/quote', quoteLimiter, async (req, res) => {
     
     // Basic request validation
     if (!req.body || Object.keys(req.body).length === 0) {
-      logger.validation(`Empty request body [${requestId}]`);
+      logger.validation('Empty request body');
+      metrics.recordQuoteOutcome('validation_failed');
       return res.status(400).json({
         success: false,
         error: 'Request body is required'
       });
     }
 
-    logger.debug(`Request payload received [${requestId}]`, {
+    logger.debug('Request payload received', {
       pharmacy_name: req.body.pharmacy_name,
       contact_person: req.body.contact_person,
       email: req.body.email,
@@ -128,7 +278,8 @@ app.post('/api/quote', quoteLimiter, async (req, res) => {
 
     // Server safety net - honeypot check
     if (typeof req.body.company_website === 'string' && req.body.company_website.trim() !== '') {
-      logger.security(`Spam honeypot hit [${requestId}]`, { value: req.body.company_website });
+      logger.security('Spam honeypot hit', { value: req.body.company_website });
+      metrics.recordQuoteOutcome('honeypot');
       return res.status(400).json({ success: false, error: 'Submission rejected' });
     }
 
@@ -140,7 +291,8 @@ app.post('/api/quote', quoteLimiter, async (req, res) => {
     // Validate and sanitize input
     const validation = validateQuotePayload(req.body);
     if (!validation.valid) {
-      logger.validation(`Validation failed [${requestId}]`, validation.errors);
+      logger.validation('Validation failed', validation.errors);
+      metrics.recordQuoteOutcome('validation_failed');
       return res.status(400).json({
         success: false,
         error: 'Validation failed',
@@ -148,12 +300,13 @@ app.post('/api/quote', quoteLimiter, async (req, res) => {
       });
     }
 
-    logger.success(`Validation passed [${requestId}]`);
+    logger.success('Validation passed');
 
     // Additional spam detection
     const spamIndicators = detectSpam(validation.sanitized);
     if (spamIndicators.length > 0) {
-      logger.security(`Spam detected [${requestId}]`, spamIndicators);
+      logger.security('Spam detected', spamIndicators);
+      metrics.recordQuoteOutcome('spam');
       return res.status(400).json({
         success: false,
         error: 'Submission rejected',
@@ -165,17 +318,18 @@ app.post('/api/quote', quoteLimiter, async (req, res) => {
     const submissionTime = req.body.submission_time;
     if (submissionTime) {
       const timeDiff = Date.now() - parseInt(submissionTime);
-      logger.debug(`Submission timing check [${requestId}]`, {
+      logger.debug('Submission timing check', {
         submissionTime: new Date(parseInt(submissionTime)).toISOString(),
         timeDiff: `${timeDiff}ms`,
         isValid: timeDiff >= 2000
       });
       
       if (timeDiff < 2000) { // Less than 2 seconds
-        logger.security(`Submission too fast - possible bot [${requestId}]`, {
+        logger.security('Submission too fast - possible bot', {
           timeDiff: `${timeDiff}ms`,
           threshold: '2000ms'
         });
+        metrics.recordQuoteOutcome('too_fast');
         return res.status(400).json({
           success: false,
           error: 'Please take your time filling out the form'
@@ -183,47 +337,155 @@ app.post('/api/quote', quoteLimiter, async (req, res) => {
       }
     }
 
-    // Send email
-    logger.email(`Attempting to send quote email [${requestId}]`, {
-      to: 'Dashrx10@gmail.com',
+    // Same email + phone + pharmacy recently? Treat it as a repeat, not a new lead
+    // DUPLICATE_WINDOW_MS=0 turns the check off
+    const duplicateWindowMs = settings.get('DUPLICATE_WINDOW_MS');
+    const original = leadStore.findDuplicate(validation.sanitized, duplicateWindowMs);
+    if (original) {
+      leadStore.recordRepeat(original.id, { ip: req.ip, requestId });
+      logger.warn('Duplicate quote submission', {
+        leadId: original.id,
+        repeats: leadStore.getLead(original.id).repeats.length
+      });
+      metrics.recordQuoteOutcome('duplicate');
+
+      return res.json({
+        success: true,
+        message: 'Quote request submitted successfully',
+        leadId: original.id,
+        timestamp: original.createdAt,
+        duplicate: true
+      });
+    }
+
+    // Tag coverage so out-of-area leads stand out in the inbox and email
+    const area = serviceArea.lookup(validation.sanitized);
+    if (area.covered === false) {
+      logger.info('Out-of-area lead', { matchedBy: area.matchedBy, query: area.query });
+    }
+
+    // Re-price the calculator estimate the visitor saw, if any, so sales gets
+    // it without trusting figures sent from the browser
+    let estimate = null;
+    if (req.body.estimate_request) {
+      const estimateValidation = validateEstimateRequest(req.body.estimate_request);
+      if (estimateValidation.valid) {
+        estimate = calculateEstimate(estimateValidation.sanitized);
+        logger.info('Estimate attached', { estimate: formatEstimate(estimate) });
+      } else {
+        logger.warn('Ignoring invalid estimate request', { errors: estimateValidation.errors });
+      }
+    }
+
+    // Prioritize by volume, location, completeness and message content
+    const score = scoreLead(validation.sanitized);
+    logger.info(`Lead scored ${score.score} (${score.tier})`, {
+      breakdown: score.breakdown.map(item => `${item.factor}:${item.points}`).join(' ')
+    });
+
+    // Persist the lead before touching email so it can never be lost
+    const lead = leadStore.createLead(validation.sanitized, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId,
+      score,
+      serviceArea: {
+        covered: area.covered,
+        tier: area.tier,
+        label: area.label,
+        sameDay: area.sameDay,
+        municipality: area.municipality,
+        zip: area.query.zip,
+        matchedBy: area.matchedBy
+      },
+      estimate
+    });
+
+    // Queue the notification email - the outbox worker delivers and retries it
+    const queued = queueQuoteNotification(lead);
+
+    // Fan out to chat/CRM webhooks, each retried on its own
+    const hooks = webhooks.queueLead(lead);
+    
+    logger.email('Quote email queued', {
+      to: settings.get('MAIL_TO'),
+      leadId: lead.id,
+      outboxId: queued.id,
+      webhooks: hooks.length,
       pharmacy: validation.sanitized.pharmacy_name,
       contact: validation.sanitized.contact_person,
       replyTo: validation.sanitized.email
     });
-    
-    const emailResult = await sendQuoteEmail(validation.sanitized);
-    
-    logger.success(`Quote email sent successfully [${requestId}]`, {
-      messageId: emailResult.messageId,
-      timestamp: emailResult.timestamp
-    });
+    metrics.recordQuoteOutcome('accepted');
     
     res.json({
       success: true,
       message: 'Quote request submitted successfully',
-      timestamp: emailResult.timestamp
+      leadId: lead.id,
+      timestamp: lead.createdAt
     });
 
   } catch (error) {
-    logger.error(`Quote submission error [${requestId}]`, {
+    logger.error('Quote submission error', {
       code: error.code || null,
       error: error.message,
       stack: error.stack?.split('\n').slice(0,3).join(' | '),
     });
+    metrics.recordQuoteOutcome('error');
 
     res.status(500).json({
       success: false,
       error: 'Internal server error. Please try again or contact us directly.',
-      contactInfo: { phone: '(313) 333-2133', email: 'dashrx10@gmail.com' }
+      contactInfo: contactInfo()
     });
   }
 });
 
 
+// Admin login endpoint - issues a session (cookie + bearer token)
+app.post('/api/admin/login', loginLimiter, (req, res) => {
+  const { username, password } = req.body || {};
+  const user = auth.authenticate(username, password);
+
+  if (!user) {
+    logger.security('Admin login failed', {
+      username: typeof username === 'string' ? username.slice(0, 32) : null,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid username or password'
+    });
+  }
+
+  const session = auth.createSession(user.username);
+  auth.setSessionCookie(res, session.token);
+  logger.security(`Admin login succeeded [${user.username}]`, { ip: req.ip });
+
+  res.json({
+    success: true,
+    token: session.token,
+    expiresAt: session.expiresAt
+  });
+});
+
+// Admin logout endpoint
+app.post('/api/admin/logout', adminApi, (req, res) => {
+  if (req.admin.token) {
+    auth.destroySession(req.admin.token);
+  }
+  auth.clearSessionCookie(res);
+  logger.security(`Admin logged out [${req.admin.username}]`, { ip: req.ip });
+
+  res.json({ success: true });
+});
+
 // Log download endpoint
-app.get('/api/logs/download', (req, res) => {
+app.get('/api/logs/download', adminApi, (req, res) => {
   try {
     logger.info('Log download requested', {
+      admin: req.admin.username,
       ip: req.ip,
       userAgent: req.get('User-Agent')
     });
@@ -255,8 +517,71 @@ app.get('/api/logs/download', (req, res) => {
   }
 });
 
+// Admin-only log search: ?level=error,warn&from=&to=&requestId=&url=&q=&page=&limit=
+app.get('/api/logs/search', adminApi, async (req, res) => {
+  const search = parseSearchQuery(req.query);
+  if (search.errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid search',
+      details: search.errors
+    });
+  }
+
+  try {
+    // Include entries still waiting in the write buffer
+    await logger.flush();
+    const result = await searchLogs(search);
+
+    logger.debug('Log search completed', {
+      admin: req.admin.username,
+      query: req.query,
+      total: result.total
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Log search failed', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search logs'
+    });
+  }
+});
+
+// Admin-only live log tail as Server-Sent Events: ?level=error,warn&requestId=&replay=100
+app.get('/api/logs/stream', adminApi, (req, res) => {
+  const stream = parseStreamQuery(req.query);
+  if (stream.errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid stream request',
+      details: stream.errors
+    });
+  }
+
+  openLogStream(req, res, stream);
+});
+
+// Webhook endpoints and their recent delivery attempts
+app.get('/api/admin/webhooks', adminApi, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+
+  res.json({
+    success: true,
+    endpoints: webhooks.describe().map(endpoint => ({
+      ...endpoint,
+      deliveries: webhooks.getDeliveryLog(endpoint.name, limit)
+    }))
+  });
+});
+
 // Log info endpoint (for frontend to check log status)
-app.get('/api/logs/info', (req, res) => {
+app.get('/api/logs/info', adminApi, (req, res) => {
   try {
     const logFiles = logger.getLogFiles();
     const totalSize = logFiles.reduce((sum, file) => sum + file.size, 0);
@@ -266,13 +591,26 @@ app.get('/api/logs/info', (req, res) => {
     res.json({
       success: true,
       files: logFiles.length,
+      compressedFiles: logFiles.filter(file => file.compressed).length,
       totalSize: totalSize,
       totalSizeFormatted: `${(totalSize / 1024).toFixed(2)} KB`,
       latestLog: logFiles[0] ? {
         name: logFiles[0].name,
         size: `${(logFiles[0].size / 1024).toFixed(2)} KB`,
         modified: logFiles[0].modified
-      } : null
+      } : null,
+      archives: logFiles.filter(file => file.name !== 'dashrx.log').map(file => ({
+        name: file.name,
+        size: file.size,
+        compressed: file.compressed,
+        modified: file.modified
+      })),
+      rotation: {
+        interval: logger.rotateInterval,
+        maxSizeMB: logger.maxLogSize / (1024 * 1024),
+        retentionDays: logger.retentionDays,
+        maxTotalMB: logger.maxTotalSize / (1024 * 1024)
+      }
     });
   } catch (error) {
     logger.error('Log info request failed', {
@@ -287,9 +625,10 @@ app.get('/api/logs/info', (req, res) => {
 });
 
 // Clear logs endpoint (for debugging)
-app.post('/api/logs/clear', (req, res) => {
+app.post('/api/logs/clear', adminApi, (req, res) => {
   try {
     logger.warn('Log clear requested', {
+      admin: req.admin.username,
       ip: req.ip,
       userAgent: req.get('User-Agent')
     });
@@ -314,7 +653,7 @@ app.post('/api/logs/clear', (req, res) => {
 });
 
 // Quick mailer test endpoint (add above the /api/* 404 handler)
-app.get('/api/test-email', async (req, res) => {
+app.get('/api/test-email', adminApi, async (req, res) => {
   try {
     const result = await sendQuoteEmail({
       pharmacy_name: 'Test Pharmacy',
@@ -363,24 +702,65 @@ app.use((error, req, res, next) => {
   res.status(500).json({
     success: false,
     error: 'Something went wrong',
-    contactInfo: {
-      phone: '(313) 333-2133',
-      email: 'dashrx10@gmail.com'
-    }
+    contactInfo: contactInfo()
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  logger.success(`DashRx server running on port ${PORT}`);
-  logger.info(`Mail provider: ${process.env.MAIL_PROVIDER || 'gmail'}`);
-  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  
-  if (process.env.NODE_ENV !== 'production') {
-    logger.info(`Local URL: http://localhost:${PORT}`);
+/**
+ * Check the settings, then listen on PORT, start the outbox worker and hand
+ * shutdown to the lifecycle manager. Runs when server.js is started directly;
+ * tests require the app and listen on their own. Throws CONFIG_INVALID when a
+ * setting is missing or malformed.
+ */
+function start(port = settings.get('PORT')) {
+  const { errors, warnings } = settings.validate();
+  warnings.forEach(warning => logger.warn(warning));
+  if (errors.length > 0) {
+    errors.forEach(problem => logger.error('Invalid setting', { problem }));
+    const err = new Error(`Invalid configuration: ${errors.join('; ')}`);
+    err.code = 'CONFIG_INVALID';
+    throw err;
   }
-  
-  logger.info('Server startup complete - ready to accept requests');
-});
+  const effective = settings.describe();
+  logger.info('Effective configuration', effective);
+  // The console only shows entry data for errors and debug, so list the values here
+  console.log('⚙️  Effective configuration:');
+  Object.entries(effective).forEach(([name, value]) => {
+    console.log(`   ${name}=${value === null ? '(not set)' : typeof value === 'object' ? JSON.stringify(value) : value}`);
+  });
+
+  outbox.start();
+
+  const server = app.listen(port, () => {
+    const { port: actualPort } = server.address();
+    logger.success(`DashRx server running on port ${actualPort}`);
+    logger.info(`Mail provider: ${settings.get('MAIL_PROVIDER')}`);
+    logger.info(`Environment: ${settings.get('NODE_ENV')}`);
+    
+    if (settings.get('NODE_ENV') !== 'production') {
+      logger.info(`Local URL: http://localhost:${actualPort}`);
+    }
+    
+    if (!auth.isConfigured()) {
+      logger.warn('Admin area locked: set ADMIN_TOKEN or run `npm run admin:create` to add an admin account');
+    }
+    
+    logger.info('Server startup complete - ready to accept requests');
+  });
+
+  lifecycle.attach(server);
+  return server;
+}
+
+if (require.main === module) {
+  try {
+    start();
+  } catch (error) {
+    if (error.code !== 'CONFIG_INVALID') throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
 
 module.exports = app;
+module.exports.start = start;
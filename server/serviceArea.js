@@ -0,0 +1,253 @@
+/**
+ * Service area lookup
+ * Answers whether a ZIP, city or street address is in the area DashRx serves,
+ * which coverage tier it falls in and whether same-day delivery is available.
+ * Backed by config/service-area.json; config/service-area.geojson holds the
+ * simplified zone shapes drawn on the public coverage map.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const settings = require('./settings');
+const logger = require('./logger');
+
+const DEFAULT_DATASET_FILE = path.join(__dirname, '../config/service-area.json');
+const DEFAULT_ZONES_FILE = path.join(__dirname, '../config/service-area.geojson');
+const ZIP_PATTERN = /^\d{5}$/;
+
+/**
+ * Comparable form of a city name: "St. Clair Shores" and "Saint Clair Shores" match
+ */
+function normalizeCity(city) {
+  return String(city || '').toLowerCase().replace(/^st\.?\s/, 'saint ').replace(/[^a-z]/g, '');
+}
+
+// A ZIP (optionally ZIP+4) ending the address, after a comma or a state:
+// "..., Detroit, MI 48201" or "..., 48201". Five-digit house numbers such as
+// "29500 Woodward Ave" are not ZIPs.
+const TRAILING_ZIP_PATTERN = /(?:,|\b[a-z]{2}|\bmichigan)\s*(\d{5})(?:-\d{4})?\s*$/i;
+
+/**
+ * ZIP at the end of a free-form address, or null
+ */
+function extractZip(address) {
+  const match = String(address || '').match(TRAILING_ZIP_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Read and index the dataset
+ */
+function loadDataset(file = settings.get('SERVICE_AREA_FILE') || DEFAULT_DATASET_FILE) {
+  const dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const problems = [];
+
+  if (!dataset.tiers || typeof dataset.tiers !== 'object') problems.push('missing "tiers"');
+  if (!Array.isArray(dataset.municipalities)) problems.push('"municipalities" must be a list');
+
+  (dataset.municipalities || []).forEach((place, index) => {
+    if (!place.name) problems.push(`municipality ${index} has no name`);
+    if (!dataset.tiers || !dataset.tiers[place.tier]) problems.push(`${place.name || index}: unknown tier "${place.tier}"`);
+    (place.zips || []).forEach(zip => {
+      if (!ZIP_PATTERN.test(zip)) problems.push(`${place.name || index}: bad ZIP "${zip}"`);
+    });
+  });
+
+  if (problems.length > 0) {
+    const err = new Error(`Invalid service area dataset ${file}: ${problems.join('; ')}`);
+    err.code = 'SERVICE_AREA_CONFIG';
+    throw err;
+  }
+
+  // Tier order in the file is the preference order when a ZIP spans municipalities
+  const tierRank = Object.keys(dataset.tiers);
+  const byZip = new Map();
+  const byCity = new Map();
+
+  dataset.municipalities.forEach(place => {
+    byCity.set(normalizeCity(place.name), place);
+    (place.zips || []).forEach(zip => {
+      const current = byZip.get(zip);
+      if (!current || tierRank.indexOf(place.tier) < tierRank.indexOf(current.tier)) {
+        byZip.set(zip, place);
+      }
+    });
+  });
+
+  return { ...dataset, state: dataset.state || 'MI', byZip, byCity };
+}
+
+/**
+ * Read the zone shapes. Each feature is matched to a municipality by
+ * properties.name; coverage details always come from the dataset.
+ */
+function loadZones(dataset, file = settings.get('SERVICE_AREA_ZONES_FILE') || DEFAULT_ZONES_FILE) {
+  const collection = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const problems = [];
+
+  if (collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    problems.push('must be a GeoJSON FeatureCollection');
+  }
+  (collection.features || []).forEach((feature, index) => {
+    const name = feature.properties && feature.properties.name;
+    const type = feature.geometry && feature.geometry.type;
+    if (!name || !dataset.byCity.has(normalizeCity(name))) problems.push(`feature ${index}: unknown municipality "${name}"`);
+    if (type !== 'Polygon' && type !== 'MultiPolygon') problems.push(`feature ${index}: geometry must be a Polygon or MultiPolygon`);
+  });
+
+  if (problems.length > 0) {
+    const err = new Error(`Invalid service area zones ${file}: ${problems.join('; ')}`);
+    err.code = 'SERVICE_AREA_CONFIG';
+    throw err;
+  }
+
+  const drawn = new Set(collection.features.map(feature => normalizeCity(feature.properties.name)));
+  const undrawn = dataset.municipalities.filter(place => !drawn.has(normalizeCity(place.name)));
+  if (undrawn.length > 0) {
+    logger.warn('Service area municipalities without a map zone', { municipalities: undrawn.map(place => place.name) });
+  }
+
+  return collection;
+}
+
+class ServiceArea {
+  constructor() {
+    this.dataset = loadDataset();
+    this.zones = loadZones(this.dataset);
+  }
+
+  /**
+   * Swap in a different dataset (tests, or after editing the file)
+   */
+  reload(file, zonesFile) {
+    this.dataset = loadDataset(file);
+    this.zones = loadZones(this.dataset, zonesFile);
+    this.zoneCache = null;
+    logger.info('Service area dataset loaded', { municipalities: this.dataset.municipalities.length });
+  }
+
+  describe(place, matchedBy, query) {
+    const tier = this.dataset.tiers[place.tier];
+    return {
+      query,
+      matchedBy,
+      covered: true,
+      tier: place.tier,
+      label: tier.label,
+      sameDay: place.sameDay !== undefined ? !!place.sameDay : !!tier.sameDay,
+      municipality: place.name,
+      county: place.county || null,
+      message: `${place.name} is in our ${tier.label.toLowerCase()} area. ${tier.description || ''}`.trim()
+    };
+  }
+
+  outside(matchedBy, query) {
+    return {
+      query,
+      matchedBy,
+      covered: false,
+      tier: 'outside',
+      label: 'Outside service area',
+      sameDay: false,
+      municipality: null,
+      county: null,
+      message: "That location is outside our current Metro Detroit service area. You can still request a quote and we'll let you know what we can do."
+    };
+  }
+
+  /**
+   * Look up by ZIP, city/state or a street address. A ZIP wins over the city.
+   * Returns tier "unknown" (covered: null) when there is nothing to go on.
+   */
+  lookup({ zip, city, state, address } = {}) {
+    const cleanZip = ZIP_PATTERN.test(String(zip || '').trim()) ? String(zip).trim() : extractZip(address);
+    const cleanState = String(state || '').trim().toUpperCase();
+    const query = { zip: cleanZip || null, city: city ? String(city).trim() : null, state: cleanState || null };
+
+    if (cleanZip) {
+      const place = this.dataset.byZip.get(cleanZip);
+      return place ? this.describe(place, 'zip', query) : this.outside('zip', query);
+    }
+
+    if (cleanState && cleanState !== this.dataset.state) {
+      return this.outside('state', query);
+    }
+
+    if (query.city) {
+      const place = this.dataset.byCity.get(normalizeCity(query.city));
+      return place ? this.describe(place, 'city', query) : this.outside('city', query);
+    }
+
+    return {
+      query,
+      matchedBy: null,
+      covered: null,
+      tier: 'unknown',
+      label: 'Location not provided',
+      sameDay: false,
+      municipality: null,
+      county: null,
+      message: 'Enter a ZIP code or city to check coverage.'
+    };
+  }
+
+  /**
+   * Coverage tiers plus municipalities, for the coverage map and docs
+   */
+  summary() {
+    return {
+      state: this.dataset.state,
+      tiers: this.dataset.tiers,
+      municipalities: this.dataset.municipalities.map(place => ({
+        name: place.name,
+        county: place.county || null,
+        tier: place.tier,
+        zips: place.zips || []
+      }))
+    };
+  }
+
+  /**
+   * Zone shapes with each municipality's tier, label, same-day flag and ZIPs
+   * merged into the feature properties, for the public coverage map
+   */
+  zoneCollection() {
+    if (this.zoneCache) return this.zoneCache;
+
+    const features = this.zones.features.map(feature => {
+      const place = this.dataset.byCity.get(normalizeCity(feature.properties.name));
+      const tier = this.dataset.tiers[place.tier];
+      return {
+        type: 'Feature',
+        properties: {
+          name: place.name,
+          county: place.county || null,
+          tier: place.tier,
+          label: tier.label,
+          sameDay: place.sameDay !== undefined ? !!place.sameDay : !!tier.sameDay,
+          zips: place.zips || []
+        },
+        geometry: feature.geometry
+      };
+    });
+
+    this.zoneCache = {
+      type: 'FeatureCollection',
+      tiers: Object.fromEntries(Object.entries(this.dataset.tiers).map(([key, tier]) => [key, {
+        label: tier.label,
+        sameDay: !!tier.sameDay,
+        description: tier.description || ''
+      }])),
+      features
+    };
+    return this.zoneCache;
+  }
+}
+
+// Export singleton instance
+const serviceArea = new ServiceArea();
+
+module.exports = serviceArea;
+module.exports.normalizeCity = normalizeCity;
+module.exports.extractZip = extractZip;
+module.exports.ZIP_PATTERN = ZIP_PATTERN;
@@ -0,0 +1,242 @@
+/**
+ * Settings
+ * Every environment variable the server reads is declared here with its type,
+ * default, whether it is required and whether it is secret. validate() runs
+ * when the server starts; everything else reads values through get(), or
+ * env() for modules that take a whole env object.
+ *
+ * Types: string, integer, number, boolean ("true" / "false"), enum, url, json.
+ * A value that does not parse is reported by validate() and read as the default.
+ */
+
+require('dotenv').config();
+
+const { LEVEL_SEVERITY } = require('./logLevels');
+
+const MAIL_PROVIDERS = ['gmail', 'smtp', 'sendgrid', 'mailgun', 'file', 'console'];
+
+// Conditions for settings that are only required with some providers
+const sendsMail = get => !get('DRY_RUN');
+const usesProvider = name => get => sendsMail(get) && get('MAIL_PROVIDER') === name;
+
+const SETTINGS = {
+  // Server
+  NODE_ENV: { type: 'string', default: 'development', description: 'production turns on secure cookies and strict CORS' },
+  PORT: { type: 'integer', default: 3000, min: 0, max: 65535, description: 'HTTP port' },
+  SITE_URL: { type: 'url', default: 'https://dashrx.com', description: 'Public site address for links in emails' },
+  CONTACT_PHONE: { type: 'string', default: '(313) 333-2133', description: 'Phone number shown in error responses and emails' },
+  CONTACT_EMAIL: { type: 'string', default: 'dashrx10@gmail.com', description: 'Email address shown in error responses and emails' },
+  ANALYTICS_ENABLED: { type: 'boolean', default: false, description: 'Load Plausible analytics on the site' },
+  SHUTDOWN_TIMEOUT_MS: { type: 'integer', default: 10000, min: 1, description: 'How long shutdown waits for in-flight work' },
+
+  // Mail
+  MAIL_PROVIDER: { type: 'enum', values: MAIL_PROVIDERS, default: 'gmail', description: 'Mail provider' },
+  MAIL_TO: { type: 'string', default: null, required: sendsMail, description: 'Sales inbox for quote notifications' },
+  MAIL_FROM: { type: 'string', default: null, description: 'Sender address (defaults to MAIL_USER)' },
+  MAIL_USER: { type: 'string', default: null, required: usesProvider('gmail'), description: 'Gmail account' },
+  MAIL_PASS: { type: 'string', default: null, secret: true, aliases: ['MAIL_APP_PASS'], required: usesProvider('gmail'), description: 'Gmail App Password' },
+  DRY_RUN: { type: 'boolean', default: false, description: 'Log emails instead of sending them' },
+  AUTORESPONDER_ENABLED: { type: 'boolean', default: true, description: 'Send a confirmation email to the submitter' },
+  MAIL_VERIFY_TTL_MS: { type: 'integer', default: 5 * 60 * 1000, min: 1, description: 'How long a mail login check is reused' },
+  MAIL_FILE_DIR: { type: 'string', default: null, description: 'Folder for the file provider (defaults to data/mail)' },
+  SMTP_HOST: { type: 'string', default: null, required: usesProvider('smtp'), description: 'SMTP server' },
+  SMTP_PORT: { type: 'integer', default: null, min: 1, max: 65535, description: 'SMTP port (587, or 465 with SMTP_SECURE)' },
+  SMTP_SECURE: { type: 'boolean', default: null, description: 'Implicit TLS (defaults to true on port 465)' },
+  SMTP_REQUIRE_TLS: { type: 'boolean', default: false, description: 'Refuse to send without STARTTLS' },
+  SMTP_TLS_REJECT_UNAUTHORIZED: { type: 'boolean', default: true, description: 'Check the SMTP server certificate' },
+  SMTP_USER: { type: 'string', default: null, description: 'SMTP login' },
+  SMTP_PASS: { type: 'string', default: null, secret: true, description: 'SMTP password' },
+  SENDGRID_API_KEY: { type: 'string', default: null, secret: true, required: usesProvider('sendgrid'), description: 'SendGrid API key' },
+  SENDGRID_API_URL: { type: 'url', default: null, description: 'SendGrid API base URL' },
+  MAILGUN_API_KEY: { type: 'string', default: null, secret: true, required: usesProvider('mailgun'), description: 'Mailgun API key' },
+  MAILGUN_DOMAIN: { type: 'string', default: null, required: usesProvider('mailgun'), description: 'Mailgun sending domain' },
+  MAILGUN_API_URL: { type: 'url', default: null, description: 'Mailgun API base URL (EU: https://api.eu.mailgun.net)' },
+
+  // Security and admin
+  RATE_LIMIT_WINDOW_MS: { type: 'integer', default: 60000, min: 1, description: 'Rate limit window' },
+  RATE_LIMIT_MAX_REQUESTS: { type: 'integer', default: 5, min: 1, description: 'Requests per window to each client across /api routes (quotes have their own limit)' },
+  ADMIN_TOKEN: { type: 'string', default: null, secret: true, description: 'Bearer token for the admin area' },
+  ADMIN_USERS_FILE: { type: 'string', default: null, description: 'Admin accounts file (defaults to data/admin-users.json)' },
+  ADMIN_SESSION_TTL_MS: { type: 'integer', default: 8 * 60 * 60 * 1000, min: 1, description: 'Admin session lifetime' },
+  METRICS_TOKEN: { type: 'string', default: null, secret: true, description: 'Bearer token for remote /metrics scrapes' },
+
+  // Logging
+  LOG_DIR: { type: 'string', default: null, description: 'Log folder (defaults to logs/)' },
+  LOG_FORMAT: { type: 'enum', values: ['text', 'json'], default: 'text', description: 'Log file format' },
+  LOG_LEVEL: { type: 'enum', values: Object.keys(LEVEL_SEVERITY), default: 'debug', description: 'Lowest level written' },
+  LOG_ROTATE_INTERVAL: { type: 'enum', values: ['daily', 'hourly', 'size'], default: 'daily', description: 'When the log file is archived' },
+  LOG_MAX_SIZE_MB: { type: 'number', positive: true, default: 10, description: 'Size that triggers rotation' },
+  LOG_RETENTION_DAYS: { type: 'number', positive: true, default: 14, description: 'Days archives are kept' },
+  LOG_MAX_TOTAL_MB: { type: 'number', positive: true, default: 100, description: 'Disk budget for archives' },
+  LOG_REDACTION: { type: 'enum', values: ['mask', 'hash', 'unsafe'], default: 'mask', description: 'How PII is scrubbed from logs' },
+  LOG_REDACTION_SALT: { type: 'string', default: null, secret: true, description: 'Key for hashed PII' },
+  LOG_REDACTION_FILE: { type: 'string', default: null, description: 'Redaction rules (defaults to config/log-redaction.json)' },
+
+  // Data files
+  LEAD_STORE_DIR: { type: 'string', default: null, description: 'Lead storage folder (defaults to data/)' },
+  LEAD_SCORING_CONFIG: { type: 'string', default: null, description: 'Lead scoring weights (defaults to config/lead-scoring.json)' },
+  SERVICE_AREA_FILE: { type: 'string', default: null, description: 'Service area (defaults to config/service-area.json)' },
+  SERVICE_AREA_ZONES_FILE: { type: 'string', default: null, description: 'Coverage map shapes (defaults to config/service-area.geojson)' },
+  DELIVERY_RATES_FILE: { type: 'string', default: null, description: 'Estimator rate table (defaults to config/delivery-rates.json)' },
+  DUPLICATE_WINDOW_MS: { type: 'integer', default: 24 * 60 * 60 * 1000, min: 0, description: 'Window for duplicate quote detection (0 disables)' },
+  IDEMPOTENCY_TTL_MS: { type: 'integer', default: 24 * 60 * 60 * 1000, min: 1, description: 'How long Idempotency-Key replies are kept' },
+
+  // Health checks
+  HEALTH_CHECK_TIMEOUT_MS: { type: 'integer', default: 3000, min: 1, description: 'Time limit per readiness check' },
+  HEALTH_OUTBOX_WARN: { type: 'integer', default: 25, min: 1, description: 'Queued emails that degrade readiness' },
+  HEALTH_OUTBOX_MAX: { type: 'integer', default: 100, min: 1, description: 'Queued emails that fail the outbox check' },
+
+  // Outbox
+  OUTBOX_DIR: { type: 'string', default: null, description: 'Outbox folder (defaults to data/)' },
+  OUTBOX_MAX_ATTEMPTS: { type: 'integer', default: 6, min: 1, description: 'Delivery attempts before dead-lettering' },
+  OUTBOX_RETRY_BASE_MS: { type: 'integer', default: 30 * 1000, min: 1, description: 'First retry delay (doubles each time)' },
+  OUTBOX_POLL_MS: { type: 'integer', default: 5000, min: 1, description: 'How often the worker looks for due messages' },
+
+  // Webhooks
+  WEBHOOK_ENDPOINTS: { type: 'json', default: null, secret: true, description: 'Lead webhook endpoints (JSON array)' },
+  WEBHOOK_SECRET: { type: 'string', default: null, secret: true, description: 'Default webhook signing secret' },
+  WEBHOOK_TIMEOUT_MS: { type: 'integer', default: 5000, min: 1, description: 'Webhook request time limit' },
+  WEBHOOK_LOG_DIR: { type: 'string', default: null, description: 'Webhook delivery logs (defaults to data/webhooks)' }
+};
+
+/**
+ * Raw string for a setting, following aliases. Returns { raw, from }.
+ */
+function lookup(name, env) {
+  const setting = SETTINGS[name];
+  const names = [name, ...(setting.aliases || [])];
+  const from = names.find(key => env[key] !== undefined && env[key] !== '');
+  return { raw: from ? env[from] : undefined, from: from || null };
+}
+
+/**
+ * Parse one raw value. Returns { value } or { error }.
+ */
+function parse(name, raw) {
+  const setting = SETTINGS[name];
+  const text = String(raw).trim();
+  const range = value => {
+    if (setting.min !== undefined && value < setting.min) return { error: `${name} must be at least ${setting.min}` };
+    if (setting.max !== undefined && value > setting.max) return { error: `${name} must be at most ${setting.max}` };
+    return { value };
+  };
+
+  switch (setting.type) {
+    case 'integer':
+      if (!/^-?\d+$/.test(text)) return { error: `${name} must be a whole number, got "${raw}"` };
+      return range(parseInt(text, 10));
+    case 'number':
+      if (text === '' || !Number.isFinite(Number(text))) return { error: `${name} must be a number, got "${raw}"` };
+      if (setting.positive && !(Number(text) > 0)) return { error: `${name} must be greater than 0` };
+      return range(Number(text));
+    case 'boolean':
+      if (!['true', 'false'].includes(text.toLowerCase())) return { error: `${name} must be "true" or "false", got "${raw}"` };
+      return { value: text.toLowerCase() === 'true' };
+    case 'enum':
+      if (!setting.values.includes(text.toLowerCase())) return { error: `${name} must be one of ${setting.values.join(', ')}, got "${raw}"` };
+      return { value: text.toLowerCase() };
+    case 'url':
+      try {
+        const url = new URL(text);
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error('not http');
+      } catch (e) {
+        return { error: `${name} must be an http(s) URL, got "${raw}"` };
+      }
+      return { value: text };
+    case 'json':
+      try {
+        return { value: JSON.parse(text) };
+      } catch (e) {
+        return { error: `${name} is not valid JSON: ${e.message}` };
+      }
+    default:
+      return { value: String(raw) };
+  }
+}
+
+function read(name, env) {
+  if (!SETTINGS[name]) {
+    const err = new Error(`Unknown setting ${name}`);
+    err.code = 'SETTING_UNKNOWN';
+    throw err;
+  }
+  const { raw } = lookup(name, env);
+  if (raw === undefined) return SETTINGS[name].default;
+  const parsed = parse(name, raw);
+  return parsed.error ? SETTINGS[name].default : parsed.value;
+}
+
+/**
+ * Current value of a setting, typed. Read on every call, so tests can change
+ * process.env between requests. Modules that take an env object pass it as
+ * source.
+ */
+function get(name, source = process.env) {
+  return read(name, source);
+}
+
+/**
+ * The declared settings that are set, as raw strings keyed by their canonical
+ * names (MAIL_APP_PASS arrives as MAIL_PASS). For modules that check a whole
+ * env object themselves, such as the mail providers.
+ */
+function env(source = process.env) {
+  const values = {};
+  Object.keys(SETTINGS).forEach(name => {
+    const { raw } = lookup(name, source);
+    if (raw !== undefined) values[name] = raw;
+  });
+  return values;
+}
+
+/**
+ * Check every setting. Returns { errors, warnings }; the server does not start
+ * while there are errors.
+ */
+function validate(source = process.env) {
+  const errors = [];
+  const warnings = [];
+  const getter = name => read(name, source);
+
+  Object.keys(SETTINGS).forEach(name => {
+    const setting = SETTINGS[name];
+    const { raw, from } = lookup(name, source);
+
+    if (raw === undefined) {
+      const required = typeof setting.required === 'function' ? setting.required(getter) : !!setting.required;
+      if (required) errors.push(`${name} is required: ${setting.description}`);
+      return;
+    }
+
+    if (from !== name) warnings.push(`${from} is deprecated; rename it to ${name}`);
+    const parsed = parse(name, raw);
+    if (parsed.error) errors.push(parsed.error);
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Effective settings for the startup log. Secrets show only whether they are set.
+ */
+function describe(source = process.env) {
+  const effective = {};
+  Object.keys(SETTINGS).forEach(name => {
+    const value = read(name, source);
+    if (SETTINGS[name].secret) {
+      effective[name] = value === null ? null : '[set]';
+    } else {
+      effective[name] = value;
+    }
+  });
+  return effective;
+}
+
+module.exports = {
+  SETTINGS,
+  MAIL_PROVIDERS,
+  get,
+  env,
+  validate,
+  describe
+};
@@ -0,0 +1,169 @@
+/**
+ * Test suite for admin authentication
+ * Verifies log and diagnostic routes are only reachable by admins
+ */
+
+const fs = require('fs');
+const { useTempEnv } = require('./testEnv');
+
+useTempEnv('auth', {
+  ADMIN_TOKEN: 'test-admin-token-0123456789',
+  RATE_LIMIT_MAX_REQUESTS: '5'
+});
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const settings = require('../settings');
+const logger = require('../logger');
+const auth = require('../auth');
+
+auth.setUserPassword('ops-admin', 'correct horse battery');
+
+// Capture security events
+const securityEvents = [];
+const originalSecurity = logger.security.bind(logger);
+logger.security = (message, data) => {
+  securityEvents.push({ message, data });
+  originalSecurity(message, data);
+};
+
+const runner = new TestRunner();
+
+function login(baseUrl, username, password) {
+  return makeRequest(`${baseUrl}/api/admin/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+}
+
+// Test: Protected routes reject anonymous callers
+runner.test('Log and diagnostic routes require authentication', async (baseUrl) => {
+  const routes = [
+    ['GET', '/api/logs/download'],
+    ['GET', '/api/logs/info'],
+    ['POST', '/api/logs/clear'],
+    ['GET', '/api/test-email']
+  ];
+
+  for (const [method, route] of routes) {
+    securityEvents.length = 0;
+    const response = await makeRequest(`${baseUrl}${route}`, { method });
+    assertEqual(response.statusCode, 401, `${method} ${route} should return 401`);
+    assert(securityEvents.some(e => e.message === 'Admin access denied'), `${route} denial should be logged`);
+  }
+});
+
+// Test: Wrong bearer token is rejected
+runner.test('Invalid bearer token is rejected', async (baseUrl) => {
+  const response = await makeRequest(`${baseUrl}/api/logs/info`, {
+    headers: { Authorization: 'Bearer not-the-token' }
+  });
+  assertEqual(response.statusCode, 401, 'Invalid token should return 401');
+});
+
+// Test: Configured admin token grants access
+runner.test('ADMIN_TOKEN grants access to log info', async (baseUrl) => {
+  const response = await makeRequest(`${baseUrl}/api/logs/info`, {
+    headers: { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` }
+  });
+  assertEqual(response.statusCode, 200, 'Admin token should be accepted');
+  assert(response.body && response.body.success === true, 'Log info should be returned');
+});
+
+// Test: Bad password is rejected and logged
+runner.test('Login with a wrong password fails', async (baseUrl) => {
+  securityEvents.length = 0;
+  const response = await login(baseUrl, 'ops-admin', 'wrong password here');
+  assertEqual(response.statusCode, 401, 'Wrong password should return 401');
+  assert(!response.headers['set-cookie'], 'No session cookie should be issued');
+  assert(securityEvents.some(e => e.message === 'Admin login failed'), 'Failed login should be logged');
+});
+
+// Test: Full session lifecycle
+runner.test('Login session works as cookie and bearer, and logout revokes it', async (baseUrl) => {
+  const response = await login(baseUrl, 'ops-admin', 'correct horse battery');
+  assertEqual(response.statusCode, 200, 'Valid login should succeed');
+  assert(response.body.token, 'Login should return a session token');
+
+  const cookie = response.headers['set-cookie'][0].split(';')[0];
+  assert(cookie.startsWith(`${auth.SESSION_COOKIE}=`), 'Login should set the session cookie');
+  assert(/HttpOnly/.test(response.headers['set-cookie'][0]), 'Session cookie should be HttpOnly');
+
+  const viaCookie = await makeRequest(`${baseUrl}/api/logs/info`, { headers: { Cookie: cookie } });
+  assertEqual(viaCookie.statusCode, 200, 'Session cookie should grant access');
+
+  const viaBearer = await makeRequest(`${baseUrl}/api/logs/info`, {
+    headers: { Authorization: `Bearer ${response.body.token}` }
+  });
+  assertEqual(viaBearer.statusCode, 200, 'Session token should work as a bearer token');
+
+  const logout = await makeRequest(`${baseUrl}/api/admin/logout`, { method: 'POST', headers: { Cookie: cookie } });
+  assertEqual(logout.statusCode, 200, 'Logout should succeed');
+
+  const afterLogout = await makeRequest(`${baseUrl}/api/logs/info`, { headers: { Cookie: cookie } });
+  assertEqual(afterLogout.statusCode, 401, 'Session should be revoked after logout');
+});
+
+// Test: Admin API traffic has its own budget
+runner.test('Admin API calls are not held to the public rate limit', async (baseUrl) => {
+  const publicCalls = [];
+  for (let i = 0; i < 6; i++) publicCalls.push(await makeRequest(`${baseUrl}/api/nonexistent`));
+  assertEqual(publicCalls[5].statusCode, 429, 'The public API budget should run out after 5 requests');
+
+  const response = await login(baseUrl, 'ops-admin', 'correct horse battery');
+  assertEqual(response.statusCode, 200, 'Login should not share the public budget');
+  const headers = { Authorization: `Bearer ${response.body.token}` };
+
+  for (let i = 0; i < 10; i++) {
+    const info = await makeRequest(`${baseUrl}/api/logs/info`, { headers });
+    assertEqual(info.statusCode, 200, `Admin request ${i + 1} should not be rate limited`);
+  }
+  const search = await makeRequest(`${baseUrl}/api/logs/search?limit=5`, { headers });
+  assertEqual(search.statusCode, 200, 'Log search should not be rate limited');
+
+  const logout = await makeRequest(`${baseUrl}/api/admin/logout`, { method: 'POST', headers });
+  assertEqual(logout.statusCode, 200, 'Logout should not be rate limited');
+});
+
+// Test: Admin page redirects browsers to the login page
+runner.test('Admin page redirects anonymous browsers to login', async (baseUrl) => {
+  const response = await makeRequest(`${baseUrl}/admin`, { headers: { Accept: 'text/html' } });
+  assertEqual(response.statusCode, 302, 'Admin page should redirect');
+  assert(response.headers.location.startsWith('/admin/login'), 'Redirect should point at the login page');
+});
+
+// Test: A cookie that is not valid percent-encoding is ignored, not a crash
+runner.test('A malformed session cookie is treated as no cookie', async (baseUrl) => {
+  const api = await makeRequest(`${baseUrl}/api/logs/info`, { headers: { Cookie: `${auth.SESSION_COOKIE}=%E0%A4%A` } });
+  assertEqual(api.statusCode, 401, 'API routes should answer 401, not 500');
+
+  const page = await makeRequest(`${baseUrl}/admin`, { headers: { Accept: 'text/html', Cookie: `other=1; ${auth.SESSION_COOKIE}=%ZZ` } });
+  assertEqual(page.statusCode, 302, 'Admin pages should redirect to login');
+});
+
+// Test: Sessions that are never used again do not accumulate
+runner.test('Expired sessions are swept when a new session is created', async () => {
+  const realNow = Date.now;
+  try {
+    auth.createSession('ops-admin');
+    auth.createSession('ops-admin');
+    assert(auth.sessionCount() >= 2, 'Sessions should be held in memory');
+
+    const later = realNow() + settings.get('ADMIN_SESSION_TTL_MS') + 1000;
+    Date.now = () => later;
+    auth.createSession('ops-admin');
+    assertEqual(auth.sessionCount(), 1, 'Only the new session should remain');
+  } finally {
+    Date.now = realNow;
+  }
+});
+
+// Test: Stored passwords are hashed
+runner.test('Admin passwords are not stored in plain text', async () => {
+  const stored = fs.readFileSync(process.env.ADMIN_USERS_FILE, 'utf8');
+  assert(!stored.includes('correct horse battery'), 'Password should be hashed');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
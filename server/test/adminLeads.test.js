@@ -0,0 +1,130 @@
+/**
+ * Test suite for the admin lead inbox
+ * Covers filtering, status pipeline, notes and owner assignment
+ */
+
+const { useTempEnv } = require('./testEnv');
+
+useTempEnv('inbox', { ADMIN_TOKEN: 'test-admin-token-0123456789' });
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const leadStore = require('../leadStore');
+
+const runner = new TestRunner();
+const adminHeaders = { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` };
+
+const detroitLead = leadStore.createLead({
+  pharmacy_name: 'Woodward Pharmacy',
+  contact_person: 'Ada Lane',
+  email: 'ada@woodward-rx.com',
+  phone: '(313) 555-0101',
+  city: 'Detroit',
+  state: 'MI',
+  weekly_scripts: { token: 'gt75', display: 'More than 75' }
+});
+
+const toledoLead = leadStore.createLead({
+  pharmacy_name: '<script>alert(1)</script>Toledo Drugs',
+  contact_person: 'Ben Ortiz',
+  email: 'ben@toledo-drugs.com',
+  phone: '(419) 555-0199',
+  city: 'Toledo',
+  state: 'OH',
+  weekly_scripts: { token: 'lt30', display: 'Less than 30' }
+});
+
+function postForm(url, fields) {
+  return makeRequest(url, {
+    method: 'POST',
+    headers: { ...adminHeaders, 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(fields).toString()
+  });
+}
+
+// Test: Inbox requires admin
+runner.test('Lead inbox requires authentication', async (baseUrl) => {
+  const response = await makeRequest(`${baseUrl}/admin/leads`, { headers: { Accept: 'text/html' } });
+  assertEqual(response.statusCode, 302, 'Anonymous inbox access should redirect to login');
+});
+
+// Test: New leads start in the pipeline
+runner.test('New leads start with status "new" and no owner', async () => {
+  assertEqual(detroitLead.status, 'new', 'Lead should start as new');
+  assertEqual(detroitLead.owner, null, 'Lead should be unassigned');
+  assertEqual(detroitLead.notes.length, 0, 'Lead should have no notes');
+});
+
+// Test: Filters narrow the list
+runner.test('Inbox filters by state, city, volume and search text', async (baseUrl) => {
+  const all = await makeRequest(`${baseUrl}/admin/leads`, { headers: adminHeaders });
+  assertEqual(all.statusCode, 200, 'Inbox should load');
+  assert(all.rawBody.includes('Woodward Pharmacy') && all.rawBody.includes('Toledo Drugs'), 'Both leads should be listed');
+
+  const byState = await makeRequest(`${baseUrl}/admin/leads?state=MI`, { headers: adminHeaders });
+  assert(byState.rawBody.includes('Woodward Pharmacy'), 'MI lead should match');
+  assert(!byState.rawBody.includes('Toledo Drugs'), 'OH lead should be filtered out');
+
+  const byCity = await makeRequest(`${baseUrl}/admin/leads?city=toledo`, { headers: adminHeaders });
+  assert(byCity.rawBody.includes('Toledo Drugs') && !byCity.rawBody.includes('Woodward Pharmacy'), 'City filter should be case-insensitive');
+
+  const byVolume = await makeRequest(`${baseUrl}/admin/leads?volume=gt75`, { headers: adminHeaders });
+  assert(byVolume.rawBody.includes('Woodward Pharmacy') && !byVolume.rawBody.includes('Toledo Drugs'), 'Volume filter should match the token');
+
+  const bySearch = await makeRequest(`${baseUrl}/admin/leads?q=ben%40toledo`, { headers: adminHeaders });
+  assert(bySearch.rawBody.includes('Toledo Drugs') && !bySearch.rawBody.includes('Woodward Pharmacy'), 'Search should match email');
+
+  const future = await makeRequest(`${baseUrl}/admin/leads?from=2999-01-01`, { headers: adminHeaders });
+  assert(future.rawBody.includes('No leads match'), 'Date filter should exclude older leads');
+});
+
+// Test: Lead data is escaped
+runner.test('Lead fields are HTML-escaped', async (baseUrl) => {
+  const response = await makeRequest(`${baseUrl}/admin/leads/${toledoLead.id}`, { headers: adminHeaders });
+  assertEqual(response.statusCode, 200, 'Lead detail should load');
+  assert(!response.rawBody.includes('<script>alert(1)</script>'), 'Raw markup should not be rendered');
+  assert(response.rawBody.includes('&lt;script&gt;'), 'Markup should be escaped');
+});
+
+// Test: Status, owner and notes
+runner.test('Admins can move status, assign an owner and add notes', async (baseUrl) => {
+  const base = `${baseUrl}/admin/leads/${detroitLead.id}`;
+
+  const status = await postForm(`${base}/status`, { status: 'contacted' });
+  assertEqual(status.statusCode, 302, 'Status update should redirect back');
+
+  const owner = await postForm(`${base}/owner`, { owner: 'ops-admin' });
+  assertEqual(owner.statusCode, 302, 'Owner update should redirect back');
+
+  const note = await postForm(`${base}/notes`, { text: 'Called, wants pricing for 2 stores.' });
+  assertEqual(note.statusCode, 302, 'Note should redirect back');
+
+  const lead = leadStore.getLead(detroitLead.id);
+  assertEqual(lead.status, 'contacted', 'Status should be updated');
+  assertEqual(lead.statusHistory[0].from, 'new', 'Status change should be recorded');
+  assertEqual(lead.statusHistory[0].by, 'token', 'Status change should record the admin');
+  assertEqual(lead.owner, 'ops-admin', 'Owner should be assigned');
+  assertEqual(lead.notes.length, 1, 'Note should be stored');
+  assert(lead.notes[0].at && lead.notes[0].author === 'token', 'Note should be timestamped and attributed');
+
+  leadStore.load();
+  assertEqual(leadStore.getLead(detroitLead.id).status, 'contacted', 'Pipeline changes should persist');
+});
+
+// Test: Bad input is rejected
+runner.test('Unknown statuses and empty notes are rejected', async (baseUrl) => {
+  const base = `${baseUrl}/admin/leads/${toledoLead.id}`;
+
+  const status = await postForm(`${base}/status`, { status: 'archived' });
+  assert(status.headers.location.endsWith('invalid-status'), 'Unknown status should be reported');
+  assertEqual(leadStore.getLead(toledoLead.id).status, 'new', 'Status should not change');
+
+  const note = await postForm(`${base}/notes`, { text: '   ' });
+  assert(note.headers.location.endsWith('empty-note'), 'Empty note should be reported');
+
+  const missing = await postForm(`${baseUrl}/admin/leads/DRX-00000000-000000/status`, { status: 'won' });
+  assertEqual(missing.statusCode, 404, 'Unknown lead should return 404');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
@@ -0,0 +1,123 @@
+/**
+ * Test suite for the submitter confirmation email
+ * Messages are written to disk with the file provider and inspected
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { useTempEnv } = require('./testEnv');
+
+const tmpDir = useTempEnv('autoresponder', {
+  OUTBOX_POLL_MS: '10',
+  MAIL_PROVIDER: 'file',
+  MAIL_TO: 'sales@dashrx.test',
+  MAIL_FROM: 'DashRx Website <noreply@dashrx.test>',
+  DRY_RUN: undefined,
+  AUTORESPONDER_ENABLED: undefined
+});
+const mailDir = path.join(tmpDir, 'mail');
+process.env.MAIL_FILE_DIR = mailDir;
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const leadStore = require('../leadStore');
+const { queueQuoteNotification } = require('../quoteNotifications');
+
+const runner = new TestRunner();
+
+async function waitFor(condition, message, timeoutMs = 3000) {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeoutMs) throw new Error(`Timed out: ${message}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Read every written message addressed to the given recipient, with the body decoded
+ */
+function readMessagesTo(address) {
+  if (!fs.existsSync(mailDir)) return [];
+  return fs.readdirSync(mailDir)
+    .map(file => fs.readFileSync(path.join(mailDir, file), 'utf8'))
+    .filter(eml => eml.split(/\r?\n/).includes(`To: ${address}`))
+    .map(eml => eml
+      .replace(/=\r?\n/g, '')
+      .replace(/((?:=[0-9A-F]{2})+)/g, match =>
+        Buffer.from(match.replace(/=/g, ''), 'hex').toString('utf8')));
+}
+
+// Test: Confirmation is sent to the submitter
+runner.test('Submitter receives a confirmation with their reference number', async (baseUrl) => {
+  const response = await makeRequest(`${baseUrl}/api/quote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      pharmacy_name: 'Corktown Pharmacy',
+      contact_person: 'Rosa Diaz',
+      phone: '(313) 555-0162',
+      email: 'rosa@corktown-rx.com',
+      city: 'Detroit',
+      state: 'MI',
+      weekly_scripts: 'gt125',
+      company_website: '',
+      submission_time: Date.now() - 5000
+    })
+  });
+  assertEqual(response.statusCode, 200, 'Submission should be accepted');
+
+  const leadId = response.body.leadId;
+  await waitFor(() => (leadStore.getLead(leadId).confirmation || {}).status === 'sent', 'confirmation should be sent');
+
+  const [eml] = readMessagesTo('rosa@corktown-rx.com');
+  assert(eml, 'Confirmation should be addressed to the submitter');
+  assert(eml.includes(leadId), 'Reference number should be included');
+  assert(eml.includes('Reply-To: sales@dashrx.test'), 'Replies should go to the sales inbox');
+  assert(!eml.includes('Rosa Diaz') && !eml.includes('Corktown Pharmacy') && !eml.includes('Detroit, MI'),
+    'Nothing the visitor typed should be echoed to the address they entered');
+  assert(eml.includes('More than 125'), 'The volume option should be summarized');
+  assert(eml.includes('WHAT HAPPENS NEXT'), 'Next steps should be explained');
+  assert(eml.includes('Never include patient information'), 'HIPAA reminder should be kept');
+
+  assertEqual(readMessagesTo('sales@dashrx.test').length, 1, 'Internal notification should still be sent');
+});
+
+// Test: Toggle disables the autoresponder
+runner.test('AUTORESPONDER_ENABLED=false skips the confirmation', async () => {
+  process.env.AUTORESPONDER_ENABLED = 'false';
+  try {
+    const lead = leadStore.createLead({
+      pharmacy_name: 'Quiet Pharmacy',
+      contact_person: 'Sam Hill',
+      email: 'sam@quiet-rx.com',
+      company_website: ''
+    });
+    queueQuoteNotification(lead);
+
+    await waitFor(() => leadStore.getLead(lead.id).email.status === 'sent', 'notification should be sent');
+    assertEqual(leadStore.getLead(lead.id).confirmation, undefined, 'No confirmation should be queued');
+    assertEqual(readMessagesTo('sam@quiet-rx.com').length, 0, 'Submitter should not be emailed');
+  } finally {
+    delete process.env.AUTORESPONDER_ENABLED;
+  }
+});
+
+// Test: The form cannot be used to flood one inbox
+runner.test('Only one confirmation per address per day', async () => {
+  const first = leadStore.createLead({ pharmacy_name: 'First Pharmacy', email: 'Target@victim-rx.com', company_website: '' });
+  const second = leadStore.createLead({ pharmacy_name: 'Other Pharmacy', email: 'target@victim-rx.com ', company_website: '' });
+  queueQuoteNotification(first);
+  queueQuoteNotification(second);
+
+  await waitFor(() => leadStore.getLead(second.id).email.status === 'sent', 'notification should be sent');
+  await waitFor(() => leadStore.getLead(first.id).confirmation.status === 'sent', 'first confirmation should be sent');
+  assertEqual(leadStore.getLead(second.id).confirmation.status, 'skipped', 'The second confirmation should be skipped');
+  assertEqual(leadStore.getLead(second.id).confirmation.error, 'CONFIRMATION_RECENTLY_SENT', 'The reason should be recorded');
+
+  const third = leadStore.createLead({ pharmacy_name: 'Third Pharmacy', email: 'target@victim-rx.com', company_website: '' });
+  queueQuoteNotification(third);
+  assertEqual(leadStore.getLead(third.id).confirmation.status, 'skipped', 'Skipped confirmations should not restart the window');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
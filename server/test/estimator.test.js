@@ -0,0 +1,182 @@
+/**
+ * Test suite for the delivery price estimator
+ * Uses the shipped config/delivery-rates.json rate table
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { useTempEnv } = require('./testEnv');
+
+const tmpDir = useTempEnv('estimator', {
+  DRY_RUN: 'true',
+  RATE_LIMIT_MAX_REQUESTS: '1000'
+});
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const { validateEstimateRequest, calculateEstimate, parseVolume, reloadRates, loadRates } = require('../estimator');
+const { render } = require('../mailTemplates');
+const leadStore = require('../leadStore');
+
+const runner = new TestRunner();
+
+function estimateFor(body) {
+  const validation = validateEstimateRequest(body);
+  assert(validation.valid, `Request should be valid: ${validation.errors.join(', ')}`);
+  return calculateEstimate(validation.sanitized);
+}
+
+function postEstimate(baseUrl, body) {
+  return makeRequest(`${baseUrl}/api/estimate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+// Test: Volume tokens
+runner.test('Volume tokens become weekly delivery ranges', async () => {
+  assertEqual(JSON.stringify(parseVolume('30to75')), JSON.stringify({ low: 30, high: 75 }), 'Ranges should parse');
+  assertEqual(JSON.stringify(parseVolume('lt30')), JSON.stringify({ low: 5, high: 29 }), 'lt should start at the minimum');
+  assertEqual(JSON.stringify(parseVolume('gt75')), JSON.stringify({ low: 76, high: 113 }), 'gt should use the open-ended factor');
+  assertEqual(parseVolume('lots'), null, 'Unknown tokens should not parse');
+});
+
+// Test: Pricing from the rate table
+runner.test('Estimates combine volume brackets, coverage and options', async () => {
+  const small = estimateFor({ weekly_scripts: 'lt30', zip: '48067' });
+  assertEqual(small.available, true, 'Royal Oak should be priced');
+  assertEqual(small.weekly.low, 100, 'Low end should respect the weekly minimum');
+  assertEqual(small.weekly.high, 435, '29 deliveries at $15');
+  assertEqual(small.monthly.high, 1885, 'Monthly should be weekly x 52/12');
+
+  const extended = estimateFor({ weekly_scripts: '30to75', city: 'Novi', options: ['same_day', 'refrigerated'] });
+  assertEqual(extended.perDelivery.low, 21, '$10 + $2.50 extended + $5 same-day + $3.50 refrigerated');
+  assertEqual(extended.weekly.high, 1800, '75 deliveries at $24');
+  assert(extended.notes.some(note => note.includes('by arrangement')), 'Same-day outside core should be flagged');
+
+  const outside = estimateFor({ weekly_scripts: 'gt75', zip: '48933' });
+  assertEqual(outside.available, false, 'Outside the area should not be priced');
+  assert(!outside.weekly, 'No prices outside the area');
+});
+
+// Test: Rates come from config
+runner.test('Rates are read from the config file', async () => {
+  const custom = JSON.parse(fs.readFileSync(path.join(__dirname, '../../config/delivery-rates.json'), 'utf8'));
+  custom.minimumWeekly = 0;
+  custom.perDelivery[0] = { ...custom.perDelivery[0], low: 20, high: 22 };
+  const file = path.join(tmpDir, 'rates.json');
+  fs.writeFileSync(file, JSON.stringify(custom));
+
+  try {
+    reloadRates(file);
+    assertEqual(estimateFor({ weekly_scripts: 'lt30', zip: '48067' }).weekly.low, 100, '5 deliveries at the new $20 rate');
+  } finally {
+    reloadRates();
+  }
+
+  delete custom.coverage.extended;
+  fs.writeFileSync(file, JSON.stringify(custom));
+  let caught = null;
+  try {
+    loadRates(file);
+  } catch (error) {
+    caught = error;
+  }
+  assert(caught && caught.code === 'ESTIMATE_CONFIG', 'Missing tier rates should be rejected');
+});
+
+// Test: Endpoint
+runner.test('POST /api/estimate returns a range and rejects bad input', async (baseUrl) => {
+  const ok = await postEstimate(baseUrl, { weekly_scripts: '30to75', zip: '48067', options: ['signature_required'] });
+  assertEqual(ok.statusCode, 200, 'Valid request should succeed');
+  assertEqual(ok.body.estimate.weekly.low, 330, '30 deliveries at $11');
+  assertEqual(ok.body.estimate.options[0].label, 'Signature required', 'Options should be labelled');
+
+  const missing = await postEstimate(baseUrl, { zip: '48067' });
+  assertEqual(missing.statusCode, 400, 'Volume should be required');
+
+  const badOption = await postEstimate(baseUrl, { weekly_scripts: 'lt30', zip: '48067', options: ['helicopter'] });
+  assertEqual(badOption.statusCode, 400, 'Unknown options should be rejected');
+  assert(badOption.body.details.includes('Unknown option: helicopter'), 'Error should name the option');
+
+  const noLocation = await postEstimate(baseUrl, { weekly_scripts: 'lt30' });
+  assertEqual(noLocation.statusCode, 400, 'Location should be required');
+});
+
+// Test: Option names are looked up in the rate table only
+runner.test('Names inherited from Object.prototype are not options', async (baseUrl) => {
+  ['toString', 'constructor', 'hasOwnProperty', '__proto__'].forEach(key => {
+    const validation = validateEstimateRequest({ weekly_scripts: 'lt30', zip: '48067', options: [key] });
+    assert(!validation.valid, `${key} should not be accepted as an option`);
+    assert(validation.errors.includes(`Unknown option: ${key}`), `Error should name ${key}`);
+  });
+
+  const estimate = await postEstimate(baseUrl, { weekly_scripts: 'lt30', zip: '48067', options: ['constructor'] });
+  assertEqual(estimate.statusCode, 400, 'The endpoint should reject inherited names');
+
+  const quote = await makeRequest(`${baseUrl}/api/quote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      pharmacy_name: 'Prototype Pharmacy',
+      contact_person: 'Lee Park',
+      phone: '(248) 555-0179',
+      email: 'lee@prototype-rx.com',
+      company_website: '',
+      submission_time: Date.now() - 5000,
+      estimate_request: { weekly_scripts: 'lt30', zip: '48067', options: ['toString'] }
+    })
+  });
+  assertEqual(quote.statusCode, 200, 'The quote should still be accepted');
+  assertEqual(leadStore.getLead(quote.body.leadId).estimate, null, 'The invalid estimate should be dropped');
+});
+
+// Test: Estimate travels with the quote
+runner.test('Quote submissions carry the re-priced estimate into the lead and email', async (baseUrl) => {
+  const response = await makeRequest(`${baseUrl}/api/quote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      pharmacy_name: 'Estimate Pharmacy',
+      contact_person: 'Jo Kim',
+      phone: '(248) 555-0177',
+      email: 'jo@estimate-rx.com',
+      city: 'Royal Oak',
+      state: 'MI',
+      weekly_scripts: '30to75',
+      company_website: '',
+      submission_time: Date.now() - 5000,
+      estimate_request: { weekly_scripts: '30to75', zip: '48067', options: ['refrigerated'] }
+    })
+  });
+  assertEqual(response.statusCode, 200, 'Submission should be accepted');
+
+  const lead = leadStore.getLead(response.body.leadId);
+  assertEqual(lead.estimate.weekly.low, 405, 'Server should price the request itself');
+  assertEqual(lead.estimate.options[0].key, 'refrigerated', 'Options should be stored');
+
+  const email = render('quote', lead.fields, { reference: lead.id, estimate: lead.estimate });
+  assert(email.text.includes('ESTIMATE SHOWN ON SITE:'), 'Text body should include the estimate');
+  assert(email.text.includes('Weekly: $405–$1238'), 'Text body should show the range');
+  assert(email.html.includes('Estimate Shown on Site'), 'HTML body should include the estimate');
+
+  const invalid = await makeRequest(`${baseUrl}/api/quote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      pharmacy_name: 'No Estimate Pharmacy',
+      contact_person: 'Al Day',
+      phone: '(248) 555-0178',
+      email: 'al@no-estimate-rx.com',
+      company_website: '',
+      submission_time: Date.now() - 5000,
+      estimate_request: 'not json'
+    })
+  });
+  assertEqual(invalid.statusCode, 200, 'A bad estimate should not block the quote');
+  assertEqual(leadStore.getLead(invalid.body.leadId).estimate, null, 'Bad estimate should be dropped');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
@@ -0,0 +1,92 @@
+/**
+ * Test suite for the shared quote form schema
+ * Checks that the server validator, the browser bundle and the page markup all
+ * follow server/forms/quoteForm.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { useTempEnv } = require('./testEnv');
+
+useTempEnv('forms', { DRY_RUN: 'true' });
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const validators = require('../validators');
+const forms = require('../forms');
+
+const runner = new TestRunner();
+const schema = forms.getSchema('quote');
+
+const samples = [
+  { pharmacy_name: 'Main St Pharmacy', contact_person: 'Ann Lee', phone: '(313) 555-0123', email: 'ann@mainst-rx.com', state: 'MI', weekly_scripts: '30to75', consent: true },
+  { pharmacy_name: '', contact_person: 'Ann Lee', phone: '555-0123', email: 'ann@', consent: false },
+  { pharmacy_name: 'X', contact_person: 'Y', phone: '1-313-555-0123', email: 'x@y.co', state: 'ZZ', weekly_scripts: 'x'.repeat(51), message: 'a'.repeat(2001) },
+  { pharmacy_name: 'X', contact_person: 'Y', phone: '(013) 555-0123', email: 'x@y.co', company_website: 'https://' },
+  { pharmacy_name: 'X', contact_person: 'Y', phone: '3135550123', email: 'x@y.co', company_website: 'cheap meds online today' }
+];
+
+// Test: Server validation follows the schema
+runner.test('Server validator uses the schema rules and messages', async () => {
+  const missing = validators.validateQuotePayload({ phone: '123', email: 'nope' });
+  assert(missing.errors.includes('Pharmacy name is required'), 'Required message should come from the schema label');
+  assert(missing.errors.includes(schema.fields.phone.messages.format), 'Format message should come from the schema');
+  assert(missing.errors.includes(schema.fields.email.messages.format), 'Email format should use the schema message');
+
+  const ok = validators.validateQuotePayload({ ...samples[0], city: 'Royal Oak<script>', pharmacy_name: '<b>Main</b> St' });
+  assertEqual(ok.valid, true, 'A good payload should pass without consent on the server');
+  assertEqual(ok.sanitized.pharmacy_name, 'Main St', 'Text should be sanitized');
+  assertEqual(ok.sanitized.city, 'Royal Oakscript', 'City should be normalized');
+  assertEqual(ok.sanitized.weekly_scripts.display, '30 to 75', 'Volume should still be normalized');
+  assert(!('consent' in ok.sanitized), 'Client-only fields should not reach the lead');
+
+  const legacy = validators.validateQuotePayload({ ...samples[0], weekly_scripts: 'gt125' });
+  assertEqual(legacy.valid, true, 'Tokens from the earlier form should still be accepted');
+  assertEqual(legacy.sanitized.weekly_scripts.display, 'More than 125', 'Older tokens should still get labels');
+  assertEqual(validators.isValidMonthlyScripts, undefined, 'The unused monthly validator should be gone');
+});
+
+// Test: Browser bundle agrees with the server
+runner.test('The /js/forms.js bundle gives the same answers as the server', async (baseUrl) => {
+  const response = await makeRequest(`${baseUrl}/js/forms.js`);
+  assertEqual(response.statusCode, 200, 'Bundle should be served');
+  assert(response.headers['content-type'].includes('javascript'), 'Bundle should be JavaScript');
+
+  const sandbox = { window: {} };
+  vm.runInNewContext(response.rawBody, sandbox);
+  const client = sandbox.window.DashRxForms;
+  assert(client && client.schemas.quote, 'Bundle should expose the quote schema');
+
+  samples.forEach((sample, index) => {
+    const server = forms.validate('quote', sample);
+    const browser = client.validatePayload(client.schemas.quote, sample, 'client');
+    const browserErrors = browser.errors.filter(error => error !== schema.fields.consent.messages.required);
+    assertEqual(JSON.stringify(browserErrors), JSON.stringify(server.errors), `Sample ${index} should get the same errors`);
+  });
+
+  const noConsent = client.validatePayload(client.schemas.quote, samples[1], 'client');
+  assertEqual(noConsent.fieldErrors.consent, schema.fields.consent.messages.required, 'Consent should be required in the browser');
+});
+
+// Test: Page markup matches the schema
+runner.test('Quote form options match the schema and the scoring config', async () => {
+  const page = fs.readFileSync(path.join(__dirname, '../../views/index.html'), 'utf8');
+  const form = page.slice(page.indexOf('id="quoteForm"'));
+
+  ['state', 'weekly_scripts'].forEach(name => {
+    const select = form.slice(form.indexOf(`id="${name}"`), form.indexOf('</select>', form.indexOf(`id="${name}"`)));
+    const values = [...select.matchAll(/<option value="([^"]+)">/g)].map(match => match[1]);
+    assertEqual(JSON.stringify(values), JSON.stringify(schema.fields[name].options.map(option => option.value)), `${name} options should match the schema`);
+  });
+
+  Object.keys(schema.fields).forEach(name => {
+    assert(form.includes(`name="${name}"`), `Form should have a ${name} control`);
+  });
+
+  const scoring = JSON.parse(fs.readFileSync(path.join(__dirname, '../../config/lead-scoring.json'), 'utf8'));
+  schema.fields.weekly_scripts.options.map(option => option.value).forEach(token => assert(token in scoring.volume, `Volume ${token} should have a scoring weight`));
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
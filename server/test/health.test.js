@@ -0,0 +1,145 @@
+/**
+ * Test suite for liveness and readiness checks
+ * Mail points at an SMTP port nobody listens on, so the mail check fails
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { useTempEnv } = require('./testEnv');
+
+const tmpDir = useTempEnv('health', {
+  LOG_LEVEL: 'warn',
+  DRY_RUN: 'false',
+  MAIL_PROVIDER: 'smtp',
+  SMTP_HOST: '127.0.0.1',
+  SMTP_PORT: '1',
+  MAIL_TO: 'sales@example.com',
+  MAIL_FROM: 'site@example.com',
+  HEALTH_OUTBOX_WARN: '2',
+  HEALTH_OUTBOX_MAX: '4',
+  RATE_LIMIT_MAX_REQUESTS: '1000'
+});
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const logger = require('../logger');
+const leadStore = require('../leadStore');
+const outbox = require('../outbox');
+const health = require('../health');
+
+const runner = new TestRunner();
+
+async function ready(baseUrl) {
+  return makeRequest(`${baseUrl}/api/health/ready`);
+}
+
+runner.test('Liveness answers without checking dependencies', async (baseUrl) => {
+  const response = await makeRequest(`${baseUrl}/api/health/live`);
+  assertEqual(response.statusCode, 200, 'Liveness should answer 200');
+  assertEqual(response.body.status, 'alive', 'Liveness should report alive');
+  assertEqual(response.headers['cache-control'], 'no-store', 'Probes should not be cached');
+});
+
+runner.test('A failing mail transporter degrades readiness but keeps serving', async (baseUrl) => {
+  const response = await ready(baseUrl);
+  assertEqual(response.statusCode, 200, 'Degraded should still answer 200');
+  assertEqual(response.body.status, 'degraded', 'Overall status should be degraded');
+
+  const { mail, leadStore: store, logDirectory, outbox: queue } = response.body.checks;
+  assertEqual(mail.status, 'unhealthy', 'The mail check should fail');
+  assertEqual(mail.critical, false, 'Mail should not be critical');
+  assert(mail.message, 'The failure reason should be given');
+  assert(typeof mail.latencyMs === 'number', 'Each check should report its latency');
+  assertEqual(store.status, 'healthy', 'The lead store should be reachable');
+  assertEqual(logDirectory.status, 'healthy', 'The log directory should be writable');
+  assertEqual(queue.status, 'healthy', 'The outbox should be empty');
+  assertEqual(fs.readdirSync(logger.logDir).filter(name => name.startsWith('.health')).length, 0, 'The write probe should be removed');
+
+  const again = await ready(baseUrl);
+  assertEqual(again.body.checks.mail.details.checkedAt, mail.details.checkedAt, 'The verify result should be cached');
+});
+
+runner.test('An uninitialized transporter is reported with its cause', async () => {
+  const script = "require('./server/mailer').verifyTransport().then(r => console.log('RESULT ' + JSON.stringify(r)))";
+  const child = spawnSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '../..'),
+    env: { PATH: process.env.PATH, LOG_DIR: path.join(tmpDir, 'child-logs'), LOG_LEVEL: 'error', MAIL_PROVIDER: 'gmail' },
+    encoding: 'utf8',
+    timeout: 20000
+  });
+  const line = child.stdout.split('\n').find(row => row.startsWith('RESULT '));
+  assert(line, `The child should print a result (${child.stderr})`);
+  const result = JSON.parse(line.slice('RESULT '.length));
+  assertEqual(result.ok, false, 'Verification should fail');
+  assert(result.error.startsWith('Email transporter not initialized: Invalid mail configuration'), 'The init error should be included');
+});
+
+runner.test('Outbox backlog degrades, then fails, the outbox check', async (baseUrl) => {
+  const ids = [];
+  // Not due for an hour, so the worker leaves them queued
+  const later = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const enqueue = count => {
+    for (let i = 0; i < count; i++) {
+      const message = outbox.enqueue('health-test', {});
+      message.nextAttemptAt = later;
+      ids.push(message.id);
+    }
+  };
+
+  enqueue(2);
+  let response = await ready(baseUrl);
+  assertEqual(response.body.checks.outbox.status, 'degraded', 'HEALTH_OUTBOX_WARN queued messages should degrade');
+  assertEqual(response.body.checks.outbox.details.queued, 2, 'The backlog size should be reported');
+
+  enqueue(2);
+  response = await ready(baseUrl);
+  assertEqual(response.body.checks.outbox.status, 'unhealthy', 'HEALTH_OUTBOX_MAX queued messages should fail the check');
+  assertEqual(response.statusCode, 200, 'The outbox is not critical');
+
+  ids.forEach(id => outbox.messages.delete(id));
+  outbox.persist();
+});
+
+runner.test('An unreachable lead store makes the instance unhealthy (503)', async (baseUrl) => {
+  const original = leadStore.dataDir;
+  leadStore.dataDir = path.join(tmpDir, 'missing');
+  let response;
+  try {
+    response = await ready(baseUrl);
+  } finally {
+    leadStore.dataDir = original;
+  }
+
+  assertEqual(response.statusCode, 503, 'A critical failure should answer 503');
+  assertEqual(response.body.status, 'unhealthy', 'Overall status should be unhealthy');
+  assertEqual(response.body.checks.leadStore.status, 'unhealthy', 'The lead store check should fail');
+  assert(response.body.requestId, 'The error body should carry the request ID');
+
+  await logger.flush();
+  assert(fs.readFileSync(logger.logFile, 'utf8').includes('Health check "leadStore" is unhealthy'), 'The change should be logged');
+});
+
+runner.test('Custom checks plug in, and slow ones time out', async (baseUrl) => {
+  const removeSlow = health.registerCheck('slowDependency', () => new Promise(resolve => setTimeout(resolve, 500)), { timeoutMs: 50 });
+  const removeDegraded = health.registerCheck('cache', () => ({ status: 'degraded', message: 'Cache warming up' }), { critical: false });
+
+  let response;
+  try {
+    response = await ready(baseUrl);
+  } finally {
+    removeSlow();
+    removeDegraded();
+  }
+
+  assertEqual(response.statusCode, 503, 'A critical check that times out should fail readiness');
+  assertEqual(response.body.checks.slowDependency.message, 'Timed out after 50ms', 'The timeout should be explained');
+  assert(response.body.checks.slowDependency.latencyMs < 400, 'A timed-out check should not hold up the response');
+  assertEqual(response.body.checks.cache.status, 'degraded', 'Custom checks can report degraded');
+
+  response = await ready(baseUrl);
+  assertEqual(response.body.checks.slowDependency, undefined, 'Removed checks should no longer run');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
@@ -0,0 +1,100 @@
+/**
+ * Test suite for duplicate quote protection
+ * Covers Idempotency-Key replays and content-based duplicate detection
+ */
+
+const { useTempEnv } = require('./testEnv');
+
+useTempEnv('idempotency', {
+  DRY_RUN: 'true',
+  RATE_LIMIT_MAX_REQUESTS: '1000',
+  DUPLICATE_WINDOW_MS: undefined
+});
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const leadStore = require('../leadStore');
+const outbox = require('../outbox');
+
+const runner = new TestRunner();
+
+const payload = {
+  pharmacy_name: 'Repeat Pharmacy',
+  contact_person: 'Ken Adams',
+  phone: '(313) 555-0155',
+  email: 'ken@repeat-rx.com',
+  city: 'Detroit',
+  state: 'MI',
+  company_website: '',
+  submission_time: Date.now() - 5000
+};
+
+function submit(baseUrl, body, key) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (key) headers['Idempotency-Key'] = key;
+  return makeRequest(`${baseUrl}/api/quote`, { method: 'POST', headers, body: JSON.stringify(body) });
+}
+
+function quoteMessages() {
+  return outbox.listMessages().filter(message => message.kind === 'quote');
+}
+
+let firstLeadId = null;
+
+// Test: Repeated key returns the original response
+runner.test('Repeated Idempotency-Key replays the original response', async (baseUrl) => {
+  const key = '6f1c2a4e-0d3b-4c55-9a0e-3d1f2b7c8e91';
+  const first = await submit(baseUrl, payload, key);
+  assertEqual(first.statusCode, 200, 'First submission should succeed');
+  firstLeadId = first.body.leadId;
+
+  const second = await submit(baseUrl, payload, key);
+  assertEqual(second.statusCode, 200, 'Replay should succeed');
+  assertEqual(second.headers['idempotent-replayed'], 'true', 'Replay should be marked');
+  assertEqual(JSON.stringify(second.body), JSON.stringify(first.body), 'Replay should return the original body');
+
+  assertEqual(leadStore.listLeads().length, 1, 'Only one lead should be stored');
+  assertEqual(quoteMessages().length, 1, 'Only one notification should be queued');
+});
+
+// Test: Key reuse with a different body
+runner.test('Reusing a key for a different request is rejected', async (baseUrl) => {
+  const response = await submit(baseUrl, { ...payload, message: 'Changed my mind' }, '6f1c2a4e-0d3b-4c55-9a0e-3d1f2b7c8e91');
+  assertEqual(response.statusCode, 422, 'Mismatched body should return 422');
+
+  const invalid = await submit(baseUrl, payload, 'bad key');
+  assertEqual(invalid.statusCode, 400, 'Malformed key should return 400');
+});
+
+// Test: Same contact resubmitting is flagged as a repeat
+runner.test('Same email, phone and pharmacy within the window is a repeat', async (baseUrl) => {
+  const response = await submit(baseUrl, {
+    ...payload,
+    pharmacy_name: 'repeat pharmacy.',
+    email: 'KEN@repeat-rx.com',
+    phone: '313-555-0155',
+    message: 'Did my first request go through?'
+  });
+
+  assertEqual(response.statusCode, 200, 'Repeat should still look successful to the user');
+  assertEqual(response.body.leadId, firstLeadId, 'Repeat should point at the original lead');
+  assertEqual(response.body.duplicate, true, 'Response should flag the repeat');
+
+  assertEqual(leadStore.listLeads().length, 1, 'No new lead should be stored');
+  assertEqual(quoteMessages().length, 1, 'No second notification should be queued');
+  assertEqual(leadStore.getLead(firstLeadId).repeats.length, 1, 'Repeat should be recorded on the original');
+});
+
+// Test: A different pharmacy is a new lead; window is configurable
+runner.test('Different pharmacies and expired windows create new leads', async (baseUrl) => {
+  const other = await submit(baseUrl, { ...payload, pharmacy_name: 'Second Location Pharmacy' });
+  assertEqual(other.statusCode, 200, 'Different pharmacy should succeed');
+  assert(other.body.leadId !== firstLeadId && !other.body.duplicate, 'Different pharmacy should be a new lead');
+
+  assert(leadStore.findDuplicate(payload, 60 * 1000), 'Lead should match within the window');
+  assert(!leadStore.findDuplicate(payload, 0), 'A zero window should disable the check');
+  assert(!leadStore.findDuplicate({ ...payload, phone: '' }, 60 * 1000), 'Incomplete identity should never match');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
@@ -0,0 +1,127 @@
+/**
+ * Test suite for lead scoring
+ * Uses the shipped config/lead-scoring.json weights
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { useTempEnv } = require('./testEnv');
+
+const tmpDir = useTempEnv('scoring', { DRY_RUN: 'true' });
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const { scoreLead, reloadConfig, loadConfig } = require('../leadScoring');
+const { validateQuotePayload } = require('../validators');
+const { render } = require('../mailTemplates');
+const leadStore = require('../leadStore');
+
+const runner = new TestRunner();
+
+const chain = {
+  pharmacy_name: 'Woodward Chain Pharmacy',
+  contact_person: 'Lia Grant',
+  phone: '(248) 555-0110',
+  email: 'lia@woodward-chain.com',
+  address: '3100 Woodward Ave',
+  city: 'Royal Oak',
+  state: 'MI',
+  weekly_scripts: 'gt125',
+  message: 'We run 4 locations and need same-day delivery.',
+  company_website: ''
+};
+
+const cornerShop = {
+  pharmacy_name: 'Corner Drugs',
+  contact_person: 'Tom Park',
+  phone: '(614) 555-0101',
+  email: 'tom@corner-drugs.com',
+  city: 'Columbus',
+  state: 'OH',
+  weekly_scripts: 'lt25',
+  company_website: ''
+};
+
+// Test: High-value, in-area lead is hot
+runner.test('Large Metro Detroit chain with full details scores hot', async () => {
+  const result = scoreLead(validateQuotePayload(chain).sanitized);
+
+  assertEqual(result.tier, 'hot', 'Should be hot');
+  assertEqual(result.score, 100, 'Every factor should max out');
+  const area = result.breakdown.find(item => item.factor === 'serviceArea');
+  assertEqual(area.detail, 'Core coverage (Royal Oak)', 'City should match a core municipality');
+  const message = result.breakdown.find(item => item.factor === 'message');
+  assert(message.detail.includes('multiple locations') && message.detail.includes('same-day need'), 'Keywords should be listed');
+});
+
+// Test: Small, out-of-area lead is cold
+runner.test('Small out-of-state pharmacy scores cold', async () => {
+  const result = scoreLead(validateQuotePayload(cornerShop).sanitized);
+
+  assertEqual(result.tier, 'cold', 'Should be cold');
+  assertEqual(result.score, 15, 'Only volume and city/state completeness should count');
+  assertEqual(result.breakdown.find(item => item.factor === 'serviceArea').detail, 'Out of state (OH)', 'Out-of-state should be explained');
+});
+
+// Test: Middle of the road
+runner.test('Mid-volume Michigan lead outside the metro area scores warm', async () => {
+  const result = scoreLead(validateQuotePayload({
+    ...cornerShop,
+    city: 'St. Clair Shores',
+    state: 'MI',
+    weekly_scripts: '25to125'
+  }).sanitized);
+  assertEqual(result.breakdown.find(item => item.factor === 'serviceArea').points, 25, '"St." spellings should match the dataset');
+
+  const outside = scoreLead(validateQuotePayload({ ...cornerShop, city: 'Lansing', state: 'MI', weekly_scripts: '25to125', address: '10 Main St' }).sanitized);
+  assertEqual(outside.score, 50, 'Volume, in-state and full address should add up');
+  assertEqual(outside.tier, 'warm', 'Should be warm');
+});
+
+// Test: Weights come from the config file
+runner.test('Weights and tier thresholds are read from the config file', async () => {
+  const custom = JSON.parse(fs.readFileSync(path.join(__dirname, '../../config/lead-scoring.json'), 'utf8'));
+  custom.volume.lt25 = 90;
+  const file = path.join(tmpDir, 'scoring.json');
+  fs.writeFileSync(file, JSON.stringify(custom));
+
+  try {
+    reloadConfig(file);
+    assertEqual(scoreLead(validateQuotePayload(cornerShop).sanitized).tier, 'hot', 'Tuned weight should change the tier');
+  } finally {
+    reloadConfig();
+  }
+
+  fs.writeFileSync(file, JSON.stringify({ ...custom, tiers: { hot: 10, warm: 50 } }));
+  let caught = null;
+  try {
+    loadConfig(file);
+  } catch (error) {
+    caught = error;
+  }
+  assert(caught && caught.code === 'SCORING_CONFIG', 'Inconsistent tiers should be rejected');
+});
+
+// Test: Score is stored and shown in the notification
+runner.test('Score is stored with the lead and shown in the notification', async (baseUrl) => {
+  const response = await makeRequest(`${baseUrl}/api/quote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...chain, submission_time: Date.now() - 5000 })
+  });
+  assertEqual(response.statusCode, 200, 'Submission should be accepted');
+
+  const lead = leadStore.getLead(response.body.leadId);
+  assertEqual(lead.score.tier, 'hot', 'Tier should be stored');
+  assertEqual(lead.score.score, 100, 'Score should be stored');
+
+  const email = render('quote', lead.fields, { reference: lead.id, score: lead.score });
+  assert(email.subject.startsWith('[HOT 100] New Quote Request'), 'Subject should lead with the tier and score');
+  assert(email.text.includes('LEAD PRIORITY: HOT (100/100)'), 'Text body should show the priority');
+  assert(email.text.includes('Service area: +25 (Core coverage (Royal Oak))'), 'Text body should explain the score');
+  assert(email.html.includes('Lead Priority'), 'HTML body should show the breakdown');
+  assert(leadStore.searchLeads({ tier: 'hot' }).some(l => l.id === lead.id), 'Leads should be filterable by tier');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
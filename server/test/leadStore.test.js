@@ -0,0 +1,146 @@
+/**
+ * Test suite for the lead store
+ * Verifies quote submissions are persisted before and after email delivery
+ */
+
+const fs = require('fs');
+const { useTempEnv } = require('./testEnv');
+
+// Isolate the store and skip real email before the server is loaded
+useTempEnv('leads', { DRY_RUN: 'true' });
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const leadStore = require('../leadStore');
+
+const runner = new TestRunner();
+
+const validPayload = {
+  pharmacy_name: 'Lead Store Pharmacy',
+  contact_person: 'Jane Roe',
+  phone: '(313) 555-0147',
+  email: 'jane@leadstore-pharmacy.com',
+  address: '500 Woodward Ave',
+  city: 'Detroit',
+  state: 'MI',
+  weekly_scripts: '25to125',
+  message: 'Interested in same-day delivery.',
+  company_website: '',
+  submission_time: Date.now() - 5000
+};
+
+// Test: Accepted submission is stored with its email outcome
+runner.test('Accepted quote is stored with a lead ID and email outcome', async (baseUrl) => {
+  const response = await makeRequest(`${baseUrl}/api/quote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(validPayload)
+  });
+
+  assertEqual(response.statusCode, 200, 'Valid submission should succeed in DRY_RUN mode');
+  assert(/^DRX-\d{8}-[0-9A-F]{6}$/.test(response.body.leadId), 'Response should include a lead ID');
+
+  const lead = leadStore.getLead(response.body.leadId);
+  assert(lead, 'Lead should be retrievable from the store');
+  assertEqual(lead.fields.pharmacy_name, 'Lead Store Pharmacy', 'Sanitized fields should be stored');
+  assertEqual(lead.fields.weekly_scripts.display, '25 to 125', 'Normalized volume should be stored');
+  assert(!('company_website' in lead.fields), 'Honeypot should not be stored');
+  assert(lead.email.outboxId, 'Notification should be queued in the outbox');
+
+  // Delivery happens in the background; wait for the outcome to land
+  const started = Date.now();
+  while (leadStore.getLead(lead.id).email.status !== 'dry_run' && Date.now() - started < 3000) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assertEqual(leadStore.getLead(lead.id).email.status, 'dry_run', 'Email outcome should be recorded');
+  assert(lead.createdAt, 'Lead should have a created-at time');
+});
+
+// Test: Rejected submissions are not stored
+runner.test('Rejected quote is not stored', async (baseUrl) => {
+  const before = leadStore.listLeads().length;
+
+  const response = await makeRequest(`${baseUrl}/api/quote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...validPayload, email: 'not-an-email' })
+  });
+
+  assertEqual(response.statusCode, 400, 'Invalid submission should return 400');
+  assertEqual(leadStore.listLeads().length, before, 'No lead should be created');
+});
+
+// Test: Store survives a reload from disk
+runner.test('Leads are rebuilt from the store file on load', async () => {
+  const lead = leadStore.createLead({ pharmacy_name: 'Reload Pharmacy', company_website: '' });
+  leadStore.recordEmailOutcome(lead.id, { status: 'failed', error: 'ECONNECTION' });
+
+  // Simulate a crash that left half a record at the end of the file
+  fs.appendFileSync(leadStore.storeFile, '{"op":"create","lead":{"id":"DRX-');
+
+  leadStore.load();
+
+  const reloaded = leadStore.getLead(lead.id);
+  assert(reloaded, 'Lead should survive a reload');
+  assertEqual(reloaded.email.status, 'failed', 'Updates should be replayed');
+  assertEqual(reloaded.email.error, 'ECONNECTION', 'Failure reason should be kept');
+});
+
+// Test: A complete last record without its newline is not mistaken for a torn write
+runner.test('A complete last record missing its newline is kept', async () => {
+  const lead = leadStore.createLead({ pharmacy_name: 'No Newline Pharmacy', company_website: '' });
+  const content = fs.readFileSync(leadStore.storeFile, 'utf8');
+  fs.writeFileSync(leadStore.storeFile, content.replace(/\n$/, ''));
+
+  leadStore.load();
+  assert(leadStore.getLead(lead.id), 'The last lead should survive a reload');
+  assertEqual(fs.readFileSync(leadStore.storeFile, 'utf8'), content, 'The missing newline should be restored');
+
+  // A store holding a single record and no newline at all
+  const single = content.trim().split('\n').pop();
+  fs.writeFileSync(leadStore.storeFile, single);
+
+  leadStore.load();
+  assertEqual(leadStore.getLead(lead.id).fields.pharmacy_name, 'No Newline Pharmacy', 'A one-line store should not be emptied');
+  assertEqual(fs.readFileSync(leadStore.storeFile, 'utf8'), `${single}\n`, 'The record should be kept on disk');
+
+  const next = leadStore.createLead({ pharmacy_name: 'Next Pharmacy', company_website: '' });
+  leadStore.load();
+  assert(leadStore.getLead(lead.id) && leadStore.getLead(next.id), 'Later appends should start on their own line');
+});
+
+// Test: List fields grow by one entry per record, not by a copy of the list
+runner.test('Notes, status changes and repeats store only the new entry', async () => {
+  const lead = leadStore.createLead({ pharmacy_name: 'Busy Pharmacy', company_website: '' });
+  for (let i = 0; i < 20; i++) leadStore.recordRepeat(lead.id, { ip: '127.0.0.1' });
+  leadStore.addNote(lead.id, 'Called back', 'admin');
+  leadStore.setStatus(lead.id, 'contacted', 'admin');
+
+  const records = fs.readFileSync(leadStore.storeFile, 'utf8').trim().split('\n')
+    .map(line => JSON.parse(line))
+    .filter(record => record.op === 'update' && record.id === lead.id);
+  assertEqual(records.length, 22, 'Each event should be one record');
+  assert(records.every(record => !Array.isArray(record.changes.repeats) && !Array.isArray(record.changes.notes)),
+    'Records should not copy the whole list');
+
+  leadStore.load();
+  const reloaded = leadStore.getLead(lead.id);
+  assertEqual(reloaded.repeats.length, 20, 'Repeats should be folded back together on load');
+  assertEqual(reloaded.notes[0].text, 'Called back', 'Notes should be folded back together on load');
+  assertEqual(reloaded.status, 'contacted', 'Status should be replayed');
+  assertEqual(reloaded.statusHistory[0].to, 'contacted', 'Status history should be folded back together on load');
+});
+
+// Test: Updating an unknown lead fails loudly
+runner.test('Updating an unknown lead throws LEAD_NOT_FOUND', async () => {
+  let caught = null;
+  try {
+    leadStore.updateLead('DRX-00000000-000000', { email: { status: 'sent' } });
+  } catch (error) {
+    caught = error;
+  }
+  assert(caught && caught.code === 'LEAD_NOT_FOUND', 'Should throw LEAD_NOT_FOUND');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
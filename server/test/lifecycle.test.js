@@ -0,0 +1,265 @@
+/**
+ * Test suite for graceful shutdown
+ * Signal handling runs against a real server process; mail goes to a local
+ * SMTP stand-in that takes its time to accept the message
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const http = require('http');
+const { spawn, spawnSync } = require('child_process');
+const { useTempEnv } = require('./testEnv');
+
+const tmpDir = useTempEnv('lifecycle', {
+  LOG_LEVEL: 'info',
+  ADMIN_TOKEN: 'test-admin-token-0123456789',
+  DRY_RUN: 'true',
+  RATE_LIMIT_MAX_REQUESTS: '1000'
+});
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const app = require('../server');
+const logger = require('../logger');
+const health = require('../health');
+const outbox = require('../outbox');
+const lifecycle = require('../lifecycle');
+
+const runner = new TestRunner();
+const repoRoot = path.join(__dirname, '../..');
+const auth = { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` };
+
+/**
+ * SMTP stand-in that answers the end of DATA after delayMs
+ */
+function startSmtp(delayMs) {
+  const state = { received: 0 };
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    socket.on('error', () => {});
+    socket.write('220 localhost ESMTP stand-in\r\n');
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      if (inData) {
+        if (!buffer.includes('\r\n.\r\n')) return;
+        inData = false;
+        buffer = '';
+        state.received++;
+        setTimeout(() => socket.writable && socket.write('250 2.0.0 Queued\r\n'), delayMs);
+        return;
+      }
+
+      let at;
+      while ((at = buffer.indexOf('\r\n')) !== -1) {
+        const verb = buffer.slice(0, 4).toUpperCase();
+        buffer = buffer.slice(at + 2);
+        if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, state, port: server.address().port }));
+  });
+}
+
+function freePort() {
+  return new Promise(resolve => {
+    const probe = net.createServer();
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function waitUntil(check, timeoutMs = 5000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (check()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error('Timed out'));
+      setTimeout(poll, 20);
+    };
+    poll();
+  });
+}
+
+/**
+ * Run `node server/server.js` against the SMTP stand-in and wait until it listens
+ */
+async function startServerProcess(name, { smtpPort, shutdownTimeoutMs }) {
+  const port = await freePort();
+  const logDir = path.join(tmpDir, name);
+  const child = spawn(process.execPath, ['server/server.js'], {
+    cwd: repoRoot,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      LOG_DIR: logDir,
+      LOG_FORMAT: 'json',
+      LOG_LEVEL: 'info',
+      LEAD_STORE_DIR: path.join(tmpDir, name),
+      OUTBOX_DIR: path.join(tmpDir, name),
+      ADMIN_USERS_FILE: path.join(tmpDir, name, 'admin-users.json'),
+      ADMIN_TOKEN: process.env.ADMIN_TOKEN,
+      DRY_RUN: 'false',
+      MAIL_PROVIDER: 'smtp',
+      SMTP_HOST: '127.0.0.1',
+      SMTP_PORT: String(smtpPort),
+      MAIL_TO: 'sales@example.com',
+      MAIL_FROM: 'site@example.com',
+      SHUTDOWN_TIMEOUT_MS: String(shutdownTimeoutMs)
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  child.exited = new Promise(resolve => child.on('exit', code => resolve(code)));
+  child.output = () => output;
+  child.logEntries = () => fs.readFileSync(path.join(logDir, 'dashrx.log'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  child.baseUrl = `http://127.0.0.1:${port}`;
+
+  try {
+    await waitUntil(() => output.includes('ready to accept requests'), 15000);
+  } catch (error) {
+    child.kill('SIGKILL');
+    throw new Error(`The server did not start: ${output}`);
+  }
+  return child;
+}
+
+/**
+ * Like makeRequest, but settles with { error } instead of rejecting
+ */
+function attempt(url, options) {
+  return makeRequest(url, options).catch(error => ({ error }));
+}
+
+runner.test('Requiring the server does not start listening', async () => {
+  const script = "const app = require('./server/server'); console.log('LOADED ' + typeof app.start)";
+  const child = spawnSync(process.execPath, ['-e', script], {
+    cwd: repoRoot,
+    env: {
+      PATH: process.env.PATH,
+      LOG_DIR: path.join(tmpDir, 'require-logs'),
+      LOG_LEVEL: 'error',
+      LEAD_STORE_DIR: path.join(tmpDir, 'require'),
+      OUTBOX_DIR: path.join(tmpDir, 'require'),
+      ADMIN_USERS_FILE: path.join(tmpDir, 'require', 'admin-users.json'),
+      DRY_RUN: 'true'
+    },
+    encoding: 'utf8',
+    timeout: 20000
+  });
+
+  assert(child.stdout.includes('LOADED function'), `The app and start() should be exported (${child.stderr})`);
+  assertEqual(child.status, 0, 'The process should exit by itself, with nothing listening');
+});
+
+runner.test('SIGTERM waits for an in-flight mail send before exiting', async () => {
+  const smtp = await startSmtp(600);
+  const child = await startServerProcess('drain', { smtpPort: smtp.port, shutdownTimeoutMs: 10000 });
+
+  try {
+    const inFlight = attempt(`${child.baseUrl}/api/test-email`, { headers: auth });
+    await waitUntil(() => smtp.state.received === 1);
+    child.kill('SIGTERM');
+    await waitUntil(() => child.output().includes('Shutting down (SIGTERM)'));
+
+    const late = await attempt(`${child.baseUrl}/api/health`);
+    assertEqual(late.error && late.error.code, 'ECONNREFUSED', 'New connections should be refused once draining');
+
+    const response = await inFlight;
+    assertEqual(response.statusCode, 200, 'The in-flight request should complete');
+    assertEqual(response.body.success, true, 'Its email should be sent');
+    assertEqual(await child.exited, 0, 'A clean drain should exit 0');
+
+    const entries = child.logEntries();
+    const started = entries.find(entry => entry.message === 'Shutting down (SIGTERM)');
+    assert(started, 'The shutdown should be logged');
+    assertEqual(started.data.mailSends, 1, 'The pending send should be logged');
+    assertEqual(entries[entries.length - 1].message, 'Shutdown complete', 'The log should be flushed through the last entry');
+    assertEqual(entries[entries.length - 1].data.drained, true, 'The drain should be reported as complete');
+    const lines = entries.map(entry => JSON.stringify(entry));
+    assertEqual(new Set(lines).size, lines.length, 'No entry should be written twice');
+  } finally {
+    child.kill('SIGKILL');
+    smtp.server.close();
+  }
+});
+
+runner.test('A drain that runs past SHUTDOWN_TIMEOUT_MS is cut off', async () => {
+  const smtp = await startSmtp(20000);
+  const child = await startServerProcess('timeout', { smtpPort: smtp.port, shutdownTimeoutMs: 300 });
+
+  try {
+    const inFlight = attempt(`${child.baseUrl}/api/test-email`, { headers: auth });
+    await waitUntil(() => smtp.state.received === 1);
+    const signalled = Date.now();
+    child.kill('SIGTERM');
+
+    assertEqual(await child.exited, 1, 'A forced shutdown should exit 1');
+    assert(Date.now() - signalled < 5000, 'The process should not wait for the slow send');
+    assert((await inFlight).error, 'The unfinished request should be cut off');
+    assert(child.logEntries().some(entry => entry.message === 'Shutdown timed out; closing remaining connections'), 'The timeout should be logged');
+  } finally {
+    child.kill('SIGKILL');
+    smtp.server.close();
+  }
+});
+
+// Runs last: it stops the outbox worker and closes the log file
+runner.test('Draining fails readiness, ends live log streams and stops the outbox claiming work', async () => {
+  const exitCodes = [];
+  lifecycle.exit = code => exitCodes.push(code);
+
+  const server = app.start(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  let ready = await health.checkReadiness();
+  assertEqual(ready.checks.lifecycle.status, 'healthy', 'A running server should be ready');
+
+  const stream = await new Promise((resolve, reject) => {
+    http.get(`${baseUrl}/api/logs/stream?replay=0`, { headers: auth }, resolve).on('error', reject);
+  });
+  const streamEnded = new Promise(resolve => stream.on('end', resolve));
+  stream.resume();
+  assertEqual(lifecycle.activeRequests.size, 1, 'The open stream should count as in flight');
+
+  // One slow send under way and one more waiting behind it
+  outbox.registerHandler('lifecycle-test', () => new Promise(resolve => setTimeout(() => resolve({ messageId: 'slow' }), 300)));
+  const inFlight = outbox.enqueue('lifecycle-test', {});
+  const waiting = outbox.enqueue('lifecycle-test', {});
+  await waitUntil(() => outbox.getMessage(inFlight.id).status === 'sending');
+
+  const done = lifecycle.shutdown('test');
+  ready = await health.checkReadiness();
+  assertEqual(ready.httpStatus, 503, 'Readiness should fail while draining');
+  assertEqual(ready.checks.lifecycle.message, 'Shutting down', 'The reason should be given');
+
+  await done;
+  await streamEnded;
+  assertEqual(exitCodes.join(','), '0', 'Exit should be called once, cleanly');
+  assertEqual(outbox.getMessage(inFlight.id).status, 'sent', 'The send under way should finish');
+  assertEqual(outbox.getMessage(waiting.id).status, 'queued', 'Nothing new should be claimed once draining');
+  assertEqual(lifecycle.shutdown('again'), done, 'Shutting down twice should reuse the first run');
+  assert(!server.listening, 'The server should be closed');
+  assert(fs.readFileSync(logger.logFile, 'utf8').includes('Log stream closed (server shutting down)'), 'The stream should be closed by the shutdown hook');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
@@ -0,0 +1,131 @@
+/**
+ * Test suite for PII redaction in logs
+ * Writes to a temporary LOG_DIR at debug level so every quote log line is checked
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { useTempEnv } = require('./testEnv');
+
+const tmpDir = useTempEnv('redaction', {
+  LOG_FORMAT: 'json',
+  LOG_LEVEL: 'debug',
+  DRY_RUN: 'true',
+  RATE_LIMIT_MAX_REQUESTS: '1000',
+  LOG_REDACTION: undefined
+});
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const logger = require('../logger');
+const { createSettings, resolveMode, loadRules, redactText, redactData } = require('../logRedaction');
+
+const runner = new TestRunner();
+
+const quote = {
+  pharmacy_name: 'Maple Lane Pharmacy',
+  contact_person: 'Dana Whitfield',
+  phone: '(248) 555-0142',
+  email: 'dana@maplelane-rx.com',
+  address: '4120 Maple Lane Dr',
+  city: 'Troy',
+  state: 'MI',
+  weekly_scripts: '30to75',
+  message: 'Call me at 248.555.0142 or write to dana.w@gmail.com',
+  company_website: '',
+  submission_time: Date.now() - 5000
+};
+
+runner.test('Mask mode replaces PII fields and patterns', async () => {
+  const settings = createSettings({});
+  const data = {
+    email: 'dana@maplelane-rx.com',
+    contact_person: 'Dana Whitfield',
+    IP: '203.0.113.9',
+    nested: { to: ['a@example.com', 'b@example.com'], note: 'Reach me on +1 313-555-0199 at 77 Cass Ave.' },
+    count: 3,
+    when: new Date(0)
+  };
+
+  const result = redactData(data, settings);
+  assertEqual(result.email, '[redacted email]', 'Email field should be masked');
+  assertEqual(result.contact_person, '[redacted name]', 'Name field should be masked');
+  assertEqual(result.IP, '[redacted ip]', 'Field names should match case-insensitively');
+  assertEqual(result.nested.to.join(','), '[redacted email],[redacted email]', 'Lists under a PII field should be masked');
+  assertEqual(result.nested.note, 'Reach me on [redacted phone] at [redacted address]', 'Free text should be scrubbed by pattern');
+  assertEqual(result.count, 3, 'Other values should be kept');
+  assert(result.when instanceof Date, 'Non-plain objects should be kept');
+  assertEqual(data.email, 'dana@maplelane-rx.com', 'The original data should not be changed');
+
+  assertEqual(redactText('Reply from dana@maplelane-rx.com', settings), 'Reply from [redacted email]', 'Messages should be scrubbed');
+  assertEqual(redactText('Lead stored [lead_20250304_ab12] 2025-03-04T15:20:11.532Z', settings),
+    'Lead stored [lead_20250304_ab12] 2025-03-04T15:20:11.532Z', 'IDs and timestamps should not look like PII');
+});
+
+runner.test('Hash mode gives stable keyed hashes', async () => {
+  const settings = createSettings({ LOG_REDACTION: 'hash', LOG_REDACTION_SALT: 'test-salt' });
+  const first = redactData({ email: 'Dana@MapleLane-rx.com' }, settings).email;
+  const second = redactData({ replyTo: 'dana@maplelane-rx.com' }, settings).replyTo;
+  const other = redactData({ email: 'tom@corner-drugs.com' }, settings).email;
+
+  assert(/^\[email:[0-9a-f]{12}\]$/.test(first), 'Hash should be a short tagged digest');
+  assertEqual(first, second, 'The same value should hash the same');
+  assert(first !== other, 'Different values should hash differently');
+
+  const otherSalt = createSettings({ LOG_REDACTION: 'hash', LOG_REDACTION_SALT: 'another-salt' });
+  assert(redactData({ email: 'dana@maplelane-rx.com' }, otherSalt).email !== first, 'Hashes should depend on the salt');
+});
+
+runner.test('Unsafe mode is an explicit, local-only escape hatch', async () => {
+  assertEqual(resolveMode({}).mode, 'mask', 'Masking should be the default');
+  assertEqual(resolveMode({ LOG_REDACTION: 'unsafe' }).mode, 'unsafe', 'Unsafe should be allowed outside production');
+  const production = resolveMode({ LOG_REDACTION: 'unsafe', NODE_ENV: 'production' });
+  assertEqual(production.mode, 'mask', 'Unsafe should be refused in production');
+  assert(production.warning, 'Refusing unsafe should explain why');
+  assertEqual(resolveMode({ LOG_REDACTION: 'off' }).mode, 'mask', 'Unknown modes should mask');
+
+  const settings = createSettings({ LOG_REDACTION: 'unsafe' });
+  assertEqual(redactData({ email: 'dana@maplelane-rx.com' }, settings).email, 'dana@maplelane-rx.com', 'Unsafe should keep values');
+});
+
+runner.test('Custom rules files are validated', async () => {
+  const file = path.join(tmpDir, 'rules.json');
+  fs.writeFileSync(file, JSON.stringify({ fields: { npi: 'npi' }, patterns: [{ kind: 'npi', pattern: '\\bNPI\\s*\\d{10}\\b' }] }));
+  const settings = createSettings({ LOG_REDACTION_FILE: file });
+  const result = redactData({ npi: '1234567890', note: 'Pharmacist NPI 1234567890', email: 'x@y.com' }, settings);
+  assertEqual(result.npi, '[redacted npi]', 'Custom field should be masked');
+  assertEqual(result.note, 'Pharmacist [redacted npi]', 'Custom pattern should be applied');
+  assertEqual(result.email, 'x@y.com', 'Only the custom rules should apply');
+
+  fs.writeFileSync(file, JSON.stringify({ fields: {}, patterns: [{ kind: 'bad', pattern: '(' }] }));
+  let error = null;
+  try {
+    loadRules(file);
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.code === 'LOG_REDACTION_CONFIG', 'Invalid rules should throw LOG_REDACTION_CONFIG');
+});
+
+runner.test('Quote submissions leave no PII in the log file', async (baseUrl) => {
+  const response = await makeRequest(`${baseUrl}/api/quote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(quote)
+  });
+  assertEqual(response.statusCode, 200, 'Quote should be accepted');
+  await logger.flush();
+
+  const content = fs.readFileSync(logger.logFile, 'utf8');
+  ['dana@maplelane-rx.com', 'Dana Whitfield', '555-0142', '4120 Maple Lane', 'Maple Lane Pharmacy', '127.0.0.1', 'dana.w@gmail.com']
+    .forEach(value => assert(!content.includes(value), `Log file should not contain ${value}`));
+
+  const payloadLog = content.split('\n').filter(Boolean).map(line => JSON.parse(line))
+    .find(record => record.message.startsWith('Request payload received'));
+  assert(payloadLog, 'The debug payload entry should still be written');
+  assertEqual(payloadLog.data.email, '[redacted email]', 'Email should be masked in the payload entry');
+  assertEqual(payloadLog.data.city, 'Troy', 'Non-PII fields should be kept');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
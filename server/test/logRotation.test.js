@@ -0,0 +1,157 @@
+/**
+ * Test suite for time-based log rotation, compression and retention
+ * Seeds old log files in a temporary LOG_DIR before the logger starts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { useTempEnv } = require('./testEnv');
+
+useTempEnv('rotation', {
+  LOG_FORMAT: 'json',
+  LOG_LEVEL: 'info',
+  LOG_ROTATE_INTERVAL: 'daily',
+  LOG_RETENTION_DAYS: '14',
+  ADMIN_TOKEN: 'test-admin-token-0123456789',
+  DRY_RUN: 'true',
+  RATE_LIMIT_MAX_REQUESTS: '1000'
+});
+const logDir = process.env.LOG_DIR;
+fs.mkdirSync(logDir);
+
+const DAY = 24 * 60 * 60 * 1000;
+const yesterday = new Date(Date.now() - DAY);
+
+function seed(name, content, mtime, gzip = false) {
+  const file = path.join(logDir, name);
+  fs.writeFileSync(file, gzip ? zlib.gzipSync(content) : content);
+  fs.utimesSync(file, mtime, mtime);
+  return file;
+}
+
+// Left over from yesterday's run, an expired archive and a pre-rotation-scheme file
+seed('dashrx.log', JSON.stringify({ timestamp: yesterday.toISOString(), level: 'info', message: 'Yesterday entry', requestId: null, data: null }) + '\n', yesterday);
+seed('dashrx-2020-01-01.log.gz', 'expired\n', new Date(Date.now() - 30 * DAY), true);
+seed('dashrx.log.1', JSON.stringify({ timestamp: new Date(Date.now() - 2 * DAY).toISOString(), level: 'warn', message: 'Legacy entry', requestId: null, data: null }) + '\n', new Date(Date.now() - 2 * DAY));
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const logger = require('../logger');
+
+const runner = new TestRunner();
+const headers = { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` };
+
+async function settle() {
+  await logger.flush();
+  await logger.archiving;
+}
+
+function fileNames() {
+  return logger.getLogFiles().map(file => file.name).sort();
+}
+
+runner.test('Expired archives are deleted at startup', async () => {
+  await settle();
+  assert(!fs.existsSync(path.join(logDir, 'dashrx-2020-01-01.log.gz')), 'An archive past LOG_RETENTION_DAYS should be gone');
+  assert(fileNames().includes('dashrx.log.1'), 'Recent legacy files should be kept and listed');
+});
+
+runner.test("Yesterday's file is archived and gzipped on the first write", async () => {
+  await settle();
+  const name = `dashrx-${logger.periodOf(yesterday)}.log.gz`;
+  const archive = logger.getLogFiles().find(file => file.name === name);
+
+  assert(archive, `${name} should exist`);
+  assert(archive.compressed, 'The archive should be flagged as compressed');
+  assert(!fs.existsSync(path.join(logDir, `dashrx-${logger.periodOf(yesterday)}.log`)), 'The uncompressed copy should be removed');
+  assertEqual(Math.round(archive.modified.getTime() / 1000), Math.round(yesterday.getTime() / 1000), 'The archive should keep the original time');
+  assert(logger.readLogFile(archive).includes('Yesterday entry'), 'The archive should decompress to the old entries');
+  assert(!fs.readFileSync(logger.logFile, 'utf8').includes('Yesterday entry'), 'The live file should start fresh');
+});
+
+runner.test('A new day rotates the live file; repeats get a sequence number', async () => {
+  logger.info('Before midnight');
+  await settle();
+  logger.filePeriod = '2001-02-03';
+  logger.info('After midnight');
+  await settle();
+
+  assert(fileNames().includes('dashrx-2001-02-03.log.gz'), 'The day\'s file should be archived under its date');
+  const records = fs.readFileSync(logger.logFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  assert(records.some(record => record.message === 'Log file rotated (new day)'), 'Rotation should be logged');
+  assertEqual(records.find(record => record.message === 'Log file rotated (new day)').data.archive, 'dashrx-2001-02-03.log.gz', 'The archive name should be logged');
+  assert(records.some(record => record.message === 'After midnight'), 'New entries should go to the new file');
+
+  logger.filePeriod = '2001-02-03';
+  logger.info('Same day again');
+  await settle();
+  assert(fileNames().includes('dashrx-2001-02-03.1.log.gz'), 'A second archive for the same day should be numbered');
+});
+
+runner.test('Hourly and size-only intervals', async () => {
+  logger.configureRotation({ LOG_ROTATE_INTERVAL: 'hourly' });
+  assert(/^\d{4}-\d{2}-\d{2}T\d{2}$/.test(logger.periodOf(Date.now())), 'Hourly periods should include the hour');
+
+  logger.configureRotation({ LOG_ROTATE_INTERVAL: 'size', LOG_MAX_SIZE_MB: '2' });
+  logger.filePeriod = '1999-01-01';
+  logger.info('Size-only entry');
+  await settle();
+  assert(!fileNames().includes('dashrx-1999-01-01.log.gz'), 'Size-only rotation should ignore the date');
+  assertEqual(logger.maxLogSize, 2 * 1024 * 1024, 'LOG_MAX_SIZE_MB should set the size limit');
+
+  logger.configureRotation({ LOG_ROTATE_INTERVAL: 'weekly-ish', LOG_RETENTION_DAYS: '-3' });
+  assertEqual(logger.rotateInterval, 'daily', 'Unknown intervals should fall back to daily');
+  assertEqual(logger.retentionDays, 14, 'Invalid numbers should fall back to the default');
+});
+
+runner.test('Archives over the disk budget are deleted oldest first', async () => {
+  const recent = Date.now() - 5 * DAY;
+  const noise = () => require('crypto').randomBytes(3000).toString('hex') + '\n';
+  seed('dashrx-2002-01-01.log.gz', noise(), new Date(recent - 3000), true);
+  seed('dashrx-2002-01-02.log.gz', noise(), new Date(recent - 2000), true);
+  seed('dashrx-2002-01-03.log.gz', noise(), new Date(recent - 1000), true);
+
+  const archives = logger.getLogFiles().filter(file => file.name !== 'dashrx.log');
+  const total = archives.reduce((sum, file) => sum + file.size, 0);
+  const oldest = archives.find(file => file.name === 'dashrx-2002-01-01.log.gz');
+  logger.maxTotalSize = total - oldest.size;
+  try {
+    logger.applyRetention();
+  } finally {
+    logger.configureRotation(process.env);
+  }
+  await settle();
+
+  const names = fileNames();
+  assert(names.includes('dashrx.log'), 'The live file should never be deleted');
+  assert(!names.includes('dashrx-2002-01-01.log.gz'), 'The oldest archive should be deleted');
+  assert(names.includes('dashrx-2002-01-02.log.gz') && names.includes('dashrx-2002-01-03.log.gz'), 'Newer archives should be kept');
+  assert(fs.readFileSync(logger.logFile, 'utf8').includes('"reason":"disk budget"'), 'Deletions should be logged with the reason');
+});
+
+runner.test('Info, download and search read compressed archives', async (baseUrl) => {
+  await settle();
+
+  const info = await makeRequest(`${baseUrl}/api/logs/info`, { headers });
+  assertEqual(info.statusCode, 200, 'Log info should succeed');
+  assert(info.body.compressedFiles >= 3, 'Compressed archives should be counted');
+  assert(info.body.archives.some(file => file.name === `dashrx-${logger.periodOf(yesterday)}.log.gz` && file.compressed), 'Archives should be listed');
+  assertEqual(info.body.rotation.interval, 'daily', 'Rotation settings should be reported');
+  assertEqual(info.body.rotation.retentionDays, 14, 'Retention should be reported');
+
+  const download = await makeRequest(`${baseUrl}/api/logs/download`, { headers });
+  assertEqual(download.statusCode, 200, 'Download should succeed');
+  assert(download.rawBody.includes('Yesterday entry'), 'Download should include decompressed archive content');
+  assert(download.rawBody.includes(`LOG FILE: dashrx-${logger.periodOf(yesterday)}.log.gz`), 'Download should name each archive');
+
+  const search = await makeRequest(`${baseUrl}/api/logs/search?q=${encodeURIComponent('yesterday entry')}`, { headers });
+  assertEqual(search.body.total, 1, 'Search should find entries inside gzipped archives');
+  assertEqual(search.body.results[0].file, `dashrx-${logger.periodOf(yesterday)}.log.gz`, 'The result should name the archive');
+
+  const legacy = await makeRequest(`${baseUrl}/api/logs/search?q=legacy`, { headers });
+  assertEqual(legacy.body.total, 1, 'Search should still read legacy numbered files');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
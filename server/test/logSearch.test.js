@@ -0,0 +1,139 @@
+/**
+ * Test suite for the admin log search
+ * Seeds archived files in text and JSON format in a temporary LOG_DIR
+ */
+
+const fs = require('fs');
+const { useTempEnv } = require('./testEnv');
+
+useTempEnv('logsearch', {
+  ADMIN_TOKEN: 'test-admin-token-0123456789',
+  DRY_RUN: 'true',
+  RATE_LIMIT_MAX_REQUESTS: '1000',
+  LOG_FORMAT: undefined
+});
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const logger = require('../logger');
+
+const runner = new TestRunner();
+const headers = { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` };
+
+// Oldest file: text format, as written before LOG_FORMAT=json existed
+fs.writeFileSync(`${logger.logFile}.3`, [
+  '',
+  '='.repeat(80),
+  '🚀 DASHRX SERVER SESSION STARTED',
+  '='.repeat(80),
+  'Timestamp: 03/01/2025, 09:00:00.000 EST/EDT (2025-03-01T14:00:00.000Z)',
+  '='.repeat(80),
+  '[03/01/2025, 09:00:01.000 EST/EDT (2025-03-01T14:00:01.000Z)] 📥 REQUEST POST /api/quote',
+  '{',
+  '  "method": "POST",',
+  '  "url": "/api/quote"',
+  '}',
+  '[03/01/2025, 09:00:02.000 EST/EDT (2025-03-01T14:00:02.000Z)] ❌ ERROR   Quote submission error [oldreq123]',
+  '{',
+  '  "error": "SMTP timeout"',
+  '}',
+  '[03/01/2025, 09:00:03.000 EST/EDT (2025-03-01T14:00:03.000Z)] ⚠️ WARN    Slow mail provider | Data: 4200ms',
+  ''
+].join('\n'));
+
+// Middle file: JSON format
+fs.writeFileSync(`${logger.logFile}.2`, [
+  { timestamp: '2025-03-02T10:00:00.000Z', level: 'info', message: 'Quote form submission received', requestId: 'jsonreq42', data: null },
+  { timestamp: '2025-03-02T10:00:01.000Z', level: 'error', message: 'GET /api/service-area - 500 (3ms)', requestId: null, data: { url: '/api/service-area?zip=48067', statusCode: 500 } },
+  { timestamp: '2025-03-02T10:00:02.000Z', level: 'warn', message: 'Duplicate quote submission', requestId: 'jsonreq42', data: { reason: 'same email and phone' } }
+].map(record => JSON.stringify(record)).join('\n') + '\n');
+
+// A few megabytes of filler, so the search has to stream
+const filler = [];
+for (let i = 0; i < 30000; i++) {
+  filler.push(JSON.stringify({
+    timestamp: new Date(Date.UTC(2025, 2, 3, 0, 0, 0) + i * 1000).toISOString(),
+    level: i % 1000 === 0 ? 'error' : 'response',
+    message: `GET /bulk/${i} - 200 (1ms)`,
+    requestId: null,
+    data: { url: `/bulk/${i}`, padding: 'x'.repeat(40) }
+  }));
+}
+fs.writeFileSync(`${logger.logFile}.1`, filler.join('\n') + '\n');
+
+// Archives are searched in modification order
+[3, 2, 1].forEach((n, i) => {
+  const mtime = new Date(Date.now() - (3 - i) * 60000);
+  fs.utimesSync(`${logger.logFile}.${n}`, mtime, mtime);
+});
+
+async function search(baseUrl, query) {
+  return makeRequest(`${baseUrl}/api/logs/search?${new URLSearchParams(query)}`, { headers });
+}
+
+runner.test('Log search requires an admin', async (baseUrl) => {
+  const response = await makeRequest(`${baseUrl}/api/logs/search?q=quote`);
+  assertEqual(response.statusCode, 401, 'Anonymous search should return 401');
+});
+
+runner.test('Level filter covers text and JSON files, newest first', async (baseUrl) => {
+  const response = await search(baseUrl, { level: 'error', from: '2025-03-01', to: '2025-03-04' });
+  assertEqual(response.statusCode, 200, 'Search should succeed');
+  assert(fs.statSync(`${logger.logFile}.1`).size > 2 * 1024 * 1024, 'Filler file should be several megabytes');
+
+  const { results, total } = response.body;
+  assertEqual(total, 32, 'Should find the text error, the JSON error and the filler errors');
+  assertEqual(results[0].file, 'dashrx.log.1', 'Newest matches should come first');
+  assertEqual(results[results.length - 1].message, 'Quote submission error [oldreq123]', 'Oldest match should come last');
+  assertEqual(results[results.length - 1].data.error, 'SMTP timeout', 'Multi-line text data should be parsed');
+  assertEqual(results[results.length - 1].file, 'dashrx.log.3', 'Results should name their file');
+  assert(results.every(entry => entry.level === 'error'), 'Only errors should be returned');
+});
+
+runner.test('Request ID, URL, time and text filters', async (baseUrl) => {
+  const byJsonId = await search(baseUrl, { requestId: 'jsonreq42' });
+  assertEqual(byJsonId.body.total, 2, 'Top-level requestId should match');
+  assertEqual(byJsonId.body.results[0].message, 'Duplicate quote submission', 'Newest entry first');
+
+  const byTextId = await search(baseUrl, { requestId: 'oldreq123' });
+  assertEqual(byTextId.body.total, 1, 'Request ID in a text message should match');
+
+  const byUrl = await search(baseUrl, { url: '/api/service-area' });
+  assertEqual(byUrl.body.total, 1, 'URL filter should match data.url');
+  assertEqual(byUrl.body.results[0].data.statusCode, 500, 'Entry data should be returned');
+
+  const byTime = await search(baseUrl, { from: '2025-03-01T14:00:01.500Z', to: '2025-03-01T23:59:59Z' });
+  assertEqual(byTime.body.total, 2, 'Time range should be inclusive and exact');
+
+  const byText = await search(baseUrl, { q: 'smtp TIMEOUT' });
+  assertEqual(byText.body.total, 1, 'Free text should search data case-insensitively');
+
+  const inlineData = await search(baseUrl, { q: 'slow mail' });
+  assertEqual(inlineData.body.results[0].data, '4200ms', 'Inline text data should be split from the message');
+  assertEqual(inlineData.body.results[0].level, 'warn', 'Padded level names should be parsed');
+});
+
+runner.test('Results are paginated', async (baseUrl) => {
+  const first = await search(baseUrl, { url: '/bulk/', limit: 100 });
+  const second = await search(baseUrl, { url: '/bulk/', limit: 100, page: 2 });
+  const last = await search(baseUrl, { url: '/bulk/', limit: 100, page: 31 });
+
+  assertEqual(first.body.total, 30000, 'Every filler entry should count');
+  assertEqual(first.body.totalPages, 300, 'Total pages should be reported');
+  assertEqual(first.body.results.length, 100, 'A page should hold limit entries');
+  assertEqual(first.body.results[0].message, 'GET /bulk/29999 - 200 (1ms)', 'Page 1 should start with the newest entry');
+  assertEqual(second.body.results[0].message, 'GET /bulk/29899 - 200 (1ms)', 'Page 2 should continue where page 1 ended');
+  assertEqual(last.body.results[99].message, 'GET /bulk/26900 - 200 (1ms)', 'Later pages should line up');
+  assert(first.body.hasMore && last.body.hasMore, 'hasMore should be set while entries remain');
+});
+
+runner.test('Invalid searches are rejected', async (baseUrl) => {
+  const response = await search(baseUrl, { level: 'loud', from: 'yesterday-ish', limit: 1000 });
+  assertEqual(response.statusCode, 400, 'Invalid search should return 400');
+  assert(response.body.details.some(detail => detail.includes('Unknown level: loud')), 'Unknown level should be reported');
+  assert(response.body.details.some(detail => detail.includes('"from"')), 'Bad date should be reported');
+  assert(response.body.details.some(detail => detail.includes('"limit"')), 'Bad limit should be reported');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
@@ -0,0 +1,193 @@
+/**
+ * Test suite for the live log stream (Server-Sent Events) and its viewer page
+ */
+
+const fs = require('fs');
+const http = require('http');
+const { useTempEnv } = require('./testEnv');
+
+useTempEnv('logstream', {
+  LOG_FORMAT: 'json',
+  LOG_LEVEL: 'debug',
+  ADMIN_TOKEN: 'test-admin-token-0123456789',
+  DRY_RUN: 'true',
+  RATE_LIMIT_MAX_REQUESTS: '1000'
+});
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const logger = require('../logger');
+const requestContext = require('../requestContext');
+
+const runner = new TestRunner();
+const auth = { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` };
+
+/**
+ * Minimal SSE client: collects { id, event, data } and can wait for a condition
+ */
+function openStream(url, headers = {}) {
+  const client = { events: [], response: null, request: null };
+  const waiters = [];
+  let pending = '';
+
+  const check = () => {
+    for (let i = waiters.length - 1; i >= 0; i--) {
+      if (waiters[i].predicate(client.events)) {
+        waiters[i].resolve();
+        waiters.splice(i, 1);
+      }
+    }
+  };
+
+  client.connected = new Promise((resolve, reject) => {
+    client.request = http.get(url, { headers }, res => {
+      client.response = res;
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        pending += chunk;
+        const blocks = pending.split('\n\n');
+        pending = blocks.pop();
+        blocks.forEach(block => {
+          const event = {};
+          block.split('\n').forEach(line => {
+            const at = line.indexOf(': ');
+            if (line.startsWith(':') || at === -1) return;
+            event[line.slice(0, at)] = line.slice(at + 2);
+          });
+          if (event.event) client.events.push({ ...event, data: JSON.parse(event.data) });
+        });
+        check();
+      });
+      resolve(res);
+    });
+    client.request.on('error', reject);
+  });
+
+  client.waitFor = (predicate, timeoutMs = 3000) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Timed out waiting for stream events')), timeoutMs);
+    waiters.push({ predicate, resolve: () => { clearTimeout(timer); resolve(); } });
+    check();
+  });
+
+  client.entries = () => client.events.filter(event => event.event === 'entry').map(event => event.data);
+  client.close = () => client.request.destroy();
+  return client;
+}
+
+function waitUntil(check, timeoutMs = 3000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (check()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error('Timed out'));
+      setTimeout(poll, 10);
+    };
+    poll();
+  });
+}
+
+runner.test('The stream needs an admin and valid filters', async (baseUrl) => {
+  const anonymous = await makeRequest(`${baseUrl}/api/logs/stream`);
+  assertEqual(anonymous.statusCode, 401, 'Anonymous clients should get a 401');
+
+  const invalid = await makeRequest(`${baseUrl}/api/logs/stream?level=loud&replay=9999`, { headers: auth });
+  assertEqual(invalid.statusCode, 400, 'Bad filters should be rejected');
+  assert(invalid.body.details.some(detail => detail.includes('loud')), 'Unknown levels should be named');
+  assert(invalid.body.details.some(detail => detail.includes('replay')), 'An oversized replay should be explained');
+});
+
+runner.test('Recent entries are replayed on connect, filtered', async (baseUrl) => {
+  requestContext.run({ requestId: 'replay-a' }, () => {
+    logger.warn('Replay warn one');
+    logger.info('Replay info');
+    logger.warn('Replay warn two');
+    logger.warn('Replay warn three');
+  });
+
+  const stream = openStream(`${baseUrl}/api/logs/stream?level=warn&requestId=replay-a&replay=2`, auth);
+  const response = await stream.connected;
+  await stream.waitFor(events => events.filter(event => event.event === 'entry').length >= 2);
+  stream.close();
+
+  assertEqual(response.statusCode, 200, 'The stream should open');
+  assert(response.headers['content-type'].startsWith('text/event-stream'), 'It should be an event stream');
+  assertEqual(response.headers['cache-control'], 'no-store, no-transform', 'It should not be cached or transformed');
+  assertEqual(stream.events[0].event, 'ready', 'The first event should announce the replay');
+  assertEqual(stream.events[0].data.replayed, 2, 'Only the last N matching entries should be replayed');
+  assertEqual(stream.entries().map(entry => entry.message).join(','), 'Replay warn two,Replay warn three', 'Replay should keep the order');
+  assertEqual(Number(stream.events[1].id), stream.entries()[0].id, 'Each entry should carry its id as the event id');
+});
+
+runner.test('New entries are pushed live and filtered by level and request ID', async (baseUrl) => {
+  const stream = openStream(`${baseUrl}/api/logs/stream?level=error,security&requestId=live-1&replay=0`, auth);
+  await stream.connected;
+  await stream.waitFor(events => events.some(event => event.event === 'ready'));
+
+  requestContext.run({ requestId: 'live-1' }, () => {
+    logger.info('Live info, filtered out');
+    logger.error('Live error', { code: 'EAUTH' });
+  });
+  requestContext.run({ requestId: 'live-2' }, () => logger.error('Other request error'));
+  logger.security('Live security', { requestId: 'live-1' });
+
+  await stream.waitFor(events => events.filter(event => event.event === 'entry').length >= 2);
+  stream.close();
+
+  const entries = stream.entries();
+  assertEqual(stream.events[0].data.replayed, 0, 'replay=0 should send no backlog');
+  assertEqual(entries.map(entry => entry.message).join(','), 'Live error,Live security', 'Only matching entries should arrive');
+  assertEqual(entries[0].requestId, 'live-1', 'Entries should carry the request ID');
+  assertEqual(entries[0].data.code, 'EAUTH', 'Entries should carry their data');
+});
+
+runner.test('Entries are redacted before they are streamed', async (baseUrl) => {
+  const stream = openStream(`${baseUrl}/api/logs/stream?requestId=pii-1&replay=0`, auth);
+  await stream.connected;
+  await stream.waitFor(events => events.some(event => event.event === 'ready'));
+
+  requestContext.run({ requestId: 'pii-1' }, () => logger.info('Reply from dana@maplelane-rx.com', { phone: '(248) 555-0142' }));
+  await stream.waitFor(events => events.some(event => event.event === 'entry'));
+  stream.close();
+
+  const [entry] = stream.entries();
+  assertEqual(entry.message, 'Reply from [redacted email]', 'Messages should be masked');
+  assertEqual(entry.data.phone, '[redacted phone]', 'Data should be masked');
+});
+
+runner.test('Reconnects resume after Last-Event-ID; closing unsubscribes', async (baseUrl) => {
+  // Earlier tests' streams finish closing in the background
+  await waitUntil(() => logger.subscribers.size === 0);
+  logger.warn('Resume one', { requestId: 'resume-1' });
+  const lastSeen = logger.sequence;
+  logger.warn('Resume two', { requestId: 'resume-1' });
+  logger.warn('Resume three', { requestId: 'resume-1' });
+
+  const stream = openStream(`${baseUrl}/api/logs/stream?requestId=resume-1&replay=500`, { ...auth, 'Last-Event-ID': String(lastSeen) });
+  await stream.connected;
+  await stream.waitFor(events => events.filter(event => event.event === 'entry').length >= 2);
+  assertEqual(stream.entries().map(entry => entry.message).join(','), 'Resume two,Resume three', 'Only entries after Last-Event-ID should be sent');
+  assertEqual(logger.subscribers.size, 1, 'An open stream should be subscribed');
+
+  stream.close();
+  await waitUntil(() => logger.subscribers.size === 0);
+  await logger.flush();
+  assert(fs.readFileSync(logger.logFile, 'utf8').includes('Log stream closed (client disconnected)'), 'The close should be logged');
+});
+
+runner.test('The admin viewer page loads the stream client', async (baseUrl) => {
+  const anonymous = await makeRequest(`${baseUrl}/admin/logs`);
+  assertEqual(anonymous.statusCode, 302, 'Anonymous visitors should be sent to the login page');
+
+  const page = await makeRequest(`${baseUrl}/admin/logs`, { headers: auth });
+  assertEqual(page.statusCode, 200, 'The viewer should load for admins');
+  assert(page.rawBody.includes('<script src="/admin-logs.js"></script>'), 'The page should load the viewer script');
+  assert(page.rawBody.includes('log-color-red') && page.rawBody.includes('value="security"'), 'Levels should be listed with their console colors');
+  assert(page.rawBody.includes('&quot;error&quot;:&quot;red&quot;'), 'The color map should be handed to the script');
+
+  const script = await makeRequest(`${baseUrl}/admin-logs.js`);
+  assertEqual(script.statusCode, 200, 'The viewer script should be served');
+  assert(script.rawBody.includes('/api/logs/stream'), 'The script should connect to the stream');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
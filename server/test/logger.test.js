@@ -0,0 +1,289 @@
+/**
+ * Test suite for log output format, level filtering and the buffered writer
+ * Writes to a temporary LOG_DIR so the real logs/ folder is untouched
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { useTempEnv } = require('./testEnv');
+
+const tmpDir = useTempEnv('logger', {
+  LOG_FORMAT: 'json',
+  LOG_LEVEL: 'info',
+  DRY_RUN: 'true',
+  RATE_LIMIT_MAX_REQUESTS: '1000'
+});
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const logger = require('../logger');
+
+const runner = new TestRunner();
+
+function readLines() {
+  return fs.readFileSync(logger.logFile, 'utf8').split('\n').filter(Boolean);
+}
+
+function readRecords() {
+  return readLines().map(line => JSON.parse(line));
+}
+
+function lastMatching(message) {
+  return readRecords().filter(record => record.message === message).pop();
+}
+
+runner.test('JSON mode writes one parseable record per line', async () => {
+  logger.info('Structured entry', { requestId: 'abc123', leadId: 'lead_1', nested: { ok: true } });
+  await logger.flush();
+
+  const lines = readLines();
+  assert(lines.length > 0, 'Log file should have entries');
+  lines.forEach(line => JSON.parse(line));
+
+  const record = lastMatching('Structured entry');
+  assert(record, 'Entry should be written');
+  assertEqual(record.level, 'info', 'Record should carry the level');
+  assertEqual(record.requestId, 'abc123', 'requestId should be lifted to the top level');
+  assertEqual(record.data.leadId, 'lead_1', 'Other fields should stay under data');
+  assertEqual(record.data.requestId, undefined, 'requestId should not be repeated under data');
+  assert(!isNaN(Date.parse(record.timestamp)), 'Timestamp should be ISO 8601');
+});
+
+runner.test('Non-object data and missing data are kept as-is', async () => {
+  logger.warn('Scalar entry', 'plain text');
+  logger.info('Bare entry');
+  await logger.flush();
+
+  assertEqual(lastMatching('Scalar entry').data, 'plain text', 'Scalar data should be stored as the data field');
+  const bare = lastMatching('Bare entry');
+  assertEqual(bare.data, null, 'Missing data should be null');
+  assertEqual(bare.requestId, null, 'Missing requestId should be null');
+});
+
+runner.test('LOG_LEVEL drops levels below the threshold', async () => {
+  logger.debug('Dropped debug entry', { secret: true });
+  logger.request('Dropped request entry');
+  logger.response('Dropped response entry');
+  logger.security('Kept security entry');
+  logger.validation('Kept validation entry');
+  await logger.flush();
+
+  assert(!lastMatching('Dropped debug entry'), 'debug should be dropped at info');
+  assert(!lastMatching('Dropped request entry'), 'request should be dropped at info');
+  assert(!lastMatching('Dropped response entry'), 'response should be dropped at info');
+  assert(lastMatching('Kept security entry'), 'security should be kept at info');
+  assert(lastMatching('Kept validation entry'), 'validation should be kept at info');
+
+  logger.configure({ LOG_FORMAT: 'json', LOG_LEVEL: 'warn' });
+  logger.email('Dropped email entry');
+  logger.security('Kept security at warn');
+  await logger.flush();
+  assert(!lastMatching('Dropped email entry'), 'email should be dropped at warn');
+  assert(lastMatching('Kept security at warn'), 'security should rank with warn');
+  logger.configure({ LOG_FORMAT: 'json', LOG_LEVEL: 'info' });
+});
+
+runner.test('Request logging respects the threshold', async (baseUrl) => {
+  await logger.flush();
+  const before = readRecords().length;
+  const response = await makeRequest(`${baseUrl}/api/health`);
+  assertEqual(response.statusCode, 200, 'Health check should succeed');
+  await logger.flush();
+
+  const added = readRecords().slice(before);
+  assert(!added.some(record => record.level === 'request' || record.level === 'response'),
+    'Request/response records should be dropped at info');
+});
+
+runner.test('Entries are batched and written without blocking calls', async () => {
+  await logger.flush();
+  const sizeBefore = fs.statSync(logger.logFile).size;
+
+  const originalStat = fs.statSync;
+  const originalAppend = fs.appendFileSync;
+  let blockingCalls = 0;
+  fs.statSync = (...args) => { blockingCalls++; return originalStat(...args); };
+  fs.appendFileSync = (...args) => { blockingCalls++; return originalAppend(...args); };
+
+  try {
+    for (let i = 0; i < 200; i++) logger.info(`Batched entry ${i}`);
+    assertEqual(originalStat(logger.logFile).size, sizeBefore, 'Nothing should be written in the same tick');
+    await logger.flush();
+  } finally {
+    fs.statSync = originalStat;
+    fs.appendFileSync = originalAppend;
+  }
+
+  assertEqual(blockingCalls, 0, 'Logging should not stat or append synchronously');
+  const batched = readRecords().filter(record => record.message.startsWith('Batched entry '));
+  assertEqual(batched.length, 200, 'Every entry should be written');
+  assert(batched.every((record, i) => record.message === `Batched entry ${i}`), 'Entries should keep their order');
+});
+
+runner.test('Bursts larger than the stream buffer wait for drain', async () => {
+  const padding = 'p'.repeat(500);
+  for (let i = 0; i < 600; i++) logger.info(`Burst entry ${i}`, { padding });
+  assert(logger.waitingForDrain, 'A 300KB burst should hit backpressure');
+  await logger.flush();
+
+  const burst = readRecords().filter(record => record.message.startsWith('Burst entry '));
+  assertEqual(burst.length, 600, 'No entry should be lost under backpressure');
+  assert(burst.every((record, i) => record.message === `Burst entry ${i}`), 'Entries should keep their order');
+
+  const maxPending = logger.maxPendingBytes;
+  logger.maxPendingBytes = 4096;
+  try {
+    for (let i = 0; i < 100; i++) logger.info(`Overflow entry ${i}`, { padding });
+    await logger.flush();
+  } finally {
+    logger.maxPendingBytes = maxPending;
+  }
+  await logger.flush();
+
+  const records = readRecords();
+  const kept = records.filter(record => record.message.startsWith('Overflow entry ')).length;
+  assert(kept > 0 && kept < 100, 'Entries past the pending limit should be dropped');
+  assert(records.some(record => record.message === `Log writer fell behind; dropped ${100 - kept} entries`),
+    'Dropped entries should be reported');
+});
+
+runner.test('Rotation uses the tracked byte count', async () => {
+  await logger.flush();
+  const maxSize = logger.maxLogSize;
+  logger.maxLogSize = fs.statSync(logger.logFile).size + 4000;
+
+  try {
+    for (let i = 0; i < 40; i++) {
+      logger.info(`Rotation entry ${i}`, { padding: 'r'.repeat(100) });
+      await logger.flush();
+    }
+  } finally {
+    logger.maxLogSize = maxSize;
+  }
+
+  await logger.archiving;
+  const archive = logger.getLogFiles().find(file => file.compressed);
+  assert(archive, 'The full file should be archived');
+  const current = readRecords();
+  assert(current.some(record => record.message === 'Log file rotated (size limit)'), 'Rotation should be logged');
+  assert(current.some(record => record.message === 'Rotation entry 39'), 'Newest entries should be in the new file');
+  assert(logger.readLogFile(archive).includes('Rotation entry 0"'), 'Older entries should be in the archive');
+  assertEqual(logger.fileSize, fs.statSync(logger.logFile).size, 'Tracked size should match the file');
+});
+
+runner.test('An unwritable LOG_DIR releases flush() and bounds the buffer', async () => {
+  await logger.flush();
+  const original = { logDir: logger.logDir, logFile: logger.logFile, maxRetainedBytes: logger.maxRetainedBytes };
+  const blocker = path.join(tmpDir, 'not-a-directory');
+  fs.writeFileSync(blocker, '');
+
+  // LOG_DIR sits under a plain file, so the stream can never be opened
+  logger.resetStream();
+  logger.logDir = path.join(blocker, 'logs');
+  logger.logFile = path.join(logger.logDir, 'dashrx.log');
+  logger.maxRetainedBytes = 2048;
+
+  const originalError = console.error;
+  let reported = 0;
+  console.error = () => { reported++; };
+  let flushed;
+  try {
+    for (let i = 0; i < 100; i++) logger.info(`Unwritable entry ${i}`, { padding: 'u'.repeat(100) });
+    const timeout = new Promise(resolve => setTimeout(() => resolve('timed out'), 2000));
+    flushed = await Promise.race([logger.flush(), timeout]);
+    assertEqual(await Promise.race([logger.close(), timeout.then(() => 'timed out')]), undefined, 'close() should not hang');
+  } finally {
+    console.error = originalError;
+    logger.logDir = original.logDir;
+    logger.logFile = original.logFile;
+  }
+
+  assertEqual(flushed, false, 'flush() should resolve false instead of hanging');
+  assert(logger.bufferBytes <= 2048, 'Only the newest entries should be kept for a retry');
+  assert(reported > 0 && reported < 5, 'The failure should be reported, not repeated for every entry');
+
+  try {
+    logger.info('Log dir is back');
+    assertEqual(await logger.flush(), true, 'Writing should resume once the file can be opened');
+  } finally {
+    logger.maxRetainedBytes = original.maxRetainedBytes;
+  }
+
+  const messages = readRecords().map(record => record.message);
+  assert(messages.includes('Unwritable entry 99') && !messages.includes('Unwritable entry 0'), 'The retained newest entries should be written');
+  assert(messages.some(message => /^Log writer fell behind; dropped \d+ entries$/.test(message)), 'Discarded entries should be reported');
+});
+
+runner.test('A sync flush leaves in-flight accounting to newer chunks', async () => {
+  await logger.flush();
+
+  logger.info('Written before the sync flush');
+  logger.drainBuffer();
+  assert(logger.inFlight.length === 1, 'The first chunk should be in flight');
+  logger.flushSync();
+
+  // Its late write callback must not settle the chunk handed over next
+  logger.info('Written after the sync flush');
+  logger.drainBuffer();
+  assertEqual(await logger.flush(), true, 'Later flushes should still complete');
+  assertEqual(logger.inFlight.length, 0, 'Nothing should be left in flight');
+  assertEqual(logger.inFlightBytes, 0, 'In-flight bytes should not drift');
+
+  const messages = readRecords().map(record => record.message);
+  assert(messages.includes('Written before the sync flush') && messages.includes('Written after the sync flush'), 'Both entries should be on disk');
+});
+
+runner.test('Graceful shutdown can take over SIGINT and SIGTERM', async () => {
+  const before = process.listenerCount('SIGTERM');
+  logger.releaseSignals();
+  assertEqual(process.listenerCount('SIGTERM'), before - 1, 'The logger should stop listening for SIGTERM');
+  logger.releaseSignals();
+  assertEqual(process.listenerCount('SIGTERM'), before - 1, 'Releasing twice should be harmless');
+});
+
+runner.test('Buffered entries are flushed on exit, crash and SIGTERM', async () => {
+  const script = mode => `
+    const logger = require(${JSON.stringify(path.join(__dirname, '../logger'))});
+    for (let i = 0; i < 50; i++) logger.info('Child entry ' + i);
+    if (${JSON.stringify(mode)} === 'exit') process.exit(0);
+    if (${JSON.stringify(mode)} === 'crash') throw new Error('boom');
+    if (${JSON.stringify(mode)} === 'sigterm') process.kill(process.pid, 'SIGTERM');
+  `;
+
+  for (const mode of ['exit', 'crash', 'sigterm']) {
+    const dir = fs.mkdtempSync(path.join(tmpDir, `child-${mode}-`));
+    const child = spawnSync(process.execPath, ['-e', script(mode)], {
+      env: { ...process.env, LOG_DIR: dir, LOG_FORMAT: 'json', LOG_LEVEL: 'info' },
+      encoding: 'utf8',
+      timeout: 10000
+    });
+
+    const records = fs.readFileSync(path.join(dir, 'dashrx.log'), 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    const messages = records.map(record => record.message);
+    assert(messages.includes('Child entry 0') && messages.includes('Child entry 49'), `Entries should survive ${mode}`);
+    if (mode === 'crash') {
+      assertEqual(child.status, 1, 'A crash should still exit with an error');
+      assert(messages.includes('Uncaught exception - process will exit'), 'The crash should be logged');
+    }
+    if (mode === 'sigterm') {
+      assertEqual(child.signal, 'SIGTERM', 'The signal should still end the process');
+    }
+  }
+});
+
+runner.test('Unknown settings fall back to text output at debug', async () => {
+  logger.configure({ LOG_FORMAT: 'xml', LOG_LEVEL: 'loud' });
+  assertEqual(logger.format, 'text', 'Unknown format should fall back to text');
+  assertEqual(logger.level, 'debug', 'Unknown level should fall back to debug');
+
+  logger.debug('Text mode entry', { count: 2 });
+  await logger.flush();
+  const text = fs.readFileSync(logger.logFile, 'utf8');
+  assert(/DEBUG\s+Text mode entry\n\{\n  "count": 2\n\}/.test(text), 'Text mode should keep the readable format');
+
+  logger.configure({ LOG_FORMAT: 'json', LOG_LEVEL: 'info' });
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
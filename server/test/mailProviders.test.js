@@ -0,0 +1,226 @@
+/**
+ * Test suite for mail providers
+ * HTTP providers are pointed at a local stand-in server
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { useTempEnv } = require('./testEnv');
+
+const tmpDir = useTempEnv('mail');
+
+const { TestRunner, assert, assertEqual } = require('./quoteRoute.test');
+const { getProvider, listProviders } = require('../mailProviders');
+const { makeTransport, validateMailConfig } = require('../mailer');
+
+const runner = new TestRunner();
+
+const message = {
+  to: 'Dashrx10@gmail.com',
+  from: 'DashRx Website <noreply@dashrx.com>',
+  replyTo: 'owner@pharmacy.com',
+  subject: 'New Quote Request — Test Pharmacy',
+  text: 'Plain body',
+  html: '<p>HTML body</p>'
+};
+
+/**
+ * Start a local server that records requests and answers with the given status
+ */
+function startStandIn(statusCode, headers, body) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, url: req.url, headers: req.headers, body: data });
+      res.writeHead(statusCode, headers);
+      res.end(body);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, received, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+// Test: Registry
+runner.test('Registry lists every provider and rejects unknown ones', async () => {
+  ['console', 'file', 'gmail', 'mailgun', 'sendgrid', 'smtp'].forEach(name => {
+    assert(listProviders().includes(name), `${name} should be registered`);
+  });
+
+  let caught = null;
+  try {
+    getProvider('carrier-pigeon');
+  } catch (error) {
+    caught = error;
+  }
+  assert(caught && caught.code === 'MAIL_UNSUPPORTED_PROVIDER', 'Unknown provider should be rejected');
+});
+
+// Test: Config validation
+runner.test('Each provider validates its own configuration', async () => {
+  const smtp = getProvider('smtp').validate({ SMTP_PORT: 'abc', SMTP_USER: 'me' });
+  assert(smtp.some(e => e.includes('SMTP_HOST')), 'SMTP should require a host');
+  assert(smtp.some(e => e.includes('SMTP_PORT')), 'SMTP should reject a bad port');
+  assert(smtp.some(e => e.includes('SMTP_PASS')), 'SMTP should require user and pass together');
+  assertEqual(getProvider('smtp').validate({ SMTP_HOST: 'mail.example.com', SMTP_PORT: '465' }).length, 0, 'Valid SMTP config should pass');
+
+  assert(getProvider('sendgrid').validate({}).some(e => e.includes('SENDGRID_API_KEY')), 'SendGrid should require an API key');
+  assert(getProvider('sendgrid').validate({ SENDGRID_API_KEY: 'k', SENDGRID_API_URL: 'ftp://x' }).length === 1, 'SendGrid should reject a bad API URL');
+
+  const mailgun = getProvider('mailgun').validate({ MAILGUN_API_KEY: 'k' });
+  assert(mailgun.some(e => e.includes('MAILGUN_DOMAIN')), 'Mailgun should require a domain');
+
+  assert(getProvider('gmail').validate({ MAIL_USER: 'x@gmail.com' }).some(e => e.includes('MAIL_PASS')), 'Gmail should require a password');
+  assertEqual(getProvider('console').validate({}).length, 0, 'Console needs no config');
+});
+
+// Test: Shared config checks
+runner.test('makeTransport refuses to start with an invalid configuration', async () => {
+  const { errors } = validateMailConfig({ MAIL_PROVIDER: 'console' });
+  assert(errors.some(e => e.includes('MAIL_TO')), 'MAIL_TO should be required');
+
+  let caught = null;
+  try {
+    makeTransport({ MAIL_PROVIDER: 'sendgrid', MAIL_TO: 'a@b.com', MAIL_FROM: 'c@d.com' });
+  } catch (error) {
+    caught = error;
+  }
+  assert(caught && caught.code === 'MAIL_CONFIG', 'Invalid config should throw MAIL_CONFIG');
+
+  const transport = makeTransport({ MAIL_PROVIDER: 'console', MAIL_TO: 'a@b.com', MAIL_FROM: 'c@d.com' });
+  assert(typeof transport.sendMail === 'function', 'Valid config should build a transport');
+});
+
+// Test: SendGrid request format
+runner.test('SendGrid sends a v3 Mail Send request', async () => {
+  const standIn = await startStandIn(202, { 'X-Message-Id': 'sg-123' }, '');
+  try {
+    const transport = getProvider('sendgrid').create({ SENDGRID_API_KEY: 'SG.test', SENDGRID_API_URL: standIn.url });
+    const result = await transport.sendMail(message);
+
+    assertEqual(result.messageId, 'sg-123', 'Message ID should come from X-Message-Id');
+    const req = standIn.received[0];
+    assertEqual(req.url, '/v3/mail/send', 'Should call the Mail Send endpoint');
+    assertEqual(req.headers.authorization, 'Bearer SG.test', 'Should send the API key');
+
+    const body = JSON.parse(req.body);
+    assertEqual(body.personalizations[0].to[0].email, 'Dashrx10@gmail.com', 'Recipient should be set');
+    assertEqual(body.from.email, 'noreply@dashrx.com', 'Sender address should be parsed');
+    assertEqual(body.from.name, 'DashRx Website', 'Sender name should be parsed');
+    assertEqual(body.reply_to.email, 'owner@pharmacy.com', 'Reply-To should be set');
+    assertEqual(body.content.length, 2, 'Text and HTML parts should be sent');
+  } finally {
+    standIn.server.close();
+  }
+});
+
+// Test: Mailgun request format
+runner.test('Mailgun sends a Messages API request', async () => {
+  const standIn = await startStandIn(200, { 'Content-Type': 'application/json' },
+    JSON.stringify({ id: '<mg-456@mg.example.com>', message: 'Queued. Thank you.' }));
+  try {
+    const transport = getProvider('mailgun').create({
+      MAILGUN_API_KEY: 'key-test',
+      MAILGUN_DOMAIN: 'mg.example.com',
+      MAILGUN_API_URL: standIn.url
+    });
+    const result = await transport.sendMail(message);
+
+    assertEqual(result.messageId, '<mg-456@mg.example.com>', 'Message ID should come from the response');
+    const req = standIn.received[0];
+    assertEqual(req.url, '/v3/mg.example.com/messages', 'Should call the domain messages endpoint');
+    assertEqual(req.headers.authorization, `Basic ${Buffer.from('api:key-test').toString('base64')}`, 'Should use basic auth');
+
+    const form = new URLSearchParams(req.body);
+    assertEqual(form.get('to'), 'Dashrx10@gmail.com', 'Recipient should be set');
+    assertEqual(form.get('h:Reply-To'), 'owner@pharmacy.com', 'Reply-To should be set');
+    assertEqual(form.get('html'), '<p>HTML body</p>', 'HTML part should be sent');
+  } finally {
+    standIn.server.close();
+  }
+});
+
+// Test: API failures surface details
+runner.test('HTTP provider errors carry the status and response', async () => {
+  const standIn = await startStandIn(401, { 'Content-Type': 'application/json' }, '{"errors":[{"message":"bad key"}]}');
+  try {
+    const transport = getProvider('sendgrid').create({ SENDGRID_API_KEY: 'wrong', SENDGRID_API_URL: standIn.url });
+    let caught = null;
+    try {
+      await transport.sendMail(message);
+    } catch (error) {
+      caught = error;
+    }
+    assert(caught, 'Send should fail');
+    assertEqual(caught.code, 'MAIL_API_ERROR', 'Error should be tagged');
+    assertEqual(caught.responseCode, 401, 'HTTP status should be kept');
+    assert(caught.response.includes('bad key'), 'Response body should be kept');
+  } finally {
+    standIn.server.close();
+  }
+});
+
+// Test: Readiness checks reach the API with the configured credentials
+runner.test('SendGrid and Mailgun verify() check the API key and domain', async () => {
+  const ok = await startStandIn(200, { 'Content-Type': 'application/json' }, '{"scopes":["mail.send"]}');
+  try {
+    const sendgrid = getProvider('sendgrid').create({ SENDGRID_API_KEY: 'SG.test', SENDGRID_API_URL: ok.url });
+    assertEqual(await sendgrid.verify(), true, 'A valid SendGrid key should verify');
+    assertEqual(ok.received[0].method, 'GET', 'SendGrid verify should only read');
+    assertEqual(ok.received[0].url, '/v3/scopes', 'SendGrid verify should read the key scopes');
+    assertEqual(ok.received[0].headers.authorization, 'Bearer SG.test', 'SendGrid verify should send the key');
+
+    const mailgun = getProvider('mailgun').create({ MAILGUN_API_KEY: 'key-test', MAILGUN_DOMAIN: 'mg.example.com', MAILGUN_API_URL: ok.url });
+    assertEqual(await mailgun.verify(), true, 'A valid Mailgun key and domain should verify');
+    assertEqual(ok.received[1].url, '/v3/domains/mg.example.com', 'Mailgun verify should look up the domain');
+    assertEqual(ok.received[1].headers.authorization, `Basic ${Buffer.from('api:key-test').toString('base64')}`, 'Mailgun verify should use basic auth');
+  } finally {
+    ok.server.close();
+  }
+
+  const failures = [
+    [401, 'sendgrid', { SENDGRID_API_KEY: 'wrong' }, /SendGrid rejected SENDGRID_API_KEY \(HTTP 401\)/],
+    [403, 'mailgun', { MAILGUN_API_KEY: 'wrong', MAILGUN_DOMAIN: 'mg.example.com' }, /Mailgun rejected MAILGUN_API_KEY \(HTTP 403\)/],
+    [404, 'mailgun', { MAILGUN_API_KEY: 'key-test', MAILGUN_DOMAIN: 'typo.example.com' }, /Mailgun does not know MAILGUN_DOMAIN typo\.example\.com/]
+  ];
+  for (const [status, name, env, pattern] of failures) {
+    const standIn = await startStandIn(status, { 'Content-Type': 'application/json' }, '{"message":"nope"}');
+    try {
+      const transport = getProvider(name).create({ ...env, SENDGRID_API_URL: standIn.url, MAILGUN_API_URL: standIn.url });
+      let caught = null;
+      try {
+        await transport.verify();
+      } catch (error) {
+        caught = error;
+      }
+      assert(caught && pattern.test(caught.message), `${name} verify() should fail on HTTP ${status}`);
+      assertEqual(caught.responseCode, status, 'The HTTP status should be kept');
+    } finally {
+      standIn.server.close();
+    }
+  }
+});
+
+// Test: File transport
+runner.test('File provider writes the message to disk', async () => {
+  const dir = path.join(tmpDir, 'outgoing');
+  const transport = getProvider('file').create({ MAIL_FILE_DIR: dir });
+  const result = await transport.sendMail(message);
+
+  assert(result.messageId, 'Message ID should be returned');
+  const files = fs.readdirSync(dir);
+  assertEqual(files.length, 1, 'One .eml file should be written');
+  const eml = fs.readFileSync(path.join(dir, files[0]), 'utf8');
+  assert(eml.includes('Reply-To: owner@pharmacy.com'), 'Headers should be written');
+  assert(eml.includes('Plain body'), 'Body should be written');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
@@ -0,0 +1,96 @@
+/**
+ * Test suite for mail templates
+ * Covers escaping, the branded layout and the shared variables
+ */
+
+const { TestRunner, assert, assertEqual } = require('./quoteRoute.test');
+const { render, buildVariables, html, raw, listTemplates } = require('../mailTemplates');
+
+const runner = new TestRunner();
+
+const hostileQuote = {
+  pharmacy_name: '<script>alert("x")</script>Evil & Sons',
+  contact_person: 'Mallory <b>Bold</b>',
+  phone: '(313) 555-0199',
+  email: 'mallory@evil-rx.com',
+  address: '1 Main St <img src=x onerror=alert(1)>',
+  city: 'Detroit',
+  state: 'MI',
+  weekly_scripts: { token: 'lt25', display: 'Less than 25' },
+  message: 'Line one\n<a href="javascript:alert(1)">click</a>'
+};
+
+// Test: Tag escapes values but keeps nested markup
+runner.test('html tag escapes interpolations unless marked safe', async () => {
+  const value = '<b>"hi"</b> & \'bye\'';
+  assertEqual(html`<p>${value}</p>`.toString(), '<p>&lt;b&gt;&quot;hi&quot;&lt;/b&gt; &amp; &#39;bye&#39;</p>', 'Values should be escaped');
+  assertEqual(html`<p>${raw('<br>')}</p>`.toString(), '<p><br></p>', 'raw() should be inserted as-is');
+  assertEqual(html`<ul>${['<a>', html`<li>ok</li>`]}</ul>`.toString(), '<ul>&lt;a&gt;<li>ok</li></ul>', 'Arrays should be escaped item by item');
+  assertEqual(html`${null}${undefined}${false}`.toString(), '', 'Empty values should render nothing');
+});
+
+// Test: User input never reaches the HTML part unescaped
+runner.test('Quote notification HTML escapes user-supplied fields', async () => {
+  const { html: body } = render('quote', hostileQuote);
+
+  assert(!body.includes('<script>'), 'Pharmacy name markup should be escaped');
+  assert(!body.includes('<img src=x'), 'Address markup should be escaped');
+  assert(!body.includes('<a href="javascript'), 'Message markup should be escaped');
+  assert(!body.includes('<pre'), 'HTML part should no longer be a <pre> dump');
+  assert(body.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;Evil &amp; Sons'), 'Escaped pharmacy name should be shown');
+});
+
+// Test: Text part keeps the original content
+runner.test('Text part is plain text with the original values', async () => {
+  const { subject, text } = render('quote', hostileQuote);
+
+  assertEqual(subject, `New Quote Request — ${hostileQuote.pharmacy_name}`, 'Subject should name the pharmacy');
+  assert(text.includes('Pharmacy Name: <script>alert("x")</script>Evil & Sons'), 'Text part should not be HTML-escaped');
+  assert(text.includes('Phone: 3135550199'), 'Phone should be normalized');
+  assert(text.includes('Estimated Weekly Deliveries: Less than 25'), 'Volume display should be used');
+  assert(text.includes('The Missing Link Between You and Your Patients'), 'Text layout should add the footer');
+});
+
+// Test: Branded layout
+runner.test('Every template uses the branded layout', async () => {
+  process.env.SITE_URL = 'https://staging.dashrx.com/';
+  try {
+    listTemplates().forEach(name => {
+      const { html: body } = render(name, hostileQuote, { reference: 'DRX-20250101-ABCDEF' });
+      assert(body.startsWith('<!DOCTYPE html>'), `${name} should be a full HTML document`);
+      assert(body.includes('src="https://staging.dashrx.com/logo.png"'), `${name} should show the logo`);
+      assert(body.includes('#15899D'), `${name} should use the brand color`);
+    });
+  } finally {
+    delete process.env.SITE_URL;
+  }
+});
+
+// Test: Shared variables
+runner.test('Shared variables include both timestamps and display values', async () => {
+  const vars = buildVariables(hostileQuote, new Date('2025-07-04T16:30:00Z'));
+
+  assertEqual(vars.utcTime, '2025-07-04T16:30:00.000Z', 'UTC time should be ISO');
+  assert(vars.estTime.includes('12:30:00'), 'Eastern time should be converted');
+  assertEqual(vars.normalizedPhone, '3135550199', 'Phone should be digits only');
+  assertEqual(vars.scriptsDisplay, 'Less than 25', 'Volume display should be used');
+  assertEqual(vars.location, 'Detroit, MI', 'Location should combine city and state');
+  assertEqual(buildVariables({}).scriptsDisplay, 'Not specified', 'Missing volume should have a default');
+});
+
+// Test: Confirmation template
+runner.test('Confirmation template carries the reference and privacy reminder', async () => {
+  const { subject, text, html: body } = render('confirmation', hostileQuote, { reference: 'DRX-20250101-ABCDEF' });
+
+  assert(subject.includes('DRX-20250101-ABCDEF'), 'Subject should include the reference');
+  assert(text.includes('Never include patient information'), 'Text should keep the HIPAA reminder');
+  assert(body.includes('Never include patient information'), 'HTML should keep the HIPAA reminder');
+  [text, body].forEach(part => {
+    assert(!part.includes('Mallory') && !part.includes('Evil'), 'Visitor-typed names should not be echoed');
+  });
+  assert(text.includes('Less than 25'), 'The volume option should be summarized');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
@@ -0,0 +1,183 @@
+/**
+ * Test suite for the Prometheus /metrics endpoint
+ * Mail goes to an SMTP port nobody listens on, so every send fails fast
+ */
+
+const { useTempEnv } = require('./testEnv');
+
+useTempEnv('metrics', {
+  LOG_LEVEL: 'warn',
+  ADMIN_TOKEN: 'test-admin-token-0123456789',
+  METRICS_TOKEN: 'test-metrics-token-0123456789',
+  DRY_RUN: 'false',
+  MAIL_PROVIDER: 'smtp',
+  SMTP_HOST: '127.0.0.1',
+  SMTP_PORT: '1',
+  MAIL_TO: 'sales@example.com',
+  MAIL_FROM: 'site@example.com',
+  AUTORESPONDER_ENABLED: 'false',
+  OUTBOX_MAX_ATTEMPTS: '1',
+  DUPLICATE_WINDOW_MS: '0',
+  RATE_LIMIT_MAX_REQUESTS: '5'
+});
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const metrics = require('../metrics');
+
+const runner = new TestRunner();
+
+// Each caller gets its own address (trust proxy is on) so limiters only trip when meant to
+let nextClient = 1;
+function fromNewClient(headers = {}) {
+  return { ...headers, 'X-Forwarded-For': `198.51.100.${nextClient++}` };
+}
+
+function quote(overrides = {}) {
+  return {
+    pharmacy_name: 'Grand River Pharmacy',
+    contact_person: 'Lee Park',
+    phone: '(313) 555-0110',
+    email: 'lee@grandriver-rx.com',
+    address: '100 Grand River Ave',
+    city: 'Detroit',
+    state: 'MI',
+    weekly_scripts: '30to75',
+    company_website: '',
+    submission_time: Date.now() - 5000,
+    ...overrides
+  };
+}
+
+function postQuote(baseUrl, body, headers = fromNewClient()) {
+  return makeRequest(`${baseUrl}/api/quote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+async function scrape(baseUrl) {
+  const response = await makeRequest(`${baseUrl}/metrics`);
+  assertEqual(response.statusCode, 200, 'Local scrape should succeed');
+  return response.rawBody;
+}
+
+/**
+ * Value of one sample, e.g. sample(text, 'dashrx_quote_submissions_total{outcome="spam"}')
+ */
+function sample(text, series) {
+  const line = text.split('\n').find(row => row.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : null;
+}
+
+function waitFor(check, timeoutMs = 5000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const poll = async () => {
+      if (await check()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error('Timed out'));
+      setTimeout(poll, 50);
+    };
+    poll();
+  });
+}
+
+runner.test('Only localhost or the metrics token may scrape', async (baseUrl) => {
+  const local = await makeRequest(`${baseUrl}/metrics`);
+  assertEqual(local.statusCode, 200, 'A direct local scrape should be allowed');
+  assert(/^text\/plain;.*version=0\.0\.4/.test(local.headers['content-type']), 'Prometheus text format should be used');
+
+  const proxied = await makeRequest(`${baseUrl}/metrics`, { headers: fromNewClient() });
+  assertEqual(proxied.statusCode, 401, 'A remote client behind the proxy should need the token');
+  assert(proxied.headers['www-authenticate'], 'The token scheme should be advertised');
+
+  const wrong = await makeRequest(`${baseUrl}/metrics`, { headers: fromNewClient({ Authorization: 'Bearer nope' }) });
+  assertEqual(wrong.statusCode, 401, 'A wrong token should be refused');
+
+  const token = await makeRequest(`${baseUrl}/metrics`, { headers: fromNewClient({ Authorization: `Bearer ${process.env.METRICS_TOKEN}` }) });
+  assertEqual(token.statusCode, 200, 'The token should work from anywhere');
+
+  const fakeRequest = (remoteAddress, ip) => ({ get: () => '', socket: { remoteAddress }, ip });
+  assertEqual(metrics.authorize(fakeRequest('::1', '::1'), {}), 'localhost', 'IPv6 loopback should count as local');
+  assertEqual(metrics.authorize(fakeRequest('203.0.113.7', '127.0.0.1'), {}), null, 'A spoofed forwarded address should not count');
+  assertEqual(metrics.authorize(fakeRequest('127.0.0.1', '203.0.113.7'), {}), null, 'Traffic through a local proxy should not count');
+});
+
+runner.test('Requests are counted and timed by route pattern and status', async (baseUrl) => {
+  metrics.reset();
+  await makeRequest(`${baseUrl}/api/health`);
+  await makeRequest(`${baseUrl}/api/health`);
+  await makeRequest(`${baseUrl}/admin/leads/lead_does_not_exist`, { headers: { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` } });
+  await makeRequest(`${baseUrl}/api/nope?x=1`, { headers: fromNewClient() });
+
+  const text = await scrape(baseUrl);
+  assertEqual(sample(text, 'dashrx_http_requests_total{method="GET",route="/api/health",status="200"}'), 2, 'Health checks should be counted');
+  assertEqual(sample(text, 'dashrx_http_requests_total{method="GET",route="/admin/leads/:id",status="404"}'), 1, 'Mounted routes should use the pattern');
+  assertEqual(sample(text, 'dashrx_http_requests_total{method="GET",route="unmatched",status="404"}'), 1, 'Unknown URLs should share one series');
+  assert(!text.includes('lead_does_not_exist') && !text.includes('x=1'), 'Raw URLs should never become labels');
+
+  assertEqual(sample(text, 'dashrx_http_request_duration_seconds_count{method="GET",route="/api/health",status="200"}'), 2, 'Latency should be observed');
+  assertEqual(sample(text, 'dashrx_http_request_duration_seconds_bucket{method="GET",route="/api/health",status="200",le="+Inf"}'), 2, 'Buckets should be cumulative up to +Inf');
+  assert(text.includes('# TYPE dashrx_http_request_duration_seconds histogram'), 'Latency should be a histogram');
+});
+
+runner.test('Quote submissions are counted by outcome', async (baseUrl) => {
+  metrics.reset();
+  let text = await scrape(baseUrl);
+  metrics.QUOTE_OUTCOMES.forEach(outcome => {
+    assertEqual(sample(text, `dashrx_quote_submissions_total{outcome="${outcome}"}`), 0, `${outcome} should start at zero`);
+  });
+
+  assertEqual((await postQuote(baseUrl, quote())).statusCode, 200, 'A valid quote should be accepted');
+  await postQuote(baseUrl, quote({ email: 'not-an-email' }));
+  await postQuote(baseUrl, {});
+  await postQuote(baseUrl, quote({ company_website: 'http://spam.example' }));
+  await postQuote(baseUrl, quote({ message: 'Congratulations, you are a winner' }));
+  await postQuote(baseUrl, quote({ submission_time: Date.now() }));
+
+  text = await scrape(baseUrl);
+  const outcome = name => sample(text, `dashrx_quote_submissions_total{outcome="${name}"}`);
+  assertEqual(outcome('accepted'), 1, 'Accepted quotes should be counted');
+  assertEqual(outcome('validation_failed'), 2, 'Invalid and empty quotes should be counted');
+  assertEqual(outcome('honeypot'), 1, 'Honeypot hits should be counted');
+  assertEqual(outcome('spam'), 1, 'Spam should be counted');
+  assertEqual(outcome('too_fast'), 1, 'Too-fast submissions should be counted');
+});
+
+runner.test('Failed notification emails are timed and counted as mail_failed', async (baseUrl) => {
+  // The accepted quote above was dead-lettered after its single attempt
+  await waitFor(async () => sample(await scrape(baseUrl), 'dashrx_quote_submissions_total{outcome="mail_failed"}') === 1);
+
+  const text = await scrape(baseUrl);
+  assertEqual(sample(text, 'dashrx_mail_send_duration_seconds_count{type="quote",result="failure"}'), 1, 'The failed send should be timed');
+  assert(sample(text, 'dashrx_mail_send_duration_seconds_sum{type="quote",result="failure"}') > 0, 'The send time should be recorded');
+});
+
+runner.test('Rate-limiter rejections are counted per limiter', async (baseUrl) => {
+  metrics.reset();
+  const client = fromNewClient();
+  for (let i = 0; i < 4; i++) {
+    await postQuote(baseUrl, {}, client);
+  }
+
+  const apiClient = fromNewClient();
+  for (let i = 0; i < 6; i++) {
+    await makeRequest(`${baseUrl}/api/nope`, { headers: apiClient });
+  }
+
+  const text = await scrape(baseUrl);
+  assertEqual(sample(text, 'dashrx_rate_limit_rejections_total{limiter="quote"}'), 1, 'The fourth quote in a minute should be rejected');
+  assertEqual(sample(text, 'dashrx_rate_limit_rejections_total{limiter="api"}'), 1, 'The sixth API call in a minute should be rejected');
+  assertEqual(sample(text, 'dashrx_http_requests_total{method="POST",route="/api/quote",status="429"}'), 1, 'The rejection should show in the request counts');
+});
+
+runner.test('Process stats are included', async (baseUrl) => {
+  const text = await scrape(baseUrl);
+  ['process_cpu_user_seconds_total', 'process_resident_memory_bytes', 'process_start_time_seconds', 'nodejs_heap_size_used_bytes']
+    .forEach(name => assert(sample(text, name) > 0, `${name} should be reported`));
+  assertEqual(sample(text, `nodejs_version_info{version="${process.version}"}`), 1, 'The Node version should be reported');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
@@ -0,0 +1,164 @@
+/**
+ * Test suite for the mail outbox
+ * Covers queueing, retry with backoff, dead-lettering, restart and resend
+ */
+
+const fs = require('fs');
+const { useTempEnv } = require('./testEnv');
+
+useTempEnv('outbox', {
+  ADMIN_TOKEN: 'test-admin-token-0123456789',
+  OUTBOX_RETRY_BASE_MS: '20',
+  OUTBOX_MAX_ATTEMPTS: '3',
+  OUTBOX_POLL_MS: '10'
+});
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const leadStore = require('../leadStore');
+const outbox = require('../outbox');
+
+const runner = new TestRunner();
+
+// Retries need the polling worker, which only server start() runs
+outbox.start();
+
+// Stand-in for the mailer so each test decides whether delivery works
+let mailWorks = false;
+let deliveries = 0;
+outbox.registerHandler('quote', async () => {
+  deliveries++;
+  if (!mailWorks) {
+    const err = new Error('Connection refused');
+    err.code = 'ECONNECTION';
+    throw err;
+  }
+  return { messageId: `<test-${deliveries}@dashrx>` };
+});
+
+/**
+ * Poll until a condition holds or give up
+ */
+async function waitFor(condition, message, timeoutMs = 3000) {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeoutMs) throw new Error(`Timed out: ${message}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+async function submitQuote(baseUrl) {
+  return makeRequest(`${baseUrl}/api/quote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      pharmacy_name: 'Outbox Pharmacy',
+      contact_person: 'Max Power',
+      phone: '(313) 555-0177',
+      email: 'max@outbox-pharmacy.com',
+      company_website: '',
+      submission_time: Date.now() - 5000
+    })
+  });
+}
+
+let deadLeadId = null;
+
+// Test: Backoff doubles and is capped
+runner.test('Retry delay grows exponentially and is capped', async () => {
+  assertEqual(outbox.backoffDelay(1), 20, 'First retry should wait the base delay');
+  assertEqual(outbox.backoffDelay(2), 40, 'Second retry should double');
+  assertEqual(outbox.backoffDelay(3), 80, 'Third retry should double again');
+  assertEqual(outbox.backoffDelay(40), outbox.maxDelayMs, 'Delay should be capped');
+});
+
+// Test: Mail outage no longer fails the request
+runner.test('Quote is accepted while mail is down and dead-lettered after max attempts', async (baseUrl) => {
+  mailWorks = false;
+  const response = await submitQuote(baseUrl);
+
+  assertEqual(response.statusCode, 200, 'Submission should be accepted once queued');
+  deadLeadId = response.body.leadId;
+
+  const lead = leadStore.getLead(deadLeadId);
+  const message = outbox.getMessage(lead.email.outboxId);
+  assert(message, 'Outbox message should exist');
+
+  await waitFor(() => message.status === 'dead', 'message should be dead-lettered');
+  assertEqual(message.attempts, 3, 'Message should be tried OUTBOX_MAX_ATTEMPTS times');
+  assertEqual(message.lastError, 'ECONNECTION', 'Last error should be kept');
+  assertEqual(leadStore.getLead(deadLeadId).email.status, 'failed', 'Lead should show the failure');
+});
+
+// Test: Restart keeps the queue
+runner.test('Outbox survives a restart and requeues in-flight messages', async () => {
+  const message = outbox.enqueue('nobody-handles-this', { note: 'restart test' });
+  outbox.messages.get(message.id).status = 'sending';
+  outbox.persist();
+
+  outbox.load();
+
+  const reloaded = outbox.getMessage(message.id);
+  assert(reloaded, 'Message should survive a reload');
+  assertEqual(reloaded.status, 'queued', 'In-flight message should go back to the queue');
+  assert(outbox.listMessages('dead').length >= 1, 'Dead-letter list should survive a reload');
+});
+
+// Test: Admins can inspect and resend
+runner.test('Admins can see the dead-letter list and resend a message', async (baseUrl) => {
+  const headers = { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` };
+  const outboxId = leadStore.getLead(deadLeadId).email.outboxId;
+
+  const page = await makeRequest(`${baseUrl}/admin/outbox`, { headers });
+  assertEqual(page.statusCode, 200, 'Outbox page should load');
+  assert(page.rawBody.includes(outboxId), 'Dead message should be listed');
+
+  mailWorks = true;
+  const resend = await makeRequest(`${baseUrl}/admin/outbox/${outboxId}/resend`, { method: 'POST', headers });
+  assertEqual(resend.statusCode, 302, 'Resend should redirect back');
+
+  await waitFor(() => outbox.getMessage(outboxId).status === 'sent', 'resent message should be delivered');
+  assertEqual(leadStore.getLead(deadLeadId).email.status, 'sent', 'Lead should show delivery');
+
+  const again = await makeRequest(`${baseUrl}/admin/outbox/${outboxId}/resend`, { method: 'POST', headers });
+  assert(again.headers.location.endsWith('not-dead'), 'Delivered messages cannot be resent');
+});
+
+// Test: The running worker forgets old deliveries
+runner.test('Delivered messages past retention are pruned without a restart', async () => {
+  const sent = outbox.listMessages().find(message => message.status === 'sent');
+  assert(sent, 'A delivered message should be in the outbox');
+  sent.sentAt = new Date(Date.now() - outbox.sentRetentionMs - 1000).toISOString();
+
+  await outbox.processDue();
+
+  assertEqual(outbox.getMessage(sent.id), null, 'The old delivery should be dropped from memory');
+  const stored = JSON.parse(fs.readFileSync(outbox.storeFile, 'utf8'));
+  assert(!stored.some(message => message.id === sent.id), 'The old delivery should be dropped from the file');
+});
+
+// Test: Nothing can deliver an unknown kind, so it should not sit in the queue
+runner.test('Messages with no registered handler are dead-lettered', async () => {
+  const dead = [];
+  const onDead = message => dead.push(message.id);
+  outbox.on('dead', onDead);
+
+  try {
+    const message = outbox.enqueue('carrier-pigeon', { note: 'no handler' });
+    await waitFor(() => outbox.getMessage(message.id).status === 'dead', 'unhandled message should be dead-lettered');
+    assertEqual(outbox.getMessage(message.id).lastError, 'OUTBOX_NO_HANDLER', 'The reason should be recorded');
+    assertEqual(outbox.getMessage(message.id).attempts, 0, 'No delivery should be attempted');
+    assert(dead.includes(message.id), 'The dead event should be emitted');
+  } finally {
+    outbox.off('dead', onDead);
+  }
+});
+
+// Test: Outbox page is admin-only
+runner.test('Outbox page requires authentication', async (baseUrl) => {
+  const response = await makeRequest(`${baseUrl}/admin/outbox`, { headers: { Accept: 'text/html' } });
+  assertEqual(response.statusCode, 302, 'Anonymous access should redirect to login');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
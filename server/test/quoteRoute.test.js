@@ -4,7 +4,15 @@
  */
 
 const http = require('http');
+const { useTempEnv } = require('./testEnv');
+
+// Other suites set up their own folders before loading this file
+if (require.main === module) {
+  useTempEnv('quote', { DRY_RUN: 'true' });
+}
+
 const app = require('../server');
+const { resetLimits } = require('../rateLimit');
 
 // Simple test framework (no external dependencies)
 class TestRunner {
@@ -29,6 +37,8 @@ class TestRunner {
     console.log(`📡 Test server running on port ${port}\n`);
 
     for (const test of this.tests) {
+      // Each case starts with empty rate-limit windows
+      resetLimits();
       try {
         console.log(`⏳ ${test.name}`);
         await test.testFn(baseUrl);
@@ -154,6 +164,34 @@ runner.test('Valid quote submission succeeds', async (baseUrl) => {
   );
 });
 
+// Test: Repeat submission of the same lead
+runner.test('Submitting the same lead twice is flagged as a duplicate', async (baseUrl) => {
+  const payload = {
+    pharmacy_name: 'Repeat Pharmacy',
+    contact_person: 'Jane Doe',
+    phone: '(313) 555-0190',
+    email: 'jane@repeatpharmacy.com',
+    company_website: '',
+    submission_time: Date.now() - 3000
+  };
+  const submit = () => makeRequest(`${baseUrl}/api/quote`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(payload)
+  });
+
+  const first = await submit();
+  assertEqual(first.statusCode, 200, 'First submission should succeed');
+  assert(!first.body.duplicate, 'First submission should not be a duplicate');
+
+  const second = await submit();
+  assertEqual(second.statusCode, 200, 'Repeat submission should still succeed');
+  assertEqual(second.body.duplicate, true, 'Repeat submission should be flagged');
+  assertEqual(second.body.leadId, first.body.leadId, 'Repeat should point at the original lead');
+});
+
 // Test: Missing required fields
 runner.test('Missing required fields are rejected', async (baseUrl) => {
   const invalidPayload = {
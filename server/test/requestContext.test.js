@@ -0,0 +1,150 @@
+/**
+ * Test suite for request IDs
+ * Checks the X-Request-Id header, JSON error bodies and automatic log tagging
+ */
+
+const fs = require('fs');
+const { useTempEnv } = require('./testEnv');
+
+useTempEnv('requestid', {
+  LOG_FORMAT: 'json',
+  LOG_LEVEL: 'debug',
+  DRY_RUN: 'true',
+  RATE_LIMIT_MAX_REQUESTS: '1000'
+});
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const logger = require('../logger');
+const requestContext = require('../requestContext');
+const outbox = require('../outbox');
+
+const runner = new TestRunner();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+function readRecords() {
+  return fs.readFileSync(logger.logFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+function waitFor(check, timeoutMs = 3000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const poll = async () => {
+      await logger.flush();
+      if (check()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error('Timed out waiting for log entries'));
+      setTimeout(poll, 25);
+    };
+    poll();
+  });
+}
+
+runner.test('Responses carry a generated or honored X-Request-Id', async (baseUrl) => {
+  const generated = await makeRequest(`${baseUrl}/api/health`);
+  assert(UUID_PATTERN.test(generated.headers['x-request-id']), 'A UUID should be generated');
+
+  const another = await makeRequest(`${baseUrl}/api/health`);
+  assert(another.headers['x-request-id'] !== generated.headers['x-request-id'], 'Each request should get its own ID');
+
+  const honored = await makeRequest(`${baseUrl}/api/health`, { headers: { 'X-Request-Id': 'lb-7f3a.42:edge_1' } });
+  assertEqual(honored.headers['x-request-id'], 'lb-7f3a.42:edge_1', 'A safe incoming ID should be kept');
+
+  const unsafe = await makeRequest(`${baseUrl}/api/health`, { headers: { 'X-Request-Id': '<script>alert(1)</script>' } });
+  assert(UUID_PATTERN.test(unsafe.headers['x-request-id']), 'An unsafe incoming ID should be replaced');
+
+  const tooLong = await makeRequest(`${baseUrl}/api/health`, { headers: { 'X-Request-Id': 'a'.repeat(129) } });
+  assert(UUID_PATTERN.test(tooLong.headers['x-request-id']), 'An overlong incoming ID should be replaced');
+});
+
+runner.test('JSON errors include the request ID', async (baseUrl) => {
+  const notFound = await makeRequest(`${baseUrl}/api/nope`, { headers: { 'X-Request-Id': 'err-404-check' } });
+  assertEqual(notFound.statusCode, 404, 'Unknown API route should 404');
+  assertEqual(notFound.body.requestId, 'err-404-check', '404 body should carry the ID');
+
+  const invalid = await makeRequest(`${baseUrl}/api/quote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ pharmacy_name: 'X' })
+  });
+  assertEqual(invalid.statusCode, 400, 'Invalid quote should be rejected');
+  assertEqual(invalid.body.requestId, invalid.headers['x-request-id'], 'Validation error should carry the ID');
+
+  const ok = await makeRequest(`${baseUrl}/api/health`);
+  assertEqual(ok.body.requestId, undefined, 'Successful bodies should be left alone');
+});
+
+runner.test('Every log entry for a request is tagged automatically', async (baseUrl) => {
+  const requestId = 'quote-trace-0001';
+  const response = await makeRequest(`${baseUrl}/api/quote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Request-Id': requestId },
+    body: JSON.stringify({
+      pharmacy_name: 'Cass Corridor Pharmacy',
+      contact_person: 'Ana Ruiz',
+      phone: '(313) 555-0177',
+      email: 'ana@casscorridor-rx.com',
+      address: '4400 Cass Ave',
+      city: 'Detroit',
+      state: 'MI',
+      weekly_scripts: '30to75',
+      company_website: '',
+      submission_time: Date.now() - 5000
+    })
+  });
+  assertEqual(response.statusCode, 200, 'Quote should be accepted');
+  assertEqual(response.headers['x-request-id'], requestId, 'The ID should be echoed');
+
+  const tagged = () => readRecords().filter(record => record.requestId === requestId);
+  // The outbox delivers the email a moment later, still within the request's context
+  await waitFor(() => tagged().some(record => record.message.startsWith('DRY_RUN mode enabled')));
+
+  const messages = tagged().map(record => record.message);
+  ['POST /api/quote', 'Quote form submission received', 'Weekly scripts normalization', 'Lead stored', 'Quote email queued']
+    .forEach(text => assert(messages.some(message => message.startsWith(text)), `"${text}" should be tagged`));
+  assert(tagged().some(record => record.level === 'response'), 'The response entry should be tagged');
+
+  const lead = readRecords().find(record => record.message.startsWith('Lead stored'));
+  assertEqual(lead.requestId, requestId, 'An explicit requestId should still be used');
+});
+
+runner.test('Outbox deliveries are tagged with the request that queued them', async () => {
+  outbox.registerHandler('context-test', async message => {
+    logger.info(`Delivering context message ${message.payload.n}`);
+    return null;
+  });
+
+  // The first enqueue starts the worker, which then delivers all three
+  const first = requestContext.run({ requestId: 'queue-a' }, () => outbox.enqueue('context-test', { n: 1 }));
+  const second = requestContext.run({ requestId: 'queue-b' }, () => outbox.enqueue('context-test', { n: 2 }));
+  const third = outbox.enqueue('context-test', { n: 3 });
+
+  const delivered = message => outbox.getMessage(message.id).status === 'sent';
+  await waitFor(() => [first, second, third].every(delivered));
+
+  const records = readRecords();
+  const tagOf = text => records.find(record => record.message.startsWith(text)).requestId;
+  assertEqual(tagOf('Delivering context message 1'), 'queue-a', 'The first delivery should carry its own request ID');
+  assertEqual(tagOf('Delivering context message 2'), 'queue-b', 'The second delivery should not inherit the first ID');
+  assertEqual(tagOf('Delivering context message 3'), null, 'A message queued outside a request should have no ID');
+  assertEqual(tagOf(`Outbox message delivered [${second.id}]`), 'queue-b', 'Outbox entries should carry the message request ID');
+});
+
+runner.test('Entries outside a request have no ID; run() sets one', async () => {
+  logger.info('Background entry');
+  requestContext.run({ requestId: 'job-1' }, () => logger.info('Job entry'));
+  await logger.flush();
+
+  const records = readRecords();
+  assertEqual(records.find(record => record.message === 'Background entry').requestId, null, 'No request, no ID');
+  assertEqual(records.find(record => record.message === 'Job entry').requestId, 'job-1', 'run() should tag entries');
+
+  logger.configure({ LOG_FORMAT: 'text', LOG_LEVEL: 'debug' });
+  requestContext.run({ requestId: 'job-2' }, () => logger.info('Text job entry'));
+  logger.configure({ LOG_FORMAT: 'json', LOG_LEVEL: 'debug' });
+  await logger.flush();
+  assert(fs.readFileSync(logger.logFile, 'utf8').includes('Text job entry [job-2]'), 'Text entries should end with [id]');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
@@ -0,0 +1,164 @@
+/**
+ * Test suite for service area lookups
+ * Uses the shipped config/service-area.json dataset
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { useTempEnv } = require('./testEnv');
+
+const tmpDir = useTempEnv('service-area', {
+  DRY_RUN: 'true',
+  RATE_LIMIT_MAX_REQUESTS: '1000'
+});
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const serviceArea = require('../serviceArea');
+const { extractZip } = require('../serviceArea');
+const { render } = require('../mailTemplates');
+const leadStore = require('../leadStore');
+
+const runner = new TestRunner();
+
+// Test: ZIP lookups
+runner.test('ZIP codes resolve to a municipality and tier', async () => {
+  const core = serviceArea.lookup({ zip: '48067' });
+  assertEqual(core.matchedBy, 'zip', 'Should match by ZIP');
+  assertEqual(core.covered, true, 'Royal Oak should be covered');
+  assertEqual(core.tier, 'core', 'Royal Oak should be core');
+  assertEqual(core.municipality, 'Royal Oak', 'Municipality should be named');
+  assertEqual(core.sameDay, true, 'Core should offer same-day');
+
+  const extended = serviceArea.lookup({ zip: '48375' });
+  assertEqual(extended.tier, 'extended', 'Novi should be extended');
+  assertEqual(extended.sameDay, false, 'Extended should be next-day');
+
+  const outside = serviceArea.lookup({ zip: '48933' });
+  assertEqual(outside.covered, false, 'Lansing ZIP should be outside');
+  assertEqual(outside.tier, 'outside', 'Tier should be outside');
+});
+
+// Test: City and state lookups
+runner.test('City names match regardless of case and "St." spelling', async () => {
+  assertEqual(serviceArea.lookup({ city: 'royal oak', state: 'mi' }).municipality, 'Royal Oak', 'Case should not matter');
+  assertEqual(serviceArea.lookup({ city: 'Saint Clair Shores' }).municipality, 'St. Clair Shores', '"Saint" should match "St."');
+  assertEqual(serviceArea.lookup({ city: 'St Clair Shores' }).municipality, 'St. Clair Shores', '"St" should match "St."');
+
+  const otherState = serviceArea.lookup({ city: 'Detroit', state: 'OH' });
+  assertEqual(otherState.covered, false, 'Another state should be outside');
+  assertEqual(otherState.matchedBy, 'state', 'Should be decided by the state');
+
+  const unknown = serviceArea.lookup({});
+  assertEqual(unknown.covered, null, 'Nothing to go on should be unknown');
+  assertEqual(unknown.tier, 'unknown', 'Tier should be unknown');
+});
+
+// Test: ZIP taken from a street address
+runner.test('ZIP in a street address wins over the city', async () => {
+  assertEqual(extractZip('123 Main St, Troy, MI 48083-1234'), '48083', 'ZIP+4 should be trimmed');
+  assertEqual(extractZip('500 Main St, 48067'), '48067', 'A ZIP after a comma should be found');
+  assertEqual(extractZip('Suite 4'), null, 'No ZIP should return null');
+
+  const result = serviceArea.lookup({ address: '3100 Woodward Ave, Royal Oak, MI 48073', city: 'Lansing' });
+  assertEqual(result.matchedBy, 'zip', 'ZIP should be used first');
+  assertEqual(result.municipality, 'Royal Oak', 'ZIP should decide the municipality');
+});
+
+// Test: Five-digit house numbers are common in the suburbs
+runner.test('A five-digit house number is not taken as the ZIP', async () => {
+  assertEqual(extractZip('29500 Woodward Ave'), null, 'A leading house number is not a ZIP');
+  assertEqual(extractZip('29500 Woodward Ave, Royal Oak'), null, 'A house number before the city is not a ZIP');
+  assertEqual(extractZip('29500 Woodward Ave, Royal Oak, MI 48073'), '48073', 'The trailing ZIP should still be found');
+
+  const result = serviceArea.lookup({ address: '29500 Woodward Ave', city: 'Royal Oak', state: 'MI' });
+  assertEqual(result.covered, true, 'The city should decide coverage');
+  assertEqual(result.matchedBy, 'city', 'The house number should not be used as a ZIP');
+  assertEqual(result.query.zip, null, 'No ZIP should be reported');
+});
+
+// Test: Lookup endpoint
+runner.test('GET /api/service-area answers lookups and rejects bad input', async (baseUrl) => {
+  const found = await makeRequest(`${baseUrl}/api/service-area?zip=48067`);
+  assertEqual(found.statusCode, 200, 'Valid ZIP should succeed');
+  assertEqual(found.body.success, true, 'Response should be successful');
+  assertEqual(found.body.tier, 'core', 'Tier should be returned');
+  assert(found.body.message.includes('Royal Oak'), 'Message should name the municipality');
+
+  const byCity = await makeRequest(`${baseUrl}/api/service-area?city=Lansing&state=MI`);
+  assertEqual(byCity.body.covered, false, 'Lansing should be outside');
+
+  const badZip = await makeRequest(`${baseUrl}/api/service-area?zip=4806`);
+  assertEqual(badZip.statusCode, 400, 'Short ZIP should be rejected');
+
+  const empty = await makeRequest(`${baseUrl}/api/service-area?state=MI`);
+  assertEqual(empty.statusCode, 400, 'State alone should be rejected');
+});
+
+// Test: Out-of-area leads are tagged
+runner.test('Out-of-area quotes are tagged on the lead and flagged in the email', async (baseUrl) => {
+  const response = await makeRequest(`${baseUrl}/api/quote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      pharmacy_name: 'Capitol Pharmacy',
+      contact_person: 'Ana Ruiz',
+      phone: '(517) 555-0190',
+      email: 'ana@capitol-rx.com',
+      address: '200 Washington Sq, Lansing, MI 48933',
+      city: 'Lansing',
+      state: 'MI',
+      company_website: '',
+      submission_time: Date.now() - 5000
+    })
+  });
+  assertEqual(response.statusCode, 200, 'Out-of-area quotes should still be accepted');
+
+  const lead = leadStore.getLead(response.body.leadId);
+  assertEqual(lead.serviceArea.covered, false, 'Lead should be tagged out of area');
+  assertEqual(lead.serviceArea.zip, '48933', 'ZIP should be recorded');
+  assert(leadStore.searchLeads({ coverage: 'outside' }).some(l => l.id === lead.id), 'Leads should be filterable by coverage');
+  assert(!leadStore.searchLeads({ coverage: 'core' }).some(l => l.id === lead.id), 'Coverage filter should exclude other tiers');
+
+  const email = render('quote', lead.fields, { reference: lead.id, score: lead.score, serviceArea: lead.serviceArea });
+  assert(email.subject.includes('[OUT OF AREA]'), 'Subject should flag out-of-area leads');
+  assert(email.text.includes('Service Area: OUTSIDE SERVICE AREA'), 'Text body should show coverage');
+  assert(email.html.includes('Outside service area'), 'HTML body should show the warning');
+});
+
+// Test: Coverage map zones
+runner.test('GET /api/service-area/zones returns shapes with coverage from the dataset', async (baseUrl) => {
+  const response = await makeRequest(`${baseUrl}/api/service-area/zones`);
+  assertEqual(response.statusCode, 200, 'Zones should load');
+  assert(/max-age=\d+/.test(response.headers['cache-control']), 'Zones should be cacheable');
+  assertEqual(response.body.type, 'FeatureCollection', 'Should be GeoJSON');
+  assert(response.body.tiers.core.sameDay, 'Tier legend should be included');
+
+  const royalOak = response.body.features.find(feature => feature.properties.name === 'Royal Oak');
+  assertEqual(royalOak.properties.tier, 'core', 'Tier should come from the dataset');
+  assert(royalOak.properties.zips.includes('48067'), 'ZIPs should be attached for highlighting');
+  assertEqual(royalOak.geometry.type, 'Polygon', 'Geometry should be passed through');
+
+  const page = await makeRequest(`${baseUrl}/`);
+  assert(page.rawBody.includes('id="coverageMapCanvas"') && page.rawBody.includes('/coverage-map.js'), 'Home page should include the map');
+});
+
+// Test: Zone file is checked against the dataset
+runner.test('Zones for unknown municipalities are rejected', async () => {
+  const zones = JSON.parse(fs.readFileSync(path.join(__dirname, '../../config/service-area.geojson'), 'utf8'));
+  zones.features[0].properties.name = 'Atlantis';
+  const file = path.join(tmpDir, 'zones.geojson');
+  fs.writeFileSync(file, JSON.stringify(zones));
+
+  let caught = null;
+  try {
+    serviceArea.reload(undefined, file);
+  } catch (error) {
+    caught = error;
+  }
+  assert(caught && caught.code === 'SERVICE_AREA_CONFIG', 'Unknown municipality should be rejected');
+  assert(serviceArea.zoneCollection().features.length > 0, 'Previous zones should stay in place');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
@@ -0,0 +1,220 @@
+/**
+ * Test suite for the settings module
+ * Covers typing, required settings, aliases, the redacted startup summary and
+ * the values the site and emails now take from settings
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { useTempEnv } = require('./testEnv');
+
+const tmpDir = useTempEnv('settings', {
+  LOG_LEVEL: 'warn',
+  DRY_RUN: 'true',
+  RATE_LIMIT_MAX_REQUESTS: '1000'
+});
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const settings = require('../settings');
+const { validateMailConfig } = require('../mailer');
+const { render } = require('../mailTemplates');
+
+const runner = new TestRunner();
+const repoRoot = path.join(__dirname, '../..');
+
+/**
+ * Environment for a server child process: only what is listed here
+ */
+function childEnv(name, extra) {
+  return {
+    PATH: process.env.PATH,
+    LOG_DIR: path.join(tmpDir, name),
+    LOG_FORMAT: 'json',
+    LOG_LEVEL: 'info',
+    LEAD_STORE_DIR: path.join(tmpDir, name),
+    OUTBOX_DIR: path.join(tmpDir, name),
+    ADMIN_USERS_FILE: path.join(tmpDir, name, 'admin-users.json'),
+    ...extra
+  };
+}
+
+runner.test('Values are typed and malformed ones are reported', async () => {
+  const { errors } = settings.validate({
+    DRY_RUN: 'yes',
+    PORT: '80a',
+    MAIL_PROVIDER: 'carrier-pigeon',
+    LOG_MAX_SIZE_MB: '0',
+    SITE_URL: 'ftp://dashrx.com',
+    WEBHOOK_ENDPOINTS: '[{',
+    OUTBOX_POLL_MS: '0',
+    DUPLICATE_WINDOW_MS: '0'
+  });
+
+  ['DRY_RUN', 'PORT', 'MAIL_PROVIDER', 'LOG_MAX_SIZE_MB', 'SITE_URL', 'WEBHOOK_ENDPOINTS', 'OUTBOX_POLL_MS'].forEach(name => {
+    assert(errors.some(error => error.startsWith(name)), `${name} should be rejected`);
+  });
+  assert(!errors.some(error => error.startsWith('DUPLICATE_WINDOW_MS')), 'Zero should be allowed where it means off');
+  assert(errors.some(error => error.includes('one of gmail, smtp')), 'Enum errors should list the choices');
+
+  process.env.OUTBOX_POLL_MS = 'soon';
+  process.env.CONTACT_PHONE = '(248) 555-0100';
+  try {
+    assertEqual(settings.get('OUTBOX_POLL_MS'), 5000, 'A malformed value should read as the default');
+    assertEqual(settings.get('CONTACT_PHONE'), '(248) 555-0100', 'Values should be read when asked for');
+    assertEqual(settings.get('DRY_RUN'), true, 'Booleans should be parsed');
+    assertEqual(settings.get('RATE_LIMIT_MAX_REQUESTS'), 1000, 'Integers should be parsed');
+  } finally {
+    delete process.env.OUTBOX_POLL_MS;
+    delete process.env.CONTACT_PHONE;
+  }
+
+  let caught = null;
+  try {
+    settings.get('MAIL_APP_PASSWORD');
+  } catch (error) {
+    caught = error;
+  }
+  assert(caught && caught.code === 'SETTING_UNKNOWN', 'Undeclared settings should not be readable');
+});
+
+runner.test('Required settings depend on DRY_RUN and the mail provider', async () => {
+  const missing = env => settings.validate(env).errors.filter(error => error.includes('is required')).map(error => error.split(' ')[0]);
+
+  assertEqual(missing({}).join(','), 'MAIL_TO,MAIL_USER,MAIL_PASS', 'Gmail needs a recipient, account and app password');
+  assertEqual(missing({ DRY_RUN: 'true' }).join(','), '', 'Nothing is required when no mail is sent');
+  assertEqual(missing({ MAIL_PROVIDER: 'smtp', MAIL_TO: 'sales@example.com' }).join(','), 'SMTP_HOST', 'SMTP needs a host');
+  assertEqual(missing({ MAIL_PROVIDER: 'mailgun', MAIL_TO: 'sales@example.com' }).join(','), 'MAILGUN_API_KEY,MAILGUN_DOMAIN', 'Mailgun needs a key and domain');
+  assert(settings.validate({}).errors[0].includes('Sales inbox'), 'Errors should say what the setting is for');
+});
+
+runner.test('MAIL_APP_PASS is accepted as the old name of MAIL_PASS', async () => {
+  const source = { MAIL_TO: 'sales@example.com', MAIL_USER: 'site@gmail.com', MAIL_APP_PASS: 'abcd efgh ijkl mnop' };
+  const { errors, warnings } = settings.validate(source);
+
+  assertEqual(errors.length, 0, 'The old name should satisfy MAIL_PASS');
+  assertEqual(warnings[0], 'MAIL_APP_PASS is deprecated; rename it to MAIL_PASS', 'A rename should be suggested');
+  assertEqual(settings.env(source).MAIL_PASS, 'abcd efgh ijkl mnop', 'Providers should see it as MAIL_PASS');
+  assertEqual(validateMailConfig(settings.env(source)).errors.length, 0, 'The Gmail provider should accept it');
+  assertEqual(settings.env({ MAIL_PASS: 'new', MAIL_APP_PASS: 'old' }).MAIL_PASS, 'new', 'MAIL_PASS should win over the old name');
+});
+
+runner.test('The effective settings hide secrets', async () => {
+  const effective = settings.describe({ ADMIN_TOKEN: 'super-secret-token', PORT: '8080', SMTP_SECURE: 'true', MAIL_PROVIDER: 'SMTP' });
+
+  assertEqual(effective.ADMIN_TOKEN, '[set]', 'Secrets should only show that they are set');
+  assertEqual(effective.METRICS_TOKEN, null, 'Unset secrets should show as null');
+  assertEqual(effective.PORT, 8080, 'Values should be shown typed');
+  assertEqual(effective.SMTP_SECURE, true, 'Booleans should be shown typed');
+  assertEqual(effective.MAIL_PROVIDER, 'smtp', 'Enums should be normalized');
+  assertEqual(effective.RATE_LIMIT_WINDOW_MS, 60000, 'Defaults should be included');
+  assert(!JSON.stringify(effective).includes('super-secret-token'), 'Secret values should never appear');
+  Object.keys(settings.SETTINGS).forEach(name => assert(name in effective, `${name} should be listed`));
+});
+
+runner.test('ANALYTICS_ENABLED reaches the page; contact details come from settings', async (baseUrl) => {
+  let script = await makeRequest(`${baseUrl}/js/site-config.js`);
+  assertEqual(script.statusCode, 200, 'The site config script should be served');
+  assertEqual(script.rawBody, 'window.ANALYTICS_ENABLED = false;\n', 'Analytics should be off by default');
+
+  process.env.ANALYTICS_ENABLED = 'true';
+  process.env.CONTACT_PHONE = '(248) 555-0100';
+  process.env.CONTACT_EMAIL = 'sales@dashrx.example';
+  try {
+    script = await makeRequest(`${baseUrl}/js/site-config.js`);
+    assertEqual(script.rawBody, 'window.ANALYTICS_ENABLED = true;\n', 'ANALYTICS_ENABLED=true should turn analytics on');
+
+    const { text, html } = render('confirmation', { contact_person: 'Ada' }, { reference: 'DRX-20250101-ABCDEF' });
+    assert(text.includes('call us at (248) 555-0100 or email sales@dashrx.example'), 'The text email should use the settings');
+    assert(html.includes('href="tel:+12485550100"') && html.includes('mailto:sales@dashrx.example'), 'The HTML email should link them');
+  } finally {
+    delete process.env.ANALYTICS_ENABLED;
+    delete process.env.CONTACT_PHONE;
+    delete process.env.CONTACT_EMAIL;
+  }
+
+  const page = await makeRequest(`${baseUrl}/`);
+  assert(page.rawBody.includes('<script src="/js/site-config.js"></script>'), 'The home page should load the site config');
+});
+
+runner.test('The server refuses to start with invalid settings', async () => {
+  const child = spawnSync(process.execPath, ['server/server.js'], {
+    cwd: repoRoot,
+    env: childEnv('invalid', { PORT: 'eighty', MAIL_PROVIDER: 'smtp', MAIL_TO: 'sales@example.com' }),
+    encoding: 'utf8',
+    timeout: 20000
+  });
+
+  assertEqual(child.status, 1, 'Startup should fail');
+  assert(child.stderr.includes('PORT must be a whole number, got "eighty"'), `The bad value should be named (${child.stderr})`);
+  assert(child.stderr.includes('SMTP_HOST is required'), 'Every problem should be reported at once');
+  assert(!child.stdout.includes('ready to accept requests'), 'Nothing should be listening');
+});
+
+runner.test('Startup logs the effective settings with secrets redacted', async () => {
+  const child = spawn(process.execPath, ['server/server.js'], {
+    cwd: repoRoot,
+    env: childEnv('valid', { PORT: '0', DRY_RUN: 'true', ADMIN_TOKEN: 'startup-secret-0123456789', MAIL_APP_PASS: 'legacy-pass' }),
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const exited = new Promise(resolve => child.on('exit', code => resolve(code)));
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  try {
+    const started = Date.now();
+    while (!output.includes('ready to accept requests')) {
+      assert(Date.now() - started < 15000, `The server should start (${output})`);
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    child.kill('SIGTERM');
+    assertEqual(await exited, 0, 'The server should shut down cleanly');
+  } finally {
+    child.kill('SIGKILL');
+  }
+
+  const raw = fs.readFileSync(path.join(tmpDir, 'valid', 'dashrx.log'), 'utf8');
+  const entries = raw.trim().split('\n').map(line => JSON.parse(line));
+  const summary = entries.find(entry => entry.message === 'Effective configuration');
+  assert(summary, 'The effective settings should be logged');
+  assertEqual(summary.data.ADMIN_TOKEN, '[set]', 'Secrets should be redacted');
+  assertEqual(summary.data.DRY_RUN, true, 'Settings should be listed with their values');
+  assert(entries.some(entry => entry.message === 'MAIL_APP_PASS is deprecated; rename it to MAIL_PASS'), 'Deprecated names should be warned about');
+  assert(!raw.includes('startup-secret-0123456789') && !raw.includes('legacy-pass'), 'Secret values should never reach the log');
+
+  assert(output.includes('Effective configuration:'), 'The effective settings should be printed to the console');
+  assert(output.includes('ADMIN_TOKEN=[set]') && output.includes('DRY_RUN=true') && output.includes('RATE_LIMIT_WINDOW_MS=60000'), 'Each setting should be printed with its value');
+  assert(!output.includes('startup-secret-0123456789') && !output.includes('legacy-pass'), 'Secret values should never reach the console');
+});
+
+runner.test('Modules that take an env object read it through the same checks', async () => {
+  const logger = require('../logger');
+  const webhooks = require('../webhooks');
+  const metrics = require('../metrics');
+
+  assertEqual(settings.get('PORT', { PORT: '8080' }), 8080, 'get() should read from a given source');
+  assertEqual(settings.get('LOG_LEVEL', { LOG_LEVEL: 'Warn' }), 'warn', 'Log levels should be validated by settings');
+
+  logger.configureRotation({ LOG_MAX_SIZE_MB: 'ten', LOG_RETENTION_DAYS: '3' });
+  try {
+    assertEqual(logger.maxLogSize, settings.SETTINGS.LOG_MAX_SIZE_MB.default * 1024 * 1024, 'A malformed size should read as the declared default');
+    assertEqual(logger.retentionDays, 3, 'Valid values should be used');
+  } finally {
+    logger.configureRotation();
+  }
+
+  webhooks.configure({ WEBHOOK_TIMEOUT_MS: '2.5s' });
+  try {
+    assertEqual(webhooks.timeoutMs, settings.SETTINGS.WEBHOOK_TIMEOUT_MS.default, 'A malformed timeout should read as the declared default');
+  } finally {
+    webhooks.configure();
+  }
+
+  const req = { get: () => 'Bearer scrape-token', socket: { remoteAddress: '203.0.113.9' }, ip: '203.0.113.9' };
+  assertEqual(metrics.authorize(req, { METRICS_TOKEN: 'scrape-token' }), 'token', 'METRICS_TOKEN should be read through settings');
+  assertEqual(metrics.authorize(req, {}), null, 'No token should mean no remote access');
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
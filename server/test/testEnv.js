@@ -0,0 +1,40 @@
+/**
+ * Shared environment setup for the test suites
+ * Call before requiring quoteRoute.test (which loads the server) so every
+ * file the server writes goes to a fresh temporary folder
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Create a temporary folder and point the server's data, log and account
+ * files at it. Extra settings are applied on top; undefined removes one.
+ * @param {string} name - Suite name, used in the folder name
+ * @param {Object} [env] - Additional environment settings for the suite
+ * @returns {string} The temporary folder
+ */
+function useTempEnv(name, env = {}) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), `dashrx-${name}-`));
+  const settings = {
+    LEAD_STORE_DIR: tmpDir,
+    OUTBOX_DIR: tmpDir,
+    LOG_DIR: path.join(tmpDir, 'logs'),
+    WEBHOOK_LOG_DIR: path.join(tmpDir, 'webhooks'),
+    ADMIN_USERS_FILE: path.join(tmpDir, 'admin-users.json'),
+    ...env
+  };
+
+  Object.entries(settings).forEach(([key, value]) => {
+    if (value === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = value;
+    }
+  });
+
+  return tmpDir;
+}
+
+module.exports = { useTempEnv };
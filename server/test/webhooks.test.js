@@ -0,0 +1,252 @@
+/**
+ * Test suite for outgoing lead webhooks
+ * Deliveries are sent to a local receiver that can be told to fail or stall
+ */
+
+const fs = require('fs');
+const http = require('http');
+const { useTempEnv } = require('./testEnv');
+
+useTempEnv('webhooks', {
+  ADMIN_TOKEN: 'test-admin-token-0123456789',
+  OUTBOX_RETRY_BASE_MS: '20',
+  OUTBOX_MAX_ATTEMPTS: '3',
+  OUTBOX_POLL_MS: '10',
+  DRY_RUN: 'true'
+});
+
+const { TestRunner, makeRequest, assert, assertEqual } = require('./quoteRoute.test');
+const leadStore = require('../leadStore');
+const outbox = require('../outbox');
+const webhooks = require('../webhooks');
+
+const runner = new TestRunner();
+
+// Retries need the polling worker, which only server start() runs
+outbox.start();
+const SECRET = 'whsec-test-secret';
+
+// Local receiver: records every request and answers from a script of responses
+const received = [];
+let responses = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ url: req.url, headers: req.headers, body });
+    const next = responses.shift() || { status: 200 };
+    if (next.stall) return; // never answer, so the sender times out
+    res.writeHead(next.status, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+  });
+});
+
+async function waitFor(condition, message, timeoutMs = 3000) {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeoutMs) throw new Error(`Timed out: ${message}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function makeLead(name) {
+  return leadStore.createLead({
+    pharmacy_name: name,
+    contact_person: 'Dee Patel',
+    email: 'dee@example-rx.com',
+    phone: '(313) 555-0123',
+    city: 'Dearborn',
+    state: 'MI',
+    weekly_scripts: { token: '25to125', display: '25 to 125' },
+    message: 'Two locations <maybe three>',
+    company_website: ''
+  });
+}
+
+let baseReceiverUrl = null;
+
+// Test: Configuration
+runner.test('Endpoints are read from WEBHOOK_ENDPOINTS and invalid ones skipped', async () => {
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  baseReceiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+
+  webhooks.configure({
+    WEBHOOK_SECRET: SECRET,
+    WEBHOOK_TIMEOUT_MS: '200',
+    WEBHOOK_ENDPOINTS: JSON.stringify([
+      { name: 'crm', url: `${baseReceiverUrl}/crm` },
+      { name: 'slack', url: `${baseReceiverUrl}/slack`, format: 'slack' },
+      { name: 'broken', url: 'not a url' },
+      { name: 'crm', url: `${baseReceiverUrl}/dupe` }
+    ])
+  });
+
+  assertEqual(webhooks.describe().map(e => e.name).join(','), 'crm,slack', 'Only valid, unique endpoints should be kept');
+  assert(!JSON.stringify(webhooks.describe()).includes(SECRET), 'Secrets should not be exposed');
+});
+
+// Test: Accepted quote fans out to every endpoint
+runner.test('Accepted quote is posted to each endpoint, signed, with a delivery ID', async (baseUrl) => {
+  received.length = 0;
+  const response = await makeRequest(`${baseUrl}/api/quote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      pharmacy_name: 'Hook Pharmacy',
+      contact_person: 'Ivy Chen',
+      phone: '(313) 555-0188',
+      email: 'ivy@hook-rx.com',
+      company_website: '',
+      submission_time: Date.now() - 5000
+    })
+  });
+  assertEqual(response.statusCode, 200, 'Submission should be accepted');
+  await waitFor(() => received.length === 2, 'both endpoints should be called');
+
+  const crm = received.find(r => r.url === '/crm');
+  assert(webhooks.verifySignature(SECRET, crm.headers['x-dashrx-signature'], crm.body), 'Signature should verify');
+  assert(!webhooks.verifySignature('wrong-secret', crm.headers['x-dashrx-signature'], crm.body), 'Wrong secret should not verify');
+  assert(/^MSG-/.test(crm.headers['x-dashrx-delivery']), 'Delivery ID header should be set');
+  assertEqual(crm.headers['x-dashrx-event'], 'lead.created', 'Event header should be set');
+
+  const payload = JSON.parse(crm.body);
+  assertEqual(payload.lead.id, response.body.leadId, 'Payload should carry the lead');
+  assertEqual(payload.deliveryId, crm.headers['x-dashrx-delivery'], 'Payload and header delivery IDs should match');
+  assert(!('company_website' in payload.lead.fields), 'Only sanitized fields should be sent');
+});
+
+// Test: Slack formatter
+runner.test('Slack endpoints get a Block Kit message with escaped text', async () => {
+  const slack = received.find(r => r.url === '/slack');
+  const payload = JSON.parse(slack.body);
+
+  assert(payload.text.includes('Hook Pharmacy'), 'Fallback text should name the pharmacy');
+  assertEqual(payload.blocks[0].type, 'header', 'First block should be a header');
+
+  const message = JSON.parse(JSON.stringify(webhooks.FORMATTERS.slack(makeLead('Slack <Test> & Co'))));
+  assert(message.text.includes('Slack &lt;Test&gt; &amp; Co'), 'Control characters should be escaped');
+  assert(message.blocks[2].text.text.includes('&lt;maybe three&gt;'), 'Notes should be escaped');
+});
+
+// Test: Retries keep the same delivery ID
+runner.test('Failed deliveries are retried with the same delivery ID and logged', async () => {
+  webhooks.configure({
+    WEBHOOK_SECRET: SECRET,
+    WEBHOOK_ENDPOINTS: JSON.stringify([{ name: 'flaky', url: `${baseReceiverUrl}/flaky` }])
+  });
+  received.length = 0;
+  responses = [{ status: 500 }, { status: 503 }, { status: 200 }];
+
+  const lead = makeLead('Retry Pharmacy');
+  const [message] = webhooks.queueLead(lead);
+  await waitFor(() => outbox.getMessage(message.id).status === 'sent', 'webhook should eventually be delivered');
+
+  assertEqual(received.length, 3, 'Endpoint should be called three times');
+  assert(received.every(r => r.headers['x-dashrx-delivery'] === message.id), 'Retries should reuse the delivery ID');
+
+  const log = webhooks.getDeliveryLog('flaky');
+  assertEqual(log.length, 3, 'Every attempt should be logged');
+  assertEqual(log[0].ok, true, 'Newest entry should be the success');
+  assertEqual(log[2].statusCode, 500, 'First failure status should be logged');
+  assertEqual(log[2].leadId, lead.id, 'Log should reference the lead');
+});
+
+// Test: Timeouts
+runner.test('A stalled endpoint times out and is dead-lettered after max attempts', async () => {
+  webhooks.configure({
+    WEBHOOK_SECRET: SECRET,
+    WEBHOOK_TIMEOUT_MS: '100',
+    WEBHOOK_ENDPOINTS: JSON.stringify([{ name: 'slow', url: `${baseReceiverUrl}/slow` }])
+  });
+  responses = [{ stall: true }, { stall: true }, { stall: true }];
+
+  const [message] = webhooks.queueLead(makeLead('Slow Pharmacy'));
+  await waitFor(() => outbox.getMessage(message.id).status === 'dead', 'webhook should be dead-lettered');
+
+  const log = webhooks.getDeliveryLog('slow');
+  assertEqual(log.length, 3, 'Each timed out attempt should be logged');
+  assertEqual(log[0].error, 'ETIMEDOUT', 'Timeout should be recorded');
+});
+
+// Test: Admin can read the delivery log
+runner.test('Admin API lists endpoints with recent deliveries', async (baseUrl) => {
+  const anonymous = await makeRequest(`${baseUrl}/api/admin/webhooks`);
+  assertEqual(anonymous.statusCode, 401, 'Delivery log should require admin');
+
+  const response = await makeRequest(`${baseUrl}/api/admin/webhooks`, {
+    headers: { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` }
+  });
+  assertEqual(response.statusCode, 200, 'Admin should see webhooks');
+  assertEqual(response.body.endpoints[0].name, 'slow', 'Configured endpoint should be listed');
+  assertEqual(response.body.endpoints[0].deliveries.length, 3, 'Recent deliveries should be included');
+
+  receiver.close();
+});
+
+// Test: Webhooks have their own lane and a hard time limit
+runner.test('A trickling endpoint is cut off at the time limit without holding up other mail', async () => {
+  const trickler = http.createServer((req, res) => {
+    req.resume();
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    const timer = setInterval(() => res.write('.'), 20);
+    res.on('close', () => clearInterval(timer));
+  });
+  await new Promise(resolve => trickler.listen(0, '127.0.0.1', resolve));
+
+  let probeSentWhileWebhookBusy = false;
+  outbox.registerHandler('probe', async () => ({ messageId: 'probe' }));
+
+  try {
+    webhooks.configure({
+      WEBHOOK_SECRET: SECRET,
+      WEBHOOK_TIMEOUT_MS: '300',
+      WEBHOOK_ENDPOINTS: JSON.stringify([{ name: 'trickle', url: `http://127.0.0.1:${trickler.address().port}/` }])
+    });
+
+    const started = Date.now();
+    const [message] = webhooks.queueLead(makeLead('Trickle Pharmacy'));
+    await waitFor(() => outbox.getMessage(message.id).status === 'sending', 'webhook should be in flight');
+
+    const probe = outbox.enqueue('probe', {});
+    await waitFor(() => outbox.getMessage(probe.id).status === 'sent', 'other mail should not wait for the webhook');
+    probeSentWhileWebhookBusy = outbox.getMessage(message.id).status === 'sending';
+
+    await waitFor(() => webhooks.getDeliveryLog('trickle').length === 1, 'the first attempt should end');
+    assert(probeSentWhileWebhookBusy, 'Other mail should be delivered while the webhook is still running');
+    assertEqual(webhooks.getDeliveryLog('trickle')[0].error, 'ETIMEDOUT', 'A response that keeps trickling should still time out');
+    assert(Date.now() - started < 2000, 'The limit should cover the whole delivery');
+  } finally {
+    webhooks.configure({ WEBHOOK_ENDPOINTS: '[]' });
+    trickler.close();
+    trickler.closeAllConnections();
+  }
+});
+
+// Test: Delivery logs stay bounded
+runner.test('Delivery logs roll over at the size cap and are read from the end', async () => {
+  const maxLogBytes = webhooks.maxLogBytes;
+  webhooks.maxLogBytes = 2000;
+
+  try {
+    for (let attempt = 1; attempt <= 100; attempt++) {
+      webhooks.recordAttempt('rolling', { deliveryId: 'MSG-rolling', attempt, ok: false, error: 'Zeitüberschreitung' });
+    }
+
+    assert(fs.statSync(webhooks.logFile('rolling')).size < 2200, 'The current log should stay near the cap');
+    assert(fs.existsSync(webhooks.rolledLogFile('rolling')), 'Older attempts should move to the rolled file');
+
+    // Ask for a few more than the current file holds so the rolled file is read too
+    const limit = fs.readFileSync(webhooks.logFile('rolling'), 'utf8').trim().split('\n').length + 5;
+    const log = webhooks.getDeliveryLog('rolling', limit);
+    assertEqual(log.length, limit, 'The limit should be honored across both files');
+    assertEqual(log.map(entry => entry.attempt).join(','), Array.from({ length: limit }, (_, i) => 100 - i).join(','), 'Entries should be newest first with none skipped');
+    assertEqual(log[limit - 1].error, 'Zeitüberschreitung', 'Entries should be decoded intact');
+    assertEqual(webhooks.getDeliveryLog('rolling', 3).length, 3, 'Small limits should only return the newest');
+  } finally {
+    webhooks.maxLogBytes = maxLogBytes;
+  }
+});
+
+if (require.main === module) {
+  runner.run().catch(console.error);
+}
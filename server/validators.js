@@ -1,9 +1,12 @@
 /**
  * Input validation and sanitization utilities
- * Ensures data integrity and security for form submissions
+ * Ensures data integrity and security for form submissions. Field rules come
+ * from the quote form schema in server/forms, shared with the browser.
  */
 
 const logger = require('./logger');
+const forms = require('./forms');
+const { FORMATS, sanitizeText } = require('./forms/rules');
 
 /**
  * Normalize weekly scripts value - handles tokens and display strings gracefully
@@ -80,192 +83,49 @@ const normalizeWeeklyScripts = (inputToken, inputDisplay) => {
 };
 
 /**
- * Validates email format using RFC-compliant regex
+ * Validates email format using the shared form rule
  */
 function isValidEmail(email) {
-  if (!email || typeof email !== 'string') return false;
-  
-  const emailRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
-  return emailRegex.test(email) && email.length <= 254;
+  return typeof email === 'string' && FORMATS.email(email);
 }
 
 /**
- * Validates US phone number formats
+ * Validates US phone numbers using the shared form rule
  * Accepts various formats: (313) 333-2133, 313-333-2133, 3133332133, etc.
  */
 function isValidPhoneUS(phone) {
-  if (!phone || typeof phone !== 'string') return false;
-  
-  // Remove all non-digit characters
-  const digits = phone.replace(/\D/g, '');
-  
-  // US phone numbers should have 10 digits (area code + number)
-  // Or 11 digits starting with 1 (country code)
-  if (digits.length === 10) {
-    return /^[2-9]\d{2}[2-9]\d{2}\d{4}$/.test(digits);
-  } else if (digits.length === 11 && digits.startsWith('1')) {
-    return /^1[2-9]\d{2}[2-9]\d{2}\d{4}$/.test(digits);
-  }
-  
-  return false;
+  return typeof phone === 'string' && FORMATS.phoneUS(phone);
 }
 
 /**
- * Sanitizes text input by removing HTML tags and trimming whitespace
+ * Validates the complete quote form payload against the quote schema
  */
-function sanitizeText(text) {
-  if (!text || typeof text !== 'string') return '';
-  
-  return text
-    .replace(/<[^>]*>/g, '') // Remove HTML tags
-    .replace(/&[^;]+;/g, '') // Remove HTML entities
-    .trim();
-}
+function validateQuotePayload(payload) {
+  const result = forms.validate('quote', payload);
 
-/**
- * Validates weekly delivery volume selection
- */
-function isValidMonthlyScripts(volume) {
-  if (!volume || typeof volume !== 'string') return false;
-  
-  // Handle various formats that might be received
-  const validPatterns = [
-    '<25',            // Less than 25
-    '25–125',         // 25 to 125 (en-dash)
-    '25-125',         // 25 to 125 (regular dash)
-    '25125',          // 25125 (no dash - common encoding issue)
-    '25 to 125',      // 25 to 125 (spelled out)
-    '>125'            // More than 125
-  ];
-  
-  // Normalize the input for comparison
-  const normalized = volume.trim().toLowerCase();
-  
-  // Check direct matches first
-  if (validPatterns.some(pattern => 
-    pattern.toLowerCase() === normalized || 
-    pattern.replace(/[-–—]/g, '') === normalized.replace(/[-–—\s]/g, '')
-  )) {
-    return true;
-  }
-  
-  // Special case: if it's "100500" or similar, treat as "100-500"
-  if (/^100\s*[-–—]?\s*500$/.test(normalized) || normalized === '100500') {
-    return true;
+  if (result.fieldErrors.company_website) {
+    logger.security('Honeypot triggered - likely spam', {
+      value: result.sanitized.company_website,
+      length: result.sanitized.company_website.length
+    });
+  } else if (result.sanitized.company_website) {
+    logger.debug('Honeypot filled but appears to be autofill, allowing submission', {
+      value: result.sanitized.company_website
+    });
   }
-  
-  return false;
-}
 
-/**
- * Validates the complete quote form payload
- */
-function validateQuotePayload(payload) {
-  const errors = [];
-  
-  // Required fields validation
-  if (!payload.pharmacy_name || !sanitizeText(payload.pharmacy_name)) {
-    errors.push('Pharmacy name is required');
-  }
-  
-  if (!payload.contact_person || !sanitizeText(payload.contact_person)) {
-    errors.push('Contact person is required');
-  }
-  
-  if (!payload.phone || !isValidPhoneUS(payload.phone)) {
-    errors.push('Valid US phone number is required');
-  }
-  
-  if (!payload.email || !isValidEmail(payload.email)) {
-    errors.push('Valid email address is required');
-  }
-  
-  // Weekly scripts normalization
-  const scriptsNorm = normalizeWeeklyScripts(payload.weekly_scripts, payload.weekly_scripts_display);
+  // Weekly scripts normalization - a display label sent with the token wins
+  const scriptsNorm = normalizeWeeklyScripts(result.sanitized.weekly_scripts, payload.weekly_scripts_display);
   logger.debug('Weekly scripts normalization', {
     input: payload.weekly_scripts,
     inputDisplay: payload.weekly_scripts_display,
     normalized: scriptsNorm
   });
-  // Note: weekly_scripts is optional, so we don't add validation errors
-  
-  if (payload.message && payload.message.length > 2000) {
-    errors.push('Message must be 2000 characters or less');
-  }
-  
-  // Honeypot check (should be empty) - more intelligent detection
-  if (payload.company_website && payload.company_website.trim() !== '') {
-    const honeypotValue = payload.company_website.trim();
-    
-    logger.debug('Honeypot field filled', {
-      value: honeypotValue,
-      length: honeypotValue.length
-    });
-    
-    // Allow common autofill values that browsers might insert
-    const allowedAutofillValues = [
-      'http://',
-      'https://',
-      'www.',
-      'example.com',
-      'test.com',
-      'localhost',
-      'projectjannahyemen'
-    ];
-    
-    // Check if it's likely autofill vs. actual spam
-    const isLikelyAutofill = allowedAutofillValues.some(allowed => 
-      honeypotValue.toLowerCase().includes(allowed.toLowerCase())
-    ) || honeypotValue.length < 10; // Short values are likely accidental
-    
-    if (!isLikelyAutofill) {
-      logger.security('Honeypot triggered - likely spam', {
-        value: honeypotValue,
-        length: honeypotValue.length
-      });
-      errors.push('Spam detection triggered');
-    } else {
-      logger.debug('Honeypot filled but appears to be autofill, allowing submission', {
-        value: honeypotValue
-      });
-    }
-  }
-  
-  // Light sanitization for city and state
-  let city = '';
-  let state = '';
-  
-  if (payload.city && typeof payload.city === 'string') {
-    // City: trim, max 100, letters/numbers/basic punctuation allowed
-    city = payload.city.trim().slice(0, 100).replace(/[^a-zA-Z0-9\s\-\.,']/g, '');
-  }
-  
-  if (payload.state && typeof payload.state === 'string') {
-    // State: take the first 2 uppercase letters
-    const stateMatch = payload.state.trim().match(/^([A-Za-z]{1,2})/);
-    if (stateMatch) {
-      state = stateMatch[1].toUpperCase();
-    }
-  }
 
-  // Sanitize all text fields
-  const sanitized = {
-    pharmacy_name: sanitizeText(payload.pharmacy_name),
-    contact_person: sanitizeText(payload.contact_person),
-    phone: sanitizeText(payload.phone),
-    email: sanitizeText(payload.email),
-    address: sanitizeText(payload.address || ''),
-    city: city,
-    state: state,
-    weekly_scripts: scriptsNorm,
-    message: sanitizeText(payload.message || ''),
-    company_website: sanitizeText(payload.company_website || '')
-  };
-  
   return {
-    valid: errors.length === 0,
-    errors,
-    sanitized
+    valid: result.valid,
+    errors: result.errors,
+    sanitized: { ...result.sanitized, weekly_scripts: scriptsNorm }
   };
 }
 
@@ -302,7 +162,6 @@ module.exports = {
   isValidEmail,
   isValidPhoneUS,
   sanitizeText,
-  isValidMonthlyScripts,
   validateQuotePayload,
   detectSpam,
   normalizeWeeklyScripts
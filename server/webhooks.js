@@ -0,0 +1,336 @@
+/**
+ * Outgoing webhooks for new leads
+ * Each configured endpoint gets its own outbox message per lead, so deliveries
+ * are retried with backoff independently. Webhooks have their own outbox lane,
+ * so a slow endpoint never delays email. Requests are signed with HMAC-SHA256
+ * and every attempt is appended to a per-endpoint delivery log, which rolls
+ * over to <name>.1.jsonl at DELIVERY_LOG_MAX_BYTES.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const settings = require('./settings');
+const logger = require('./logger');
+const outbox = require('./outbox');
+const leadStore = require('./leadStore');
+const { post, isValidUrl } = require('./httpClient');
+
+const EVENT_LEAD_CREATED = 'lead.created';
+const SIGNATURE_HEADER = 'X-DashRx-Signature';
+const DELIVERY_HEADER = 'X-DashRx-Delivery';
+const EVENT_HEADER = 'X-DashRx-Event';
+
+const DELIVERY_LOG_MAX_BYTES = 1024 * 1024;
+const TAIL_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Payload formatters, selected per endpoint with "format"
+ */
+const FORMATTERS = {
+  json(lead, deliveryId) {
+    return {
+      event: EVENT_LEAD_CREATED,
+      deliveryId,
+      lead: {
+        id: lead.id,
+        createdAt: lead.createdAt,
+        fields: lead.fields,
+        score: lead.score || null,
+        serviceArea: lead.serviceArea || null,
+        estimate: lead.estimate || null
+      }
+    };
+  },
+
+  slack(lead) {
+    const f = lead.fields || {};
+    const location = [f.city, f.state].filter(Boolean).join(', ') || 'Not provided';
+    const volume = (f.weekly_scripts && f.weekly_scripts.display) || 'Not specified';
+    // Slack mrkdwn only treats &, < and > as control characters
+    const escape = value => String(value || '—').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    return {
+      text: `New quote request from ${escape(f.pharmacy_name)} (${lead.id})`,
+      blocks: [
+        {
+          type: 'header',
+          text: { type: 'plain_text', text: `New Quote Request — ${f.pharmacy_name || 'Unknown Pharmacy'}`.slice(0, 150) }
+        },
+        {
+          type: 'section',
+          fields: [
+            { type: 'mrkdwn', text: `*Contact:*\n${escape(f.contact_person)}` },
+            { type: 'mrkdwn', text: `*Phone:*\n${escape(f.phone)}` },
+            { type: 'mrkdwn', text: `*Email:*\n${escape(f.email)}` },
+            { type: 'mrkdwn', text: `*Location:*\n${escape(location)}` },
+            { type: 'mrkdwn', text: `*Weekly Volume:*\n${escape(volume)}` },
+            { type: 'mrkdwn', text: `*Reference:*\n${escape(lead.id)}` },
+            ...(lead.score ? [{ type: 'mrkdwn', text: `*Priority:*\n${escape(`${lead.score.tier.toUpperCase()} (${lead.score.score}/100)`)}` }] : [])
+          ]
+        },
+        ...(f.message ? [{ type: 'section', text: { type: 'mrkdwn', text: `*Notes:*\n${escape(f.message).slice(0, 2900)}` } }] : [])
+      ]
+    };
+  }
+};
+
+/**
+ * Signature over "<timestamp>.<body>", sent as "t=<timestamp>,v1=<hex>"
+ */
+function sign(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Check a signature header against a body (for receivers and tests).
+ * Rejects signatures older than toleranceSeconds to limit replays.
+ */
+function verifySignature(secret, header, body, toleranceSeconds = 300) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(sign(secret, timestamp, body).split('v1=')[1]);
+  const given = Buffer.from(parts.v1);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Turn WEBHOOK_ENDPOINTS (a JSON array) into endpoint definitions.
+ * Invalid entries are logged and skipped.
+ */
+function parseEndpoints(env) {
+  const list = settings.get('WEBHOOK_ENDPOINTS', env);
+  const defaultSecret = settings.get('WEBHOOK_SECRET', env);
+  if (!list) return [];
+
+  if (!Array.isArray(list)) {
+    logger.error('WEBHOOK_ENDPOINTS must be a JSON array');
+    return [];
+  }
+
+  const endpoints = [];
+  list.forEach((entry, index) => {
+    const name = entry && entry.name;
+    const format = (entry && entry.format) || 'json';
+    const secret = (entry && entry.secret) || defaultSecret || null;
+    const problems = [];
+
+    if (!name || !/^[a-z0-9_-]{1,40}$/i.test(name)) problems.push('name must be 1-40 letters, digits, - or _');
+    if (endpoints.some(e => e.name === name)) problems.push(`duplicate name "${name}"`);
+    if (!entry || !isValidUrl(entry.url)) problems.push('url must be an http(s) URL');
+    if (!FORMATTERS[format]) problems.push(`format must be one of ${Object.keys(FORMATTERS).join(', ')}`);
+    if (format === 'json' && !secret) problems.push('a secret (or WEBHOOK_SECRET) is required for signed JSON');
+
+    if (problems.length > 0) {
+      problems.forEach(problem => logger.error('Webhook endpoint invalid', { index, name, problem }));
+      return;
+    }
+
+    endpoints.push({ name, url: entry.url, format, secret });
+  });
+
+  return endpoints;
+}
+
+/**
+ * Up to count non-empty lines from the end of a file, oldest first, reading
+ * backwards in chunks instead of loading the whole file
+ */
+function readLastLines(file, count) {
+  if (count <= 0 || !fs.existsSync(file)) return [];
+
+  const fd = fs.openSync(file, 'r');
+  try {
+    let position = fs.fstatSync(fd).size;
+    let tail = Buffer.alloc(0);
+    let newlines = 0;
+
+    // Stop once the tail holds count full lines plus the break before them
+    while (position > 0 && newlines <= count) {
+      const length = Math.min(TAIL_CHUNK_BYTES, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      fs.readSync(fd, chunk, 0, length, position);
+      tail = Buffer.concat([chunk, tail]);
+      newlines = tail.reduce((n, byte) => (byte === 0x0a ? n + 1 : n), 0);
+    }
+
+    const lines = tail.toString('utf8').split('\n');
+    if (position > 0) lines.shift(); // partial first line
+    return lines.filter(Boolean).slice(-count);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+class WebhookDispatcher {
+  constructor() {
+    this.logDir = settings.get('WEBHOOK_LOG_DIR') || path.join(__dirname, '../data/webhooks');
+    this.maxLogBytes = DELIVERY_LOG_MAX_BYTES;
+    this.configure();
+
+    outbox.registerHandler('webhook', message => this.deliver(message));
+  }
+
+  /**
+   * (Re)load endpoint settings
+   */
+  configure(env = process.env) {
+    this.timeoutMs = settings.get('WEBHOOK_TIMEOUT_MS', env);
+    this.endpoints = parseEndpoints(env);
+    if (this.endpoints.length > 0) {
+      logger.info(`Webhooks configured (${this.endpoints.map(e => `${e.name}:${e.format}`).join(', ')})`);
+    }
+  }
+
+  getEndpoint(name) {
+    return this.endpoints.find(endpoint => endpoint.name === name) || null;
+  }
+
+  /**
+   * Queue a lead.created delivery for every endpoint
+   */
+  queueLead(lead) {
+    return this.endpoints.map(endpoint => outbox.enqueue('webhook', {
+      event: EVENT_LEAD_CREATED,
+      endpoint: endpoint.name,
+      leadId: lead.id
+    }));
+  }
+
+  /**
+   * Outbox handler: send one webhook attempt. The outbox message ID doubles as
+   * the delivery ID so receivers can de-duplicate retries.
+   */
+  async deliver(message) {
+    const { endpoint: name, leadId } = message.payload;
+    const endpoint = this.getEndpoint(name);
+    if (!endpoint) {
+      const err = new Error(`Webhook endpoint no longer configured: ${name}`);
+      err.code = 'WEBHOOK_UNKNOWN_ENDPOINT';
+      throw err;
+    }
+
+    const lead = leadStore.getLead(leadId);
+    if (!lead) {
+      const err = new Error(`Lead not found: ${leadId}`);
+      err.code = 'LEAD_NOT_FOUND';
+      throw err;
+    }
+
+    const body = JSON.stringify(FORMATTERS[endpoint.format](lead, message.id));
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'DashRx-Webhooks/1.0',
+      [DELIVERY_HEADER]: message.id,
+      [EVENT_HEADER]: message.payload.event
+    };
+    if (endpoint.secret) {
+      headers[SIGNATURE_HEADER] = sign(endpoint.secret, Math.floor(Date.now() / 1000), body);
+    }
+
+    const started = Date.now();
+    try {
+      const response = await post(endpoint.url, {
+        headers,
+        body,
+        timeoutMs: this.timeoutMs,
+        service: `Webhook ${endpoint.name}`,
+        errorCode: 'WEBHOOK_HTTP_ERROR'
+      });
+
+      this.recordAttempt(endpoint.name, {
+        deliveryId: message.id,
+        leadId,
+        attempt: message.attempts,
+        ok: true,
+        statusCode: response.statusCode,
+        durationMs: Date.now() - started
+      });
+      logger.info(`Webhook delivered [${endpoint.name}]`, { deliveryId: message.id, leadId, statusCode: response.statusCode });
+
+      return { messageId: message.id };
+    } catch (error) {
+      this.recordAttempt(endpoint.name, {
+        deliveryId: message.id,
+        leadId,
+        attempt: message.attempts,
+        ok: false,
+        statusCode: error.responseCode || null,
+        durationMs: Date.now() - started,
+        error: error.code || error.message
+      });
+      throw error;
+    }
+  }
+
+  logFile(name) {
+    return path.join(this.logDir, `${name}.jsonl`);
+  }
+
+  rolledLogFile(name) {
+    return path.join(this.logDir, `${name}.1.jsonl`);
+  }
+
+  /**
+   * Append one attempt to the endpoint's delivery log, first rolling a full
+   * log over to the single previous file
+   */
+  recordAttempt(name, entry) {
+    try {
+      fs.mkdirSync(this.logDir, { recursive: true });
+      const file = this.logFile(name);
+      if (fs.existsSync(file) && fs.statSync(file).size >= this.maxLogBytes) {
+        fs.renameSync(file, this.rolledLogFile(name));
+      }
+      fs.appendFileSync(file, JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n');
+    } catch (error) {
+      logger.error(`Failed to write webhook delivery log [${name}]`, { error: error.message });
+    }
+  }
+
+  /**
+   * Most recent attempts for an endpoint, newest first. Only the end of each
+   * file is read.
+   */
+  getDeliveryLog(name, limit = 50) {
+    const entries = [];
+    for (const file of [this.logFile(name), this.rolledLogFile(name)]) {
+      if (entries.length >= limit) break;
+      entries.push(...readLastLines(file, limit - entries.length).reverse());
+    }
+
+    return entries
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Endpoint list without secrets, for the admin API
+   */
+  describe() {
+    return this.endpoints.map(endpoint => ({
+      name: endpoint.name,
+      url: endpoint.url,
+      format: endpoint.format,
+      signed: !!endpoint.secret
+    }));
+  }
+}
+
+module.exports = new WebhookDispatcher();
+module.exports.sign = sign;
+module.exports.verifySignature = verifySignature;
+module.exports.FORMATTERS = FORMATTERS;
+module.exports.SIGNATURE_HEADER = SIGNATURE_HEADER;
+module.exports.DELIVERY_HEADER = DELIVERY_HEADER;